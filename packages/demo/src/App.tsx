@@ -35,6 +35,8 @@ const DEMO_MODELS = [
  */
 function App() {
   const viewerRef = useRef<WexViewerRef>(null);
+  // Aborts the load in progress when another one starts
+  const loadAbortRef = useRef<AbortController | null>(null);
   
   // State
   const [models, setModels] = useState<LoadedModel[]>([]);
@@ -158,28 +160,34 @@ function App() {
     setSelectedElements(selected);
   }, []);
 
+  // Start a new load, aborting the previous one if it is still running
+  const startLoad = () => {
+    loadAbortRef.current?.abort();
+    loadAbortRef.current = new AbortController();
+    setIsLoading(true);
+    setProgress(0);
+    return loadAbortRef.current.signal;
+  };
+
   // Load from file data
   const handleFileLoaded = async (data: ArrayBuffer, fileName: string) => {
     if (!viewerRef.current) return;
-    setIsLoading(true);
-    setProgress(0);
-    await viewerRef.current.loadModelFromBytes(data, fileName);
+    const signal = startLoad();
+    await viewerRef.current.loadModelFromBytes(data, { name: fileName, signal });
   };
 
   // Load from URL
   const handleUrlLoaded = async (url: string) => {
     if (!viewerRef.current) return;
-    setIsLoading(true);
-    setProgress(0);
-    await viewerRef.current.loadModel(url);
+    const signal = startLoad();
+    await viewerRef.current.loadModel(url, { signal });
   };
 
   // Load a demo model
   const loadDemoModel = async (path: string) => {
     if (!viewerRef.current) return;
-    setIsLoading(true);
-    setProgress(0);
-    await viewerRef.current.loadModel(path);
+    const signal = startLoad();
+    await viewerRef.current.loadModel(path, { signal });
   };
 
   // Unload model
@@ -2,19 +2,299 @@ import React, { useRef, useEffect, useImperativeHandle, forwardRef, useCallback,
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { WexBIMLoader } from '../loaders/wexbim/wexBimLoader.js';
-import { DEFAULT_VIEWER_SETTINGS } from '../types';
+import type { WexBIMLoadProgressEvent, WexBIMPerformanceStats } from '../loaders/wexbim/wexBimLoader.js';
+import { getDefaultLogger } from '../loaders/wexbim/wexBimLogger.js';
+import type { WexBIMLogger } from '../loaders/wexbim/wexBimLogger.js';
+import type { WexBIMHeader } from '../loaders/wexbim/wexBimParser.js';
+import type { WexBIMParseError } from '../loaders/wexbim/wexBimErrors.js';
+import { getProductTypeId, getProductTypeName } from '../loaders/wexbim/wexBimProductTypes.js';
+import { getLengthUnit, viewerToProject } from './coordinates';
+import { exportGLB } from './glbExport';
+import { LevelOfDetail } from './levelOfDetail';
+import { ElementStates } from './elementStates';
+import { findProductHit, getProductIdentity, isMultiElementMesh, isShown } from './picking';
+import type { ElementHit } from './picking';
+import { SectionBox } from './sectionBox';
+import { ClippingPlanes } from './clippingPlanes';
+import { renderCaps } from './clipping';
+import { NavigationCube } from './navigationCube';
+import { Measurements, getSnapPoint } from './measurements';
+import { Annotations } from './annotations';
+import { createBcfGuid, getBcfCamera, getBcfCameraPose, getBcfClippingPlane, getClippingPlaneInput } from './bcf';
+import type { ModelCoordinateSystem } from './coordinates';
+import { compareWexBIM } from '../loaders/wexbim/wexBimDiff.js';
+import type { WexBIMDiff, WexBIMProductSummary } from '../loaders/wexbim/wexBimDiff.js';
+import { DEFAULT_VIEWER_SETTINGS, DEFAULT_COMPARISON_COLORS } from '../types';
 import type {
   WexViewerProps,
   WexViewerRef,
   LoadedModel,
   ViewerSettings,
   LoadProgress,
+  LoadModelOptions,
+  WexBIMProductIdentity,
+  ProductTypeInfo,
+  ProductTypeRef,
+  ViewerExportOptions,
+  ModelCompareOptions,
+  ModelPlacement,
+  ModelPlacementInput,
+  ElementStateInput,
+  ClippingPlaneInput,
+  ViewName,
+  ViewerPlugin,
+  ViewerPluginContext,
+  PickEventArgs,
+  HoverEventArgs,
+  ViewerEventArgs,
+  AnnotationClickEventArgs,
+  BcfViewpoint,
+  BcfViewpointExportOptions,
+  BcfComponentMapping,
+  BcfComponent,
+  BcfColoring,
 } from '../types';
 
+const UP = new THREE.Vector3(0, 1, 0);
+
+/** Directions from the models to the camera of the named views */
+const VIEW_DIRECTIONS: Record<ViewName, THREE.Vector3> = {
+  front: new THREE.Vector3(0, 0, 1),
+  back: new THREE.Vector3(0, 0, -1),
+  left: new THREE.Vector3(-1, 0, 0),
+  right: new THREE.Vector3(1, 0, 0),
+  top: new THREE.Vector3(0, 1, 0),
+  bottom: new THREE.Vector3(0, -1, 0),
+  iso: new THREE.Vector3(1, 0.5, 1).normalize(),
+};
+
+/** How long the camera takes to turn to a view picked on the navigation cube, in milliseconds */
+const NAVIGATION_CUBE_DURATION = 500;
+
 // Default highlight colors (can be customized via props)
 const DEFAULT_SELECTION_COLOR = '#2196F3';  // Blue for selection
 const DEFAULT_HOVER_COLOR = '#4CAF50';      // Green for hover
 
+/**
+ * Calls `callback` for every mesh, and every instance of an instanced or batched mesh,
+ * that belongs to a product
+ */
+function forEachElement(
+  root: THREE.Object3D,
+  modelId: string | undefined,
+  callback: (mesh: THREE.Mesh, identity: WexBIMProductIdentity, instanceId?: number) => void
+) {
+  root.traverse((child) => {
+    if (!(child instanceof THREE.Mesh)) return;
+    if (modelId && child.userData.modelId !== modelId) return;
+
+    if (isMultiElementMesh(child)) {
+      (child.userData.instances as WexBIMProductIdentity[]).forEach((instance, instanceId) => {
+        callback(child, instance, instanceId);
+      });
+    } else if (child.userData.productLabel !== undefined) {
+      callback(child, child.userData as WexBIMProductIdentity);
+    }
+  });
+}
+
+/**
+ * Resolves product type ids and IFC class names to type ids (unknown names are skipped)
+ */
+function resolveProductTypes(types: ProductTypeRef[], logger: WexBIMLogger): Set<number> {
+  const typeIds = new Set<number>();
+  types.forEach(type => {
+    const typeId = typeof type === 'number' ? type : getProductTypeId(type);
+    if (typeId === undefined) {
+      logger.warn(`Unknown product type: ${type}`);
+    } else {
+      typeIds.add(typeId);
+    }
+  });
+  return typeIds;
+}
+
+/**
+ * Returns the world bounding box of a mesh, or of a single instance of an instanced or batched mesh
+ */
+function getElementBox(mesh: THREE.Mesh, instanceId?: number): THREE.Box3 {
+  const box = new THREE.Box3();
+  if (!isMultiElementMesh(mesh) || instanceId === undefined) return box.setFromObject(mesh);
+
+  if (mesh instanceof THREE.InstancedMesh) {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    box.copy(mesh.geometry.boundingBox!);
+  } else {
+    mesh.getBoundingBoxAt(mesh.getGeometryIdAt(instanceId), box);
+  }
+  const instanceMatrix = new THREE.Matrix4();
+  mesh.getMatrixAt(instanceId, instanceMatrix);
+  return box.applyMatrix4(instanceMatrix).applyMatrix4(mesh.matrixWorld);
+}
+
+/**
+ * World normal of a picked face, turned towards the ray that picked it
+ */
+function getFaceNormal(mesh: THREE.Mesh, face: THREE.Face, ray: THREE.Ray, instanceId?: number): THREE.Vector3 {
+  const normal = face.normal.clone();
+  if (isMultiElementMesh(mesh) && instanceId !== undefined) {
+    const instanceMatrix = new THREE.Matrix4();
+    mesh.getMatrixAt(instanceId, instanceMatrix);
+    normal.transformDirection(instanceMatrix);
+  }
+  normal.transformDirection(mesh.matrixWorld);
+  return normal.dot(ray.direction) > 0 ? normal.negate() : normal;
+}
+
+/**
+ * A camera animating to a view: it turns around its target and moves with it
+ */
+interface CameraFlight {
+  fromTarget: THREE.Vector3;
+  toTarget: THREE.Vector3;
+  /** Unit directions from the target to the camera */
+  fromDirection: THREE.Vector3;
+  toDirection: THREE.Vector3;
+  fromDistance: number;
+  toDistance: number;
+  start: number;
+  duration: number;
+  /** Damping of the controls, off while flying */
+  enableDamping: boolean;
+}
+
+/**
+ * Moves the camera to where a flight is at `time`; whether the flight is over
+ */
+function stepCameraFlight(flight: CameraFlight, camera: THREE.Camera, controls: OrbitControls, time: number): boolean {
+  const t = flight.duration > 0 ? Math.min((time - flight.start) / flight.duration, 1) : 1;
+  const eased = t * t * (3 - 2 * t);
+  const turn = new THREE.Quaternion().setFromUnitVectors(flight.fromDirection, flight.toDirection);
+  const direction = flight.fromDirection.clone().applyQuaternion(new THREE.Quaternion().slerp(turn, eased));
+  const distance = THREE.MathUtils.lerp(flight.fromDistance, flight.toDistance, eased);
+
+  controls.target.lerpVectors(flight.fromTarget, flight.toTarget, eased);
+  camera.position.copy(controls.target).addScaledVector(direction, distance);
+  camera.lookAt(controls.target);
+  if (t < 1) return false;
+  controls.enableDamping = flight.enableDamping;
+  return true;
+}
+
+/**
+ * Calls into a plugin; a plugin that throws is stopped, so it cannot break the viewer
+ */
+function callPlugin(plugin: ViewerPlugin, logger: WexBIMLogger, call: () => void) {
+  try {
+    call();
+  } catch (error) {
+    plugin.isStopped = true;
+    logger.error(`Plugin ${plugin.id} failed and was stopped`, error);
+  }
+}
+
+/**
+ * Coordinate system BCF coordinates are converted through: the first model, which the others
+ * are aligned to, or meters along the viewer axes while there are no models
+ */
+function getBcfCoordinateSystem(models: Map<string, LoadedModel>): ModelCoordinateSystem {
+  return models.values().next().value ?? { scene: new THREE.Group(), meter: 1, localWCS: new THREE.Vector3() };
+}
+
+/**
+ * Labels of the products of BCF components by model (undefined for all models). A component
+ * is found by IFC GUID through `mapping`, or else by its label in the model named by its
+ * originating system (in all models when no model has that name).
+ */
+function resolveBcfComponents(
+  components: BcfComponent[],
+  models: Map<string, LoadedModel>,
+  mapping: BcfComponentMapping
+): Map<string | undefined, number[]> {
+  const labels = new Map<string | undefined, number[]>();
+  const add = (modelId: string | undefined, productLabel: number) => {
+    labels.set(modelId, [...(labels.get(modelId) ?? []), productLabel]);
+  };
+  components.forEach((component) => {
+    const product = component.ifcGuid !== undefined ? mapping.findProduct?.(component.ifcGuid) : undefined;
+    if (product) {
+      add(product.modelId, product.productLabel);
+      return;
+    }
+    const productLabel = Number(component.authoringToolId);
+    if (!component.authoringToolId || !Number.isInteger(productLabel)) return;
+    const named = [...models.values()].filter(model => model.name === component.originatingSystem);
+    if (named.length === 0) add(undefined, productLabel);
+    named.forEach(model => add(model.id, productLabel));
+  });
+  return labels;
+}
+
+/**
+ * Grows a box a little on all sides, so faces lying on it are not cut away
+ */
+function padBox(box: THREE.Box3): THREE.Box3 {
+  const size = box.getSize(new THREE.Vector3());
+  return box.expandByScalar(Math.max(size.x, size.y, size.z) * 0.01 || 0.01);
+}
+
+/**
+ * Identifies the file of a model across reloads: its URL, or its name when it was loaded from
+ * a local file (blob URLs differ on every load)
+ */
+function getModelKey(model: LoadedModel): string {
+  return model.sourceType === 'url' ? model.source : model.name;
+}
+
+/**
+ * Moves, rotates and scales a model scene to its placement
+ */
+function applyPlacement(scene: THREE.Object3D, placement: ModelPlacement) {
+  scene.position.copy(placement.position);
+  scene.rotation.set(0, placement.rotation, 0);
+  scene.scale.setScalar(placement.scale);
+  scene.updateMatrixWorld(true);
+}
+
+/**
+ * Placement lining up the project coordinates of a model (file coordinates plus the local
+ * WCS, in meters) with those of a reference model
+ */
+function getAlignedPlacement(header: WexBIMHeader, reference: LoadedModel): ModelPlacement {
+  // Model units to reference units
+  const unitScale = reference.meter / header.meter;
+  const [x, y, z] = header.localWCS;
+  const { localWCS } = reference;
+  // Offset between the local WCS origins in reference units, Y-up like the scene
+  const offset = new THREE.Vector3(
+    x * unitScale - localWCS.x,
+    z * unitScale - localWCS.z,
+    y * unitScale - localWCS.y
+  );
+  const { position, rotation, scale } = reference.placement;
+  return {
+    position: offset.multiplyScalar(scale).applyAxisAngle(UP, rotation).add(position),
+    rotation,
+    scale: scale * unitScale,
+  };
+}
+
+/**
+ * Disposes the geometries and materials of all meshes below `root`
+ */
+function disposeObject(root: THREE.Object3D) {
+  root.traverse((child) => {
+    if (child instanceof THREE.Mesh) {
+      child.geometry.dispose();
+      if (Array.isArray(child.material)) {
+        child.material.forEach(m => m.dispose());
+      } else {
+        child.material.dispose();
+      }
+    }
+  });
+}
+
 /**
  * WexViewer - A React component for viewing WexBIM 3D building models
  * 
@@ -30,16 +310,24 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
     hoverColor = DEFAULT_HOVER_COLOR,
     modelUrl,
     settings: settingsOverride,
+    levelOfDetail: levelOfDetailOverride,
+    navigationCube: navigationCubeOptions = false,
+    sectionBox: sectionBoxOptions,
+    clippingPlanes: clippingPlaneOptions,
+    measurements: measurementOptions,
+    logger,
     style,
     className,
     children,
     onViewerReady,
     onModelLoaded,
     onProgress,
+    onRegionLoaded,
     onError,
     onPick,
     onHover,
     onDoubleClick,
+    onAnnotationClick,
   } = props;
 
   // Memoize colors as THREE.Color objects
@@ -54,28 +342,144 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
   const controlsRef = useRef<OrbitControls | null>(null);
   const raycasterRef = useRef<THREE.Raycaster>(new THREE.Raycaster());
   const mouseRef = useRef<THREE.Vector2>(new THREE.Vector2());
+  // Helpers below are created on the first render only, not constructed again on every render
+  const levelOfDetailRef = useRef<LevelOfDetail>(null!);
+  if (!levelOfDetailRef.current) levelOfDetailRef.current = new LevelOfDetail(levelOfDetailOverride);
+  const sectionBoxRef = useRef<SectionBox>(null!);
+  if (!sectionBoxRef.current) sectionBoxRef.current = new SectionBox(sectionBoxOptions);
+  const clippingPlanesRef = useRef<ClippingPlanes>(null!);
+  if (!clippingPlanesRef.current) clippingPlanesRef.current = new ClippingPlanes(clippingPlaneOptions);
+  // Whether the next click on an element adds a clipping plane
+  const clippingPlanePickModeRef = useRef(false);
+  const navigationCubeRef = useRef<NavigationCube | null>(null);
+  if (navigationCubeOptions && !navigationCubeRef.current) {
+    navigationCubeRef.current = new NavigationCube(navigationCubeOptions === true ? {} : navigationCubeOptions);
+  }
+  const cameraFlightRef = useRef<CameraFlight | null>(null);
+  // Labels and values are in the units of the measured model
+  const measurementsRef = useRef<Measurements>(null!);
+  if (!measurementsRef.current) {
+    measurementsRef.current = new Measurements(measurementOptions, (modelId) => {
+      const model = modelId ? modelsRef.current.get(modelId) : undefined;
+      return model && { unit: model.lengthUnit, scale: model.placement.scale };
+    });
+  }
   
-  // Refs for selection state (to avoid stale closures)
-  const selectedMeshesRef = useRef<Set<THREE.Mesh>>(new Set());
-  const hoveredMeshRef = useRef<THREE.Mesh | null>(null);
-  const originalMaterialsRef = useRef<WeakMap<THREE.Mesh, THREE.Material | THREE.Material[]>>(new WeakMap());
-  
-  // X-ray mode state
-  const xrayMaterialsRef = useRef<WeakMap<THREE.Mesh, THREE.Material | THREE.Material[]>>(new WeakMap());
-  const isXRayModeRef = useRef<boolean>(false);
+  // Selection, visibility, x-ray and colors of all elements
+  const elementStatesRef = useRef<ElementStates>(null!);
+  if (!elementStatesRef.current) {
+    elementStatesRef.current = new ElementStates({
+      selectionColor: highlightColor,
+      hoverColor: hoverHighlightColor,
+      xray: false,
+    });
+  }
+  // Shown comparison: products recolored per model, and old-revision products hidden
+  const comparisonRef = useRef<{
+    beforeModelId: string;
+    afterModelId: string;
+    colored: Map<string, number[]>;
+    hidden: number[];
+  } | null>(null);
 
   // State
   const [models, setModels] = useState<Map<string, LoadedModel>>(new Map());
+  // Latest models for event handlers (to avoid stale closures)
+  const modelsRef = useRef<Map<string, LoadedModel>>(models);
+  useEffect(() => {
+    modelsRef.current = models;
+  }, [models]);
+  // Ids of loaded models and models being loaded, so no id is handed out twice
+  const modelIdsRef = useRef<Set<string>>(new Set());
+  const modelCounterRef = useRef(0);
+  // Latest logger for callbacks
+  const loggerRef = useRef<WexBIMLogger>(logger ?? getDefaultLogger());
+  useEffect(() => {
+    loggerRef.current = logger ?? getDefaultLogger();
+  }, [logger]);
+  // Plugins in the order they were added, and what they work with once the scene is set up
+  const pluginsRef = useRef<Map<string, ViewerPlugin>>(new Map());
+  const pluginContextRef = useRef<ViewerPluginContext | null>(null);
+
+  // Pass a viewer event to the running plugins
+  const notifyPlugins = useCallback((call: (plugin: ViewerPlugin) => void) => {
+    pluginsRef.current.forEach((plugin) => {
+      if (!plugin.isStopped) callPlugin(plugin, loggerRef.current, () => call(plugin));
+    });
+  }, []);
+
+  // Latest annotation click handler for markers
+  const onAnnotationClickRef = useRef(onAnnotationClick);
+  useEffect(() => {
+    onAnnotationClickRef.current = onAnnotationClick;
+  }, [onAnnotationClick]);
+  // Markers pinned to points or products; product annotations find their product in the scene
+  const annotationsRef = useRef<Annotations>(null!);
+  if (!annotationsRef.current) {
+    annotationsRef.current = new Annotations({
+      findProduct: (productLabel, modelId, modelKey) => {
+        const scene = sceneRef.current;
+        if (!scene) return null;
+        // The given model, or the same file loaded again; never another model with the same label
+        let searched = modelId;
+        if (modelId !== undefined && !modelsRef.current.has(modelId)) {
+          searched = [...modelsRef.current.values()].find(model => getModelKey(model) === modelKey)?.id;
+          if (searched === undefined) return null;
+        }
+
+        const elements: ElementHit[] = [];
+        let foundModelId: string | undefined;
+        forEachElement(scene, searched, (mesh, identity, instanceId) => {
+          if (identity.productLabel !== productLabel) return;
+          foundModelId ??= mesh.userData.modelId;
+          if (mesh.userData.modelId === foundModelId) elements.push({ mesh, instanceId });
+        });
+        const model = foundModelId !== undefined ? modelsRef.current.get(foundModelId) : undefined;
+        if (!model) return null;
+        const box = new THREE.Box3();
+        elements.forEach(({ mesh, instanceId }) => box.union(getElementBox(mesh, instanceId)));
+        return { modelId: model.id, modelKey: getModelKey(model), center: box.getCenter(new THREE.Vector3()), elements };
+      },
+      isHidden: (point, camera, elements) => {
+        const scene = sceneRef.current;
+        const renderer = rendererRef.current;
+        if (!scene || !renderer) return true;
+        if (renderer.clippingPlanes.some(plane => plane.distanceToPoint(point) < 0)) return true;
+        const elementStates = elementStatesRef.current;
+        if (elements.length > 0 && elements.every(({ mesh, instanceId }) =>
+          !isShown(mesh) || elementStates.hasFlag(mesh, instanceId, 'hidden'))) return true;
+
+        // Hidden when another element is in front of the point
+        const origin = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+        const distance = origin.distanceTo(point);
+        const raycaster = new THREE.Raycaster(origin, point.clone().sub(origin).normalize(), 0, distance);
+        const intersects = raycaster.intersectObjects(scene.children, true).filter(({ object, instanceId, batchId }) =>
+          !elements.some(element => element.mesh === object &&
+            (element.instanceId === undefined || element.instanceId === (instanceId ?? batchId))));
+        const hit = findProductHit(intersects, renderer.clippingPlanes, elementStates);
+        return hit !== null && origin.distanceTo(hit.point) < distance * 0.99;
+      },
+      onClick: (annotation, event) => {
+        const clickEvent: AnnotationClickEventArgs = {
+          eventName: 'annotationclick',
+          annotation,
+          modelId: annotation.modelId,
+          elementId: annotation.productLabel,
+          position: { x: event.clientX, y: event.clientY },
+        };
+        onAnnotationClickRef.current?.(clickEvent);
+        notifyPlugins(plugin => plugin.onAnnotationClick?.(clickEvent));
+      },
+    });
+  }
   const [settings, setSettings] = useState<ViewerSettings>({
     ...DEFAULT_VIEWER_SETTINGS,
     ...settingsOverride,
     backgroundColor: backgroundColor || DEFAULT_VIEWER_SETTINGS.backgroundColor,
   });
-  const [, setSelectedMeshes] = useState<Set<THREE.Mesh>>(new Set());
   const [isInitialized, setIsInitialized] = useState(false);
 
   // Loader instance
-  const loaderRef = useRef<InstanceType<typeof WexBIMLoader>>(new WexBIMLoader());
 
   // Initialize Three.js scene
   useEffect(() => {
@@ -148,59 +552,68 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
       scene.add(axes);
     }
 
-    // Helper functions for highlighting
-    const storeOriginalMaterial = (mesh: THREE.Mesh) => {
-      if (!originalMaterialsRef.current.has(mesh)) {
-        originalMaterialsRef.current.set(mesh, mesh.material);
-      }
-    };
-
-    const restoreOriginalMaterial = (mesh: THREE.Mesh) => {
-      const original = originalMaterialsRef.current.get(mesh);
-      if (original) {
-        mesh.material = original;
-      }
-    };
-
-    const createHighlightedMaterial = (originalMaterial: THREE.Material, color: THREE.Color): THREE.Material => {
-      if (originalMaterial instanceof THREE.MeshStandardMaterial || 
-          originalMaterial instanceof THREE.MeshPhongMaterial ||
-          originalMaterial instanceof THREE.MeshLambertMaterial) {
-        const cloned = originalMaterial.clone();
-        cloned.emissive = color;
-        cloned.emissiveIntensity = 0.5;
-        return cloned;
-      }
-      // Fallback for other material types
-      return new THREE.MeshBasicMaterial({ 
-        color: color, 
-        transparent: true, 
-        opacity: 0.8 
-      });
-    };
-
-    const applyHighlight = (mesh: THREE.Mesh, color: THREE.Color) => {
-      storeOriginalMaterial(mesh);
-      const originalMat = originalMaterialsRef.current.get(mesh);
-      if (originalMat) {
-        if (Array.isArray(originalMat)) {
-          mesh.material = originalMat.map(m => createHighlightedMaterial(m, color));
-        } else {
-          mesh.material = createHighlightedMaterial(originalMat, color);
-        }
-      }
-    };
-
     // Animation loop
+    const levelOfDetail = levelOfDetailRef.current;
+    const elementStates = elementStatesRef.current;
+    const sectionBox = sectionBoxRef.current;
+    const clippingPlanes = clippingPlanesRef.current;
+    // Section box and clipping planes all cut; the latest planes stay in `renderer.clippingPlanes`
+    // for picking
+    const gizmos = [sectionBox, clippingPlanes];
+    const navigationCube = navigationCubeRef.current;
+    const measurements = measurementsRef.current;
+    measurements.mount(container);
+    const annotations = annotationsRef.current;
+    annotations.mount(container);
+
+    // Plugins added before the scene was set up
+    const pluginContext: ViewerPluginContext = { scene, camera, renderer, controls, container };
+    pluginContextRef.current = pluginContext;
+    const plugins = pluginsRef.current;
+    plugins.forEach((plugin) => {
+      callPlugin(plugin, loggerRef.current, () => plugin.init(scene, camera, pluginContext));
+    });
+
     let isRunning = true;
+    let lastFrameTime = performance.now();
     function animate() {
       if (!isRunning) return;
       requestAnimationFrame(animate);
+      const time = performance.now();
+      const deltaTime = (time - lastFrameTime) / 1000;
+      lastFrameTime = time;
+      if (cameraFlightRef.current && stepCameraFlight(cameraFlightRef.current, camera, controls, time)) {
+        cameraFlightRef.current = null;
+      }
       controls.update();
+      plugins.forEach((plugin) => {
+        if (plugin.isStopped || !plugin.update) return;
+        callPlugin(plugin, loggerRef.current, () => plugin.update!(deltaTime, pluginContext));
+      });
+      levelOfDetail.update(camera, renderer);
+      renderer.clippingPlanes = [...sectionBox.clippingPlanes, ...clippingPlanes.clippingPlanes];
       renderer.render(scene, camera);
+      if (renderer.clippingPlanes.length > 0) {
+        renderCaps(renderer, scene, camera, clippingPlanes.clippingPlanes.length > 0
+          ? clippingPlanes.capMaterial : sectionBox.capMaterial);
+      }
+      sectionBox.render(renderer, camera);
+      clippingPlanes.render(renderer, camera);
+      measurements.render(renderer, camera);
+      annotations.render(renderer, camera);
+      navigationCube?.render(renderer, camera);
     }
     animate();
 
+    // Turning the camera by hand ends a flight to a view
+    const handleControlsStart = () => {
+      const flight = cameraFlightRef.current;
+      if (!flight) return;
+      controls.enableDamping = flight.enableDamping;
+      cameraFlightRef.current = null;
+    };
+    controls.addEventListener('start', handleControlsStart);
+
     // Resize handler
     const handleResize = () => {
       if (!container) return;
@@ -210,111 +623,179 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
     };
     window.addEventListener('resize', handleResize);
 
-    // Mouse move for hover effect
-    const handleMouseMove = (event: MouseEvent) => {
+    // Converts a picked point to the project coordinates of its model
+    const getProjectPosition = (modelId: string | undefined, point: THREE.Vector3) => {
+      const model = modelId ? modelsRef.current.get(modelId) : undefined;
+      return model ? viewerToProject(model, point) : undefined;
+    };
+
+    // Points the raycaster at the pointer
+    const updatePointer = (event: MouseEvent) => {
       const rect = renderer.domElement.getBoundingClientRect();
       mouseRef.current.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
       mouseRef.current.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+      raycasterRef.current.setFromCamera(mouseRef.current, camera);
+    };
+
+    // Dragging a section box or clipping plane handle turns camera controls off until the pointer is released
+    let suppressClick = false;
+    const handlePointerDown = (event: PointerEvent) => {
+      if (event.button !== 0) return;
+      updatePointer(event);
+      if (!gizmos.some(gizmo => gizmo.startDrag(raycasterRef.current))) return;
+      controls.enabled = false;
+      renderer.domElement.setPointerCapture(event.pointerId);
+    };
+    const handlePointerUp = (event: PointerEvent) => {
+      if (!gizmos.map(gizmo => gizmo.endDrag()).includes(true)) return;
+      controls.enabled = true;
+      suppressClick = true;
+      if (renderer.domElement.hasPointerCapture(event.pointerId)) {
+        renderer.domElement.releasePointerCapture(event.pointerId);
+      }
+    };
+
+    // Highlights the handle under the pointer, if any
+    const isOverHandle = () => gizmos.reduce((found, gizmo) => gizmo.hover(raycasterRef.current) || found, false);
+
+    // Mouse move for hover effect
+    const handleMouseMove = (event: MouseEvent) => {
+      updatePointer(event);
+      const rect = renderer.domElement.getBoundingClientRect();
+
+      // The navigation cube and then handles take the pointer before elements
+      if (navigationCube?.hover(renderer, event.clientX - rect.left, event.clientY - rect.top)) {
+        elementStates.setHovered(null);
+        renderer.domElement.style.cursor = 'pointer';
+        return;
+      }
+      if (gizmos.some(gizmo => gizmo.moveDrag(raycasterRef.current)) || isOverHandle()) {
+        elementStates.setHovered(null);
+        renderer.domElement.style.cursor = 'move';
+        return;
+      }
 
       // Raycast for hover
-      raycasterRef.current.setFromCamera(mouseRef.current, camera);
       const intersects = raycasterRef.current.intersectObjects(scene.children, true);
-      const meshIntersect = intersects.find(i => 
-        i.object instanceof THREE.Mesh && 
-        i.object.userData.productLabel !== undefined
-      );
+      const hit = findProductHit(intersects, renderer.clippingPlanes, elementStates);
+
+      // While measuring, show where a click would put the next point instead of hovering
+      if (measurements.getMode()) {
+        const size = renderer.getSize(new THREE.Vector2());
+        measurements.setPreview(hit && getSnapPoint(hit, camera, size, measurements.options.snapDistance));
+        elementStates.setHovered(null);
+        renderer.domElement.style.cursor = 'crosshair';
+        return;
+      }
 
       // Handle hover highlight
-      if (meshIntersect && meshIntersect.object instanceof THREE.Mesh) {
-        const mesh = meshIntersect.object;
-        
-        // If hovering a new mesh
-        if (hoveredMeshRef.current !== mesh) {
-          // Unhighlight previous hovered mesh (if not selected)
-          if (hoveredMeshRef.current && !selectedMeshesRef.current.has(hoveredMeshRef.current)) {
-            restoreOriginalMaterial(hoveredMeshRef.current);
-          }
-          
-          // Highlight new mesh (if not selected)
-          if (!selectedMeshesRef.current.has(mesh)) {
-            applyHighlight(mesh, hoverHighlightColor);
-          }
-          
-          hoveredMeshRef.current = mesh;
-          renderer.domElement.style.cursor = 'pointer';
-        }
+      elementStates.setHovered(hit);
+      if (hit) {
+        const { mesh, instanceId } = hit;
+        const identity = getProductIdentity(mesh, instanceId)!;
+        renderer.domElement.style.cursor = 'pointer';
 
-        onHover?.({
+        const hoverEvent: HoverEventArgs = {
           eventName: 'hover',
-          elementId: mesh.userData.productLabel,
+          elementId: identity.productLabel,
+          instanceLabel: identity.instanceLabel,
+          productType: identity.productType,
+          instanceId,
           modelId: mesh.userData.modelId,
           mesh,
           position: { x: event.clientX, y: event.clientY },
-          worldPosition: meshIntersect.point,
-        });
+          worldPosition: hit.point,
+          projectPosition: getProjectPosition(mesh.userData.modelId, hit.point),
+        };
+        onHover?.(hoverEvent);
+        notifyPlugins(plugin => plugin.onHover?.(hoverEvent));
       } else {
-        // Not hovering any mesh
-        if (hoveredMeshRef.current && !selectedMeshesRef.current.has(hoveredMeshRef.current)) {
-          restoreOriginalMaterial(hoveredMeshRef.current);
-        }
-        hoveredMeshRef.current = null;
+        // Not hovering any element
         renderer.domElement.style.cursor = 'default';
         
         onHover?.({ eventName: 'hover' });
+        notifyPlugins(plugin => plugin.onHover?.({ eventName: 'hover' }));
       }
     };
 
     // Click handler for selection
     const handleClick = (event: MouseEvent) => {
+      // A click ending a handle drag selects nothing
+      if (suppressClick) {
+        suppressClick = false;
+        return;
+      }
+      // A click on the navigation cube turns the camera to the face, edge or corner
+      const rect = renderer.domElement.getBoundingClientRect();
+      const viewDirection = navigationCube?.pick(renderer, event.clientX - rect.left, event.clientY - rect.top);
+      if (viewDirection) {
+        setView(viewDirection, { duration: NAVIGATION_CUBE_DURATION });
+        return;
+      }
       raycasterRef.current.setFromCamera(mouseRef.current, camera);
       const intersects = raycasterRef.current.intersectObjects(scene.children, true);
-      const meshIntersect = intersects.find(i => 
-        i.object instanceof THREE.Mesh && 
-        i.object.userData.productLabel !== undefined
-      );
+      const hit = findProductHit(intersects, renderer.clippingPlanes, elementStates);
+
+      // In pick mode, a click on an element cuts away what is in front of the picked face
+      if (clippingPlanePickModeRef.current) {
+        if (!hit?.face) return;
+        const normal = getFaceNormal(hit.mesh, hit.face, raycasterRef.current.ray, hit.instanceId);
+        clippingPlanes.add({ origin: hit.point, normal: normal.negate() });
+        clippingPlanePickModeRef.current = false;
+        return;
+      }
 
-      if (meshIntersect && meshIntersect.object instanceof THREE.Mesh) {
-        const mesh = meshIntersect.object;
-        
-        // Toggle selection using ref (avoids stale closure)
-        if (selectedMeshesRef.current.has(mesh)) {
-          // Deselect
-          selectedMeshesRef.current.delete(mesh);
-          restoreOriginalMaterial(mesh);
-        } else {
-          // Select
-          selectedMeshesRef.current.add(mesh);
-          applyHighlight(mesh, highlightColor);
-        }
+      // While measuring, a click on an element adds a point instead of selecting
+      if (measurements.getMode()) {
+        const size = renderer.getSize(new THREE.Vector2());
+        if (hit) measurements.addPoint(getSnapPoint(hit, camera, size, measurements.options.snapDistance));
+        return;
+      }
+
+      if (hit) {
+        const { mesh, instanceId } = hit;
+        const identity = getProductIdentity(mesh, instanceId)!;
         
-        // Update React state for external consumers
-        setSelectedMeshes(new Set(selectedMeshesRef.current));
+        // Toggle the selection of the picked product
+        const selected = elementStates.hasFlag(mesh, instanceId, 'selected');
+        elementStates.set([identity.productLabel], { selected: !selected }, mesh.userData.modelId);
 
-        onPick?.({
+        const pickEvent: PickEventArgs = {
           eventName: 'pick',
-          elementId: mesh.userData.productLabel || 0,
+          elementId: identity.productLabel,
+          instanceLabel: identity.instanceLabel,
+          productType: identity.productType,
+          instanceId,
           modelId: mesh.userData.modelId || '',
           mesh,
           position: { x: event.clientX, y: event.clientY },
-          worldPosition: meshIntersect.point,
-        });
+          worldPosition: hit.point,
+          projectPosition: getProjectPosition(mesh.userData.modelId, hit.point),
+        };
+        onPick?.(pickEvent);
+        notifyPlugins(plugin => plugin.onPick?.(pickEvent));
       }
     };
 
     // Double-click handler
     const handleDblClick = (event: MouseEvent) => {
       raycasterRef.current.setFromCamera(mouseRef.current, camera);
+      const rect = renderer.domElement.getBoundingClientRect();
+      if (navigationCube?.pick(renderer, event.clientX - rect.left, event.clientY - rect.top) || isOverHandle()) return;
+      // A double click ends a polyline
+      if (measurements.getMode()) {
+        measurements.finish();
+        return;
+      }
       const intersects = raycasterRef.current.intersectObjects(scene.children, true);
-      const meshIntersect = intersects.find(i => 
-        i.object instanceof THREE.Mesh && 
-        i.object.userData.productLabel !== undefined
-      );
+      const hit = findProductHit(intersects, renderer.clippingPlanes, elementStates);
 
-      if (meshIntersect && meshIntersect.object instanceof THREE.Mesh) {
-        const mesh = meshIntersect.object;
+      if (hit) {
+        const { mesh, instanceId } = hit;
+        const identity = getProductIdentity(mesh, instanceId)!;
         
-        // Zoom to selected mesh
-        const box = new THREE.Box3().setFromObject(mesh);
+        // Zoom to the picked element (only the picked instance of an instanced or batched mesh)
+        const box = getElementBox(mesh, instanceId);
         const center = box.getCenter(new THREE.Vector3());
         const size = box.getSize(new THREE.Vector3());
         const distance = Math.max(size.x, size.y, size.z) * 2;
@@ -323,16 +804,25 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
         camera.position.copy(center).add(new THREE.Vector3(distance, distance * 0.5, distance));
         controls.update();
 
-        onDoubleClick?.({
+        const doubleClickEvent: ViewerEventArgs = {
           eventName: 'dblclick',
-          elementId: mesh.userData.productLabel,
+          elementId: identity.productLabel,
+          instanceLabel: identity.instanceLabel,
+          productType: identity.productType,
+          instanceId,
           modelId: mesh.userData.modelId,
           position: { x: event.clientX, y: event.clientY },
-          worldPosition: meshIntersect.point,
-        });
+          worldPosition: hit.point,
+          projectPosition: getProjectPosition(mesh.userData.modelId, hit.point),
+        };
+        onDoubleClick?.(doubleClickEvent);
+        notifyPlugins(plugin => plugin.onDoubleClick?.(doubleClickEvent));
       }
     };
 
+    // Capture phase, so a handle drag starts before the camera controls see the pointer
+    renderer.domElement.addEventListener('pointerdown', handlePointerDown, { capture: true });
+    renderer.domElement.addEventListener('pointerup', handlePointerUp);
     renderer.domElement.addEventListener('mousemove', handleMouseMove);
     renderer.domElement.addEventListener('click', handleClick);
     renderer.domElement.addEventListener('dblclick', handleDblClick);
@@ -342,7 +832,22 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
     // Cleanup
     return () => {
       isRunning = false;
+      levelOfDetail.dispose();
+      elementStates.dispose();
+      sectionBox.dispose();
+      clippingPlanes.dispose();
+      navigationCube?.dispose();
+      measurements.dispose();
+      annotations.dispose();
+      plugins.forEach((plugin) => {
+        callPlugin(plugin, loggerRef.current, () => plugin.dispose());
+      });
+      plugins.clear();
+      pluginContextRef.current = null;
+      controls.removeEventListener('start', handleControlsStart);
       window.removeEventListener('resize', handleResize);
+      renderer.domElement.removeEventListener('pointerdown', handlePointerDown, { capture: true });
+      renderer.domElement.removeEventListener('pointerup', handlePointerUp);
       renderer.domElement.removeEventListener('mousemove', handleMouseMove);
       renderer.domElement.removeEventListener('click', handleClick);
       renderer.domElement.removeEventListener('dblclick', handleDblClick);
@@ -367,107 +872,257 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
     }
   }, [isInitialized]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Product annotations follow their products as models are loaded, unloaded and moved
+  useEffect(() => {
+    annotationsRef.current.refresh();
+  }, [models]);
+
+  // Keep highlight colors in step with the props
+  useEffect(() => {
+    elementStatesRef.current.configure({ selectionColor: highlightColor, hoverColor: hoverHighlightColor });
+  }, [highlightColor, hoverHighlightColor]);
+
+  // Fit the grid below a box (usually all models), keeping whether it is shown
+  const fitGrid = useCallback((box: THREE.Box3) => {
+    const scene = sceneRef.current;
+    const oldGrid = scene?.getObjectByName('grid');
+    if (!scene || !oldGrid || box.isEmpty()) return;
+    scene.remove(oldGrid);
+    if (oldGrid instanceof THREE.GridHelper) oldGrid.dispose();
+
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const gridSize = Math.max(size.x, size.z) * 1.5;
+    const newGrid = new THREE.GridHelper(gridSize, 50, '#6e6e6e', '#4a4a4a');
+    newGrid.name = 'grid';
+    newGrid.visible = oldGrid.visible;
+    newGrid.position.set(center.x, box.min.y, center.z);
+    scene.add(newGrid);
+  }, []);
+
   // Load model function
-  const loadModel = useCallback(async (url: string, name?: string): Promise<LoadedModel | null> => {
+  const loadModel = useCallback(async (
+    url: string,
+    options: string | LoadModelOptions = {}
+  ): Promise<LoadedModel | null> => {
     if (!sceneRef.current) return null;
 
+    const {
+      name, signal, budget, lenient, styles, batching = false, id, placement: placementInput, alignToLocalWCS = false,
+    } = typeof options === 'string' ? { name: options } : options;
+    const scene = sceneRef.current;
+
+    const modelIds = modelIdsRef.current;
+    if (id !== undefined && modelIds.has(id)) {
+      onError?.(new Error(`Model id is already in use: ${id}`));
+      return null;
+    }
+    let modelId = id;
+    while (modelId === undefined || modelIds.has(modelId)) {
+      modelId = `model-${++modelCounterRef.current}`;
+    }
+    modelIds.add(modelId);
+    let placement: ModelPlacement = { position: new THREE.Vector3(), rotation: 0, scale: 1 };
+    // Set as soon as the model scene is in the viewer (early when streaming)
+    let modelScene: THREE.Group | null = null;
+    let isFramed = false;
+
+    // Tag meshes with model ID (product identity is set by the loader); the scene only
+    // grows by appending children, so only the new ones need tagging
+    let taggedChildren = 0;
+    const tagNewMeshes = (group: THREE.Group) => {
+      for (const child of group.children.slice(taggedChildren)) {
+        child.traverse((object) => {
+          if (object instanceof THREE.Mesh) {
+            object.userData.modelId = modelId;
+          }
+        });
+      }
+      taggedChildren = group.children.length;
+    };
+
+    // Place the model scene once it exists: aligned to the first model and/or as requested
+    const placeModel = (group: THREE.Group) => {
+      const reference = modelsRef.current.values().next().value;
+      const header = group.userData.header as WexBIMHeader;
+      if (alignToLocalWCS && reference) placement = getAlignedPlacement(header, reference);
+      placement = {
+        position: placementInput?.position ? new THREE.Vector3().copy(placementInput.position) : placement.position,
+        rotation: placementInput?.rotation ?? placement.rotation,
+        scale: placementInput?.scale ?? placement.scale,
+      };
+      applyPlacement(group, placement);
+    };
+
+    // Fit the grid to all models, and unless done before the camera to a box of this one
+    const frameBox = (box: THREE.Box3, moveCamera: boolean) => {
+      const center = box.getCenter(new THREE.Vector3());
+      const size = box.getSize(new THREE.Vector3());
+
+      const allModels = box.clone();
+      modelsRef.current.forEach(model => allModels.union(model.boundingBox));
+      fitGrid(allModels);
+
+      // Center camera on model and adjust near/far for optimal depth precision
+      if (moveCamera && controlsRef.current && cameraRef.current) {
+        const distance = size.length() * 1.5;
+        const direction = new THREE.Vector3(1, 0.5, 1).normalize();
+        const newCamPos = center.clone().add(direction.multiplyScalar(distance));
+
+        // Adjust camera near/far based on model size to reduce z-fighting
+        const modelDiagonal = size.length();
+        cameraRef.current.near = Math.max(modelDiagonal * 0.001, 0.1);
+        cameraRef.current.far = modelDiagonal * 100;
+        cameraRef.current.updateProjectionMatrix();
+
+        const wasDamping = controlsRef.current.enableDamping;
+        controlsRef.current.enableDamping = false;
+        controlsRef.current.target.copy(center);
+        cameraRef.current.position.copy(newCamPos);
+        controlsRef.current.update();
+        controlsRef.current.enableDamping = wasDamping;
+      }
+    };
+
     return new Promise((resolve) => {
-      loaderRef.current.load(
+      // One loader per load, so concurrent loads do not share per-model state
+      const loader = new WexBIMLoader();
+      loader.logger = loggerRef.current;
+      if (styles) Object.assign(loader.styleSettings, styles);
+      loader.lodSettings.useGeometryBatching = batching;
+      loader.load(
         url,
-        (modelScene: THREE.Group) => {
-          const scene = sceneRef.current!;
-          
-          // Add to scene
-          scene.add(modelScene);
+        (loadedScene: THREE.Group) => {
+          // Add to scene (streaming loads added it when it was created)
+          if (!modelScene) {
+            modelScene = loadedScene;
+            placeModel(modelScene);
+            scene.add(modelScene);
+          }
+          tagNewMeshes(modelScene);
+          levelOfDetailRef.current.add(modelScene);
+          elementStatesRef.current.add(modelScene, modelId);
 
           // Calculate bounding box
           const box = new THREE.Box3().setFromObject(modelScene);
           const center = box.getCenter(new THREE.Vector3());
           const size = box.getSize(new THREE.Vector3());
 
-          // Update grid to match model
-          const oldGrid = scene.getObjectByName('grid');
-          if (oldGrid) scene.remove(oldGrid);
-          
-          const gridSize = Math.max(size.x, size.z) * 1.5;
-          const newGrid = new THREE.GridHelper(gridSize, 50, '#6e6e6e', '#4a4a4a');
-          newGrid.name = 'grid';
-          newGrid.position.set(center.x, box.min.y, center.z);
-          scene.add(newGrid);
-
-          // Center camera on model and adjust near/far for optimal depth precision
-          if (controlsRef.current && cameraRef.current) {
-            const distance = size.length() * 1.5;
-            const direction = new THREE.Vector3(1, 0.5, 1).normalize();
-            const newCamPos = center.clone().add(direction.multiplyScalar(distance));
-
-            // Adjust camera near/far based on model size to reduce z-fighting
-            const modelDiagonal = size.length();
-            cameraRef.current.near = Math.max(modelDiagonal * 0.001, 0.1);
-            cameraRef.current.far = modelDiagonal * 100;
-            cameraRef.current.updateProjectionMatrix();
-
-            const wasDamping = controlsRef.current.enableDamping;
-            controlsRef.current.enableDamping = false;
-            controlsRef.current.target.copy(center);
-            cameraRef.current.position.copy(newCamPos);
-            controlsRef.current.update();
-            controlsRef.current.enableDamping = wasDamping;
+          // Keep the camera if it was already placed from the region bounds
+          frameBox(box, !isFramed);
+
+          // Draw a frame right away, so compiling and uploading the model is measured
+          const uploadStart = performance.now();
+          if (rendererRef.current && cameraRef.current) {
+            rendererRef.current.render(scene, cameraRef.current);
           }
+          const uploadTime = (performance.now() - uploadStart) / 1000;
 
           // Create loaded model object
-          const modelId = `model-${Date.now()}`;
           const fileName = name || url.split('/').pop() || 'model';
-          
-          // Tag meshes with model ID and store product labels
-          modelScene.traverse((child) => {
-            if (child instanceof THREE.Mesh) {
-              child.userData.modelId = modelId;
-              // Ensure productLabel is set (it should be set by the loader)
-              if (child.userData.productLabel === undefined) {
-                child.userData.productLabel = child.id;
-              }
-            }
-          });
+          const loadStats = modelScene.userData.loadStats as WexBIMPerformanceStats;
 
+          const header = modelScene.userData.header as WexBIMHeader;
           const loadedModel: LoadedModel = {
             id: modelId,
             name: fileName,
             source: url,
             sourceType: url.startsWith('blob:') ? 'blob' : 'url',
             scene: modelScene,
+            placement,
             boundingBox: box,
             center,
             size,
+            wexbimVersion: header.version,
+            meter: header.meter,
+            lengthUnit: getLengthUnit(header.meter),
+            localWCS: new THREE.Vector3(...header.localWCS),
+            issues: modelScene.userData.issues as WexBIMParseError[],
+            renderStats: {
+              batched: batching,
+              drawCalls: loadStats.drawCalls,
+              triangles: loadStats.triangles,
+            },
+            loadStats: { ...loadStats, uploadTime },
+            sizeBytes: loadStats.fileSize,
             isVisible: true,
             loadedAt: new Date(),
           };
 
           setModels(prev => new Map(prev).set(modelId, loadedModel));
           onModelLoaded?.(loadedModel);
+          notifyPlugins(plugin => plugin.onModelLoaded?.(loadedModel));
           resolve(loadedModel);
         },
-        (progressEvent: ProgressEvent) => {
-          const progress: LoadProgress = {
-            loaded: progressEvent.loaded,
-            total: progressEvent.total,
-            percent: progressEvent.total > 0 ? (progressEvent.loaded / progressEvent.total) * 100 : 0,
-          };
-          onProgress?.(progress);
+        (event: WexBIMLoadProgressEvent) => {
+          if (event.type === 'scene-created') {
+            // Show the model while it streams in, framed by the bounds of its regions
+            modelScene = event.scene;
+            placeModel(modelScene);
+            scene.add(modelScene);
+
+            if (event.regions.length > 0) {
+              const box = new THREE.Box3();
+              event.regions.forEach(region => {
+                box.union(new THREE.Box3().setFromArray(region.BoundingBox));
+              });
+              frameBox(box.applyMatrix4(modelScene.matrixWorld), true);
+              isFramed = true;
+            }
+          } else if (event.type === 'region-loaded') {
+            tagNewMeshes(event.scene);
+            levelOfDetailRef.current.add(event.scene);
+            elementStatesRef.current.add(event.scene, modelId);
+
+            const { region } = event;
+            const { matrixWorld } = event.scene;
+            onRegionLoaded?.({
+              eventName: 'regionloaded',
+              modelId,
+              regionIndex: event.regionIndex,
+              regionCount: event.regionCount,
+              population: region.Population,
+              centre: new THREE.Vector3(...region.Centre).applyMatrix4(matrixWorld),
+              boundingBox: new THREE.Box3().setFromArray(region.BoundingBox).applyMatrix4(matrixWorld),
+              geometryCount: event.geometryCount,
+            });
+          } else if (event.type === 'progress') {
+            const progress: LoadProgress = {
+              loaded: event.loaded,
+              total: event.total,
+              percent: event.total > 0 ? (event.loaded / event.total) * 100 : 0,
+            };
+            onProgress?.(progress);
+          }
         },
         (error: Error) => {
-          onError?.(error);
+          // Drop whatever part of the model was already shown
+          if (modelScene) {
+            scene.remove(modelScene);
+            levelOfDetailRef.current.remove(modelScene);
+            elementStatesRef.current.remove(modelId);
+            disposeObject(modelScene);
+          }
+          modelIds.delete(modelId);
+          // Aborting is up to the caller, so it is not reported as an error
+          if (!signal?.aborted) onError?.(error);
           resolve(null);
-        }
+        },
+        { signal, budget, lenient }
       );
     });
-  }, [onModelLoaded, onProgress, onError]);
+  }, [onModelLoaded, onProgress, onRegionLoaded, onError, fitGrid, notifyPlugins]);
 
   // Load model from bytes
-  const loadModelFromBytes = useCallback(async (data: ArrayBuffer, name?: string): Promise<LoadedModel | null> => {
+  const loadModelFromBytes = useCallback(async (
+    data: ArrayBuffer,
+    options?: string | LoadModelOptions
+  ): Promise<LoadedModel | null> => {
     const blob = new Blob([data], { type: 'application/octet-stream' });
     const url = URL.createObjectURL(blob);
-    const result = await loadModel(url, name);
+    const result = await loadModel(url, options);
+    // Loaded models keep their blob URL until they are unloaded
+    if (!result) URL.revokeObjectURL(url);
     return result;
   }, [loadModel]);
 
@@ -476,29 +1131,13 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
     const model = models.get(modelId);
     if (!model || !sceneRef.current) return false;
 
-    // Clear selections for this model
-    selectedMeshesRef.current.forEach(mesh => {
-      if (mesh.userData.modelId === modelId) {
-        const original = originalMaterialsRef.current.get(mesh);
-        if (original) mesh.material = original;
-        selectedMeshesRef.current.delete(mesh);
-      }
-    });
-    setSelectedMeshes(new Set(selectedMeshesRef.current));
-
     sceneRef.current.remove(model.scene);
+    levelOfDetailRef.current.remove(model.scene);
+    // Restores the loader materials, so they are disposed below
+    elementStatesRef.current.remove(modelId);
     
     // Dispose geometries and materials
-    model.scene.traverse((child) => {
-      if (child instanceof THREE.Mesh) {
-        child.geometry.dispose();
-        if (Array.isArray(child.material)) {
-          child.material.forEach(m => m.dispose());
-        } else {
-          child.material.dispose();
-        }
-      }
-    });
+    disposeObject(model.scene);
 
     // Revoke blob URL if needed
     if (model.sourceType === 'blob' && model.source.startsWith('blob:')) {
@@ -510,9 +1149,40 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
       next.delete(modelId);
       return next;
     });
+    modelIdsRef.current.delete(modelId);
+    notifyPlugins(plugin => plugin.onModelUnloaded?.(modelId));
 
     return true;
-  }, [models]);
+  }, [models, notifyPlugins]);
+
+  // Move, rotate or scale a model; fields left out keep their value
+  const setModelPlacement = useCallback((modelId: string, placement: ModelPlacementInput) => {
+    const model = models.get(modelId);
+    if (!model) return;
+
+    const next: ModelPlacement = {
+      position: placement.position ? new THREE.Vector3().copy(placement.position) : model.placement.position.clone(),
+      rotation: placement.rotation ?? model.placement.rotation,
+      scale: placement.scale ?? model.placement.scale,
+    };
+    applyPlacement(model.scene, next);
+
+    const boundingBox = new THREE.Box3().setFromObject(model.scene);
+    const updated: LoadedModel = {
+      ...model,
+      placement: next,
+      boundingBox,
+      center: boundingBox.getCenter(new THREE.Vector3()),
+      size: boundingBox.getSize(new THREE.Vector3()),
+    };
+    setModels(prev => new Map(prev).set(modelId, updated));
+
+    const allModels = boundingBox.clone();
+    models.forEach(loaded => {
+      if (loaded.id !== modelId) allModels.union(loaded.boundingBox);
+    });
+    fitGrid(allModels);
+  }, [models, fitGrid]);
 
   // Unload all models
   const unloadAllModels = useCallback(async () => {
@@ -569,37 +1239,38 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
     zoomFit();
   }, [zoomFit]);
 
-  // Set camera view
-  const setView = useCallback((view: 'front' | 'back' | 'left' | 'right' | 'top' | 'bottom' | 'iso') => {
-    if (!controlsRef.current || !cameraRef.current || models.size === 0) return;
+  // Set camera view, turning the camera there over `duration` milliseconds
+  const setView = useCallback((view: ViewName | THREE.Vector3, options: { duration?: number } = {}) => {
+    const controls = controlsRef.current;
+    const camera = cameraRef.current;
+    if (!controls || !camera || modelsRef.current.size === 0) return;
 
     const box = new THREE.Box3();
-    models.forEach(m => box.union(m.boundingBox));
+    modelsRef.current.forEach(m => box.union(m.boundingBox));
     const center = box.getCenter(new THREE.Vector3());
     const size = box.getSize(new THREE.Vector3());
     const distance = size.length() * 1.5;
-
-    const positions: Record<string, THREE.Vector3> = {
-      front: new THREE.Vector3(0, 0, 1),
-      back: new THREE.Vector3(0, 0, -1),
-      left: new THREE.Vector3(-1, 0, 0),
-      right: new THREE.Vector3(1, 0, 0),
-      top: new THREE.Vector3(0, 1, 0),
-      bottom: new THREE.Vector3(0, -1, 0),
-      iso: new THREE.Vector3(1, 0.5, 1).normalize(),
+    const direction = view instanceof THREE.Vector3 ? view.clone().normalize() : VIEW_DIRECTIONS[view].clone();
+
+    const flight: CameraFlight = {
+      fromTarget: controls.target.clone(),
+      toTarget: center,
+      fromDirection: camera.position.clone().sub(controls.target).normalize(),
+      toDirection: direction,
+      fromDistance: camera.position.distanceTo(controls.target),
+      toDistance: distance,
+      start: performance.now(),
+      duration: Math.max(options.duration ?? 0, 0),
+      enableDamping: cameraFlightRef.current?.enableDamping ?? controls.enableDamping,
     };
-
-    const direction = positions[view];
-    const newCamPos = center.clone().add(direction.multiplyScalar(distance));
-
-    const wasDamping = controlsRef.current.enableDamping;
-    controlsRef.current.enableDamping = false;
-    controlsRef.current.target.copy(center);
-    cameraRef.current.position.copy(newCamPos);
-    cameraRef.current.lookAt(center);
-    controlsRef.current.update();
-    controlsRef.current.enableDamping = wasDamping;
-  }, [models]);
+    controls.enableDamping = false;
+    cameraFlightRef.current = flight;
+    if (flight.duration === 0) {
+      stepCameraFlight(flight, camera, controls, flight.start);
+      controls.update();
+      cameraFlightRef.current = null;
+    }
+  }, []);
 
   // Background color
   const setBackgroundColor = useCallback((color: string) => {
@@ -611,102 +1282,305 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
 
   // Get selected element IDs
   const getSelectedElements = useCallback((): number[] => {
-    return Array.from(selectedMeshesRef.current).map(mesh => mesh.userData.productLabel || 0);
+    return elementStatesRef.current.getLabels('selected');
   }, []);
 
   // Clear selection
   const clearSelection = useCallback(() => {
-    selectedMeshesRef.current.forEach(mesh => {
-      const original = originalMaterialsRef.current.get(mesh);
-      if (original) mesh.material = original;
-    });
-    selectedMeshesRef.current.clear();
-    setSelectedMeshes(new Set());
+    elementStatesRef.current.clear(['selected']);
   }, []);
 
-  // Select elements by ID
-  const selectElements = useCallback((elementIds: number[], modelId?: string) => {
-    if (!sceneRef.current) return;
-    
-    const createHighlightedMaterial = (originalMaterial: THREE.Material, color: THREE.Color): THREE.Material => {
-      if (originalMaterial instanceof THREE.MeshStandardMaterial || 
-          originalMaterial instanceof THREE.MeshPhongMaterial ||
-          originalMaterial instanceof THREE.MeshLambertMaterial) {
-        const cloned = originalMaterial.clone();
-        cloned.emissive = color;
-        cloned.emissiveIntensity = 0.5;
-        return cloned;
+  // Change the state of elements by ID (null for all)
+  const setState = useCallback((elementIds: number[] | null, state: ElementStateInput, modelId?: string) => {
+    elementStatesRef.current.set(elementIds, state, modelId);
+  }, []);
+
+  // Show only the given elements
+  const isolateElements = useCallback((elementIds: number[], modelId?: string) => {
+    const ids = new Set(elementIds);
+    elementStatesRef.current.set(product => !ids.has(product.productLabel), { hidden: true }, modelId);
+    elementStatesRef.current.set(elementIds, { hidden: false }, modelId);
+  }, []);
+
+  // Product types present in the scene, with their number of products
+  const getProductTypes = useCallback((modelId?: string): ProductTypeInfo[] => {
+    if (!sceneRef.current) return [];
+
+    const productsByType = new Map<number, Set<string>>();
+    forEachElement(sceneRef.current, modelId, (mesh, identity) => {
+      let products = productsByType.get(identity.productType);
+      if (!products) {
+        products = new Set();
+        productsByType.set(identity.productType, products);
       }
-      return new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.8 });
-    };
-    
-    sceneRef.current.traverse((child) => {
-      if (child instanceof THREE.Mesh && child.userData.productLabel !== undefined) {
-        if (elementIds.includes(child.userData.productLabel)) {
-          if (!modelId || child.userData.modelId === modelId) {
-            if (!selectedMeshesRef.current.has(child)) {
-              if (!originalMaterialsRef.current.has(child)) {
-                originalMaterialsRef.current.set(child, child.material);
-              }
-              const original = child.material;
-              if (Array.isArray(original)) {
-                child.material = original.map(m => createHighlightedMaterial(m, highlightColor));
-              } else {
-                child.material = createHighlightedMaterial(original, highlightColor);
-              }
-              selectedMeshesRef.current.add(child);
-            }
-          }
-        }
+      // Labels are only unique within a model
+      products.add(`${mesh.userData.modelId}:${identity.productLabel}`);
+    });
+
+    return Array.from(productsByType, ([typeId, products]) => ({
+      typeId,
+      name: getProductTypeName(typeId),
+      productCount: products.size,
+    })).sort((a, b) => (a.name ?? `~${a.typeId}`).localeCompare(b.name ?? `~${b.typeId}`));
+  }, []);
+
+  // Show or hide all products of the given types; `isolate` also sets all other products to the opposite
+  const setTypesVisible = useCallback((types: ProductTypeRef[], visible: boolean, isolate: boolean, modelId?: string) => {
+    const typeIds = resolveProductTypes(types, loggerRef.current);
+    const elementStates = elementStatesRef.current;
+    elementStates.set(product => typeIds.has(product.productType), { hidden: !visible }, modelId);
+    if (isolate) elementStates.set(product => !typeIds.has(product.productType), { hidden: visible }, modelId);
+  }, []);
+
+  // Recolor all products of the given types
+  const setTypeColor = useCallback((types: ProductTypeRef[], color: THREE.ColorRepresentation | null, modelId?: string) => {
+    const typeIds = resolveProductTypes(types, loggerRef.current);
+    elementStatesRef.current.set(product => typeIds.has(product.productType), { color }, modelId);
+  }, []);
+
+  // Undo what showing a comparison changed: colors of changed products, and old-revision
+  // products hidden because the new revision shows them
+  const clearComparison = useCallback(() => {
+    const comparison = comparisonRef.current;
+    if (!comparison) return;
+    comparisonRef.current = null;
+
+    const { beforeModelId, colored, hidden } = comparison;
+    colored.forEach((labels, modelId) => elementStatesRef.current.set(labels, { color: null }, modelId));
+    elementStatesRef.current.set(hidden, { hidden: false }, beforeModelId);
+  }, []);
+
+  // Compare two loaded revisions by the product summaries the loader kept, and color the result
+  const compareModels = useCallback((
+    beforeModelId: string,
+    afterModelId: string,
+    options: ModelCompareOptions = {}
+  ): WexBIMDiff | null => {
+    const before = models.get(beforeModelId);
+    const after = models.get(afterModelId);
+    if (!before || !after) return null;
+
+    const { show = true, colors, ...compareOptions } = options;
+    const beforeSummary = before.scene.userData.productSummary as WexBIMProductSummary;
+    const diff = compareWexBIM(beforeSummary, after.scene.userData.productSummary as WexBIMProductSummary, compareOptions);
+    if (!show) return diff;
+
+    clearComparison();
+    const palette = { ...DEFAULT_COMPARISON_COLORS, ...colors };
+    const removed = new Set(diff.removed);
+    const colored = new Map([[beforeModelId, diff.removed], [afterModelId, diff.changes
+      .filter(change => change.kinds[0] !== 'removed')
+      .map(change => change.productLabel)]]);
+
+    // Products of the new revision in the color of their first kind of change
+    const elementStates = elementStatesRef.current;
+    elementStates.set(diff.removed, { color: palette.removed }, beforeModelId);
+    diff.changes.forEach(({ productLabel, kinds }) => {
+      if (kinds[0] !== 'removed') elementStates.set([productLabel], { color: palette[kinds[0]] }, afterModelId);
+    });
+
+    // The new revision shows everything the old one has, except what was removed
+    const hidden = [...beforeSummary.products.keys()].filter(label => !removed.has(label));
+    elementStates.set(hidden, { hidden: true }, beforeModelId);
+    comparisonRef.current = { beforeModelId, afterModelId, colored, hidden };
+    return diff;
+  }, [models, clearComparison]);
+
+  // Fit the section box around the selected elements that are shown
+  const fitSectionBoxToSelection = useCallback((): boolean => {
+    if (!sceneRef.current) return false;
+    const elementStates = elementStatesRef.current;
+    const box = new THREE.Box3();
+    forEachElement(sceneRef.current, undefined, (mesh, _identity, instanceId) => {
+      if (elementStates.hasFlag(mesh, instanceId, 'selected') && !elementStates.hasFlag(mesh, instanceId, 'hidden')) {
+        box.union(getElementBox(mesh, instanceId));
       }
     });
-    setSelectedMeshes(new Set(selectedMeshesRef.current));
-  }, [highlightColor]);
+    if (box.isEmpty()) return false;
+    sectionBoxRef.current.set(padBox(box));
+    return true;
+  }, []);
 
-  // X-Ray mode toggle
-  const setXRayMode = useCallback((enabled: boolean) => {
-    if (!sceneRef.current) return;
-    
-    isXRayModeRef.current = enabled;
-    
-    sceneRef.current.traverse((child) => {
-      if (child instanceof THREE.Mesh && child.userData.productLabel !== undefined) {
-        if (enabled) {
-          // Store original material if not already stored
-          if (!xrayMaterialsRef.current.has(child)) {
-            xrayMaterialsRef.current.set(child, child.material);
-          }
-          
-          // Create transparent X-ray material
-          const originalMat = xrayMaterialsRef.current.get(child);
-          if (originalMat) {
-            if (Array.isArray(originalMat)) {
-              child.material = originalMat.map((m) => {
-                const xrayMat = m.clone();
-                xrayMat.transparent = true;
-                xrayMat.opacity = 0.3;
-                xrayMat.depthWrite = false;
-                return xrayMat;
-              });
-            } else {
-              const xrayMat = originalMat.clone();
-              xrayMat.transparent = true;
-              xrayMat.opacity = 0.3;
-              xrayMat.depthWrite = false;
-              child.material = xrayMat;
-            }
-          }
-        } else {
-          // Restore original material
-          const originalMat = xrayMaterialsRef.current.get(child);
-          if (originalMat) {
-            child.material = originalMat;
-          }
+  // Fit the section box around a model (or all models)
+  const fitSectionBoxToModel = useCallback((modelId?: string) => {
+    const box = new THREE.Box3();
+    models.forEach((model, id) => {
+      if (!modelId || id === modelId) box.union(model.boundingBox);
+    });
+    if (!box.isEmpty()) sectionBoxRef.current.set(padBox(box));
+  }, [models]);
+
+  // Replace all clipping planes
+  const setClippingPlanes = useCallback((planes: ClippingPlaneInput[]) => {
+    clippingPlanesRef.current.clear();
+    planes.forEach(plane => clippingPlanesRef.current.add(plane));
+  }, []);
+
+  // The current view as a BCF viewpoint
+  const getBcfViewpoint = useCallback(async (options: BcfViewpointExportOptions = {}): Promise<BcfViewpoint> => {
+    const scene = sceneRef.current;
+    const camera = cameraRef.current;
+    const renderer = rendererRef.current;
+    if (!scene || !camera || !renderer) throw new Error('Viewer is not initialized');
+    const { snapshot = true, getIfcGuid } = options;
+    const coordinateSystem = getBcfCoordinateSystem(modelsRef.current);
+    const elementStates = elementStatesRef.current;
+
+    // One component per product of a model; products of hidden models count as hidden
+    const selection: BcfComponent[] = [];
+    const hidden: BcfComponent[] = [];
+    const shown: BcfComponent[] = [];
+    const coloring = new Map<string, BcfColoring>();
+    modelsRef.current.forEach((model) => {
+      const productLabels = new Set<number>();
+      forEachElement(model.scene, model.id, (_mesh, identity) => productLabels.add(identity.productLabel));
+      productLabels.forEach((productLabel) => {
+        const state = elementStates.get(productLabel, model.id);
+        const component: BcfComponent = {
+          ifcGuid: getIfcGuid?.(productLabel, model.id),
+          originatingSystem: model.name,
+          authoringToolId: String(productLabel),
+        };
+        if (state?.selected) selection.push(component);
+        (state?.hidden || !model.isVisible ? hidden : shown).push(component);
+        if (state?.color) {
+          const key = state.color.getHexString();
+          if (!coloring.has(key)) coloring.set(key, { color: state.color, components: [] });
+          coloring.get(key)!.components.push(component);
         }
-      }
+      });
     });
+    // The shorter list of exceptions
+    const defaultVisibility = hidden.length <= shown.length;
+
+    // Section box and clipping planes both cut
+    const planes = [...sectionBoxRef.current.clippingPlanes, ...clippingPlanesRef.current.clippingPlanes];
+
+    // Snapshot of the scene without gizmos, read before the frame is shown
+    let image: Blob | undefined;
+    if (snapshot) {
+      renderer.clippingPlanes = planes;
+      renderer.render(scene, camera);
+      if (planes.length > 0) {
+        renderCaps(renderer, scene, camera, clippingPlanesRef.current.clippingPlanes.length > 0
+          ? clippingPlanesRef.current.capMaterial : sectionBoxRef.current.capMaterial);
+      }
+      image = await new Promise<Blob | null>(resolve => renderer.domElement.toBlob(resolve, 'image/png')) ?? undefined;
+    }
+
+    return {
+      guid: createBcfGuid(),
+      perspectiveCamera: getBcfCamera(coordinateSystem, camera),
+      selection,
+      defaultVisibility,
+      visibilityExceptions: defaultVisibility ? hidden : shown,
+      coloring: [...coloring.values()],
+      clippingPlanes: planes.map(plane => getBcfClippingPlane(coordinateSystem, plane)),
+      snapshot: image,
+    };
   }, []);
 
+  // Restore a BCF viewpoint: camera, cuts and product states
+  const setBcfViewpoint = useCallback((viewpoint: BcfViewpoint, mapping: BcfComponentMapping = {}) => {
+    const controls = controlsRef.current;
+    const camera = cameraRef.current;
+    if (!controls || !camera) return;
+    const models = modelsRef.current;
+    const coordinateSystem = getBcfCoordinateSystem(models);
+
+    const box = new THREE.Box3();
+    models.forEach(model => box.union(model.boundingBox));
+    const focus = box.isEmpty() ? new THREE.Vector3() : box.getCenter(new THREE.Vector3());
+    if (viewpoint.perspectiveCamera) {
+      camera.fov = viewpoint.perspectiveCamera.fieldOfView;
+      camera.updateProjectionMatrix();
+    }
+    const pose = getBcfCameraPose(coordinateSystem, viewpoint, camera.fov, focus);
+    if (pose) {
+      const flight: CameraFlight = {
+        fromTarget: pose.target,
+        toTarget: pose.target,
+        fromDirection: pose.position.clone().sub(pose.target).normalize(),
+        toDirection: pose.position.clone().sub(pose.target).normalize(),
+        fromDistance: pose.position.distanceTo(pose.target),
+        toDistance: pose.position.distanceTo(pose.target),
+        start: performance.now(),
+        duration: 0,
+        enableDamping: cameraFlightRef.current?.enableDamping ?? controls.enableDamping,
+      };
+      controls.enableDamping = false;
+      stepCameraFlight(flight, camera, controls, flight.start);
+      controls.update();
+      cameraFlightRef.current = null;
+    }
+
+    // The planes of the viewpoint replace the section box and the clipping planes
+    sectionBoxRef.current.set(null);
+    setClippingPlanes(viewpoint.clippingPlanes.map(plane => getClippingPlaneInput(coordinateSystem, plane)));
+
+    const elementStates = elementStatesRef.current;
+    const apply = (components: BcfComponent[], state: ElementStateInput) => {
+      resolveBcfComponents(components, models, mapping).forEach((labels, modelId) => {
+        elementStates.set(labels, state, modelId);
+      });
+    };
+    elementStates.clear(['selected', 'hidden', 'color']);
+    if (!viewpoint.defaultVisibility) elementStates.set(null, { hidden: true });
+    apply(viewpoint.visibilityExceptions, { hidden: !viewpoint.defaultVisibility });
+    apply(viewpoint.selection, { selected: true });
+    viewpoint.coloring.forEach(({ color, components }) => apply(components, { color }));
+  }, [setClippingPlanes]);
+
+  // Add a plugin, initializing it right away once the scene is set up
+  const addPlugin = useCallback((plugin: ViewerPlugin): boolean => {
+    const plugins = pluginsRef.current;
+    if (plugins.has(plugin.id)) {
+      loggerRef.current.warn(`Plugin id is already in use: ${plugin.id}`);
+      return false;
+    }
+    plugins.set(plugin.id, plugin);
+    const context = pluginContextRef.current;
+    if (context) callPlugin(plugin, loggerRef.current, () => plugin.init(context.scene, context.camera, context));
+    return true;
+  }, []);
+
+  // Dispose and remove a plugin
+  const removePlugin = useCallback((id: string): boolean => {
+    const plugin = pluginsRef.current.get(id);
+    if (!plugin) return false;
+    pluginsRef.current.delete(id);
+    // Plugins added before the scene was set up were never initialized
+    if (pluginContextRef.current) callPlugin(plugin, loggerRef.current, () => plugin.dispose());
+    return true;
+  }, []);
+
+  // Start or stop a plugin, letting it know
+  const setPluginStopped = useCallback((id: string, stopped: boolean) => {
+    const plugin = pluginsRef.current.get(id);
+    if (!plugin || plugin.isStopped === stopped) return;
+    plugin.isStopped = stopped;
+    callPlugin(plugin, loggerRef.current, () => (stopped ? plugin.stop?.() : plugin.start?.()));
+  }, []);
+
+  // Export to GLB with the materials and placements elements have when neither highlighted,
+  // see-through nor hidden
+  const exportModelGLB = useCallback(async (options: ViewerExportOptions = {}): Promise<ArrayBuffer> => {
+    const { modelId, elements = 'all' } = options;
+    const root = modelId ? models.get(modelId)?.scene : sceneRef.current;
+    if (!root) throw new Error(modelId ? `Unknown model: ${modelId}` : 'Viewer is not initialized');
+
+    const elementStates = elementStatesRef.current;
+    return exportGLB(root, {
+      filter: (_identity, mesh, instanceId) => {
+        if (elements === 'selected') return elementStates.hasFlag(mesh, instanceId, 'selected');
+        if (elements === 'visible') return isShown(mesh) && !elementStates.hasFlag(mesh, instanceId, 'hidden');
+        return true;
+      },
+      getMaterial: mesh => elementStates.getRestingMaterial(mesh),
+      getInstanceMatrix: (mesh, instanceId, target) => elementStates.getInstanceMatrix(mesh, instanceId, target),
+    });
+  }, [models]);
+
   // Imperative handle
   useImperativeHandle(ref, () => ({
     loadModel,
@@ -714,78 +1588,89 @@ export const WexViewer = forwardRef<WexViewerRef, WexViewerProps>((props, ref) =
     unloadModel,
     unloadAllModels,
     setModelVisibility,
+    setModelPlacement,
     getLoadedModels: () => models,
     zoomFit,
     reset,
     setView,
-    selectElements,
-    addToSelection: selectElements,
-    removeFromSelection: (ids) => {
-      sceneRef.current?.traverse((child) => {
-        if (child instanceof THREE.Mesh && ids.includes(child.userData.productLabel)) {
-          if (selectedMeshesRef.current.has(child)) {
-            const original = originalMaterialsRef.current.get(child);
-            if (original) child.material = original;
-            selectedMeshesRef.current.delete(child);
-          }
-        }
-      });
-      setSelectedMeshes(new Set(selectedMeshesRef.current));
-    },
+    selectElements: (ids, modelId) => setState(ids, { selected: true }, modelId),
+    addToSelection: (ids, modelId) => setState(ids, { selected: true }, modelId),
+    removeFromSelection: (ids, modelId) => setState(ids, { selected: false }, modelId),
     clearSelection,
     getSelectedElements,
-    highlightElements: selectElements,
-    unhighlightElements: (ids) => {
-      sceneRef.current?.traverse((child) => {
-        if (child instanceof THREE.Mesh && ids.includes(child.userData.productLabel)) {
-          const original = originalMaterialsRef.current.get(child);
-          if (original) child.material = original;
-          selectedMeshesRef.current.delete(child);
-        }
-      });
-      setSelectedMeshes(new Set(selectedMeshesRef.current));
-    },
-    hideElements: (ids) => {
-      sceneRef.current?.traverse((child) => {
-        if (child instanceof THREE.Mesh && ids.includes(child.userData.productLabel)) {
-          child.visible = false;
-        }
-      });
-    },
-    showElements: (ids) => {
-      sceneRef.current?.traverse((child) => {
-        if (child instanceof THREE.Mesh && ids.includes(child.userData.productLabel)) {
-          child.visible = true;
-        }
-      });
-    },
-    isolateElements: (ids) => {
-      sceneRef.current?.traverse((child) => {
-        if (child instanceof THREE.Mesh && child.userData.productLabel !== undefined) {
-          child.visible = ids.includes(child.userData.productLabel);
-        }
-      });
-    },
-    unisolateElements: () => {
-      sceneRef.current?.traverse((child) => {
-        if (child instanceof THREE.Mesh) {
-          child.visible = true;
-        }
-      });
-    },
+    highlightElements: (ids, modelId) => setState(ids, { highlighted: true }, modelId),
+    unhighlightElements: (ids, modelId) => setState(ids, { highlighted: false }, modelId),
+    setState,
+    getState: (id, modelId) => elementStatesRef.current.get(id, modelId),
+    clearState: (states, modelId) => elementStatesRef.current.clear(states, modelId),
+    hideElements: (ids, modelId) => setState(ids, { hidden: true }, modelId),
+    showElements: (ids, modelId) => setState(ids, { hidden: false }, modelId),
+    isolateElements,
+    unisolateElements: () => setState(null, { hidden: false }),
+    getProductTypes,
+    hideTypes: (types, modelId) => setTypesVisible(types, false, false, modelId),
+    showTypes: (types, modelId) => setTypesVisible(types, true, false, modelId),
+    isolateTypes: (types, modelId) => setTypesVisible(types, true, true, modelId),
+    setTypeColor,
+    exportGLB: exportModelGLB,
+    compareModels,
+    clearComparison,
     setBackgroundColor,
-    setXRayMode,
-    getXRayMode: () => isXRayModeRef.current,
+    setXRayMode: (enabled) => elementStatesRef.current.configure({ xray: enabled }),
+    getXRayMode: () => elementStatesRef.current.settings.xray,
+    setLevelOfDetail: (settings) => levelOfDetailRef.current.configure(settings),
+    getLevelOfDetail: () => ({ ...levelOfDetailRef.current.settings }),
+    getLevelOfDetailStats: () => levelOfDetailRef.current.getStats(),
+    setSectionBox: (box) => sectionBoxRef.current.set(box),
+    getSectionBox: () => sectionBoxRef.current.get(),
+    fitSectionBoxToSelection,
+    fitSectionBoxToModel,
+    setSectionBoxVisible: (visible) => sectionBoxRef.current.setVisible(visible),
+    isSectionBoxVisible: () => sectionBoxRef.current.isVisible(),
+    addClippingPlane: (plane) => clippingPlanesRef.current.add(plane),
+    removeClippingPlane: (id) => clippingPlanesRef.current.remove(id),
+    setClippingPlanes,
+    getClippingPlanes: () => clippingPlanesRef.current.list(),
+    clearClippingPlanes: () => clippingPlanesRef.current.clear(),
+    flipClippingPlane: (id) => clippingPlanesRef.current.flip(id),
+    moveClippingPlane: (id, distance) => clippingPlanesRef.current.move(id, distance),
+    setClippingPlanePickMode: (enabled) => { clippingPlanePickModeRef.current = enabled; },
+    isClippingPlanePickMode: () => clippingPlanePickModeRef.current,
+    setClippingPlanesVisible: (visible) => clippingPlanesRef.current.setVisible(visible),
+    areClippingPlanesVisible: () => clippingPlanesRef.current.isVisible(),
     setSettings: (s) => setSettings(prev => ({ ...prev, ...s })),
     getSettings: () => settings,
+    setMeasurementMode: (type) => measurementsRef.current.setMode(type),
+    getMeasurementMode: () => measurementsRef.current.getMode(),
+    finishMeasurement: () => measurementsRef.current.finish(),
+    cancelMeasurement: () => measurementsRef.current.cancel(),
+    getMeasurements: () => measurementsRef.current.list(),
+    deleteMeasurement: (id) => measurementsRef.current.remove(id),
+    clearMeasurements: () => measurementsRef.current.clear(),
+    addAnnotation: (annotation) => annotationsRef.current.add(annotation),
+    updateAnnotation: (id, changes) => annotationsRef.current.update(id, changes),
+    removeAnnotation: (id) => annotationsRef.current.remove(id),
+    getAnnotations: () => annotationsRef.current.list(),
+    clearAnnotations: () => annotationsRef.current.clear(),
+    getBcfViewpoint,
+    setBcfViewpoint,
+    addPlugin,
+    removePlugin,
+    getPlugin: (id) => pluginsRef.current.get(id),
+    getPlugins: () => [...pluginsRef.current.values()],
+    startPlugin: (id) => setPluginStopped(id, false),
+    stopPlugin: (id) => setPluginStopped(id, true),
     getScene: () => sceneRef.current,
     getCamera: () => cameraRef.current,
     getRenderer: () => rendererRef.current,
   }), [
     loadModel, loadModelFromBytes, unloadModel, unloadAllModels, 
-    setModelVisibility, models, zoomFit, reset, setView,
-    selectElements, clearSelection, getSelectedElements,
-    setBackgroundColor, setXRayMode, settings,
+    setModelVisibility, setModelPlacement, models, zoomFit, reset, setView,
+    clearSelection, getSelectedElements, setState,
+    isolateElements, getProductTypes, setTypesVisible, setTypeColor,
+    exportModelGLB, compareModels, clearComparison, setBackgroundColor, settings,
+    fitSectionBoxToSelection, fitSectionBoxToModel, setClippingPlanes, getBcfViewpoint, setBcfViewpoint,
+    addPlugin, removePlugin, setPluginStopped,
   ]);
 
   const containerStyle: React.CSSProperties = {
@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+import type { Annotation, AnnotationInput } from '../types';
+
+// Annotations: HTML markers over the canvas, pinned to a point in viewer coordinates or to a
+// product. Product annotations are attached while their model is loaded, and come back when it
+// is loaded again, possibly under a new id: labels are only unique within a file, so another
+// model with the same label is never used instead. Markers follow the camera every frame;
+// whether they are hidden behind other elements is checked when the camera has moved, at most
+// every OCCLUSION_INTERVAL.
+
+/** Least time between occlusion checks in milliseconds */
+const OCCLUSION_INTERVAL = 100;
+
+/**
+ * A mesh, or a single instance of an instanced or batched mesh
+ */
+export interface AnnotatedElement {
+  mesh: THREE.Mesh;
+  instanceId?: number;
+}
+
+/**
+ * Where a product is: the model it was found in, the center of its bounds, and its meshes
+ * (or instances), which do not hide its own annotations
+ */
+export interface ProductPlace {
+  modelId: string;
+  /** The file of the model (its URL, or its name when loaded from a local file) */
+  modelKey: string;
+  center: THREE.Vector3;
+  elements: AnnotatedElement[];
+}
+
+/**
+ * What annotations need from the viewer
+ */
+export interface AnnotationHost {
+  /**
+   * Finds a product in the given model, or when that is not loaded, in a model loaded from the
+   * same file (`modelKey`); in any model when no model is given
+   */
+  findProduct: (productLabel: number, modelId?: string, modelKey?: string) => ProductPlace | null;
+  /** Whether a point is hidden: cut away, or behind an element other than `elements` */
+  isHidden: (point: THREE.Vector3, camera: THREE.Camera, elements: AnnotatedElement[]) => boolean;
+  onClick: (annotation: Annotation, event: MouseEvent) => void;
+}
+
+interface Entry {
+  annotation: Annotation;
+  marker: HTMLDivElement | null;
+  /** Point the marker is pinned to; null while detached */
+  anchor: THREE.Vector3 | null;
+  elements: AnnotatedElement[];
+  hidden: boolean;
+  /** File of the model the annotation was last attached in */
+  modelKey: string | null;
+}
+
+/**
+ * Annotations of a viewer
+ */
+export class Annotations {
+  private entries = new Map<string, Entry>();
+  private counter = 0;
+  private container: HTMLElement | null = null;
+  private host: AnnotationHost;
+  private lastCamera = new THREE.Matrix4();
+  private lastOcclusionTime = -Infinity;
+  private occlusionDirty = true;
+
+  constructor(host: AnnotationHost) {
+    this.host = host;
+  }
+
+  /**
+   * Shows markers in an element over the canvas
+   */
+  mount(container: HTMLElement) {
+    this.container = container;
+    this.entries.forEach((entry) => {
+      entry.marker = this.createMarker(entry.annotation);
+    });
+  }
+
+  /**
+   * Adds an annotation (replacing one with the same id); returns its id
+   */
+  add(input: AnnotationInput): string {
+    let id = input.id;
+    while (id === undefined || (input.id === undefined && this.entries.has(id))) {
+      id = `annotation-${++this.counter}`;
+    }
+    this.remove(id);
+
+    const annotation: Annotation = { ...input, id, position: input.position?.clone(), isAttached: false };
+    const entry: Entry = { annotation, marker: null, anchor: null, elements: [], hidden: true, modelKey: null };
+    this.entries.set(id, entry);
+    entry.marker = this.createMarker(annotation);
+    this.attach(entry);
+    return id;
+  }
+
+  /**
+   * Changes an annotation; false when there is none with this id
+   */
+  update(id: string, changes: Partial<Omit<AnnotationInput, 'id'>>): boolean {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    Object.assign(entry.annotation, changes);
+    if (changes.position) entry.annotation.position = changes.position.clone();
+    // Moved to another model by the caller
+    if ('modelId' in changes) entry.modelKey = null;
+    entry.marker?.remove();
+    entry.marker = this.createMarker(entry.annotation);
+    this.attach(entry);
+    return true;
+  }
+
+  /**
+   * Removes an annotation; false when there is none with this id
+   */
+  remove(id: string): boolean {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    entry.marker?.remove();
+    this.entries.delete(id);
+    return true;
+  }
+
+  clear() {
+    [...this.entries.keys()].forEach(id => this.remove(id));
+  }
+
+  /**
+   * All annotations, oldest first
+   */
+  list(): Annotation[] {
+    return [...this.entries.values()].map(({ annotation }) => ({
+      ...annotation,
+      position: annotation.position?.clone(),
+    }));
+  }
+
+  /**
+   * Attaches product annotations again after models were loaded, unloaded or moved
+   */
+  refresh() {
+    this.entries.forEach(entry => this.attach(entry));
+  }
+
+  /**
+   * Moves the markers to where their points are on screen
+   */
+  render(renderer: THREE.WebGLRenderer, camera: THREE.Camera) {
+    if (this.entries.size === 0) return;
+    const size = renderer.getSize(new THREE.Vector2());
+
+    // Occlusion needs raycasts, so only when the view changed
+    const time = performance.now();
+    const moved = !this.lastCamera.equals(camera.matrixWorld);
+    if ((moved || this.occlusionDirty) && time - this.lastOcclusionTime >= OCCLUSION_INTERVAL) {
+      this.lastCamera.copy(camera.matrixWorld);
+      this.lastOcclusionTime = time;
+      this.occlusionDirty = false;
+      this.entries.forEach((entry) => {
+        entry.hidden = !entry.anchor || this.host.isHidden(entry.anchor, camera, entry.elements);
+      });
+    } else if (moved) {
+      // Check again once the camera stops
+      this.occlusionDirty = true;
+    }
+
+    this.entries.forEach(({ marker, anchor, hidden }) => {
+      if (!marker) return;
+      const ndc = anchor?.clone().project(camera);
+      const visible = ndc !== undefined && !hidden && ndc.z < 1 && Math.abs(ndc.x) <= 1 && Math.abs(ndc.y) <= 1;
+      marker.classList.toggle('wex-annotation-hidden', !visible);
+      if (!visible) return;
+      const x = (ndc.x + 1) * size.x / 2;
+      const y = (1 - ndc.y) * size.y / 2;
+      marker.style.transform = `translate(${x}px, ${y}px) translateY(-100%)`;
+    });
+  }
+
+  dispose() {
+    this.clear();
+    this.container = null;
+  }
+
+  /**
+   * Finds where an annotation goes: its position, or the product it is pinned to
+   */
+  private attach(entry: Entry) {
+    const { annotation } = entry;
+    this.occlusionDirty = true;
+    entry.elements = [];
+    if (annotation.productLabel === undefined) {
+      entry.anchor = annotation.position?.clone() ?? null;
+      annotation.isAttached = entry.anchor !== null;
+      return;
+    }
+
+    const place = this.host.findProduct(annotation.productLabel, annotation.modelId, entry.modelKey ?? undefined);
+    annotation.isAttached = place !== null;
+    if (!place) {
+      entry.anchor = null;
+      return;
+    }
+    if (annotation.modelId !== undefined) {
+      // The same file loaded again may have a new id
+      annotation.modelId = place.modelId;
+      entry.modelKey = place.modelKey;
+    }
+    entry.anchor = annotation.position?.clone() ?? place.center;
+    entry.elements = place.elements;
+  }
+
+  private createMarker(annotation: Annotation): HTMLDivElement | null {
+    if (!this.container) return null;
+    const marker = document.createElement('div');
+    marker.className = 'wex-annotation wex-annotation-hidden';
+    marker.dataset.annotationId = annotation.id;
+
+    const icon = document.createElement('div');
+    icon.className = 'wex-annotation-icon';
+    icon.textContent = annotation.icon ?? '';
+    const text = document.createElement('div');
+    text.className = 'wex-annotation-text';
+    text.textContent = annotation.text ?? '';
+    marker.append(icon, text);
+
+    marker.addEventListener('click', (event) => {
+      event.stopPropagation();
+      const entry = this.entries.get(annotation.id);
+      if (entry) this.host.onClick({ ...entry.annotation, position: entry.annotation.position?.clone() }, event);
+    });
+    this.container.appendChild(marker);
+    return marker;
+  }
+}
@@ -0,0 +1,434 @@
+import * as THREE from 'three';
+import { strFromU8, strToU8, unzipSync, zipSync } from 'three/addons/libs/fflate.module.js';
+import type {
+  BcfArchive,
+  BcfClippingPlane,
+  BcfColoring,
+  BcfComment,
+  BcfComponent,
+  BcfOrthogonalCamera,
+  BcfPerspectiveCamera,
+  BcfTopic,
+  BcfVersion,
+  BcfViewpoint,
+  ClippingPlaneInput,
+} from '../types';
+import { projectToViewer, viewerToProject, type ModelCoordinateSystem } from './coordinates';
+
+// BIM Collaboration Format 2.1 and 3.0: viewpoints (.bcfv) and topic archives (.bcfzip).
+// BCF coordinates are project coordinates in meters with Z up. They are converted from and to
+// viewer coordinates through one model, usually the first loaded (federated models are aligned
+// to it). A .bcfzip holds bcf.version and a folder per topic, named by its GUID, with
+// markup.bcf and the viewpoint files and snapshots the markup refers to.
+
+/** Camera placement in viewer coordinates */
+export interface BcfCameraPose {
+  position: THREE.Vector3;
+  /** Point to orbit around */
+  target: THREE.Vector3;
+}
+
+/**
+ * Random GUID for topics, comments and viewpoints
+ */
+export function createBcfGuid(): string {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  // randomUUID needs a secure context
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Converts a point from viewer coordinates to BCF coordinates
+ */
+export function viewerToBcf(model: ModelCoordinateSystem, point: THREE.Vector3): THREE.Vector3 {
+  return viewerToProject(model, point).divideScalar(model.meter);
+}
+
+/**
+ * Converts a point from BCF coordinates to viewer coordinates
+ */
+export function bcfToViewer(model: ModelCoordinateSystem, point: THREE.Vector3): THREE.Vector3 {
+  return projectToViewer(model, point.clone().multiplyScalar(model.meter));
+}
+
+/**
+ * Perspective camera of a BCF viewpoint for a viewer camera
+ */
+export function getBcfCamera(model: ModelCoordinateSystem, camera: THREE.PerspectiveCamera): BcfPerspectiveCamera {
+  camera.updateMatrixWorld();
+  const position = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+  const direction = camera.getWorldDirection(new THREE.Vector3());
+  const up = new THREE.Vector3(0, 1, 0).transformDirection(camera.matrixWorld);
+  return {
+    cameraViewPoint: viewerToBcf(model, position),
+    cameraDirection: toBcfDirection(model, direction),
+    cameraUpVector: toBcfDirection(model, up),
+    fieldOfView: camera.fov,
+    aspectRatio: camera.aspect,
+  };
+}
+
+/**
+ * Where the viewer camera goes for the camera of a viewpoint; null when it has none. A
+ * perspective camera orbits around the point ahead that is as far away as `focus` (e.g. the
+ * center of the models); an orthogonal one is shown in perspective, far enough back to see
+ * `viewToWorldScale` at the point it looks from. The up vector is not used: the viewer keeps
+ * Y up.
+ */
+export function getBcfCameraPose(
+  model: ModelCoordinateSystem,
+  viewpoint: BcfViewpoint,
+  fieldOfView: number,
+  focus: THREE.Vector3
+): BcfCameraPose | null {
+  const camera = viewpoint.perspectiveCamera ?? viewpoint.orthogonalCamera;
+  if (!camera) return null;
+  const position = bcfToViewer(model, camera.cameraViewPoint);
+  const direction = fromBcfDirection(model, camera.cameraDirection);
+  if (viewpoint.perspectiveCamera) {
+    const distance = Math.max(focus.distanceTo(position), 1e-3);
+    return { position, target: position.clone().addScaledVector(direction, distance) };
+  }
+  // The view height in viewer units
+  const { cameraViewPoint, viewToWorldScale } = viewpoint.orthogonalCamera!;
+  const height = bcfToViewer(model, cameraViewPoint.clone().setZ(cameraViewPoint.z + viewToWorldScale)).distanceTo(position);
+  const back = height / 2 / Math.tan(THREE.MathUtils.degToRad(fieldOfView) / 2);
+  return {
+    position: position.clone().addScaledVector(direction, -back),
+    target: position,
+  };
+}
+
+/**
+ * BCF clipping plane of a viewer plane, which cuts away its back (so the BCF direction is
+ * the opposite of its normal)
+ */
+export function getBcfClippingPlane(model: ModelCoordinateSystem, plane: THREE.Plane): BcfClippingPlane {
+  return {
+    location: viewerToBcf(model, plane.coplanarPoint(new THREE.Vector3())),
+    direction: toBcfDirection(model, plane.normal.clone().negate()),
+  };
+}
+
+/**
+ * Viewer clipping plane of a BCF clipping plane
+ */
+export function getClippingPlaneInput(model: ModelCoordinateSystem, plane: BcfClippingPlane): ClippingPlaneInput {
+  return {
+    origin: bcfToViewer(model, plane.location),
+    normal: fromBcfDirection(model, plane.direction).negate(),
+  };
+}
+
+/**
+ * Writes a viewpoint as a .bcfv file
+ */
+export function writeBcfViewpoint(viewpoint: BcfViewpoint, version: BcfVersion = '2.1'): string {
+  const { perspectiveCamera, orthogonalCamera } = viewpoint;
+  const withAspectRatio = (camera: BcfPerspectiveCamera | BcfOrthogonalCamera) =>
+    version === '3.0' ? [textElement('AspectRatio', formatNumber(camera.aspectRatio ?? 1))] : [];
+  const cameraElements = (camera: BcfPerspectiveCamera | BcfOrthogonalCamera) => [
+    vectorElement('CameraViewPoint', camera.cameraViewPoint),
+    vectorElement('CameraDirection', camera.cameraDirection),
+    vectorElement('CameraUpVector', camera.cameraUpVector),
+  ];
+
+  return xmlDocument(element('VisualizationInfo', { Guid: viewpoint.guid }, [
+    element('Components', {}, [
+      viewpoint.selection.length > 0 ? element('Selection', {}, viewpoint.selection.map(componentElement)) : '',
+      element('Visibility', { DefaultVisibility: String(viewpoint.defaultVisibility) }, [
+        viewpoint.visibilityExceptions.length > 0
+          ? element('Exceptions', {}, viewpoint.visibilityExceptions.map(componentElement)) : '',
+      ]),
+      viewpoint.coloring.length > 0 ? element('Coloring', {}, viewpoint.coloring.map(({ color, components }) =>
+        element('Color', { Color: color.getHexString().toUpperCase() }, components.map(componentElement)))) : '',
+    ]),
+    orthogonalCamera ? element('OrthogonalCamera', {}, [
+      ...cameraElements(orthogonalCamera),
+      textElement('ViewToWorldScale', formatNumber(orthogonalCamera.viewToWorldScale)),
+      ...withAspectRatio(orthogonalCamera),
+    ]) : '',
+    perspectiveCamera ? element('PerspectiveCamera', {}, [
+      ...cameraElements(perspectiveCamera),
+      textElement('FieldOfView', formatNumber(perspectiveCamera.fieldOfView)),
+      ...withAspectRatio(perspectiveCamera),
+    ]) : '',
+    viewpoint.clippingPlanes.length > 0 ? element('ClippingPlanes', {}, viewpoint.clippingPlanes.map(plane =>
+      element('ClippingPlane', {}, [vectorElement('Location', plane.location), vectorElement('Direction', plane.direction)]))) : '',
+  ]));
+}
+
+/**
+ * Reads a .bcfv file; `guid` is used when the file has none (BCF 2.0 kept it in the markup)
+ */
+export function readBcfViewpoint(xml: string, guid?: string): BcfViewpoint {
+  const root = parseXml(xml, 'VisualizationInfo');
+  const components = getChild(root, 'Components');
+  const visibility = components && getChild(components, 'Visibility');
+  const readCamera = (camera: Element) => ({
+    cameraViewPoint: readVector(getChild(camera, 'CameraViewPoint')),
+    cameraDirection: readVector(getChild(camera, 'CameraDirection')),
+    cameraUpVector: readVector(getChild(camera, 'CameraUpVector')),
+    aspectRatio: readNumber(getChildText(camera, 'AspectRatio')),
+  });
+  const perspective = getChild(root, 'PerspectiveCamera');
+  const orthogonal = getChild(root, 'OrthogonalCamera');
+
+  return {
+    guid: root.getAttribute('Guid') ?? guid ?? createBcfGuid(),
+    perspectiveCamera: perspective ? {
+      ...readCamera(perspective),
+      fieldOfView: readNumber(getChildText(perspective, 'FieldOfView')) ?? 60,
+    } : undefined,
+    orthogonalCamera: orthogonal ? {
+      ...readCamera(orthogonal),
+      viewToWorldScale: readNumber(getChildText(orthogonal, 'ViewToWorldScale')) ?? 1,
+    } : undefined,
+    selection: readComponents(components && getChild(components, 'Selection')),
+    // Without visibility (BCF 2.0), everything is shown
+    defaultVisibility: visibility ? visibility.getAttribute('DefaultVisibility') === 'true' : true,
+    visibilityExceptions: readComponents(visibility && getChild(visibility, 'Exceptions')),
+    coloring: getChildren(components && getChild(components, 'Coloring'), 'Color').map((color): BcfColoring => ({
+      // RRGGBB, or AARRGGBB with the alpha left out
+      color: new THREE.Color(`#${(color.getAttribute('Color') ?? 'FFFFFF').slice(-6)}`),
+      components: readComponents(color),
+    })),
+    clippingPlanes: getChildren(getChild(root, 'ClippingPlanes'), 'ClippingPlane').map(plane => ({
+      location: readVector(getChild(plane, 'Location')),
+      direction: readVector(getChild(plane, 'Direction')).normalize(),
+    })),
+  };
+}
+
+/**
+ * Writes topics with their comments, viewpoints and snapshots as a .bcfzip file
+ */
+export async function writeBcfZip(archive: BcfArchive): Promise<Blob> {
+  const { version, topics } = archive;
+  const files: Record<string, Uint8Array> = {
+    'bcf.version': strToU8(xmlDocument(element('Version', { VersionId: version }, [
+      version === '2.1' ? textElement('DetailedVersion', version) : '',
+    ]))),
+  };
+
+  for (const topic of topics) {
+    const viewpoints = await Promise.all(topic.viewpoints.map(async (viewpoint, index) => {
+      // The first viewpoint keeps the names BCF 2.0 readers look for
+      const name = index === 0 ? 'viewpoint' : viewpoint.guid;
+      const snapshotName = index === 0 ? 'snapshot.png' : `${viewpoint.guid}.png`;
+      files[`${topic.guid}/${name}.bcfv`] = strToU8(writeBcfViewpoint(viewpoint, version));
+      if (viewpoint.snapshot) {
+        files[`${topic.guid}/${snapshotName}`] = new Uint8Array(await viewpoint.snapshot.arrayBuffer());
+      }
+      return { guid: viewpoint.guid, file: `${name}.bcfv`, snapshot: viewpoint.snapshot ? snapshotName : undefined };
+    }));
+    files[`${topic.guid}/markup.bcf`] = strToU8(writeMarkup(topic, viewpoints, version));
+  }
+
+  return new Blob([zipSync(files) as Uint8Array<ArrayBuffer>], { type: 'application/zip' });
+}
+
+/**
+ * Reads the topics of a .bcfzip file, with their comments, viewpoints and snapshots
+ */
+export async function readBcfZip(data: Blob | ArrayBuffer): Promise<BcfArchive> {
+  const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+  const files = unzipSync(new Uint8Array(buffer));
+  const versionFile = files['bcf.version'];
+  const versionId = versionFile ? parseXml(strFromU8(versionFile), 'Version').getAttribute('VersionId') : null;
+  const version: BcfVersion = versionId?.startsWith('3') ? '3.0' : '2.1';
+
+  const topics = Object.keys(files)
+    .filter(path => /^[^/]+\/markup\.bcf$/.test(path))
+    .map(path => readMarkup(strFromU8(files[path]), path.slice(0, path.indexOf('/')), files));
+  return { version, topics };
+}
+
+function writeMarkup(
+  topic: BcfTopic,
+  viewpoints: { guid: string; file: string; snapshot?: string }[],
+  version: BcfVersion
+): string {
+  const comments = topic.comments.map(comment => element('Comment', { Guid: comment.guid }, [
+    textElement('Date', comment.date),
+    textElement('Author', comment.author),
+    textElement('Comment', comment.comment),
+    comment.viewpointGuid ? element('Viewpoint', { Guid: comment.viewpointGuid }, []) : '',
+  ]));
+  const viewpointElements = viewpoints.map(({ guid, file, snapshot }) =>
+    // BCF 2.1 names a viewpoint reference Viewpoints, 3.0 ViewPoint
+    element(version === '3.0' ? 'ViewPoint' : 'Viewpoints', { Guid: guid }, [
+      textElement('Viewpoint', file),
+      snapshot ? textElement('Snapshot', snapshot) : '',
+    ]));
+  const topicElements = [
+    textElement('Title', topic.title),
+    textElement('CreationDate', topic.creationDate),
+    textElement('CreationAuthor', topic.creationAuthor),
+    topic.description !== undefined ? textElement('Description', topic.description) : '',
+  ];
+  const topicAttributes = { Guid: topic.guid, TopicType: topic.topicType, TopicStatus: topic.topicStatus };
+
+  // BCF 3.0 moved comments and viewpoints into the topic
+  return xmlDocument(version === '3.0'
+    ? element('Markup', {}, [element('Topic', topicAttributes, [
+      ...topicElements,
+      comments.length > 0 ? element('Comments', {}, comments) : '',
+      viewpointElements.length > 0 ? element('Viewpoints', {}, viewpointElements) : '',
+    ])])
+    : element('Markup', {}, [element('Topic', topicAttributes, topicElements), ...comments, ...viewpointElements]));
+}
+
+function readMarkup(xml: string, folder: string, files: Record<string, Uint8Array>): BcfTopic {
+  const root = parseXml(xml, 'Markup');
+  const topic = getChild(root, 'Topic');
+  const topicComments = topic && getChild(topic, 'Comments');
+  const topicViewpoints = topic && getChild(topic, 'Viewpoints');
+  // BCF 2.1 keeps comments and viewpoints next to the topic, 3.0 inside it
+  const commentElements = [...getChildren(root, 'Comment'), ...getChildren(topicComments, 'Comment')];
+  const viewpointElements: (Element | null)[] = [...getChildren(root, 'Viewpoints'), ...getChildren(topicViewpoints, 'ViewPoint')];
+  // BCF 2.0 archives may have a single viewpoint without a reference
+  if (viewpointElements.length === 0 && files[`${folder}/viewpoint.bcfv`]) viewpointElements.push(null);
+
+  const viewpoints: BcfViewpoint[] = [];
+  viewpointElements.forEach((reference) => {
+    const file = (reference && getChildText(reference, 'Viewpoint')) ?? 'viewpoint.bcfv';
+    const data = files[`${folder}/${file}`];
+    if (!data) return;
+    const viewpoint = readBcfViewpoint(strFromU8(data), reference?.getAttribute('Guid') ?? undefined);
+    const snapshot = reference ? getChildText(reference, 'Snapshot') : 'snapshot.png';
+    const image = snapshot ? files[`${folder}/${snapshot}`] : undefined;
+    if (image) {
+      viewpoint.snapshot = new Blob([image as Uint8Array<ArrayBuffer>], { type: /\.jpe?g$/i.test(snapshot!) ? 'image/jpeg' : 'image/png' });
+    }
+    viewpoints.push(viewpoint);
+  });
+
+  const comments = commentElements.map((comment): BcfComment => ({
+    guid: comment.getAttribute('Guid') ?? createBcfGuid(),
+    date: getChildText(comment, 'Date') ?? '',
+    author: getChildText(comment, 'Author') ?? '',
+    comment: getChildText(comment, 'Comment') ?? '',
+    viewpointGuid: getChild(comment, 'Viewpoint')?.getAttribute('Guid') ?? undefined,
+  }));
+
+  return {
+    guid: topic?.getAttribute('Guid') ?? folder,
+    title: (topic && getChildText(topic, 'Title')) ?? '',
+    topicType: topic?.getAttribute('TopicType') ?? undefined,
+    topicStatus: topic?.getAttribute('TopicStatus') ?? undefined,
+    description: (topic && getChildText(topic, 'Description')) ?? undefined,
+    creationDate: (topic && getChildText(topic, 'CreationDate')) ?? '',
+    creationAuthor: (topic && getChildText(topic, 'CreationAuthor')) ?? '',
+    comments,
+    viewpoints,
+  };
+}
+
+/**
+ * Converts a direction from viewer to BCF coordinates
+ */
+function toBcfDirection(model: ModelCoordinateSystem, direction: THREE.Vector3): THREE.Vector3 {
+  const origin = viewerToBcf(model, new THREE.Vector3());
+  return viewerToBcf(model, direction).sub(origin).normalize();
+}
+
+/**
+ * Converts a direction from BCF to viewer coordinates
+ */
+function fromBcfDirection(model: ModelCoordinateSystem, direction: THREE.Vector3): THREE.Vector3 {
+  const origin = bcfToViewer(model, new THREE.Vector3());
+  return bcfToViewer(model, direction).sub(origin).normalize();
+}
+
+function componentElement(component: BcfComponent): string {
+  return element('Component', { IfcGuid: component.ifcGuid }, [
+    component.originatingSystem !== undefined ? textElement('OriginatingSystem', component.originatingSystem) : '',
+    component.authoringToolId !== undefined ? textElement('AuthoringToolId', component.authoringToolId) : '',
+  ]);
+}
+
+function readComponents(parent: Element | null): BcfComponent[] {
+  return getChildren(parent, 'Component').map(component => ({
+    ifcGuid: component.getAttribute('IfcGuid') ?? undefined,
+    originatingSystem: getChildText(component, 'OriginatingSystem') ?? undefined,
+    authoringToolId: getChildText(component, 'AuthoringToolId') ?? undefined,
+  }));
+}
+
+function vectorElement(name: string, vector: THREE.Vector3): string {
+  return element(name, {}, [
+    textElement('X', formatNumber(vector.x)),
+    textElement('Y', formatNumber(vector.y)),
+    textElement('Z', formatNumber(vector.z)),
+  ]);
+}
+
+function readVector(parent: Element | null): THREE.Vector3 {
+  return new THREE.Vector3(
+    readNumber(parent && getChildText(parent, 'X')) ?? 0,
+    readNumber(parent && getChildText(parent, 'Y')) ?? 0,
+    readNumber(parent && getChildText(parent, 'Z')) ?? 0
+  );
+}
+
+function formatNumber(value: number): string {
+  // Rounded to a micrometer or so, without exponents
+  return String(Number(value.toFixed(9)));
+}
+
+function readNumber(text: string | null | undefined): number | undefined {
+  if (text === null || text === undefined || text.trim() === '') return undefined;
+  const value = Number(text);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+// XML writing: elements are strings, attributes without a value are left out
+
+function xmlDocument(root: string): string {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${root}\n`;
+}
+
+function element(name: string, attributes: Record<string, string | undefined>, children: string[]): string {
+  const attributeText = Object.entries(attributes)
+    .filter((entry): entry is [string, string] => entry[1] !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  const content = children.join('');
+  return content ? `<${name}${attributeText}>${content}</${name}>` : `<${name}${attributeText}/>`;
+}
+
+function textElement(name: string, text: string): string {
+  return `<${name}>${escapeXml(text)}</${name}>`;
+}
+
+function escapeXml(text: string): string {
+  return text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// XML reading with the DOMParser of the browser; names are matched without namespace prefixes
+
+function parseXml(xml: string, rootName: string): Element {
+  const document = new DOMParser().parseFromString(xml, 'application/xml');
+  const root = document.documentElement;
+  if (!root || root.localName !== rootName || document.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`Invalid BCF file: expected a ${rootName} element`);
+  }
+  return root;
+}
+
+function getChildren(parent: Element | null, name: string): Element[] {
+  return parent ? Array.from(parent.children).filter(child => child.localName === name) : [];
+}
+
+function getChild(parent: Element, name: string): Element | null {
+  return getChildren(parent, name)[0] ?? null;
+}
+
+function getChildText(parent: Element, name: string): string | null {
+  return getChild(parent, name)?.textContent ?? null;
+}
@@ -0,0 +1,88 @@
+import * as THREE from 'three';
+
+// Helpers shared by the section box and the clipping planes: caps over cut solids, handles of
+// constant screen size, and dragging along a line.
+
+/**
+ * Draws the back faces of the opaque meshes of all models with `material`, on top of a
+ * rendered scene. Rendered with the same clipping planes, the inside of solids shows only
+ * where a plane cuts them open, so flat back faces read as the cut faces.
+ */
+export function renderCaps(
+  renderer: THREE.WebGLRenderer,
+  scene: THREE.Scene,
+  camera: THREE.Camera,
+  material: THREE.Material
+) {
+  const hidden: THREE.Object3D[] = [];
+  const hide = (object: THREE.Object3D) => {
+    object.visible = false;
+    hidden.push(object);
+  };
+  // Models keep their file header; helpers such as the grid get no caps (lights stay, so
+  // materials need no new light setup)
+  scene.children.forEach((child) => {
+    if (child.visible && child.userData.header === undefined && !(child instanceof THREE.Light)) hide(child);
+  });
+  // The inside of see-through meshes shows without a cut
+  scene.traverseVisible((object) => {
+    if (object instanceof THREE.Mesh && isSeeThrough(object.material)) hide(object);
+  });
+
+  const { autoClear } = renderer;
+  const { background, overrideMaterial } = scene;
+  renderer.autoClear = false;
+  scene.background = null;
+  scene.overrideMaterial = material;
+  renderer.render(scene, camera);
+  renderer.autoClear = autoClear;
+  scene.background = background;
+  scene.overrideMaterial = overrideMaterial;
+  hidden.forEach((object) => {
+    object.visible = true;
+  });
+}
+
+/**
+ * Draws a scene over the rendered one without clipping, e.g. the gizmos of the clipping itself
+ */
+export function renderOverlay(renderer: THREE.WebGLRenderer, overlay: THREE.Scene, camera: THREE.Camera) {
+  const { autoClear, clippingPlanes } = renderer;
+  renderer.autoClear = false;
+  renderer.clippingPlanes = [];
+  renderer.render(overlay, camera);
+  renderer.autoClear = autoClear;
+  renderer.clippingPlanes = clippingPlanes;
+}
+
+/**
+ * Size of a CSS pixel in world units at `position`
+ */
+export function getWorldPerPixel(renderer: THREE.WebGLRenderer, camera: THREE.Camera, position: THREE.Vector3): number {
+  const viewportHeight = renderer.getSize(new THREE.Vector2()).y;
+  if (camera instanceof THREE.PerspectiveCamera) {
+    const distance = position.distanceTo(new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld));
+    return (2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) / (camera.zoom * viewportHeight);
+  }
+  if (camera instanceof THREE.OrthographicCamera) {
+    return (camera.top - camera.bottom) / (camera.zoom * viewportHeight);
+  }
+  return 0;
+}
+
+/**
+ * Distance from `origin` along a line in the unit `direction` to the point closest to a ray;
+ * null when the ray runs along the line
+ */
+export function getLineParameter(ray: THREE.Ray, origin: THREE.Vector3, direction: THREE.Vector3): number | null {
+  const offset = origin.clone().sub(ray.origin);
+  const b = direction.dot(ray.direction);
+  const denominator = 1 - b * b;
+  if (denominator < 1e-6) return null;
+  // Closest points of the two lines (both directions are unit vectors)
+  return (b * ray.direction.dot(offset) - direction.dot(offset)) / denominator;
+}
+
+function isSeeThrough(material: THREE.Material | THREE.Material[]): boolean {
+  return Array.isArray(material) ? material.some(isSeeThrough) : material.transparent && material.opacity < 1;
+}
@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+import {
+  DEFAULT_CLIPPING_PLANE_OPTIONS,
+  type ClippingPlane,
+  type ClippingPlaneInput,
+  type ClippingPlaneOptions,
+} from '../types';
+import { getLineParameter, getWorldPerPixel, renderOverlay } from './clipping';
+
+// Clipping planes: any number of planes in viewer coordinates, each cutting away its back. The
+// viewer renders with `clippingPlanes` (together with the section box), caps the cuts with
+// `capMaterial` (see `renderCaps`), and then calls `render` to draw a gizmo per plane: a square
+// of constant screen size, an arrow to the side that stays, and a handle to drag the plane.
+
+const FORWARD = new THREE.Vector3(0, 0, 1);
+
+interface PlaneEntry {
+  plane: THREE.Plane;
+  /** The gizmo: +Z along the normal, in CSS pixels (scaled to world units every frame) */
+  gizmo: THREE.Group;
+  handle: THREE.Mesh<THREE.SphereGeometry, THREE.MeshBasicMaterial>;
+}
+
+interface Drag {
+  entry: PlaneEntry;
+  /** Gizmo position when the drag started */
+  start: THREE.Vector3;
+  /** Pointer position along the normal when the drag started */
+  pointerStart: number;
+}
+
+/**
+ * Clipping planes of a viewer, with their gizmos
+ */
+export class ClippingPlanes {
+  readonly options: Required<ClippingPlaneOptions>;
+  /** Material of the caps over solids the planes cut */
+  readonly capMaterial: THREE.MeshBasicMaterial;
+  private entries = new Map<string, PlaneEntry>();
+  private planeList: THREE.Plane[] = [];
+  private counter = 0;
+  private visible = true;
+  /** The gizmos, drawn after the scene and without clipping */
+  private overlay = new THREE.Scene();
+  private squareGeometry = new THREE.PlaneGeometry(1, 1);
+  private edgeGeometry = new THREE.EdgesGeometry(this.squareGeometry);
+  private handleGeometry = new THREE.SphereGeometry(0.5, 16, 12);
+  private squareMaterial: THREE.MeshBasicMaterial;
+  private lineMaterial: THREE.LineBasicMaterial;
+  private handleMaterial: THREE.MeshBasicMaterial;
+  private activeHandleMaterial: THREE.MeshBasicMaterial;
+  private activeHandle: PlaneEntry | null = null;
+  private drag: Drag | null = null;
+
+  constructor(options: ClippingPlaneOptions = {}) {
+    this.options = { ...DEFAULT_CLIPPING_PLANE_OPTIONS, ...options };
+    const { color, opacity, capColor } = this.options;
+    this.squareMaterial = new THREE.MeshBasicMaterial({
+      color, transparent: true, opacity, side: THREE.DoubleSide, depthTest: false, depthWrite: false,
+    });
+    this.lineMaterial = new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true });
+    this.handleMaterial = new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true });
+    this.activeHandleMaterial = new THREE.MeshBasicMaterial({ color: '#ffffff', depthTest: false, transparent: true });
+    this.capMaterial = new THREE.MeshBasicMaterial({ color: capColor, side: THREE.BackSide });
+  }
+
+  /** Planes to render the scene with */
+  get clippingPlanes(): THREE.Plane[] {
+    return this.planeList;
+  }
+
+  /**
+   * Adds a plane (replacing one with the same id); returns its id
+   */
+  add(input: ClippingPlaneInput): string {
+    let id = input.id;
+    while (id === undefined || (input.id === undefined && this.entries.has(id))) {
+      id = `clip-${++this.counter}`;
+    }
+    this.remove(id);
+
+    const { size, handleSize } = this.options;
+    const square = new THREE.Mesh(this.squareGeometry, this.squareMaterial);
+    square.scale.setScalar(size);
+    const edges = new THREE.LineSegments(this.edgeGeometry, this.lineMaterial);
+    edges.scale.setScalar(size);
+    const arrow = new THREE.ArrowHelper(FORWARD, new THREE.Vector3(), size / 3, this.options.color, handleSize, handleSize / 2);
+    arrow.traverse((child) => {
+      const { material } = child as THREE.Line | THREE.Mesh;
+      if (material instanceof THREE.Material) material.depthTest = false;
+    });
+    const handle = new THREE.Mesh(this.handleGeometry, this.handleMaterial);
+    handle.scale.setScalar(handleSize);
+    handle.renderOrder = 1;
+
+    const gizmo = new THREE.Group();
+    gizmo.add(square, edges, arrow, handle);
+    gizmo.visible = this.visible;
+    this.overlay.add(gizmo);
+
+    const entry: PlaneEntry = { plane: new THREE.Plane(), gizmo, handle };
+    this.entries.set(id, entry);
+    this.update(entry, input.origin, input.normal);
+    this.planeList = [...this.entries.values()].map(({ plane }) => plane);
+    return id;
+  }
+
+  /**
+   * Removes a plane; false when there is none with this id
+   */
+  remove(id: string): boolean {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    this.entries.delete(id);
+    this.overlay.remove(entry.gizmo);
+    entry.gizmo.traverse((child) => {
+      // The arrow owns its geometry and materials; the rest are shared
+      if (child instanceof THREE.ArrowHelper) child.dispose();
+    });
+    if (this.drag?.entry === entry) this.drag = null;
+    if (this.activeHandle === entry) this.activeHandle = null;
+    this.planeList = [...this.entries.values()].map(({ plane }) => plane);
+    return true;
+  }
+
+  clear() {
+    [...this.entries.keys()].forEach(id => this.remove(id));
+  }
+
+  /**
+   * All planes, with a point on each and their normal
+   */
+  list(): ClippingPlane[] {
+    return [...this.entries].map(([id, { gizmo, plane }]) => ({
+      id,
+      origin: gizmo.position.clone(),
+      normal: plane.normal.clone(),
+    }));
+  }
+
+  /**
+   * Turns a plane around; false when there is none with this id
+   */
+  flip(id: string): boolean {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    this.update(entry, entry.gizmo.position, entry.plane.normal.clone().negate());
+    return true;
+  }
+
+  /**
+   * Moves a plane along its normal; false when there is none with this id
+   */
+  move(id: string, distance: number): boolean {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    const origin = entry.gizmo.position.clone().addScaledVector(entry.plane.normal, distance);
+    this.update(entry, origin, entry.plane.normal);
+    return true;
+  }
+
+  /**
+   * Shows or hides the gizmos; hidden planes still cut
+   */
+  setVisible(visible: boolean) {
+    this.visible = visible;
+    this.entries.forEach(({ gizmo }) => {
+      gizmo.visible = visible;
+    });
+    if (!visible) this.setActiveHandle(null);
+  }
+
+  isVisible(): boolean {
+    return this.visible;
+  }
+
+  /**
+   * Draws the gizmos over the rendered scene
+   */
+  render(renderer: THREE.WebGLRenderer, camera: THREE.Camera) {
+    if (!this.visible || this.entries.size === 0) return;
+    this.entries.forEach(({ gizmo }) => {
+      gizmo.scale.setScalar(Math.max(getWorldPerPixel(renderer, camera, gizmo.position), 1e-9));
+      gizmo.updateMatrixWorld(true);
+    });
+    renderOverlay(renderer, this.overlay, camera);
+  }
+
+  /**
+   * Highlights the handle under the pointer; whether there is one (or a drag is going on)
+   */
+  hover(raycaster: THREE.Raycaster): boolean {
+    if (this.drag) return true;
+    const entry = this.pickHandle(raycaster);
+    this.setActiveHandle(entry);
+    return entry !== null;
+  }
+
+  /**
+   * Starts dragging the handle under the pointer; false when there is none
+   */
+  startDrag(raycaster: THREE.Raycaster): boolean {
+    const entry = this.pickHandle(raycaster);
+    if (!entry) return false;
+    const pointerStart = getLineParameter(raycaster.ray, entry.gizmo.position, entry.plane.normal);
+    if (pointerStart === null) return false;
+    this.drag = { entry, start: entry.gizmo.position.clone(), pointerStart };
+    this.setActiveHandle(entry);
+    return true;
+  }
+
+  /**
+   * Moves the dragged plane along its normal with the pointer; false when not dragging
+   */
+  moveDrag(raycaster: THREE.Raycaster): boolean {
+    const { drag } = this;
+    if (!drag) return false;
+    const { entry, start, pointerStart } = drag;
+    const pointer = getLineParameter(raycaster.ray, start, entry.plane.normal);
+    if (pointer !== null) {
+      this.update(entry, start.clone().addScaledVector(entry.plane.normal, pointer - pointerStart), entry.plane.normal);
+    }
+    return true;
+  }
+
+  /**
+   * Ends a drag; false when there was none
+   */
+  endDrag(): boolean {
+    const dragging = this.drag !== null;
+    this.drag = null;
+    return dragging;
+  }
+
+  dispose() {
+    this.clear();
+    this.squareGeometry.dispose();
+    this.edgeGeometry.dispose();
+    this.handleGeometry.dispose();
+    this.squareMaterial.dispose();
+    this.lineMaterial.dispose();
+    this.handleMaterial.dispose();
+    this.activeHandleMaterial.dispose();
+    this.capMaterial.dispose();
+  }
+
+  private update(entry: PlaneEntry, origin: THREE.Vector3, normal: THREE.Vector3) {
+    const unitNormal = normal.clone().normalize();
+    entry.plane.setFromNormalAndCoplanarPoint(unitNormal, origin);
+    entry.gizmo.position.copy(origin);
+    entry.gizmo.quaternion.setFromUnitVectors(FORWARD, unitNormal);
+    entry.gizmo.updateMatrixWorld(true);
+  }
+
+  private pickHandle(raycaster: THREE.Raycaster): PlaneEntry | null {
+    if (!this.visible) return null;
+    const entries = [...this.entries.values()];
+    const hit = raycaster.intersectObjects(entries.map(({ handle }) => handle), false)[0];
+    return hit ? entries.find(({ handle }) => handle === hit.object) ?? null : null;
+  }
+
+  private setActiveHandle(entry: PlaneEntry | null) {
+    if (entry === this.activeHandle) return;
+    this.activeHandle = entry;
+    this.entries.forEach((other) => {
+      other.handle.material = other === entry ? this.activeHandleMaterial : this.handleMaterial;
+    });
+  }
+}
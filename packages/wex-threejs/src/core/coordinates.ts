@@ -0,0 +1,88 @@
+import * as THREE from 'three';
+import type { LoadedModel, LengthUnit } from '../types';
+
+// Coordinate systems used by the viewer:
+//   viewer  - Three.js scene coordinates (Y-up), as used by raycasts and the camera
+//   model   - coordinates as stored in the .wexbim file (Z-up, model units)
+//   project - model coordinates with the local WCS offset applied, i.e. the original
+//             project/world coordinates of the authoring tool
+
+/** The parts of a loaded model needed to convert coordinates */
+export type ModelCoordinateSystem = Pick<LoadedModel, 'scene' | 'meter' | 'localWCS'>;
+
+// Model units in one meter for the common length units
+const UNITS_PER_METER: Record<LengthUnit, number> = {
+  mm: 1000,
+  cm: 100,
+  m: 1,
+  in: 1 / 0.0254,
+  ft: 1 / 0.3048,
+};
+
+/**
+ * Returns the length unit matching a WexBIM `meter` value, if it is a common one
+ */
+export function getLengthUnit(meter: number): LengthUnit | undefined {
+  return (Object.keys(UNITS_PER_METER) as LengthUnit[])
+    .find(unit => Math.abs(UNITS_PER_METER[unit] - meter) < meter * 1e-6);
+}
+
+/**
+ * Converts a point from viewer coordinates to model coordinates
+ */
+export function viewerToModel(model: ModelCoordinateSystem, point: THREE.Vector3): THREE.Vector3 {
+  model.scene.updateWorldMatrix(true, false);
+  const local = point.clone().applyMatrix4(model.scene.matrixWorld.clone().invert());
+  // The loader swaps Y and Z (WexBIM Z-up to Three.js Y-up)
+  return new THREE.Vector3(local.x, local.z, local.y);
+}
+
+/**
+ * Converts a point from model coordinates to viewer coordinates
+ */
+export function modelToViewer(model: ModelCoordinateSystem, point: THREE.Vector3): THREE.Vector3 {
+  model.scene.updateWorldMatrix(true, false);
+  return new THREE.Vector3(point.x, point.z, point.y).applyMatrix4(model.scene.matrixWorld);
+}
+
+/**
+ * Converts a point from model coordinates to project coordinates
+ */
+export function modelToProject(model: ModelCoordinateSystem, point: THREE.Vector3): THREE.Vector3 {
+  return point.clone().add(model.localWCS);
+}
+
+/**
+ * Converts a point from project coordinates to model coordinates
+ */
+export function projectToModel(model: ModelCoordinateSystem, point: THREE.Vector3): THREE.Vector3 {
+  return point.clone().sub(model.localWCS);
+}
+
+/**
+ * Converts a point from viewer coordinates to project coordinates
+ */
+export function viewerToProject(model: ModelCoordinateSystem, point: THREE.Vector3): THREE.Vector3 {
+  return modelToProject(model, viewerToModel(model, point));
+}
+
+/**
+ * Converts a point from project coordinates to viewer coordinates
+ */
+export function projectToViewer(model: ModelCoordinateSystem, point: THREE.Vector3): THREE.Vector3 {
+  return modelToViewer(model, projectToModel(model, point));
+}
+
+/**
+ * Converts a length in model units to meters
+ */
+export function toMeters(model: Pick<LoadedModel, 'meter'>, length: number): number {
+  return length / model.meter;
+}
+
+/**
+ * Converts a length in meters to model units
+ */
+export function fromMeters(model: Pick<LoadedModel, 'meter'>, length: number): number {
+  return length * model.meter;
+}
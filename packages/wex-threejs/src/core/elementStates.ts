@@ -0,0 +1,584 @@
+import * as THREE from 'three';
+import type { ElementState, ElementStateInput, ElementStateName, WexBIMProductIdentity } from '../types';
+import { isMultiElementMesh } from './picking';
+import type { ElementHit, MultiElementMesh } from './picking';
+
+// Element states for the models of a viewer, after the product states of xBIM. Every product
+// (label within a model) holds stackable flags and a custom color, and what is drawn follows
+// from them:
+//   hidden                - not drawn, nor picked
+//   selected              - tinted in the selection color
+//   highlighted, hovered  - tinted in the hover color
+//   color                 - drawn in that color instead of its own
+//   ghosted               - faint and grey, unless selected or highlighted
+//   xray                  - see-through (all products in x-ray mode), unless selected or highlighted
+// Meshes draw with variants of their loader material, shared per material and state. Instances
+// of instanced and batched meshes keep one material per mesh and get their color and opacity
+// per instance: instance colors, and an opacity texture (instanced meshes) or the alpha of the
+// batch colors (batched meshes) read by a patched shader.
+
+const XRAY_OPACITY = 0.3;
+const GHOST_OPACITY = 0.1;
+const GHOST_COLOR = new THREE.Color('#c8c8c8');
+
+// Instance color that leaves the material color untouched
+const NO_TINT = new THREE.Color(1, 1, 1);
+// Instance matrix used to hide a single instance of an instanced mesh
+const HIDDEN_INSTANCE_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+
+type StateFlag = Exclude<ElementStateName, 'color'>;
+
+const FLAGS: Record<StateFlag, number> = {
+  hidden: 1,
+  selected: 2,
+  highlighted: 4,
+  xray: 8,
+  ghosted: 16,
+};
+
+/** A product of a loaded model */
+export interface ElementProduct {
+  modelId: string;
+  productLabel: number;
+  productType: number;
+}
+
+/** Products to change: these labels, all products (null), or the ones a filter accepts */
+export type ElementSelector = number[] | null | ((product: ElementProduct) => boolean);
+
+export interface ElementStateSettings {
+  selectionColor: THREE.Color;
+  hoverColor: THREE.Color;
+  /** X-ray mode: all products see-through, unless selected or highlighted */
+  xray: boolean;
+}
+
+interface ProductEntry extends ElementProduct {
+  elements: ElementHit[];
+  flags: number;
+  color: THREE.Color | null;
+}
+
+interface ModelEntry {
+  products: Map<number, ProductEntry>;
+  /** Managed meshes, with their number of elements managed */
+  meshes: Map<THREE.Mesh, number>;
+}
+
+/** How the elements of a product are drawn */
+interface Appearance {
+  visible: boolean;
+  color: THREE.Color | null;
+  highlight: THREE.Color | null;
+  opacity: number;
+}
+
+const AS_LOADED: Appearance = { visible: true, color: null, highlight: null, opacity: 1 };
+
+/** Opacity of every instance of an instanced mesh, one texel each */
+interface OpacityTexture {
+  texture: THREE.DataTexture;
+  data: Float32Array;
+}
+
+/**
+ * Element states of the models of a viewer, and drawing them
+ */
+export class ElementStates {
+  readonly settings: ElementStateSettings;
+  private models = new Map<string, ModelEntry>();
+  private hovered: ProductEntry | null = null;
+  /** Loader materials of meshes currently drawn with a variant */
+  private baseMaterials = new WeakMap<THREE.Mesh, THREE.Material | THREE.Material[]>();
+  /** Shared variants of loader materials, by appearance */
+  private variants = new Map<THREE.Material, Map<string, THREE.Material>>();
+  /** Original matrices of hidden instances of instanced meshes */
+  private hiddenMatrices = new Map<THREE.InstancedMesh, Map<number, THREE.Matrix4>>();
+  /** See-through instances of instanced and batched meshes */
+  private fadedInstances = new Map<MultiElementMesh, Set<number>>();
+  private opacityTextures = new Map<THREE.InstancedMesh, OpacityTexture>();
+
+  constructor(settings: ElementStateSettings) {
+    this.settings = { ...settings };
+  }
+
+  /**
+   * Changes colors or x-ray mode, and redraws all products
+   */
+  configure(settings: Partial<ElementStateSettings>) {
+    Object.assign(this.settings, settings);
+    this.draw(this.select(null));
+  }
+
+  /**
+   * Starts managing the products of a model scene, or the meshes added to it since the last
+   * call (streaming loads grow their scene region by region)
+   */
+  add(root: THREE.Object3D, modelId: string) {
+    let model = this.models.get(modelId);
+    if (!model) {
+      model = { products: new Map(), meshes: new Map() };
+      this.models.set(modelId, model);
+    }
+
+    const added = new Set<ProductEntry>();
+    const addElement = (identity: WexBIMProductIdentity, element: ElementHit) => {
+      let product = model.products.get(identity.productLabel);
+      if (!product) {
+        product = {
+          modelId,
+          productLabel: identity.productLabel,
+          productType: identity.productType,
+          elements: [],
+          flags: 0,
+          color: null,
+        };
+        model.products.set(identity.productLabel, product);
+      }
+      product.elements.push(element);
+      added.add(product);
+    };
+
+    root.traverse((child) => {
+      if (!(child instanceof THREE.Mesh)) return;
+      if (isMultiElementMesh(child)) {
+        // Batched meshes grow while a model streams in; only their new instances are added
+        const instances = child.userData.instances as WexBIMProductIdentity[];
+        for (let instanceId = model.meshes.get(child) ?? 0; instanceId < instances.length; instanceId++) {
+          addElement(instances[instanceId], { mesh: child, instanceId });
+        }
+        model.meshes.set(child, instances.length);
+      } else if (child.userData.productLabel !== undefined && !model.meshes.has(child)) {
+        model.meshes.set(child, 1);
+        addElement(child.userData as WexBIMProductIdentity, { mesh: child });
+      }
+    });
+
+    // New elements of products that already have a state, or of all products in x-ray mode
+    this.draw([...added].filter(product => this.settings.xray || product.flags !== 0 || product.color));
+  }
+
+  /**
+   * Stops managing a model, drawing it as loaded again and disposing the materials made for it
+   */
+  remove(modelId: string) {
+    const model = this.models.get(modelId);
+    if (!model) return;
+    if (this.hovered?.modelId === modelId) this.hovered = null;
+    this.draw(model.products.values(), true);
+
+    model.meshes.forEach((_count, mesh) => {
+      const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+      materials.forEach((material) => {
+        this.variants.get(material)?.forEach(variant => variant.dispose());
+        this.variants.delete(material);
+      });
+    });
+    this.models.delete(modelId);
+  }
+
+  /**
+   * Changes the state of products; parts of `state` left out keep their value
+   */
+  set(selector: ElementSelector, state: ElementStateInput, modelId?: string) {
+    const products = this.select(selector, modelId);
+    const color = state.color === undefined ? undefined : state.color === null ? null : new THREE.Color(state.color);
+    for (const product of products) {
+      for (const flag of Object.keys(FLAGS) as StateFlag[]) {
+        if (state[flag] !== undefined) product.flags = state[flag] ? product.flags | FLAGS[flag] : product.flags & ~FLAGS[flag];
+      }
+      if (color !== undefined) product.color = color;
+    }
+    this.draw(products);
+  }
+
+  /**
+   * State of a product; without a model id, of the first model that has it
+   */
+  get(productLabel: number, modelId?: string): ElementState | null {
+    const product = this.select([productLabel], modelId)[0];
+    if (!product) return null;
+    return {
+      hidden: hasFlag(product, 'hidden'),
+      selected: hasFlag(product, 'selected'),
+      highlighted: hasFlag(product, 'highlighted'),
+      xray: hasFlag(product, 'xray'),
+      ghosted: hasFlag(product, 'ghosted'),
+      color: product.color?.clone() ?? null,
+    };
+  }
+
+  /**
+   * Resets parts of the state (all by default) of all products
+   */
+  clear(states?: ElementStateName[], modelId?: string) {
+    const names = states ?? ([...Object.keys(FLAGS), 'color'] as ElementStateName[]);
+    const mask = names.reduce((bits, name) => bits | (name === 'color' ? 0 : FLAGS[name]), 0);
+    const changed = this.select(null, modelId).filter(product =>
+      (product.flags & mask) !== 0 || (names.includes('color') && product.color));
+    for (const product of changed) {
+      product.flags &= ~mask;
+      if (names.includes('color')) product.color = null;
+    }
+    this.draw(changed);
+  }
+
+  /**
+   * Labels of the products having a flag set
+   */
+  getLabels(flag: StateFlag, modelId?: string): number[] {
+    const labels = new Set<number>();
+    this.select(null, modelId).forEach((product) => {
+      if (hasFlag(product, flag)) labels.add(product.productLabel);
+    });
+    return Array.from(labels);
+  }
+
+  /**
+   * Highlights the product of a mesh or instance under the pointer (null for none)
+   */
+  setHovered(element: ElementHit | null) {
+    const product = element ? this.getProduct(element.mesh, element.instanceId) : null;
+    if (product === this.hovered) return;
+    const previous = this.hovered;
+    this.hovered = product;
+    this.draw([previous, product].filter((entry): entry is ProductEntry => entry !== null));
+  }
+
+  /**
+   * Whether the product of a mesh or instance has a flag set
+   */
+  hasFlag(mesh: THREE.Mesh, instanceId: number | undefined, flag: StateFlag): boolean {
+    const product = this.getProduct(mesh, instanceId);
+    return product ? hasFlag(product, flag) : false;
+  }
+
+  /**
+   * Material a mesh is drawn with when neither highlighted, see-through nor hidden (its
+   * loader material, or a variant in its custom color)
+   */
+  getRestingMaterial(mesh: THREE.Mesh): THREE.Material | THREE.Material[] {
+    const base = this.baseMaterials.get(mesh) ?? mesh.material;
+    const color = isMultiElementMesh(mesh) ? null : this.getProduct(mesh)?.color;
+    if (!color) return base;
+    const appearance = { ...AS_LOADED, color };
+    return mapMaterials(base, material => this.getVariant(material, appearance));
+  }
+
+  /**
+   * Matrix of an instance, also while it is hidden
+   */
+  getInstanceMatrix(mesh: MultiElementMesh, instanceId: number, target: THREE.Matrix4): THREE.Matrix4 {
+    const hidden = mesh instanceof THREE.InstancedMesh && this.hiddenMatrices.get(mesh)?.get(instanceId);
+    if (hidden) return target.copy(hidden);
+    mesh.getMatrixAt(instanceId, target);
+    return target;
+  }
+
+  /**
+   * Draws all models as loaded and disposes everything made for them
+   */
+  dispose() {
+    [...this.models.keys()].forEach(modelId => this.remove(modelId));
+  }
+
+  private select(selector: ElementSelector, modelId?: string): ProductEntry[] {
+    const products: ProductEntry[] = [];
+    this.models.forEach((model, id) => {
+      if (modelId !== undefined && id !== modelId) return;
+      if (selector === null) {
+        products.push(...model.products.values());
+      } else if (typeof selector === 'function') {
+        model.products.forEach(product => selector(product) && products.push(product));
+      } else {
+        selector.forEach((label) => {
+          const product = model.products.get(label);
+          if (product) products.push(product);
+        });
+      }
+    });
+    return products;
+  }
+
+  private getProduct(mesh: THREE.Mesh, instanceId?: number): ProductEntry | null {
+    const identity = isMultiElementMesh(mesh)
+      ? instanceId !== undefined ? mesh.userData.instances[instanceId] as WexBIMProductIdentity | undefined : undefined
+      : mesh.userData as WexBIMProductIdentity;
+    if (identity?.productLabel === undefined) return null;
+    return this.models.get(mesh.userData.modelId)?.products.get(identity.productLabel) ?? null;
+  }
+
+  private getAppearance(product: ProductEntry): Appearance {
+    const { selectionColor, hoverColor, xray } = this.settings;
+    const highlight = hasFlag(product, 'selected') ? selectionColor
+      : hasFlag(product, 'highlighted') || product === this.hovered ? hoverColor
+      : null;
+    const ghosted = !highlight && hasFlag(product, 'ghosted');
+    const opacity = highlight ? 1 : ghosted ? GHOST_OPACITY : hasFlag(product, 'xray') || xray ? XRAY_OPACITY : 1;
+    return {
+      visible: !hasFlag(product, 'hidden'),
+      color: ghosted ? GHOST_COLOR : product.color,
+      highlight,
+      opacity,
+    };
+  }
+
+  private draw(products: Iterable<ProductEntry>, asLoaded = false) {
+    const multiElementMeshes = new Set<MultiElementMesh>();
+    for (const product of products) {
+      const appearance = asLoaded ? AS_LOADED : this.getAppearance(product);
+      for (const { mesh, instanceId } of product.elements) {
+        if (isMultiElementMesh(mesh) && instanceId !== undefined) {
+          this.drawInstance(mesh, instanceId, appearance);
+          multiElementMeshes.add(mesh);
+        } else {
+          this.drawMesh(mesh, appearance);
+        }
+      }
+    }
+    multiElementMeshes.forEach(mesh => this.updateMultiElementMesh(mesh));
+  }
+
+  private drawMesh(mesh: THREE.Mesh, appearance: Appearance) {
+    mesh.visible = appearance.visible;
+    const base = this.baseMaterials.get(mesh) ?? mesh.material;
+    if (isAsLoaded(appearance)) {
+      mesh.material = base;
+      this.baseMaterials.delete(mesh);
+      return;
+    }
+    this.baseMaterials.set(mesh, base);
+    mesh.material = mapMaterials(base, material => this.getVariant(material, appearance));
+  }
+
+  private drawInstance(mesh: MultiElementMesh, instanceId: number, appearance: Appearance) {
+    const { visible, color, highlight, opacity } = appearance;
+    const base = this.baseMaterials.get(mesh) ?? mesh.material;
+
+    // Instance colors multiply the material color: highlights tint it, other colors replace it
+    let tint = highlight ?? NO_TINT;
+    if (color && !highlight) {
+      const materialColor = getMaterialColor(Array.isArray(base) ? base[0] : base);
+      tint = new THREE.Color(
+        color.r / Math.max(materialColor.r, 1e-3),
+        color.g / Math.max(materialColor.g, 1e-3),
+        color.b / Math.max(materialColor.b, 1e-3)
+      );
+    }
+
+    if (mesh instanceof THREE.BatchedMesh) {
+      mesh.setVisibleAt(instanceId, visible);
+      // Batch colors are stored as RGBA and the shader only uses RGB, so the alpha carries the
+      // opacity (the typings only allow a Color, which leaves the alpha alone)
+      mesh.setColorAt(instanceId, new THREE.Vector4(tint.r, tint.g, tint.b, opacity) as unknown as THREE.Color);
+    } else {
+      this.setInstanceVisible(mesh, instanceId, visible);
+      mesh.setColorAt(instanceId, tint);
+      this.setInstanceOpacity(mesh, instanceId, opacity);
+    }
+
+    let faded = this.fadedInstances.get(mesh);
+    if (opacity < 1) {
+      if (!faded) {
+        faded = new Set();
+        this.fadedInstances.set(mesh, faded);
+      }
+      faded.add(instanceId);
+    } else if (faded?.delete(instanceId) && faded.size === 0) {
+      this.fadedInstances.delete(mesh);
+    }
+  }
+
+  /**
+   * Uploads changed instances, and draws the mesh see-through while any instance is
+   */
+  private updateMultiElementMesh(mesh: MultiElementMesh) {
+    if (mesh instanceof THREE.InstancedMesh) {
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    }
+
+    const base = this.baseMaterials.get(mesh) ?? mesh.material;
+    const opacity = mesh instanceof THREE.InstancedMesh ? this.opacityTextures.get(mesh) : undefined;
+    if (!this.fadedInstances.has(mesh)) {
+      if (mesh.material !== base) {
+        // Materials of instanced meshes hold their opacity texture, so they are not shared
+        if (opacity) mapMaterials(mesh.material, material => material.dispose());
+        mesh.material = base;
+        this.baseMaterials.delete(mesh);
+      }
+      if (opacity && mesh instanceof THREE.InstancedMesh) {
+        opacity.texture.dispose();
+        this.opacityTextures.delete(mesh);
+      }
+      return;
+    }
+    if (mesh.material !== base) return;
+
+    this.baseMaterials.set(mesh, base);
+    mesh.material = opacity
+      ? mapMaterials(base, material => createOpacityMaterial(material, opacity.texture))
+      : mapMaterials(base, material => this.getVariant(material, null));
+  }
+
+  private setInstanceVisible(mesh: THREE.InstancedMesh, instanceId: number, visible: boolean) {
+    let hidden = this.hiddenMatrices.get(mesh);
+    if (visible) {
+      const original = hidden?.get(instanceId);
+      if (!original || !hidden) return;
+      mesh.setMatrixAt(instanceId, original);
+      hidden.delete(instanceId);
+      if (hidden.size === 0) this.hiddenMatrices.delete(mesh);
+    } else {
+      if (!hidden) {
+        hidden = new Map();
+        this.hiddenMatrices.set(mesh, hidden);
+      }
+      if (hidden.has(instanceId)) return;
+      const original = new THREE.Matrix4();
+      mesh.getMatrixAt(instanceId, original);
+      hidden.set(instanceId, original);
+      mesh.setMatrixAt(instanceId, HIDDEN_INSTANCE_MATRIX);
+    }
+  }
+
+  private setInstanceOpacity(mesh: THREE.InstancedMesh, instanceId: number, opacity: number) {
+    let entry = this.opacityTextures.get(mesh);
+    if (!entry) {
+      if (opacity === 1) return;
+      entry = createOpacityTexture(mesh.count);
+      this.opacityTextures.set(mesh, entry);
+    }
+    entry.data[instanceId] = opacity;
+    entry.texture.needsUpdate = true;
+  }
+
+  /**
+   * Shared variant of a loader material for an appearance, or (null) for batched meshes
+   * with see-through instances
+   */
+  private getVariant(base: THREE.Material, appearance: Appearance | null): THREE.Material {
+    const key = appearance
+      ? `${appearance.color?.getHexString() ?? ''}/${appearance.highlight?.getHexString() ?? ''}/${appearance.opacity}`
+      : 'batch-opacity';
+    let variants = this.variants.get(base);
+    if (!variants) {
+      variants = new Map();
+      this.variants.set(base, variants);
+    }
+    let variant = variants.get(key);
+    if (!variant) {
+      variant = appearance ? createVariant(base, appearance) : createOpacityMaterial(base, null);
+      variants.set(key, variant);
+    }
+    return variant;
+  }
+}
+
+function hasFlag(product: ProductEntry, flag: StateFlag): boolean {
+  return (product.flags & FLAGS[flag]) !== 0;
+}
+
+function isAsLoaded({ visible, color, highlight, opacity }: Appearance): boolean {
+  return visible && !color && !highlight && opacity === 1;
+}
+
+function mapMaterials<T>(
+  materials: THREE.Material | THREE.Material[],
+  callback: (material: THREE.Material) => T
+): T | T[] {
+  return Array.isArray(materials) ? materials.map(callback) : callback(materials);
+}
+
+function isLitMaterial(
+  material: THREE.Material
+): material is THREE.MeshStandardMaterial | THREE.MeshPhongMaterial | THREE.MeshLambertMaterial {
+  return material instanceof THREE.MeshStandardMaterial ||
+    material instanceof THREE.MeshPhongMaterial ||
+    material instanceof THREE.MeshLambertMaterial;
+}
+
+function getMaterialColor(material: THREE.Material): THREE.Color {
+  return 'color' in material && material.color instanceof THREE.Color ? material.color : NO_TINT;
+}
+
+/**
+ * Copy of a loader material with a color, highlight and opacity
+ */
+function createVariant(base: THREE.Material, { color, highlight, opacity }: Appearance): THREE.Material {
+  const material = base.clone();
+  const materialColor = getMaterialColor(material);
+  if (color && materialColor !== NO_TINT) {
+    materialColor.copy(color);
+    if (isLitMaterial(material)) material.emissive.copy(color).multiplyScalar(0.1);
+  }
+  if (highlight) {
+    if (isLitMaterial(material)) {
+      material.emissive.copy(highlight);
+      material.emissiveIntensity = 0.5;
+    } else if (materialColor !== NO_TINT) {
+      materialColor.copy(highlight);
+    }
+  }
+  if (opacity < 1) {
+    material.transparent = true;
+    material.opacity = Math.min(material.opacity, opacity);
+    material.depthWrite = false;
+  }
+  return material;
+}
+
+function createOpacityTexture(count: number): OpacityTexture {
+  const size = Math.max(1, Math.ceil(Math.sqrt(count)));
+  const data = new Float32Array(size * size).fill(1);
+  const texture = new THREE.DataTexture(data, size, size, THREE.RedFormat, THREE.FloatType);
+  texture.needsUpdate = true;
+  return { texture, data };
+}
+
+// Per-instance opacity: the shader multiplies the fragment alpha by `vElementOpacity`
+const INSTANCE_OPACITY_VERTEX = /* glsl */ `
+  {
+    int size = textureSize( elementOpacityTexture, 0 ).x;
+    vElementOpacity = texelFetch( elementOpacityTexture, ivec2( gl_InstanceID % size, gl_InstanceID / size ), 0 ).r;
+  }
+`;
+
+const BATCH_OPACITY_VERTEX = /* glsl */ `
+  #ifdef USE_BATCHING_COLOR
+    {
+      int size = textureSize( batchingColorTexture, 0 ).x;
+      int j = int( getIndirectIndex( gl_DrawID ) );
+      vElementOpacity = texelFetch( batchingColorTexture, ivec2( j % size, j / size ), 0 ).a;
+    }
+  #else
+    vElementOpacity = 1.0;
+  #endif
+`;
+
+/**
+ * See-through copy of a loader material whose shader takes the opacity of each instance
+ * from `texture` (instanced meshes), or from the alpha of the batch colors (no texture)
+ */
+function createOpacityMaterial(base: THREE.Material, texture: THREE.DataTexture | null): THREE.Material {
+  const material = base.clone();
+  material.transparent = true;
+  material.depthWrite = false;
+  const kind = texture ? 'instance' : 'batch';
+  material.customProgramCacheKey = () => `wex-${kind}-opacity`;
+  material.onBeforeCompile = (shader) => {
+    if (texture) shader.uniforms.elementOpacityTexture = { value: texture };
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>
+${texture ? 'uniform highp sampler2D elementOpacityTexture;' : ''}
+varying float vElementOpacity;`)
+      .replace('#include <color_vertex>', `#include <color_vertex>
+${texture ? INSTANCE_OPACITY_VERTEX : BATCH_OPACITY_VERTEX}`);
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>
+varying float vElementOpacity;`)
+      .replace('#include <opaque_fragment>', `diffuseColor.a *= vElementOpacity;
+#include <opaque_fragment>`);
+  };
+  return material;
+}
@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { getProductTypeName } from '../loaders/wexbim/wexBimProductTypes.js';
+import { isMultiElementMesh } from './picking';
+import type { MultiElementMesh } from './picking';
+import type { WexBIMProductIdentity } from '../types';
+
+// GLB export of loaded models. Instanced meshes stay instanced (EXT_mesh_gpu_instancing),
+// materials are shared per style, and the product identity of every element ends up in
+// the glTF `extras` of its node: `{ productLabel, instanceLabel, productType, styleId, typeName }`
+// for a mesh, and an `instances` array of those (in instance order) for an instanced mesh.
+// glTF has no batched meshes, so those are split back into a mesh (or instanced mesh) per geometry.
+
+/** Product identity written to glTF `extras` */
+export interface GLBProductExtras extends WexBIMProductIdentity {
+  /** IFC class name of the product type, when known */
+  typeName?: string;
+}
+
+export interface GLBExportOptions {
+  /** Elements to export; all elements by default */
+  filter?: (identity: WexBIMProductIdentity, mesh: THREE.Mesh, instanceId?: number) => boolean;
+  /** Material to export for a mesh, for scenes showing temporary materials (defaults to `mesh.material`) */
+  getMaterial?: (mesh: THREE.Mesh) => THREE.Material | THREE.Material[];
+  /** Matrix to export for an instance, for scenes that move instances away (defaults to `getMatrixAt`) */
+  getInstanceMatrix?: (mesh: MultiElementMesh, instanceId: number, target: THREE.Matrix4) => THREE.Matrix4;
+}
+
+/**
+ * Exports the product meshes below `root` (a model scene, or a whole viewer scene) to GLB.
+ * Positions are relative to `root`, in Three.js coordinates (Y-up, model units).
+ */
+export async function exportGLB(root: THREE.Object3D, options: GLBExportOptions = {}): Promise<ArrayBuffer> {
+  const {
+    filter = () => true,
+    getMaterial = (mesh: THREE.Mesh) => mesh.material,
+    getInstanceMatrix = (mesh: MultiElementMesh, instanceId: number, target: THREE.Matrix4) => {
+      mesh.getMatrixAt(instanceId, target);
+      return target;
+    },
+  } = options;
+
+  root.updateMatrixWorld(true);
+  const rootInverse = root.matrixWorld.clone().invert();
+  const output = new THREE.Group();
+  output.name = root.name || 'model';
+  // A model scene keeps its file header (units, local WCS)
+  if (root.userData.header) output.userData = { header: root.userData.header };
+
+  const meshes: THREE.Mesh[] = [];
+  root.traverse((child) => {
+    if (child instanceof THREE.Mesh) meshes.push(child);
+  });
+
+  for (const mesh of meshes) {
+    const matrix = rootInverse.clone().multiply(mesh.matrixWorld);
+    const material = getMaterial(mesh);
+
+    if (isMultiElementMesh(mesh)) {
+      const instances = mesh.userData.instances as WexBIMProductIdentity[];
+      const kept = instances.map((_, instanceId) => instanceId)
+        .filter(instanceId => filter(instances[instanceId], mesh, instanceId));
+
+      // Kept instances by the geometry they place
+      const byGeometry = new Map<THREE.BufferGeometry, number[]>();
+      const batchGeometries = new Map<number, THREE.BufferGeometry>();
+      for (const instanceId of kept) {
+        let geometry = mesh.geometry;
+        if (mesh instanceof THREE.BatchedMesh) {
+          const geometryId = mesh.getGeometryIdAt(instanceId);
+          geometry = batchGeometries.get(geometryId) ?? extractBatchGeometry(mesh, geometryId);
+          batchGeometries.set(geometryId, geometry);
+        }
+        byGeometry.set(geometry, [...(byGeometry.get(geometry) ?? []), instanceId]);
+      }
+
+      const instanceMatrix = new THREE.Matrix4();
+      byGeometry.forEach((instanceIds, geometry) => {
+        if (mesh instanceof THREE.BatchedMesh && instanceIds.length === 1) {
+          // A geometry placed once is a plain mesh, as the loader creates it without batching
+          const identity = instances[instanceIds[0]];
+          const placement = matrix.clone().multiply(getInstanceMatrix(mesh, instanceIds[0], instanceMatrix));
+          output.add(createProductMesh(geometry, material, identity, placement));
+          return;
+        }
+
+        const instanced = new THREE.InstancedMesh(geometry, material, instanceIds.length);
+        instanceIds.forEach((instanceId, i) => {
+          instanced.setMatrixAt(i, getInstanceMatrix(mesh, instanceId, instanceMatrix));
+        });
+        instanced.userData = { instances: instanceIds.map(instanceId => getProductExtras(instances[instanceId])) };
+        matrix.decompose(instanced.position, instanced.quaternion, instanced.scale);
+        output.add(instanced);
+      });
+    } else if (mesh.userData.productLabel !== undefined) {
+      const identity = mesh.userData as WexBIMProductIdentity;
+      if (filter(identity, mesh)) {
+        output.add(createProductMesh(mesh.geometry, material, identity, matrix));
+      }
+    }
+  }
+
+  const exporter = new GLTFExporter();
+  return await exporter.parseAsync(output, { binary: true, onlyVisible: false }) as ArrayBuffer;
+}
+
+/**
+ * A mesh of a single element, named after its product
+ */
+function createProductMesh(
+  geometry: THREE.BufferGeometry,
+  material: THREE.Material | THREE.Material[],
+  identity: WexBIMProductIdentity,
+  matrix: THREE.Matrix4
+): THREE.Mesh {
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.userData = getProductExtras(identity);
+  mesh.name = `${mesh.userData.typeName ?? 'Product'} #${identity.productLabel}`;
+  matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+  return mesh;
+}
+
+/**
+ * Copies one geometry out of the shared buffers of a batched mesh
+ */
+function extractBatchGeometry(mesh: THREE.BatchedMesh, geometryId: number): THREE.BufferGeometry {
+  const { vertexStart, vertexCount, indexStart, indexCount } = mesh.getGeometryRangeAt(geometryId)!;
+  const geometry = new THREE.BufferGeometry();
+
+  for (const [name, attribute] of Object.entries(mesh.geometry.attributes)) {
+    const { array, itemSize, normalized } = attribute as THREE.BufferAttribute;
+    geometry.setAttribute(name, new THREE.BufferAttribute(
+      array.slice(vertexStart * itemSize, (vertexStart + vertexCount) * itemSize), itemSize, normalized
+    ));
+  }
+
+  // Batched indices point into the shared vertex buffer
+  const batchIndex = mesh.geometry.getIndex();
+  if (batchIndex) {
+    const index = new Uint32Array(indexCount);
+    for (let i = 0; i < indexCount; i++) {
+      index[i] = batchIndex.getX(indexStart + i) - vertexStart;
+    }
+    geometry.setIndex(new THREE.BufferAttribute(index, 1));
+  }
+  return geometry;
+}
+
+/**
+ * The identity fields of a mesh or instance (leaving out viewer bookkeeping such as `modelId`)
+ */
+function getProductExtras(identity: WexBIMProductIdentity): GLBProductExtras {
+  const { productLabel, instanceLabel, productType, styleId } = identity;
+  const typeName = getProductTypeName(productType);
+  return typeName
+    ? { productLabel, instanceLabel, productType, styleId, typeName }
+    : { productLabel, instanceLabel, productType, styleId };
+}
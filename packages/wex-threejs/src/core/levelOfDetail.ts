@@ -0,0 +1,283 @@
+import * as THREE from 'three';
+import {
+  DEFAULT_LEVEL_OF_DETAIL_SETTINGS,
+  type LevelOfDetailSettings,
+  type LevelOfDetailStats,
+} from '../types';
+import type { WexBIMRegion } from '../loaders/wexbim/wexBimLoader.js';
+
+// Level of detail for loaded models. Once per frame, regions (the `region-<index>` groups of
+// the loader) whose bounding box is outside the view are hidden as a whole, and meshes of the
+// remaining regions that are smaller on screen than a threshold are skipped. Instanced and
+// batched meshes are judged by the bounds of all their instances. While the camera moves
+// (navigation mode) the threshold is raised, and detail comes back once it has been idle.
+
+/** Layer of skipped meshes; the camera and raycasting only see layer 0, so they are neither drawn nor picked */
+const SKIPPED_LAYER = 31;
+
+interface MeshEntry {
+  mesh: THREE.Mesh;
+  /** Bounds relative to the model root */
+  sphere: THREE.Sphere;
+  /** Layers of the mesh while it is drawn */
+  layers: number;
+  skipped: boolean;
+}
+
+interface RegionEntry {
+  /** Region group, or the model root for meshes outside any region */
+  group: THREE.Object3D;
+  /** Bounds relative to the model root; null for meshes outside any region */
+  box: THREE.Box3 | null;
+  meshes: MeshEntry[];
+  culled: boolean;
+}
+
+interface ModelEntry {
+  regions: Map<THREE.Object3D, RegionEntry>;
+  indexed: WeakMap<THREE.Mesh, MeshEntry>;
+}
+
+/**
+ * Region culling, small-element culling and navigation mode for the models of a viewer
+ */
+export class LevelOfDetail {
+  readonly settings: LevelOfDetailSettings;
+  private models = new Map<THREE.Object3D, ModelEntry>();
+  private navigating = false;
+  private lastMoveTime = -Infinity;
+  private cameraMatrix = new THREE.Matrix4();
+  private projectionMatrix = new THREE.Matrix4();
+  /** Pixel ratio to restore after navigation, when it was lowered */
+  private restingPixelRatio: number | null = null;
+  /** Models were added or settings changed since the last update */
+  private dirty = true;
+
+  constructor(settings: Partial<LevelOfDetailSettings> = {}) {
+    this.settings = { ...DEFAULT_LEVEL_OF_DETAIL_SETTINGS, ...settings };
+  }
+
+  /**
+   * Changes settings; everything is drawn again when level of detail is disabled
+   */
+  configure(settings: Partial<LevelOfDetailSettings>) {
+    Object.assign(this.settings, settings);
+    if (!this.settings.enabled) this.restoreAll();
+    this.dirty = true;
+  }
+
+  /**
+   * Starts managing a model scene, or the meshes added to it since the last call
+   * (streaming loads grow their scene region by region)
+   */
+  add(root: THREE.Object3D) {
+    let model = this.models.get(root);
+    if (!model) {
+      model = { regions: new Map(), indexed: new WeakMap() };
+      this.models.set(root, model);
+    }
+
+    root.updateMatrixWorld(true);
+    const rootInverse = root.matrixWorld.clone().invert();
+    const matrix = new THREE.Matrix4();
+
+    root.traverse((child) => {
+      if (!(child instanceof THREE.Mesh)) return;
+      // Batched meshes grow while a model streams in, so their bounds are taken again
+      const indexed = model.indexed.get(child);
+      if (indexed && !(child instanceof THREE.BatchedMesh)) return;
+
+      const region = this.getRegion(model, root, child);
+      const sphere = getBoundingSphere(child).applyMatrix4(matrix.multiplyMatrices(rootInverse, child.matrixWorld));
+      // File bounds may be loose or missing; make sure the region box holds its meshes
+      if (region.box) region.box.union(sphere.getBoundingBox(new THREE.Box3()));
+      if (indexed) {
+        indexed.sphere = sphere;
+        return;
+      }
+      const entry = { mesh: child, sphere, layers: child.layers.mask, skipped: false };
+      model.indexed.set(child, entry);
+      region.meshes.push(entry);
+    });
+    this.dirty = true;
+  }
+
+  /**
+   * Stops managing a model scene and draws all of it again
+   */
+  remove(root: THREE.Object3D) {
+    const model = this.models.get(root);
+    if (!model) return;
+    model.regions.forEach(region => restoreRegion(region));
+    this.models.delete(root);
+  }
+
+  /**
+   * Updates what is drawn for the camera; call before rendering each frame
+   */
+  update(camera: THREE.Camera, renderer: THREE.WebGLRenderer) {
+    if (!this.settings.enabled) return;
+
+    // Navigation mode lasts from the first camera movement until the camera has been idle
+    camera.updateMatrixWorld();
+    const now = performance.now();
+    const moved = !camera.matrixWorld.equals(this.cameraMatrix) ||
+      !camera.projectionMatrix.equals(this.projectionMatrix);
+    if (moved) {
+      this.cameraMatrix.copy(camera.matrixWorld);
+      this.projectionMatrix.copy(camera.projectionMatrix);
+      this.lastMoveTime = now;
+    }
+    const navigating = this.settings.navigationMode && now - this.lastMoveTime < this.settings.idleDelay;
+    if (navigating !== this.navigating) {
+      this.setNavigating(navigating, renderer);
+    } else if (!moved && !this.dirty) {
+      return;
+    }
+    this.dirty = false;
+
+    const minPixelSize = navigating ? this.settings.navigationMinPixelSize : this.settings.minPixelSize;
+    const viewportHeight = renderer.getSize(new THREE.Vector2()).y;
+    const frustum = new THREE.Frustum();
+    const modelView = new THREE.Matrix4();
+    const cameraPosition = new THREE.Vector3();
+
+    this.models.forEach((model, root) => {
+      // Placements may have changed since the last frame
+      root.updateWorldMatrix(true, false);
+      // Test in model coordinates, so the bounds of a model never need transforming
+      modelView.multiplyMatrices(camera.matrixWorldInverse, root.matrixWorld);
+      frustum.setFromProjectionMatrix(modelView.premultiply(camera.projectionMatrix));
+      cameraPosition.setFromMatrixPosition(camera.matrixWorld).applyMatrix4(root.matrixWorld.clone().invert());
+      const scale = root.matrixWorld.getMaxScaleOnAxis();
+
+      model.regions.forEach((region) => {
+        const culled = this.settings.cullRegions && region.box !== null && !frustum.intersectsBox(region.box);
+        if (culled !== region.culled) {
+          region.culled = culled;
+          region.group.visible = !culled;
+        }
+        // Meshes of a hidden region keep their state until it is in view again
+        if (culled) return;
+
+        for (const entry of region.meshes) {
+          const size = getPixelSize(entry.sphere, scale, cameraPosition, camera, viewportHeight);
+          setSkipped(entry, size < minPixelSize);
+        }
+      });
+    });
+  }
+
+  /**
+   * Number of regions and meshes, and how many are not drawn
+   */
+  getStats(): LevelOfDetailStats {
+    const stats: LevelOfDetailStats = { regions: 0, culledRegions: 0, meshes: 0, skippedMeshes: 0, navigating: this.navigating };
+    this.models.forEach(model => model.regions.forEach((region) => {
+      if (region.box) {
+        stats.regions++;
+        if (region.culled) stats.culledRegions++;
+      }
+      stats.meshes += region.meshes.length;
+      if (!region.culled) {
+        stats.skippedMeshes += region.meshes.filter(entry => entry.skipped).length;
+      }
+    }));
+    return stats;
+  }
+
+  /**
+   * Draws everything again and forgets all models
+   */
+  dispose() {
+    this.restoreAll();
+    this.models.clear();
+  }
+
+  private getRegion(model: ModelEntry, root: THREE.Object3D, mesh: THREE.Mesh): RegionEntry {
+    // Region groups are direct children of the model root
+    let group: THREE.Object3D = root;
+    for (let object: THREE.Object3D | null = mesh; object && object !== root; object = object.parent) {
+      if (object.parent === root && object.userData.regionIndex !== undefined) group = object;
+    }
+
+    let region = model.regions.get(group);
+    if (!region) {
+      const bounds = (group.userData.region as WexBIMRegion | undefined)?.BoundingBox;
+      region = {
+        group,
+        box: group === root ? null : bounds ? new THREE.Box3().setFromArray(bounds) : new THREE.Box3(),
+        meshes: [],
+        culled: false,
+      };
+      model.regions.set(group, region);
+    }
+    return region;
+  }
+
+  private setNavigating(navigating: boolean, renderer: THREE.WebGLRenderer) {
+    this.navigating = navigating;
+    const { navigationPixelRatio } = this.settings;
+
+    if (navigating && navigationPixelRatio !== null && renderer.getPixelRatio() > navigationPixelRatio) {
+      this.restingPixelRatio = renderer.getPixelRatio();
+      renderer.setPixelRatio(navigationPixelRatio);
+    } else if (!navigating && this.restingPixelRatio !== null) {
+      renderer.setPixelRatio(this.restingPixelRatio);
+      this.restingPixelRatio = null;
+    }
+  }
+
+  private restoreAll() {
+    this.models.forEach(model => model.regions.forEach(region => restoreRegion(region)));
+  }
+}
+
+/**
+ * Bounds of a mesh in its own coordinates, including all instances of instanced and batched meshes
+ */
+function getBoundingSphere(mesh: THREE.Mesh): THREE.Sphere {
+  if (mesh instanceof THREE.InstancedMesh || mesh instanceof THREE.BatchedMesh) {
+    mesh.computeBoundingSphere();
+    return mesh.boundingSphere!.clone();
+  }
+  if (!mesh.geometry.boundingSphere) mesh.geometry.computeBoundingSphere();
+  return mesh.geometry.boundingSphere!.clone();
+}
+
+/**
+ * On-screen diameter in CSS pixels of a sphere in model coordinates
+ */
+function getPixelSize(
+  sphere: THREE.Sphere,
+  scale: number,
+  cameraPosition: THREE.Vector3,
+  camera: THREE.Camera,
+  viewportHeight: number
+): number {
+  const radius = sphere.radius * scale;
+  if (camera instanceof THREE.OrthographicCamera) {
+    return (2 * radius * camera.zoom * viewportHeight) / (camera.top - camera.bottom);
+  }
+  if (!(camera instanceof THREE.PerspectiveCamera)) return Infinity;
+
+  const distance = sphere.center.distanceTo(cameraPosition) * scale;
+  // Never skip what the camera is inside of
+  if (distance <= radius) return Infinity;
+  const halfFov = THREE.MathUtils.degToRad(camera.fov) / 2;
+  return (radius * camera.zoom * viewportHeight) / (distance * Math.tan(halfFov));
+}
+
+function setSkipped(entry: MeshEntry, skipped: boolean) {
+  if (skipped === entry.skipped) return;
+  entry.skipped = skipped;
+  entry.mesh.layers.mask = skipped ? 1 << SKIPPED_LAYER : entry.layers;
+}
+
+function restoreRegion(region: RegionEntry) {
+  if (region.culled) {
+    region.culled = false;
+    region.group.visible = true;
+  }
+  region.meshes.forEach(entry => setSkipped(entry, false));
+}
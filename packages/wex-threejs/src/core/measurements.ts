@@ -0,0 +1,491 @@
+import * as THREE from 'three';
+import {
+  DEFAULT_MEASUREMENT_OPTIONS,
+  type LengthUnit,
+  type Measurement,
+  type MeasurementOptions,
+  type MeasurementType,
+  type SnapType,
+} from '../types';
+import { renderOverlay } from './clipping';
+
+// Measurements: distances, polylines, angles and face areas between points picked on elements.
+// Points snap to the vertices and edge midpoints of the picked triangle when they are close on
+// screen, and to the face otherwise. Lines and points are drawn over the scene without clipping;
+// labels are HTML elements over the canvas, in the units of the model the first point is on.
+
+/** Points each type of measurement takes; a polyline takes any number, finished by `finish` */
+const POINT_COUNTS: Record<MeasurementType, number> = {
+  distance: 2,
+  polyline: Infinity,
+  angle: 3,
+  area: 1,
+};
+
+/** Decimals shown for the common length units */
+const DECIMALS: Record<LengthUnit, number> = { mm: 0, cm: 1, m: 3, in: 2, ft: 3 };
+
+/** Colors of the snap marker */
+const SNAP_COLORS: Record<SnapType, string> = {
+  vertex: '#f44336',
+  midpoint: '#00bcd4',
+  face: '#ffffff',
+};
+
+/**
+ * A raycast hit on an element, as found by the viewer
+ */
+export interface MeasurementHit {
+  mesh: THREE.Mesh;
+  instanceId?: number;
+  face?: THREE.Face | null;
+  point: THREE.Vector3;
+}
+
+/**
+ * A picked point, snapped to the geometry under it
+ */
+export interface SnapPoint {
+  position: THREE.Vector3;
+  snap: SnapType;
+  hit: MeasurementHit;
+}
+
+/**
+ * Units of a model: its length unit, and viewer units per model unit
+ */
+export interface ModelUnits {
+  unit?: LengthUnit;
+  scale: number;
+}
+
+interface Drawing {
+  measurement: Measurement;
+  group: THREE.Group;
+  label: HTMLDivElement | null;
+  /** Where the label goes */
+  anchor: THREE.Vector3;
+}
+
+/**
+ * Snaps a hit to a vertex or an edge midpoint of its triangle within `snapDistance` CSS pixels,
+ * and to the hit point otherwise
+ */
+export function getSnapPoint(
+  hit: MeasurementHit,
+  camera: THREE.Camera,
+  viewportSize: THREE.Vector2,
+  snapDistance: number
+): SnapPoint {
+  const triangle = hit.face ? getWorldTriangle(hit.mesh, hit.face, hit.instanceId) : null;
+  if (!triangle) return { position: hit.point.clone(), snap: 'face', hit };
+
+  const toScreen = (point: THREE.Vector3) => {
+    const ndc = point.clone().project(camera);
+    return new THREE.Vector2((ndc.x + 1) * viewportSize.x / 2, (1 - ndc.y) * viewportSize.y / 2);
+  };
+  const pointer = toScreen(hit.point);
+  const nearest = (candidates: THREE.Vector3[]) => {
+    let best: THREE.Vector3 | null = null;
+    let bestDistance = snapDistance;
+    for (const candidate of candidates) {
+      const distance = toScreen(candidate).distanceTo(pointer);
+      if (distance <= bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  };
+
+  const { a, b, c } = triangle;
+  const vertex = nearest([a, b, c]);
+  if (vertex) return { position: vertex.clone(), snap: 'vertex', hit };
+  const midpoint = nearest([
+    a.clone().lerp(b, 0.5),
+    b.clone().lerp(c, 0.5),
+    c.clone().lerp(a, 0.5),
+  ]);
+  if (midpoint) return { position: midpoint, snap: 'midpoint', hit };
+  return { position: hit.point.clone(), snap: 'face', hit };
+}
+
+/**
+ * Measurements of a viewer, and the one being taken
+ */
+export class Measurements {
+  readonly options: Required<MeasurementOptions>;
+  private mode: MeasurementType | null = null;
+  private drawings = new Map<string, Drawing>();
+  private counter = 0;
+  /** Points of the measurement being taken */
+  private pending: SnapPoint[] = [];
+  private preview: SnapPoint | null = null;
+  private container: HTMLElement | null = null;
+  /** The measurements, drawn after the scene and without clipping */
+  private overlay = new THREE.Scene();
+  private pendingGroup = new THREE.Group();
+  private pendingLabel: HTMLDivElement | null = null;
+  private snapMarker: THREE.Points<THREE.BufferGeometry, THREE.PointsMaterial>;
+  private lineMaterial: THREE.LineBasicMaterial;
+  private pointMaterial: THREE.PointsMaterial;
+  private areaMaterial: THREE.MeshBasicMaterial;
+
+  /** Units of a model, for labels and values */
+  private getUnits: (modelId?: string) => ModelUnits | undefined;
+
+  constructor(options: MeasurementOptions = {}, getUnits: (modelId?: string) => ModelUnits | undefined) {
+    this.options = { ...DEFAULT_MEASUREMENT_OPTIONS, ...options };
+    this.getUnits = getUnits;
+    const { color } = this.options;
+    this.lineMaterial = new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true });
+    this.pointMaterial = new THREE.PointsMaterial({ color, size: 8, sizeAttenuation: false, depthTest: false, transparent: true });
+    this.areaMaterial = new THREE.MeshBasicMaterial({
+      color, transparent: true, opacity: 0.35, side: THREE.DoubleSide, depthTest: false, depthWrite: false,
+    });
+    this.snapMarker = new THREE.Points(
+      new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0], 3)),
+      new THREE.PointsMaterial({ size: 12, sizeAttenuation: false, depthTest: false, transparent: true })
+    );
+    this.snapMarker.renderOrder = 1;
+    this.snapMarker.visible = false;
+    this.overlay.add(this.pendingGroup, this.snapMarker);
+  }
+
+  /**
+   * Shows labels in an element over the canvas
+   */
+  mount(container: HTMLElement) {
+    this.container = container;
+    this.drawings.forEach((drawing) => {
+      drawing.label = this.createLabel(drawing.measurement.label);
+    });
+  }
+
+  /**
+   * Starts taking measurements of a type (null stops); drops a measurement being taken
+   */
+  setMode(mode: MeasurementType | null) {
+    this.cancel();
+    this.mode = mode;
+    if (!mode) this.setPreview(null);
+  }
+
+  getMode(): MeasurementType | null {
+    return this.mode;
+  }
+
+  /**
+   * Shows where a click would put the next point (null hides it)
+   */
+  setPreview(point: SnapPoint | null) {
+    this.preview = point;
+    this.snapMarker.visible = point !== null;
+    if (point) {
+      this.snapMarker.position.copy(point.position);
+      this.snapMarker.material.color.set(SNAP_COLORS[point.snap]);
+      this.snapMarker.updateMatrixWorld();
+    }
+    this.updatePending();
+  }
+
+  /**
+   * Adds a point to the measurement being taken; the measurement once it is complete
+   */
+  addPoint(point: SnapPoint): Measurement | null {
+    if (!this.mode) return null;
+    // The second click of a double click lands on the same point
+    const last = this.pending[this.pending.length - 1];
+    if (last && last.position.distanceToSquared(point.position) === 0) return null;
+
+    this.pending.push(point);
+    if (this.pending.length < POINT_COUNTS[this.mode]) {
+      this.updatePending();
+      return null;
+    }
+    return this.finish();
+  }
+
+  /**
+   * Completes the measurement being taken (a polyline ends at its last point); null when it
+   * has too few points
+   */
+  finish(): Measurement | null {
+    const { mode, pending } = this;
+    const required = mode === 'polyline' ? 2 : mode ? POINT_COUNTS[mode] : Infinity;
+    if (!mode || pending.length < required) return null;
+    this.pending = [];
+    this.updatePending();
+
+    const modelId: string | undefined = pending[0].hit.mesh.userData.modelId;
+    const units = this.getUnits(modelId) ?? { scale: 1 };
+    const points = pending.map(({ position }) => position);
+    const group = new THREE.Group();
+    let value: number;
+    let anchor: THREE.Vector3;
+
+    if (mode === 'area') {
+      const face = getPlanarFace(pending[0].hit);
+      value = face.area / (units.scale * units.scale);
+      anchor = face.center;
+      group.add(new THREE.Mesh(face.geometry, this.areaMaterial));
+    } else if (mode === 'angle') {
+      const [a, vertex, c] = points;
+      value = THREE.MathUtils.radToDeg(a.clone().sub(vertex).angleTo(c.clone().sub(vertex)));
+      anchor = vertex.clone();
+      group.add(this.createLine(points), this.createPoints(points));
+    } else {
+      value = getLength(points) / units.scale;
+      anchor = mode === 'distance' ? points[0].clone().lerp(points[1], 0.5) : points[points.length - 1].clone();
+      group.add(this.createLine(points), this.createPoints(points));
+    }
+
+    const measurement: Measurement = {
+      id: `measurement-${++this.counter}`,
+      type: mode,
+      points: points.map(point => point.clone()),
+      value,
+      unit: units.unit,
+      modelId,
+      label: formatMeasurement(mode, value, units.unit),
+    };
+    this.overlay.add(group);
+    this.drawings.set(measurement.id, { measurement, group, label: this.createLabel(measurement.label), anchor });
+    return measurement;
+  }
+
+  /**
+   * Drops the measurement being taken
+   */
+  cancel() {
+    this.pending = [];
+    this.updatePending();
+  }
+
+  /**
+   * All measurements, oldest first
+   */
+  list(): Measurement[] {
+    return [...this.drawings.values()].map(({ measurement }) => ({
+      ...measurement,
+      points: measurement.points.map(point => point.clone()),
+    }));
+  }
+
+  /**
+   * Deletes a measurement; false when there is none with this id
+   */
+  remove(id: string): boolean {
+    const drawing = this.drawings.get(id);
+    if (!drawing) return false;
+    this.drawings.delete(id);
+    this.overlay.remove(drawing.group);
+    disposeGroup(drawing.group);
+    drawing.label?.remove();
+    return true;
+  }
+
+  clear() {
+    [...this.drawings.keys()].forEach(id => this.remove(id));
+  }
+
+  /**
+   * Draws the measurements over the rendered scene and moves their labels
+   */
+  render(renderer: THREE.WebGLRenderer, camera: THREE.Camera) {
+    if (this.drawings.size === 0 && !this.mode) return;
+    renderOverlay(renderer, this.overlay, camera);
+
+    const size = renderer.getSize(new THREE.Vector2());
+    const place = (label: HTMLDivElement | null, anchor: THREE.Vector3) => {
+      if (!label) return;
+      const ndc = anchor.clone().project(camera);
+      label.style.display = ndc.z > 1 ? 'none' : '';
+      label.style.transform = `translate(-50%, -100%) translate(${(ndc.x + 1) * size.x / 2}px, ${(1 - ndc.y) * size.y / 2}px)`;
+    };
+    this.drawings.forEach(({ label, anchor }) => place(label, anchor));
+    const pendingAnchor = this.pendingGroup.userData.anchor as THREE.Vector3 | undefined;
+    if (pendingAnchor) place(this.pendingLabel, pendingAnchor);
+  }
+
+  dispose() {
+    this.clear();
+    disposeGroup(this.pendingGroup);
+    this.pendingLabel?.remove();
+    this.snapMarker.geometry.dispose();
+    this.snapMarker.material.dispose();
+    this.lineMaterial.dispose();
+    this.pointMaterial.dispose();
+    this.areaMaterial.dispose();
+    this.container = null;
+  }
+
+  /**
+   * Redraws the measurement being taken, up to the previewed point
+   */
+  private updatePending() {
+    disposeGroup(this.pendingGroup);
+    this.pendingGroup.clear();
+    delete this.pendingGroup.userData.anchor;
+
+    const points = this.pending.map(({ position }) => position);
+    if (this.preview && points.length > 0) points.push(this.preview.position);
+    if (points.length > 0) this.pendingGroup.add(this.createPoints(points));
+    if (points.length < 2 || !this.mode) {
+      this.pendingLabel?.remove();
+      this.pendingLabel = null;
+      return;
+    }
+
+    this.pendingGroup.add(this.createLine(points));
+    const units = this.getUnits(this.pending[0].hit.mesh.userData.modelId) ?? { scale: 1 };
+    const isAngle = this.mode === 'angle' && points.length === 3;
+    const value = isAngle
+      ? THREE.MathUtils.radToDeg(points[0].clone().sub(points[1]).angleTo(points[2].clone().sub(points[1])))
+      : getLength(points) / units.scale;
+    const text = formatMeasurement(isAngle ? 'angle' : 'distance', value, units.unit);
+    this.pendingGroup.userData.anchor = points[points.length - 1].clone();
+    if (this.pendingLabel) {
+      this.pendingLabel.textContent = text;
+    } else {
+      this.pendingLabel = this.createLabel(text);
+    }
+  }
+
+  private createLine(points: THREE.Vector3[]): THREE.Line {
+    const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), this.lineMaterial);
+    line.renderOrder = 1;
+    return line;
+  }
+
+  private createPoints(points: THREE.Vector3[]): THREE.Points {
+    const marks = new THREE.Points(new THREE.BufferGeometry().setFromPoints(points), this.pointMaterial);
+    marks.renderOrder = 1;
+    return marks;
+  }
+
+  private createLabel(text: string): HTMLDivElement | null {
+    if (!this.container) return null;
+    const label = document.createElement('div');
+    label.className = 'wex-measurement-label';
+    label.textContent = text;
+    Object.assign(label.style, {
+      position: 'absolute',
+      left: '0',
+      top: '0',
+      padding: '2px 6px',
+      borderRadius: '3px',
+      background: 'rgba(0, 0, 0, 0.75)',
+      color: this.options.color,
+      font: '12px sans-serif',
+      whiteSpace: 'nowrap',
+      pointerEvents: 'none',
+    });
+    this.container.appendChild(label);
+    return label;
+  }
+}
+
+/**
+ * Formats a value as shown in a label: an angle in degrees, or a length or area in a unit
+ */
+export function formatMeasurement(type: MeasurementType, value: number, unit?: LengthUnit): string {
+  if (type === 'angle') return `${value.toFixed(1)}°`;
+  const decimals = unit ? DECIMALS[unit] : 3;
+  if (type === 'area') {
+    return unit ? `${value.toFixed(decimals)} ${unit}²` : value.toFixed(decimals);
+  }
+  return unit ? `${value.toFixed(decimals)} ${unit}` : value.toFixed(decimals);
+}
+
+function getLength(points: THREE.Vector3[]): number {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) length += points[i - 1].distanceTo(points[i]);
+  return length;
+}
+
+/**
+ * Matrix from the geometry of an element to the world (with the instance matrix for
+ * instanced and batched meshes)
+ */
+function getElementMatrix(mesh: THREE.Mesh, instanceId?: number): THREE.Matrix4 {
+  const matrix = mesh.matrixWorld.clone();
+  if ((mesh instanceof THREE.InstancedMesh || mesh instanceof THREE.BatchedMesh) && instanceId !== undefined) {
+    const instanceMatrix = new THREE.Matrix4();
+    mesh.getMatrixAt(instanceId, instanceMatrix);
+    matrix.multiply(instanceMatrix);
+  }
+  return matrix;
+}
+
+/**
+ * World corners of a triangle of an element
+ */
+function getWorldTriangle(mesh: THREE.Mesh, face: THREE.Face, instanceId?: number): THREE.Triangle | null {
+  const position = mesh.geometry.getAttribute('position') as THREE.BufferAttribute | undefined;
+  if (!position) return null;
+  const matrix = getElementMatrix(mesh, instanceId);
+  const corner = (index: number) => new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(matrix);
+  return new THREE.Triangle(corner(face.a), corner(face.b), corner(face.c));
+}
+
+/**
+ * The triangles of the picked element in the plane of the picked triangle: their area in world
+ * units, centroid, and a geometry of them in world coordinates
+ */
+function getPlanarFace(hit: MeasurementHit): { area: number; center: THREE.Vector3; geometry: THREE.BufferGeometry } {
+  const { mesh, instanceId, face } = hit;
+  const picked = face ? getWorldTriangle(mesh, face, instanceId) : null;
+  const position = mesh.geometry.getAttribute('position') as THREE.BufferAttribute | undefined;
+  if (!picked || !position) {
+    return { area: 0, center: hit.point.clone(), geometry: new THREE.BufferGeometry() };
+  }
+
+  // Triangles of the element: the draw range of its geometry in a batched mesh
+  const index = mesh.geometry.getIndex();
+  let start = 0;
+  let count = index ? index.count : position.count;
+  if (mesh instanceof THREE.BatchedMesh && instanceId !== undefined) {
+    const range = mesh.getGeometryRangeAt(mesh.getGeometryIdAt(instanceId))!;
+    start = range.start;
+    count = range.count;
+  }
+
+  const matrix = getElementMatrix(mesh, instanceId);
+  const normal = picked.getNormal(new THREE.Vector3());
+  const plane = picked.getPlane(new THREE.Plane());
+  const tolerance = Math.max(Math.sqrt(picked.getArea()), 1e-6) * 1e-3;
+  const corner = (i: number) => new THREE.Vector3()
+    .fromBufferAttribute(position, index ? index.getX(i) : i)
+    .applyMatrix4(matrix);
+
+  const vertices: number[] = [];
+  const center = new THREE.Vector3();
+  const triangle = new THREE.Triangle();
+  let area = 0;
+  for (let i = start; i + 2 < start + count; i += 3) {
+    triangle.set(corner(i), corner(i + 1), corner(i + 2));
+    const triangleArea = triangle.getArea();
+    if (triangleArea === 0) continue;
+    if (Math.abs(triangle.getNormal(new THREE.Vector3()).dot(normal)) < 0.999) continue;
+    if (Math.abs(plane.distanceToPoint(triangle.a)) > tolerance) continue;
+
+    area += triangleArea;
+    center.addScaledVector(triangle.getMidpoint(new THREE.Vector3()), triangleArea);
+    vertices.push(...triangle.a.toArray(), ...triangle.b.toArray(), ...triangle.c.toArray());
+  }
+
+  const geometry = new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+  return { area, center: area > 0 ? center.divideScalar(area) : hit.point.clone(), geometry };
+}
+
+/**
+ * Disposes the geometries below a group (materials are shared)
+ */
+function disposeGroup(group: THREE.Group) {
+  group.traverse((child) => {
+    if (child instanceof THREE.Mesh || child instanceof THREE.Line || child instanceof THREE.Points) {
+      child.geometry.dispose();
+    }
+  });
+}
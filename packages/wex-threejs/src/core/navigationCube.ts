@@ -0,0 +1,182 @@
+import * as THREE from 'three';
+import { DEFAULT_NAVIGATION_CUBE_OPTIONS, type NavigationCubeOptions } from '../types';
+
+// Navigation cube: a labelled cube in a corner of the viewer, turned like the scene. Its faces,
+// edges and corners are 26 click targets; each one is a view direction, the sum of the outward
+// normals of the faces it touches. The cube is drawn into its own viewport after the scene.
+
+/** Labels of the faces, in BoxGeometry material order (+X, -X, +Y, -Y, +Z, -Z) like `setView` */
+const FACE_LABELS = ['RIGHT', 'LEFT', 'TOP', 'BOTTOM', 'FRONT', 'BACK'];
+
+/** Width of the edge and corner targets, relative to the side of the cube */
+const EDGE_WIDTH = 0.2;
+
+/** Space between the cube and the corner of the viewer in CSS pixels */
+const MARGIN = 8;
+
+/** Half the view of the cube camera; fits the cube turned any way */
+const VIEW_SIZE = 0.9;
+
+/**
+ * Navigation cube of a viewer
+ */
+export class NavigationCube {
+  readonly options: Required<NavigationCubeOptions>;
+  private scene = new THREE.Scene();
+  private camera = new THREE.OrthographicCamera(-VIEW_SIZE, VIEW_SIZE, VIEW_SIZE, -VIEW_SIZE, 0.1, 10);
+  private cube: THREE.Mesh<THREE.BoxGeometry, THREE.MeshBasicMaterial[]>;
+  private edges: THREE.LineSegments<THREE.EdgesGeometry, THREE.LineBasicMaterial>;
+  /** Box over the face, edge or corner under the pointer */
+  private highlight: THREE.Mesh<THREE.BoxGeometry, THREE.MeshBasicMaterial>;
+  private raycaster = new THREE.Raycaster();
+  private hovered: THREE.Vector3 | null = null;
+
+  constructor(options: NavigationCubeOptions = {}) {
+    this.options = { ...DEFAULT_NAVIGATION_CUBE_OPTIONS, ...options };
+    const { passiveAlpha } = this.options;
+
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    this.cube = new THREE.Mesh(geometry, FACE_LABELS.map(label => new THREE.MeshBasicMaterial({
+      color: '#ffffff',
+      map: createLabelTexture(label),
+      transparent: true,
+      opacity: passiveAlpha,
+      toneMapped: false,
+    })));
+    this.edges = new THREE.LineSegments(
+      new THREE.EdgesGeometry(geometry),
+      new THREE.LineBasicMaterial({ color: '#546e7a', transparent: true, opacity: passiveAlpha, toneMapped: false })
+    );
+    this.highlight = new THREE.Mesh(
+      new THREE.BoxGeometry(1, 1, 1),
+      new THREE.MeshBasicMaterial({
+        color: '#2196F3', transparent: true, opacity: 0.6, depthWrite: false, toneMapped: false,
+      })
+    );
+    this.highlight.visible = false;
+    this.scene.add(this.cube, this.edges, this.highlight);
+  }
+
+  /**
+   * Draws the cube in its corner, turned like `camera`; call right after rendering the scene
+   */
+  render(renderer: THREE.WebGLRenderer, camera: THREE.Camera) {
+    this.camera.quaternion.copy(camera.quaternion);
+    this.camera.position.set(0, 0, 3).applyQuaternion(camera.quaternion);
+    this.camera.updateMatrixWorld();
+
+    const size = renderer.getSize(new THREE.Vector2());
+    const { x, y, width } = this.getViewport(size);
+    const { autoClear, clippingPlanes } = renderer;
+    const viewport = renderer.getViewport(new THREE.Vector4());
+    renderer.autoClear = false;
+    renderer.clippingPlanes = [];
+    // Viewports count from the bottom left
+    renderer.setViewport(x, size.y - y - width, width, width);
+    renderer.setScissor(x, size.y - y - width, width, width);
+    renderer.setScissorTest(true);
+    renderer.clearDepth();
+    renderer.render(this.scene, this.camera);
+    renderer.setScissorTest(false);
+    renderer.setViewport(viewport);
+    renderer.autoClear = autoClear;
+    renderer.clippingPlanes = clippingPlanes;
+  }
+
+  /**
+   * Highlights what is under a point of the canvas (CSS pixels from its top left); whether the
+   * point is over the cube
+   */
+  hover(renderer: THREE.WebGLRenderer, x: number, y: number): boolean {
+    const direction = this.pick(renderer, x, y);
+    const changed = direction && this.hovered ? !direction.equals(this.hovered) : direction !== this.hovered;
+    if (changed) this.setHovered(direction);
+    return direction !== null;
+  }
+
+  /**
+   * View direction of the face, edge or corner at a point of the canvas (CSS pixels from its
+   * top left), pointing from the target to the camera; null when the point misses the cube
+   */
+  pick(renderer: THREE.WebGLRenderer, x: number, y: number): THREE.Vector3 | null {
+    const { x: left, y: top, width } = this.getViewport(renderer.getSize(new THREE.Vector2()));
+    if (x < left || y < top || x > left + width || y > top + width) return null;
+
+    const pointer = new THREE.Vector2(((x - left) / width) * 2 - 1, -((y - top) / width) * 2 + 1);
+    this.raycaster.setFromCamera(pointer, this.camera);
+    const hit = this.raycaster.intersectObject(this.cube, false)[0];
+    if (!hit) return null;
+
+    const edge = 0.5 - EDGE_WIDTH;
+    const region = (value: number) => (value > edge ? 1 : value < -edge ? -1 : 0);
+    return new THREE.Vector3(region(hit.point.x), region(hit.point.y), region(hit.point.z));
+  }
+
+  dispose() {
+    this.cube.geometry.dispose();
+    this.cube.material.forEach((material) => {
+      material.map?.dispose();
+      material.dispose();
+    });
+    this.edges.geometry.dispose();
+    this.edges.material.dispose();
+    this.highlight.geometry.dispose();
+    this.highlight.material.dispose();
+  }
+
+  /**
+   * Square the cube is drawn in, in CSS pixels from the top left of the canvas
+   */
+  private getViewport(size: THREE.Vector2): { x: number; y: number; width: number } {
+    const width = Math.round(Math.min(size.x, size.y) * this.options.ratio);
+    const [vertical, horizontal] = this.options.position.split('-');
+    return {
+      x: horizontal === 'left' ? MARGIN : size.x - width - MARGIN,
+      y: vertical === 'top' ? MARGIN : size.y - width - MARGIN,
+      width,
+    };
+  }
+
+  private setHovered(direction: THREE.Vector3 | null) {
+    this.hovered = direction;
+    const { passiveAlpha, activeAlpha } = this.options;
+    const opacity = direction ? activeAlpha : passiveAlpha;
+    this.cube.material.forEach((material) => {
+      material.opacity = opacity;
+    });
+    this.edges.material.opacity = opacity;
+
+    this.highlight.visible = direction !== null;
+    if (!direction) return;
+    // A slab on a face, a bar along an edge, or a small cube on a corner
+    const grow = 1.01;
+    for (let axis = 0; axis < 3; axis++) {
+      const side = direction.getComponent(axis);
+      this.highlight.scale.setComponent(axis, (side === 0 ? 1 - 2 * EDGE_WIDTH : EDGE_WIDTH) * grow);
+      this.highlight.position.setComponent(axis, side * (0.5 - EDGE_WIDTH / 2) * grow);
+    }
+  }
+}
+
+/**
+ * Texture with a face label; none without a DOM to draw it in
+ */
+function createLabelTexture(label: string): THREE.Texture | null {
+  if (typeof document === 'undefined') return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 128;
+  const context = canvas.getContext('2d');
+  if (!context) return null;
+
+  context.fillStyle = '#eceff1';
+  context.fillRect(0, 0, 128, 128);
+  context.fillStyle = '#37474f';
+  context.font = 'bold 24px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(label, 64, 64);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
@@ -0,0 +1,66 @@
+import * as THREE from 'three';
+import type { ElementStates } from './elementStates';
+import type { WexBIMProductIdentity } from '../types';
+
+// Helpers for picking products with a raycaster. The raycaster tests every object in its
+// way, drawn or not, so hits on hidden objects and hidden products are skipped here.
+
+/** A mesh drawing several elements, one per instance */
+export type MultiElementMesh = THREE.InstancedMesh | THREE.BatchedMesh;
+
+/** A mesh, or a single instance of an instanced or batched mesh */
+export interface ElementHit {
+  mesh: THREE.Mesh;
+  instanceId?: number;
+}
+
+/**
+ * Whether a mesh holds one element per instance (instanced and batched meshes of the loader)
+ */
+export function isMultiElementMesh(object: THREE.Object3D): object is MultiElementMesh {
+  return (object instanceof THREE.InstancedMesh || object instanceof THREE.BatchedMesh) &&
+    Array.isArray(object.userData.instances);
+}
+
+/**
+ * Returns the product identity of a mesh (or of one instance of an instanced or batched mesh)
+ */
+export function getProductIdentity(object: THREE.Object3D, instanceId?: number): WexBIMProductIdentity | null {
+  if (isMultiElementMesh(object)) {
+    return instanceId !== undefined ? object.userData.instances[instanceId] ?? null : null;
+  }
+  return object.userData.productLabel !== undefined ? (object.userData as WexBIMProductIdentity) : null;
+}
+
+/**
+ * Whether an object and all its ancestors are visible (regions hidden by level of detail count as visible)
+ */
+export function isShown(object: THREE.Object3D | null): boolean {
+  for (; object; object = object.parent) {
+    if (!object.visible && object.userData.regionIndex === undefined) return false;
+  }
+  return true;
+}
+
+/**
+ * Finds the first raycast hit that belongs to a product that is shown and not clipped away
+ * @param elementStates - Skips products hidden through their element state
+ */
+export function findProductHit(
+  intersects: THREE.Intersection[],
+  clippingPlanes: THREE.Plane[] = [],
+  elementStates?: ElementStates
+): (ElementHit & { point: THREE.Vector3; face?: THREE.Face | null }) | null {
+  for (const intersect of intersects) {
+    if (!(intersect.object instanceof THREE.Mesh) || !isShown(intersect.object)) continue;
+    if (clippingPlanes.some(plane => plane.distanceToPoint(intersect.point) < 0)) continue;
+    // Batched meshes report the instance as `batchId`
+    const instanceId = intersect.object instanceof THREE.InstancedMesh ? intersect.instanceId
+      : intersect.object instanceof THREE.BatchedMesh ? intersect.batchId
+      : undefined;
+    if (!getProductIdentity(intersect.object, instanceId)) continue;
+    if (elementStates?.hasFlag(intersect.object, instanceId, 'hidden')) continue;
+    return { mesh: intersect.object, instanceId, point: intersect.point, face: intersect.face };
+  }
+  return null;
+}
@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+import { DEFAULT_SECTION_BOX_OPTIONS, type SectionBoxOptions } from '../types';
+import { getLineParameter, getWorldPerPixel, renderOverlay } from './clipping';
+
+// Section box: six clipping planes around an axis-aligned box in viewer coordinates. The viewer
+// renders with `clippingPlanes`, caps the cuts with `capMaterial` (see `renderCaps`), and then
+// calls `render` to draw the box with a handle on each face.
+
+/** Faces in plane order: min x, max x, min y, max y, min z, max z */
+const FACE_COUNT = 6;
+
+const AXES = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+
+/** Thinnest the box can be dragged, relative to its size when the drag started */
+const MIN_THICKNESS = 0.001;
+
+interface Drag {
+  handle: number;
+  /** Face position along its axis when the drag started */
+  start: number;
+  /** Pointer position along the axis when the drag started */
+  pointerStart: number;
+  minThickness: number;
+}
+
+/**
+ * Section box of a viewer: clipping planes, caps, and the box with draggable face handles
+ */
+export class SectionBox {
+  readonly options: Required<SectionBoxOptions>;
+  /** Inward-facing planes of the faces; what is on their negative side is cut away */
+  readonly planes: THREE.Plane[] = Array.from({ length: FACE_COUNT }, () => new THREE.Plane());
+  private box = new THREE.Box3();
+  private enabled = false;
+  private visible = true;
+  /** The box, drawn after the scene and without clipping */
+  private overlay = new THREE.Scene();
+  private frame: THREE.Box3Helper;
+  private faces: THREE.Mesh<THREE.BoxGeometry, THREE.MeshBasicMaterial>;
+  private handles: THREE.Mesh<THREE.SphereGeometry, THREE.MeshBasicMaterial>[] = [];
+  private handleMaterial: THREE.MeshBasicMaterial;
+  private activeHandleMaterial: THREE.MeshBasicMaterial;
+  /** Material of the caps over solids the box cuts */
+  readonly capMaterial: THREE.MeshBasicMaterial;
+  private activeHandle: number | null = null;
+  private drag: Drag | null = null;
+
+  constructor(options: SectionBoxOptions = {}) {
+    this.options = { ...DEFAULT_SECTION_BOX_OPTIONS, ...options };
+    const { color, opacity, capColor } = this.options;
+
+    this.frame = new THREE.Box3Helper(this.box, color);
+    const frameMaterial = this.frame.material as THREE.LineBasicMaterial;
+    frameMaterial.depthTest = false;
+    frameMaterial.transparent = true;
+
+    this.faces = new THREE.Mesh(
+      new THREE.BoxGeometry(1, 1, 1),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity, depthWrite: false })
+    );
+
+    this.handleMaterial = new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true });
+    this.activeHandleMaterial = new THREE.MeshBasicMaterial({ color: '#ffffff', depthTest: false, transparent: true });
+    const handleGeometry = new THREE.SphereGeometry(0.5, 16, 12);
+    for (let i = 0; i < FACE_COUNT; i++) {
+      const handle = new THREE.Mesh(handleGeometry, this.handleMaterial);
+      handle.renderOrder = 1;
+      this.handles.push(handle);
+    }
+    this.overlay.add(this.faces, this.frame, ...this.handles);
+
+    this.capMaterial = new THREE.MeshBasicMaterial({ color: capColor, side: THREE.BackSide });
+  }
+
+  /** Planes to render the scene with; none without a box */
+  get clippingPlanes(): THREE.Plane[] {
+    return this.enabled ? this.planes : [];
+  }
+
+  /**
+   * Cuts away everything outside `box` (null removes the section box)
+   */
+  set(box: THREE.Box3 | null) {
+    this.enabled = box !== null && !box.isEmpty();
+    this.drag = null;
+    if (!box || !this.enabled) return;
+
+    this.box.copy(box);
+    const { min, max } = this.box;
+    this.planes[0].set(new THREE.Vector3(1, 0, 0), -min.x);
+    this.planes[1].set(new THREE.Vector3(-1, 0, 0), max.x);
+    this.planes[2].set(new THREE.Vector3(0, 1, 0), -min.y);
+    this.planes[3].set(new THREE.Vector3(0, -1, 0), max.y);
+    this.planes[4].set(new THREE.Vector3(0, 0, 1), -min.z);
+    this.planes[5].set(new THREE.Vector3(0, 0, -1), max.z);
+
+    const center = this.box.getCenter(new THREE.Vector3());
+    const size = this.box.getSize(new THREE.Vector3());
+    this.faces.position.copy(center);
+    this.faces.scale.set(Math.max(size.x, 1e-6), Math.max(size.y, 1e-6), Math.max(size.z, 1e-6));
+    this.handles.forEach((handle, i) => {
+      const axis = i >> 1;
+      handle.position.copy(center).setComponent(axis, (i & 1 ? max : min).getComponent(axis));
+    });
+    this.overlay.updateMatrixWorld(true);
+  }
+
+  /**
+   * The box, or null when there is none
+   */
+  get(): THREE.Box3 | null {
+    return this.enabled ? this.box.clone() : null;
+  }
+
+  /**
+   * Shows or hides the box and its handles; a hidden box still cuts
+   */
+  setVisible(visible: boolean) {
+    this.visible = visible;
+    if (!visible) this.setActiveHandle(null);
+  }
+
+  isVisible(): boolean {
+    return this.visible;
+  }
+
+  /**
+   * Draws the box over the rendered scene
+   */
+  render(renderer: THREE.WebGLRenderer, camera: THREE.Camera) {
+    if (!this.enabled || !this.visible) return;
+    for (const handle of this.handles) {
+      // Same size on screen at any distance
+      handle.scale.setScalar(Math.max(getWorldPerPixel(renderer, camera, handle.position) * this.options.handleSize, 1e-6));
+      handle.updateMatrixWorld();
+    }
+    renderOverlay(renderer, this.overlay, camera);
+  }
+
+  /**
+   * Highlights the handle under the pointer; whether there is one (or a drag is going on)
+   */
+  hover(raycaster: THREE.Raycaster): boolean {
+    if (this.drag) return true;
+    const handle = this.pickHandle(raycaster);
+    this.setActiveHandle(handle);
+    return handle !== null;
+  }
+
+  /**
+   * Starts dragging the handle under the pointer; false when there is none
+   */
+  startDrag(raycaster: THREE.Raycaster): boolean {
+    const handle = this.pickHandle(raycaster);
+    if (handle === null) return false;
+
+    const axis = handle >> 1;
+    const pointerStart = getLineParameter(raycaster.ray, this.handles[handle].position, AXES[axis]);
+    if (pointerStart === null) return false;
+    const size = this.box.getSize(new THREE.Vector3());
+    this.drag = {
+      handle,
+      start: this.handles[handle].position.getComponent(axis),
+      pointerStart,
+      minThickness: Math.max(size.x, size.y, size.z) * MIN_THICKNESS,
+    };
+    this.setActiveHandle(handle);
+    return true;
+  }
+
+  /**
+   * Moves the dragged face along its axis with the pointer; false when not dragging
+   */
+  moveDrag(raycaster: THREE.Raycaster): boolean {
+    const { drag } = this;
+    if (!drag) return false;
+
+    const axis = drag.handle >> 1;
+    const origin = this.handles[drag.handle].position.clone().setComponent(axis, drag.start);
+    const pointer = getLineParameter(raycaster.ray, origin, AXES[axis]);
+    if (pointer === null) return true;
+
+    const box = this.box.clone();
+    const value = drag.start + pointer - drag.pointerStart;
+    if (drag.handle & 1) {
+      box.max.setComponent(axis, Math.max(value, box.min.getComponent(axis) + drag.minThickness));
+    } else {
+      box.min.setComponent(axis, Math.min(value, box.max.getComponent(axis) - drag.minThickness));
+    }
+    this.set(box);
+    this.drag = drag;
+    return true;
+  }
+
+  /**
+   * Ends a drag; false when there was none
+   */
+  endDrag(): boolean {
+    const dragging = this.drag !== null;
+    this.drag = null;
+    return dragging;
+  }
+
+  dispose() {
+    this.frame.dispose();
+    this.faces.geometry.dispose();
+    this.faces.material.dispose();
+    this.handles[0].geometry.dispose();
+    this.handleMaterial.dispose();
+    this.activeHandleMaterial.dispose();
+    this.capMaterial.dispose();
+  }
+
+  private pickHandle(raycaster: THREE.Raycaster): number | null {
+    if (!this.enabled || !this.visible) return null;
+    const hit = raycaster.intersectObjects(this.handles, false)[0];
+    return hit ? this.handles.indexOf(hit.object as THREE.Mesh<THREE.SphereGeometry, THREE.MeshBasicMaterial>) : null;
+  }
+
+  private setActiveHandle(handle: number | null) {
+    if (handle === this.activeHandle) return;
+    this.activeHandle = handle;
+    this.handles.forEach((mesh, i) => {
+      mesh.material = i === handle ? this.activeHandleMaterial : this.handleMaterial;
+    });
+  }
+}
@@ -8,8 +8,46 @@ import './styles.css';
 // Core components
 export { WexViewer } from './core/WexViewer';
 
+// Coordinate conversion
+export {
+  getLengthUnit,
+  viewerToModel,
+  modelToViewer,
+  modelToProject,
+  projectToModel,
+  viewerToProject,
+  projectToViewer,
+  toMeters,
+  fromMeters,
+} from './core/coordinates';
+export type { ModelCoordinateSystem } from './core/coordinates';
+
+// Export
+export { exportGLB } from './core/glbExport';
+export type { GLBExportOptions, GLBProductExtras } from './core/glbExport';
+
+// BCF
+export {
+  createBcfGuid,
+  viewerToBcf,
+  bcfToViewer,
+  readBcfViewpoint,
+  writeBcfViewpoint,
+  readBcfZip,
+  writeBcfZip,
+} from './core/bcf';
+
+// Level of detail
+export { LevelOfDetail } from './core/levelOfDetail';
+
 // Loaders
 export { WexBIMLoader } from './loaders/wexbim/wexBimLoader.js';
+export { parseWexBIM, validateWexBIM, decodeNormal } from './loaders/wexbim/wexBimParser.js';
+export { WexBIMWriter } from './loaders/wexbim/wexBimWriter.js';
+export { compareWexBIM, summarizeWexBIM } from './loaders/wexbim/wexBimDiff.js';
+export { WexBIMBudgetExceededError, WexBIMParseError } from './loaders/wexbim/wexBimErrors.js';
+export { getProductTypeName, getProductTypeId, registerProductType } from './loaders/wexbim/wexBimProductTypes.js';
+export { createLogger, setDefaultLogger, getDefaultLogger } from './loaders/wexbim/wexBimLogger.js';
 
 // UI components
 export { 
@@ -54,25 +92,67 @@ export {
 export type {
   // Model types
   LoadedModel,
+  LoadModelOptions,
+  ModelRenderStats,
+  ModelLoadStats,
+  ModelPlacement,
+  ModelPlacementInput,
+  ProductTypeRef,
+  ProductTypeInfo,
+  ViewerExportOptions,
+  ModelCompareOptions,
   ModelSourceType,
+  ElementState,
+  ElementStateInput,
+  ElementStateName,
+  LengthUnit,
   LoadProgress,
   
   // Event types
   ViewerEventArgs,
   PickEventArgs,
   HoverEventArgs,
+  RegionLoadedEventArgs,
+  AnnotationClickEventArgs,
   
   // Viewer types
+  ViewName,
   ViewerSettings,
+  LevelOfDetailSettings,
+  LevelOfDetailStats,
   ViewerState,
   WexViewerProps,
   WexViewerRef,
   
   // Plugin types
   ViewerPlugin,
+  ViewerPluginContext,
   NavigationCubeOptions,
   GridOptions,
   SectionBoxOptions,
+  ClippingPlaneOptions,
+  ClippingPlane,
+  ClippingPlaneInput,
+  MeasurementOptions,
+  MeasurementType,
+  SnapType,
+  Measurement,
+  Annotation,
+  AnnotationInput,
+  
+  // BCF types
+  BcfVersion,
+  BcfComponent,
+  BcfPerspectiveCamera,
+  BcfOrthogonalCamera,
+  BcfClippingPlane,
+  BcfColoring,
+  BcfViewpoint,
+  BcfComment,
+  BcfTopic,
+  BcfArchive,
+  BcfComponentMapping,
+  BcfViewpointExportOptions,
   
   // Toolbar types
   ToolbarPosition,
@@ -88,13 +168,54 @@ export type {
   ModelInfoPanelProps,
   LoadingOverlayProps,
   ModelManagerPanelProps,
+
+  // WexBIM types
+  WexBIMProductIdentity,
 } from './types';
 
+// Parsed WexBIM data types
+export type {
+  WexBIMHeader,
+  WexBIMRegionData,
+  WexBIMStyleData,
+  WexBIMProductData,
+  WexBIMShapeData,
+  WexBIMGeometryData,
+  WexBIMGeometryRecord,
+  WexBIMModelData,
+  WexBIMValidationResult,
+} from './loaders/wexbim/wexBimParser.js';
+export type { WexBIMFileSection, WexBIMParseErrorLocation } from './loaders/wexbim/wexBimErrors.js';
+export type { WexBIMLogger, WexBIMLogLevel, WexBIMLoggerOptions } from './loaders/wexbim/wexBimLogger.js';
+export type { WexBIMWriteOptions } from './loaders/wexbim/wexBimWriter.js';
+export type {
+  WexBIMDiff,
+  WexBIMChangeKind,
+  WexBIMProductChange,
+  WexBIMCompareOptions,
+  WexBIMProductSummary,
+  WexBIMProductSummaryEntry,
+  WexBIMRevision,
+} from './loaders/wexbim/wexBimDiff.js';
+
+// Loader types
+export type {
+  WexBIMRegion,
+  WexBIMLoadProgressEvent,
+  WexBIMPerformanceStats,
+  WexBIMLoadBudget,
+  WexBIMStyleSettings,
+  WexBIMStyleOverride,
+} from './loaders/wexbim/wexBimLoader.js';
+
 // Re-export FileLoaderPanel props
 export type { FileLoaderPanelProps } from './ui/FileLoaderPanel';
 
 // Constants
-export { DEFAULT_VIEWER_SETTINGS } from './types';
+export {
+  DEFAULT_VIEWER_SETTINGS, DEFAULT_LEVEL_OF_DETAIL_SETTINGS, DEFAULT_COMPARISON_COLORS, DEFAULT_SECTION_BOX_OPTIONS,
+  DEFAULT_CLIPPING_PLANE_OPTIONS, DEFAULT_NAVIGATION_CUBE_OPTIONS, DEFAULT_MEASUREMENT_OPTIONS,
+} from './types';
 
 // Default export
 export { WexViewer as default } from './core/WexViewer';
@@ -1 +1,11 @@
-export { WexBIMLoader } from './wexbim';
+export { WexBIMLoader, parseWexBIM, decodeNormal } from './wexbim';
+export type {
+  WexBIMHeader,
+  WexBIMRegionData,
+  WexBIMStyleData,
+  WexBIMProductData,
+  WexBIMShapeData,
+  WexBIMGeometryData,
+  WexBIMGeometryRecord,
+  WexBIMModelData,
+} from './wexbim';
@@ -1 +1,12 @@
 export { WexBIMLoader } from './wexBimLoader.js';
+export { parseWexBIM, decodeNormal } from './wexBimParser.js';
+export type {
+  WexBIMHeader,
+  WexBIMRegionData,
+  WexBIMStyleData,
+  WexBIMProductData,
+  WexBIMShapeData,
+  WexBIMGeometryData,
+  WexBIMGeometryRecord,
+  WexBIMModelData,
+} from './wexBimParser.js';
@@ -0,0 +1,87 @@
+import type {
+  WexBIMGeometryRecord,
+  WexBIMHeader,
+  WexBIMModelData,
+  WexBIMProductData,
+  WexBIMStyleData,
+} from './wexBimParser.js';
+
+/** How a product changed between two revisions */
+export type WexBIMChangeKind = 'added' | 'removed' | 'moved' | 'reshaped' | 'restyled';
+
+/**
+ * What is compared of a product
+ */
+export interface WexBIMProductSummaryEntry {
+  productLabel: number;
+  productType: number;
+  /** Origin (x, y, z) followed by size (x, y, z) in file units; null without a product record */
+  bbox: number[] | null;
+  /** Colors of its shapes */
+  styles: Set<string>;
+  /** Geometry hash of every shape */
+  geometries: string[];
+}
+
+/**
+ * Products of a model, as compared by `compareWexBIM`
+ */
+export interface WexBIMProductSummary {
+  /** Number of model units in one meter */
+  meter: number;
+  /** Color of every style id */
+  styles: Map<number, string>;
+  products: Map<number, WexBIMProductSummaryEntry>;
+}
+
+export interface WexBIMProductChange {
+  productLabel: number;
+  productType: number;
+  /** One kind, or `moved`/`reshaped` followed by `restyled` */
+  kinds: WexBIMChangeKind[];
+}
+
+/**
+ * Differences between two revisions; product labels are sorted
+ */
+export interface WexBIMDiff {
+  added: number[];
+  removed: number[];
+  /** Bounding box moved or resized */
+  moved: number[];
+  /** Same bounding box, different geometry */
+  reshaped: number[];
+  /** Different colors */
+  restyled: number[];
+  changes: WexBIMProductChange[];
+  /** Number of products that did not change */
+  unchanged: number;
+}
+
+export interface WexBIMCompareOptions {
+  /** Bounding box changes up to this many meters are ignored; defaults to 0.001 */
+  tolerance?: number;
+}
+
+/** A revision to compare: file data, model data from `parseWexBIM`, or a product summary */
+export type WexBIMRevision = ArrayBuffer | ArrayBufferView | Omit<WexBIMModelData, 'issues'> | WexBIMProductSummary;
+
+/**
+ * Compares two revisions of a model, matching products on their label
+ */
+export declare function compareWexBIM(
+  before: WexBIMRevision,
+  after: WexBIMRevision,
+  options?: WexBIMCompareOptions
+): WexBIMDiff;
+
+export declare function summarizeWexBIM(model: Omit<WexBIMModelData, 'issues'>): WexBIMProductSummary;
+
+/** Starts a summary from the index of a model; add geometry with `addToProductSummary` */
+export declare function createProductSummary(index: {
+  header: WexBIMHeader;
+  styles: WexBIMStyleData[];
+  products: WexBIMProductData[];
+}): WexBIMProductSummary;
+
+export declare function addToProductSummary(summary: WexBIMProductSummary, records: WexBIMGeometryRecord[]): void;
@@ -0,0 +1,168 @@
+// WexBIM Diff
+// Compares two revisions of a model product by product. Products are matched on their
+// label and sorted into:
+//   added     - only in the new revision
+//   removed   - only in the old revision
+//   moved     - bounding box moved or resized
+//   reshaped  - same bounding box, but different shape geometry
+//   restyled  - rendered with different colors
+// A product can be both moved (or reshaped) and restyled. Geometry placed once is stored in
+// model coordinates, so moving such a product changes its geometry too; it counts as moved only.
+// Like the parser it is DOM-free and runs in browsers, web workers and Node.
+
+import { parseWexBIM, hashGeometry } from './wexBimParser.js';
+
+// Default bounding box tolerance in meters (the file stores float32 boxes)
+const DEFAULT_TOLERANCE = 0.001;
+
+/**
+ * Start the product summary of a model from its index; add geometry records with
+ * `addToProductSummary`, all at once or as they stream in
+ * @param {object} index - `{ header, styles, products }` as returned by `parseWexBIM`
+ * @returns {object} - `{ meter, styles, products }`, products by label
+ */
+function createProductSummary({ header, styles, products }) {
+  const summary = {
+    meter: header.meter,
+    // Style id -> color, so renumbered styles of the same color compare equal
+    styles: new Map(styles.map((style) => [style.id, getColorKey(style.color)])),
+    products: new Map(),
+  };
+  for (const product of products) {
+    summary.products.set(product.label, {
+      productLabel: product.label,
+      productType: product.type,
+      bbox: Array.from(product.bbox),
+      styles: new Set(),
+      geometries: [],
+    });
+  }
+  return summary;
+}
+
+/**
+ * Add the shapes of geometry records to a product summary
+ * @param {object} summary - Summary from `createProductSummary`
+ * @param {object[]} records - Geometry records as returned by `parseWexBIM`
+ */
+function addToProductSummary(summary, records) {
+  for (const { shapes, geometry } of records) {
+    const hash = geometry ? hashGeometry(geometry) : 'none';
+    for (const shape of shapes) {
+      let product = summary.products.get(shape.productLabel);
+      if (!product) {
+        // Shapes of products missing from the product table
+        product = {
+          productLabel: shape.productLabel,
+          productType: shape.instanceTypeId,
+          bbox: null,
+          styles: new Set(),
+          geometries: [],
+        };
+        summary.products.set(shape.productLabel, product);
+      }
+      product.styles.add(summary.styles.get(shape.styleId) ?? `style ${shape.styleId}`);
+      product.geometries.push(hash);
+    }
+  }
+}
+
+/**
+ * Summarize all products of a parsed model
+ * @param {object} model - Model data as returned by `parseWexBIM`
+ * @returns {object} - Summary as from `createProductSummary`
+ */
+function summarizeWexBIM(model) {
+  const summary = createProductSummary(model);
+  addToProductSummary(summary, model.geometries);
+  return summary;
+}
+
+/**
+ * Compare two revisions of a model
+ * @param {ArrayBuffer|ArrayBufferView|object} before - Old revision: file data, model data
+ * from `parseWexBIM`, or a product summary
+ * @param {ArrayBuffer|ArrayBufferView|object} after - New revision, as `before`
+ * @param {object} [options]
+ * @param {number} [options.tolerance=0.001] - Bounding box changes up to this many meters
+ * are ignored
+ * @returns {object} - Labels of `added`, `removed`, `moved`, `reshaped` and `restyled`
+ * products, every changed product in `changes` and the number of `unchanged` ones
+ */
+function compareWexBIM(before, after, options = {}) {
+  const { tolerance = DEFAULT_TOLERANCE } = options;
+  const old = toProductSummary(before);
+  const current = toProductSummary(after);
+
+  const diff = { added: [], removed: [], moved: [], reshaped: [], restyled: [], changes: [], unchanged: 0 };
+  const addChange = (product, kinds) => {
+    kinds.forEach((kind) => diff[kind].push(product.productLabel));
+    diff.changes.push({ productLabel: product.productLabel, productType: product.productType, kinds });
+  };
+
+  const labels = new Set([...old.products.keys(), ...current.products.keys()]);
+  for (const label of [...labels].sort((a, b) => a - b)) {
+    const oldProduct = old.products.get(label);
+    const product = current.products.get(label);
+    if (!oldProduct) {
+      addChange(product, ['added']);
+      continue;
+    }
+    if (!product) {
+      addChange(oldProduct, ['removed']);
+      continue;
+    }
+
+    const kinds = [];
+    if (!bboxesEqual(oldProduct.bbox, old.meter, product.bbox, current.meter, tolerance)) {
+      kinds.push('moved');
+    } else if (!sameItems(oldProduct.geometries, product.geometries)) {
+      kinds.push('reshaped');
+    }
+    if (!sameItems([...oldProduct.styles], [...product.styles])) {
+      kinds.push('restyled');
+    }
+
+    if (kinds.length > 0) {
+      addChange(product, kinds);
+    } else {
+      diff.unchanged++;
+    }
+  }
+  return diff;
+}
+
+function toProductSummary(input) {
+  if (input.products instanceof Map) return input;
+  if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) return summarizeWexBIM(parseWexBIM(input));
+  return summarizeWexBIM(input);
+}
+
+// Colors compare with a precision a display can show
+function getColorKey({ r, g, b, a }) {
+  return [r, g, b, a].map((component) => component.toFixed(3)).join(',');
+}
+
+// Compare in meters, so revisions exported in different units still match
+function bboxesEqual(a, aMeter, b, bMeter, tolerance) {
+  if (!a || !b) return a === b;
+  for (let i = 0; i < 6; i++) {
+    if (Math.abs(a[i] / aMeter - b[i] / bMeter) > tolerance) return false;
+  }
+  return true;
+}
+
+// Same items in any order
+function sameItems(a, b) {
+  if (a.length !== b.length) return false;
+  const sortedA = [...a].sort();
+  const sortedB = [...b].sort();
+  return sortedA.every((item, i) => item === sortedB[i]);
+}
+
+export {
+  compareWexBIM,
+  summarizeWexBIM,
+  createProductSummary,
+  addToProductSummary,
+};
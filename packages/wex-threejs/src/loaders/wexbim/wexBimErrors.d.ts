@@ -0,0 +1,56 @@
+/**
+ * Loading stopped because the model needs more than the allowed budget
+ */
+export declare class WexBIMBudgetExceededError extends Error {
+  constructor(kind: 'triangles' | 'memory', limit: number, actual: number);
+  name: 'WexBIMBudgetExceededError';
+  /** Which budget was exceeded */
+  kind: 'triangles' | 'memory';
+  /** The budget */
+  limit: number;
+  /** Usage when loading stopped */
+  actual: number;
+}
+
+export type WexBIMFileSection = 'header' | 'regions' | 'styles' | 'products' | 'shape' | 'geometry';
+
+/**
+ * Where a `WexBIMParseError` was found
+ */
+export interface WexBIMParseErrorLocation {
+  section: WexBIMFileSection;
+  /** Absolute byte offset in the file */
+  offset: number;
+  /** Products placed by the broken shape/geometry */
+  productLabels?: number[];
+  /** Region holding the broken shape/geometry (version 3+) */
+  region?: number;
+  /** Index of the geometry (within its region from version 3 on) */
+  geometryIndex?: number;
+  /** The data ended before the section did */
+  truncated?: boolean;
+  severity?: 'error' | 'warning';
+}
+
+/**
+ * A .wexbim file is truncated or malformed. Also used, with `severity` 'warning',
+ * for problems that do not stop parsing (see `validateWexBIM`).
+ */
+export declare class WexBIMParseError extends Error {
+  constructor(reason: string, location: WexBIMParseErrorLocation);
+  name: 'WexBIMParseError';
+  /** What is wrong, without the location */
+  reason: string;
+  section: WexBIMFileSection;
+  offset: number;
+  productLabels: number[];
+  region?: number;
+  geometryIndex?: number;
+  truncated: boolean;
+  severity: 'error' | 'warning';
+  /** Plain data that survives `postMessage` */
+  toJSON(): WexBIMParseErrorLocation & { reason: string };
+  static fromJSON(json: WexBIMParseErrorLocation & { reason: string }): WexBIMParseError;
+}
+
+export declare function getAbortError(signal: AbortSignal): Error;
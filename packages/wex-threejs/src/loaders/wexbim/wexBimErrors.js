@@ -0,0 +1,89 @@
+// WexBIM Errors
+// Typed errors raised while loading .wexbim files, so callers can tell them
+// apart with `instanceof` instead of matching messages.
+
+/**
+ * Loading stopped because the model needs more than the allowed budget
+ */
+class WexBIMBudgetExceededError extends Error {
+  /**
+   * @param {'triangles'|'memory'} kind - Which budget was exceeded
+   * @param {number} limit - The budget
+   * @param {number} actual - Usage when loading stopped
+   */
+  constructor(kind, limit, actual) {
+    const what = kind === 'triangles' ? 'triangles' : 'bytes of geometry memory';
+    super(`WexBIM model exceeds the budget of ${limit} ${what} (reached ${actual})`);
+    this.name = 'WexBIMBudgetExceededError';
+    this.kind = kind;
+    this.limit = limit;
+    this.actual = actual;
+  }
+}
+
+/**
+ * A .wexbim file is truncated or malformed. Also used, with `severity` 'warning',
+ * for problems that do not stop parsing (see `validateWexBIM`).
+ */
+class WexBIMParseError extends Error {
+  /**
+   * @param {string} reason - What is wrong, e.g. "unexpected end of data"
+   * @param {object} location - Where it is wrong
+   * @param {'header'|'regions'|'styles'|'products'|'shape'|'geometry'} location.section - File section
+   * @param {number} location.offset - Absolute byte offset in the file
+   * @param {number[]} [location.productLabels] - Products placed by the broken shape/geometry
+   * @param {number} [location.region] - Region holding the broken shape/geometry (version 3+)
+   * @param {number} [location.geometryIndex] - Index of the geometry (within its region from version 3 on)
+   * @param {boolean} [location.truncated] - The data ended before the section did
+   * @param {'error'|'warning'} [location.severity]
+   */
+  constructor(reason, location) {
+    const { section, offset, productLabels = [], region, geometryIndex, truncated = false, severity = 'error' } = location;
+    super(`${severity === 'warning' ? 'WexBIM file warning' : 'Invalid WexBIM file'}: ${reason} in ${describeSection(section, region, geometryIndex)} at byte ${offset}` +
+      (productLabels.length > 0 ? ` (products ${productLabels.map((label) => `#${label}`).join(', ')})` : ''));
+    this.name = 'WexBIMParseError';
+    this.reason = reason;
+    this.section = section;
+    this.offset = offset;
+    this.productLabels = productLabels;
+    this.region = region;
+    this.geometryIndex = geometryIndex;
+    this.truncated = truncated;
+    this.severity = severity;
+  }
+
+  /**
+   * Plain data that survives `postMessage` (see `fromJSON`)
+   * @returns {object}
+   */
+  toJSON() {
+    const { reason, section, offset, productLabels, region, geometryIndex, truncated, severity } = this;
+    return { reason, section, offset, productLabels, region, geometryIndex, truncated, severity };
+  }
+
+  /**
+   * @param {object} json - Result of `toJSON`
+   * @returns {WexBIMParseError}
+   */
+  static fromJSON(json) {
+    return new WexBIMParseError(json.reason, json);
+  }
+}
+
+function describeSection(section, region, geometryIndex) {
+  let description = section;
+  if (geometryIndex !== undefined) description += ` ${geometryIndex}`;
+  if (region !== undefined && region >= 0) description += ` of region ${region}`;
+  return description;
+}
+
+/**
+ * Error to reject with when `signal` is aborted
+ * @param {AbortSignal} signal
+ * @returns {Error}
+ */
+function getAbortError(signal) {
+  return signal.reason ?? new DOMException('The operation was aborted.', 'AbortError');
+}
+
+export { WexBIMBudgetExceededError, WexBIMParseError, getAbortError };
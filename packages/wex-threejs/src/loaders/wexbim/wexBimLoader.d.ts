@@ -1,19 +1,200 @@
 import * as THREE from 'three';
+import type { BinaryReader, WexBIMModelData } from './wexBimParser.js';
+import type { WexBIMLogger } from './wexBimLogger.js';
+
+export { BinaryReader } from './wexBimParser.js';
+
+/**
+ * Region of a model in Three.js coordinates, as converted by the loader
+ */
+export interface WexBIMRegion {
+  Population: number;
+  Centre: [number, number, number];
+  /** Min (x, y, z) followed by max (x, y, z) */
+  BoundingBox: [number, number, number, number, number, number];
+}
+
+/** Download progress */
+export interface WexBIMDownloadProgressEvent {
+  type: 'progress';
+  lengthComputable: boolean;
+  loaded: number;
+  total: number;
+}
+
+/** Geometries parsed so far by a worker */
+export interface WexBIMGeometryProgressEvent {
+  type: 'geometry-processing';
+  processed: number;
+}
+
+/**
+ * The (still empty) model scene was created; it is filled while the file streams in, and
+ * emptied again (its meshes disposed) when the load fails or is aborted
+ */
+export interface WexBIMSceneCreatedEvent {
+  type: 'scene-created';
+  scene: THREE.Group;
+  /** Regions of the model, known before any geometry arrives */
+  regions: WexBIMRegion[];
+}
+
+/** All geometry of a region has been added to the scene */
+export interface WexBIMRegionLoadedEvent {
+  type: 'region-loaded';
+  scene: THREE.Group;
+  regionIndex: number;
+  regionCount: number;
+  region: WexBIMRegion;
+  /** Geometries of the region added to the scene */
+  geometryCount: number;
+}
+
+export type WexBIMLoadProgressEvent =
+  | WexBIMDownloadProgressEvent
+  | WexBIMGeometryProgressEvent
+  | WexBIMSceneCreatedEvent
+  | WexBIMRegionLoadedEvent;
+
+/**
+ * Limits for a single load; exceeding one stops loading with a `WexBIMBudgetExceededError`
+ */
+export interface WexBIMLoadBudget {
+  /** Maximum number of rendered triangles (instances count separately) */
+  maxTriangles?: number;
+  /** Maximum bytes of geometry buffers (positions, normals, indices, instance matrices) */
+  maxMemoryBytes?: number;
+}
+
+/**
+ * Per-load options
+ */
+export interface WexBIMLoadOptions {
+  /** Aborts the download, parsing and scene building */
+  signal?: AbortSignal;
+  budget?: WexBIMLoadBudget;
+  /**
+   * Skip broken geometries instead of failing with a `WexBIMParseError`; what was
+   * skipped ends up in `scene.userData.issues`
+   */
+  lenient?: boolean;
+}
 
 export interface WexBIMLoaderOptions {
-  onProgress?: (event: ProgressEvent) => void;
+  onProgress?: (event: WexBIMLoadProgressEvent) => void;
   onError?: (error: Error) => void;
 }
 
+export interface WexBIMWorkerSettings {
+  /** Parse in a web worker when workers are available, streamed chunks included */
+  useWorker: boolean;
+  /** Number of workers; more than one parses regions of large files in parallel (without streaming) */
+  poolSize: number;
+  /** Smallest file size in bytes that is split across the pool */
+  poolMinBytes: number;
+}
+
+/**
+ * Style applied by the loader instead of a style from the file
+ */
+export interface WexBIMStyleOverride {
+  color: THREE.ColorRepresentation;
+  /** 0-1, defaults to 1 */
+  opacity?: number;
+}
+
+export interface WexBIMStyleSettings {
+  /** Style of shapes whose style is not in the file */
+  defaultStyle: WexBIMStyleOverride;
+  /** Styles replacing the file's styles for all products of a type, by product type id */
+  typeStyles: Record<number, WexBIMStyleOverride>;
+}
+
+/**
+ * Statistics of one load; times are in seconds
+ */
+export interface WexBIMPerformanceStats {
+  /** Bytes of the .wexbim file (0 for `createScene`) */
+  fileSize: number;
+  /** Seconds spent downloading (parsing and building overlap it when streaming) */
+  downloadTime: number;
+  /** Seconds spent parsing */
+  parseTime: number;
+  /** Seconds spent creating Three.js geometry */
+  geometryCreationTime: number;
+  /** Seconds spent creating materials and meshes */
+  materialCreationTime: number;
+  /** Seconds from download to finished scene */
+  totalTime: number;
+  products: number;
+  /** Placements of geometry (one per product part) */
+  shapes: number;
+  /** Geometry buffers created */
+  geometries: number;
+  /** Shapes drawn by instanced or batched meshes */
+  instances: number;
+  materials: number;
+  /** Geometries rendered as instances of an identical geometry */
+  deduplicatedGeometries: number;
+  /** Bytes of geometry buffers not allocated thanks to deduplication */
+  memorySavedBytes: number;
+  /** Meshes, instanced meshes and batched meshes in the scene (one draw call each) */
+  drawCalls: number;
+  /** Rendered triangles (instances count separately) */
+  triangles: number;
+}
+
+/**
+ * Loads .wexbim files into a `THREE.Group`, whose `userData` keeps the file `header`, the
+ * parse `issues`, the `loadStats` (`WexBIMPerformanceStats`) and the `productSummary` that
+ * revisions are compared by (see `compareWexBIM`)
+ */
 export class WexBIMLoader {
   constructor();
+
+  workerSettings: WexBIMWorkerSettings;
+
+  styleSettings: WexBIMStyleSettings;
+
+  lodSettings: {
+    /**
+     * Stream the download and add geometry region by region (needs fetch and streams). The
+     * chunks are parsed in one worker, so `workerSettings.poolSize` only applies when off.
+     */
+    useProgressive: boolean;
+    /**
+     * Put the meshes of each region (version 3+) in a group named `region-<index>`, whose
+     * `userData` holds `regionIndex` and `region` (a `WexBIMRegion`), so level of detail can
+     * cull whole regions. Identical geometries in several regions still share one buffer
+     * geometry, instanced by a mesh in each region.
+     */
+    useRegionGroups: boolean;
+    /** Render identical geometries anywhere in the file as instances of one geometry */
+    useInstancedMeshes: boolean;
+    /**
+     * Merge all geometry of a style into one `THREE.BatchedMesh` (one draw call per style,
+     * or per style and region with region groups, growing while a load streams in); shapes
+     * are its instances, identified through `userData.instances`
+     */
+    useGeometryBatching: boolean;
+    [setting: string]: unknown;
+  };
+
+  /** Statistics of the current or last load */
+  readonly performanceStats: WexBIMPerformanceStats;
+
+  /** Receives the diagnostics of this loader; the default logger when null */
+  logger: WexBIMLogger | null;
   
   load(
     url: string,
     onLoad: (scene: THREE.Group) => void,
-    onProgress?: (event: ProgressEvent) => void,
-    onError?: (error: Error) => void
+    onProgress?: (event: WexBIMLoadProgressEvent) => void,
+    onError?: (error: Error) => void,
+    options?: WexBIMLoadOptions
   ): void;
   
-  parse(reader: unknown): Promise<THREE.Group>;
+  parse(data: ArrayBuffer | BinaryReader, options?: WexBIMLoadOptions): Promise<THREE.Group>;
+
+  createScene(model: WexBIMModelData, options?: WexBIMLoadOptions): Promise<THREE.Group>;
 }
@@ -1,82 +1,25 @@
 import * as THREE from "three";
 import * as BufferGeometryUtils from "three/addons/utils/BufferGeometryUtils.js";
+import {
+  BinaryReader,
+  WexBIMStreamParser,
+  parseWexBIM,
+  parseWexBIMIndex,
+  decodeNormal,
+  hashGeometry,
+} from "./wexBimParser.js";
+import { WexBIMBudgetExceededError, WexBIMParseError, getAbortError } from "./wexBimErrors.js";
+import { createProductSummary, addToProductSummary } from "./wexBimDiff.js";
+import { getDefaultLogger } from "./wexBimLogger.js";
 
-class BinaryReader {
-  constructor(arrayBuffer) {
-    this.view = new DataView(arrayBuffer);
-    this.offset = 0;
-  }
-
-  readInt32() {
-    const value = this.view.getInt32(this.offset, true);
-    this.offset += 4;
-    return value;
-  }
-
-  readUint16() {
-    const value = this.view.getUint16(this.offset, true);
-    this.offset += 2;
-    return value;
-  }
-
-  readInt16() {
-    const value = this.view.getInt16(this.offset, true);
-    this.offset += 2;
-    return value;
-  }
-
-  readByte() {
-    const value = this.view.getUint8(this.offset);
-    this.offset += 1;
-    return value;
-  }
-
-  readFloat32() {
-    const value = this.view.getFloat32(this.offset, true);
-    this.offset += 4;
-    return value;
-  }
-
-  readFloat64() {
-    const value = this.view.getFloat64(this.offset, true);
-    this.offset += 8;
-    return value;
-  }
-
-  readFloat32Array(count) {
-    const arr = new Float32Array(count);
-    for (let i = 0; i < count; i++) {
-      arr[i] = this.readFloat32();
-    }
-    return arr;
-  }
-
-  readFloat64Array(count) {
-    const arr = new Float64Array(count);
-    for (let i = 0; i < count; i++) {
-      arr[i] = this.readFloat64();
-    }
-    return arr;
-  }
-
-  readUint8Array(count) {
-    const arr = new Uint8Array(this.view.buffer, this.offset, count);
-    this.offset += count;
-    return arr;
-  }
-
-  getSubReader(length) {
-    // Create a new reader with a view into the same buffer at the current offset
-    const subBuffer = this.view.buffer.slice(this.offset, this.offset + length);
-    this.offset += length;
-    return new BinaryReader(subBuffer);
-  }
-
-  isEOF() {
-    return this.offset >= this.view.byteLength;
-  }
-}
+// Id of the default style, used for shapes whose style is not in the file
+const DEFAULT_STYLE_ID = -1;
+// Ids of the styles from `styleSettings.typeStyles` are this minus the product type id,
+// far below the negative ids files use for their own per-type styles
+const TYPE_STYLE_ID_BASE = -0x10000;
 
+// Raised when the worker script itself fails (as opposed to the file failing to parse)
+class WorkerScriptError extends Error {}
 
 /**
  * WexBIM Loader for Three.js, aligned with `TriangulatedShape`.
@@ -89,6 +32,7 @@ class WexBIMLoader extends THREE.Loader {
     this.productMaps = {};
     this.productIdLookup = [];
     this.regions = [];
+    this._regionGroups = [];
     this._styleMap = new StyleMap();
     
     // Create a coordinate transformation matrix for converting from WexBIM (Z-up) to Three.js (Y-up)
@@ -102,238 +46,544 @@ class WexBIMLoader extends THREE.Loader {
     // Configure level of detail settings
     this.lodSettings = {
       useProgressive: true,          // Use progressive loading
-      skipNormalsForLargeModels: true, // Skip normal computation for large models
-      geometryCompressionLevel: 0.5,  // Compression level for geometry (0-1)
-      useDraco: false,               // Use Draco compression if available
+      useRegionGroups: true,         // Put the meshes of each region in a group, so it can be culled as a whole
       useInstancedMeshes: true,      // Use instanced meshes for repeated geometry
-      useGeometryBatching: true      // Batch similar geometries
+      useGeometryBatching: false     // Merge all geometry of a style into one BatchedMesh (one draw call)
     };
-    
-    // Performance monitoring
-    this.performanceStats = {
-      parseTime: 0,
-      geometryCreationTime: 0,
-      materialCreationTime: 0,
-      totalTime: 0
+
+    // Styles the file does not provide
+    this.styleSettings = {
+      defaultStyle: { color: 0xb4b4b4, opacity: 1 }, // Shapes whose style is not in the file
+      typeStyles: {}                                 // { [productType]: { color, opacity } } replacing the file's styles
     };
+
+    // Configure web worker parsing
+    this.workerSettings = {
+      useWorker: true,               // Parse off the main thread when workers are available
+      poolSize: 1,                   // Number of workers; more than one parses regions in parallel
+      poolMinBytes: 16 * 1024 * 1024 // Smallest file that is split across the pool
+    };
+    
+    // Statistics of the current (or last) load; every finished scene keeps its own copy
+    // in `scene.userData.loadStats`
+    this.performanceStats = createPerformanceStats();
+
+    // Diagnostics go to the default logger (see `setDefaultLogger`) unless set
+    this.logger = null;
   }
 
-  load(url, onLoad, onProgress, onError) {
+  get _log() {
+    return this.logger ?? getDefaultLogger();
+  }
+
+  /**
+   * @param {string} url - URL of the .wexbim file
+   * @param {function(THREE.Group): void} onLoad - Called with the finished scene
+   * @param {function(object): void} [onProgress] - Download progress and loading events
+   * @param {function(Error): void} [onError] - Called when loading fails or is aborted
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the download, parsing and scene building
+   * @param {{maxTriangles?: number, maxMemoryBytes?: number}} [options.budget] - Limits that
+   * stop loading with a `WexBIMBudgetExceededError` once exceeded
+   * @param {boolean} [options.lenient=false] - Skip broken geometries instead of failing with a
+   * `WexBIMParseError` (see `parseWexBIM`); what was skipped ends up in `scene.userData.issues`
+   */
+  load(url, onLoad, onProgress, onError, options = {}) {
+    const task = this._createTask(options);
+    
+    // Parse while downloading and fill the scene region by region when streams are available
+    if (this.lodSettings.useProgressive && typeof fetch === 'function' && typeof ReadableStream !== 'undefined') {
+      this._loadStreaming(url, task, onLoad, onProgress, onError);
+      return;
+    }
+    
+    const fail = (error) => {
+      if (onError) {
+        onError(error);
+      } else {
+        this._log.error('WexBIM load failed', error);
+      }
+    };
+    
+    if (task.signal?.aborted) {
+      fail(getAbortError(task.signal));
+      return;
+    }
+    
     const loader = new THREE.FileLoader(this.manager);
     loader.setResponseType("arraybuffer");
+    loader.setPath(this.path);
+    loader.setRequestHeader(this.requestHeader);
+    loader.setWithCredentials(this.withCredentials);
     
-    // Start timing
-    const startTime = performance.now();
+    const abortDownload = () => loader.abort();
+    task.signal?.addEventListener('abort', abortDownload, { once: true });
     
     loader.load(
       url,
       (data) => {
+        task.signal?.removeEventListener('abort', abortDownload);
+        this.performanceStats.downloadTime = (performance.now() - task.startTime) / 1000;
+        this.performanceStats.fileSize = data.byteLength;
         try {
           // Use web worker for parsing if available
-          if (window.Worker) {
-            this._parseWithWorker(data, startTime, onLoad, onProgress, onError);
+          if (this.workerSettings.useWorker && typeof Worker !== 'undefined') {
+            this._parseWithWorker(data, task, onLoad, onProgress, fail);
           } else {
-            // Fallback to synchronous parsing (parse returns a Promise)
-            const reader = new BinaryReader(data);
-            this.parse(reader)
-              .then((parsedData) => {
-                // Record parsing time
-                const parseEndTime = performance.now();
-                this.performanceStats.parseTime = (parseEndTime - startTime) / 1000;
-                onLoad(parsedData);
-              })
-              .catch((error) => {
-                if (onError) onError(error);
-              });
+            this._parseOnMainThread(data, task, onLoad, fail);
           }
         } catch (error) {
-          if (onError) {
-            onError(error);
-          } else {
-            console.error(error);
-          }
+          fail(error);
           this.manager.itemError(url);
         }
       },
       onProgress,
-      onError
+      (error) => {
+        task.signal?.removeEventListener('abort', abortDownload);
+        fail(task.signal?.aborted ? getAbortError(task.signal) : error);
+      }
     );
   }
 
-  // New method to use web worker for parsing
-  _parseWithWorker(arrayBuffer, startTime, onLoad, onProgress, onError) {
+  // State of one load: timing, cancellation and budget usage. Statistics start over.
+  _createTask({ signal, budget, lenient = false } = {}) {
+    this.performanceStats = createPerformanceStats();
+    return {
+      startTime: performance.now(),
+      signal,
+      lenient,
+      maxTriangles: budget?.maxTriangles ?? Infinity,
+      maxMemoryBytes: budget?.maxMemoryBytes ?? Infinity,
+      triangles: 0,
+      memoryBytes: 0,
+      // Geometries added so far by content hash, so duplicates in later chunks share their buffers
+      geometries: new Map(),
+      // Batched meshes by parent group and style, grown by the later chunks of a streaming load
+      batches: new Map()
+    };
+  }
+
+  // Download with fetch and build the scene as regions arrive, parsing the chunks in a worker
+  // (see `_createStreamParser`). Besides download progress, `onProgress` receives
+  // `scene-created` (empty scene, filled progressively) and `region-loaded` events.
+  _loadStreaming(url, task, onLoad, onProgress, onError) {
+    if (this.path !== undefined) url = this.path + url;
+    url = this.manager.resolveURL(url);
+    this.manager.itemStart(url);
+    // Scene handed out with `scene-created`, taken apart again if the load fails
+    let scene = null;
+
+    const stream = async () => {
+      const response = await fetch(new Request(url, {
+        headers: new Headers(this.requestHeader),
+        credentials: this.withCredentials ? 'include' : 'same-origin',
+        signal: task.signal
+      }));
+      if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+      }
+
+      const total = Number(response.headers.get('Content-Length')) || 0;
+      const reader = response.body.getReader();
+      const regionGeometryCounts = [];
+      let loaded = 0;
+      let geometryTime = 0;
+      let downloadEnd = performance.now();
+
+      // Add what became complete with a chunk to the scene
+      const addParsed = async (parsed) => {
+        if (parsed.index) {
+          scene = this._beginScene(parsed.index);
+          if (onProgress) onProgress({ type: 'scene-created', scene, regions: this.regions });
+        }
+
+        if (parsed.geometries.length > 0) {
+          for (const { region } of parsed.geometries) {
+            // Older versions do not group geometry by region; count it all for the first one
+            const key = Math.max(region, 0);
+            regionGeometryCounts[key] = (regionGeometryCounts[key] || 0) + 1;
+          }
+          const geometryStart = performance.now();
+          await this._addGeometriesToScene(scene, parsed.geometries, task);
+          geometryTime += performance.now() - geometryStart;
+        }
+
+        for (const region of parsed.regions) {
+          if (!onProgress) break;
+          onProgress({
+            type: 'region-loaded',
+            scene,
+            regionIndex: region,
+            regionCount: this.regions.length,
+            region: this.regions[region],
+            geometryCount: regionGeometryCounts[region] || 0
+          });
+        }
+      };
+
+      const parser = this._createStreamParser(task);
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          downloadEnd = performance.now();
+          if (done) break;
+          throwIfAborted(task.signal);
+
+          loaded += value.byteLength;
+          if (onProgress) {
+            onProgress({ type: 'progress', lengthComputable: total > 0, loaded, total });
+          }
+
+          await addParsed(await parser.push(value));
+        }
+
+        // In lenient mode a truncated file still completes with what arrived
+        const finished = await parser.finish();
+        await addParsed(finished);
+        this._reportIssues(scene, finished.issues);
+      } finally {
+        parser.stop();
+      }
+
+      // Parsing and building overlap the download, which ends with the last chunk
+      this.performanceStats.downloadTime = (downloadEnd - task.startTime) / 1000;
+      this.performanceStats.fileSize = loaded;
+      this.performanceStats.parseTime = parser.parseTime;
+      this.performanceStats.geometryCreationTime = geometryTime / 1000;
+      this._completeStats(scene, task);
+      return scene;
+    };
+
+    stream()
+      .then((scene) => {
+        onLoad(scene);
+        this.manager.itemEnd(url);
+      })
+      .catch((error) => {
+        // Report aborts as the signal's reason, whichever step noticed them
+        if (task.signal?.aborted) error = getAbortError(task.signal);
+        if (scene) this._clearScene(scene);
+        if (onError) {
+          onError(error);
+        } else {
+          this._log.error('WexBIM load failed', error);
+        }
+        this.manager.itemError(url);
+        this.manager.itemEnd(url);
+      });
+  }
+
+  // Parser for the chunks of a streaming load, whose `push(chunk)` and `finish()` resolve with
+  // what became complete (see `WexBIMStreamParser`; `finish` adds the `issues`), and whose
+  // `parseTime` sums up the parsing. Chunks are parsed in a worker when workers are
+  // available; until the worker first answers they are kept, so parsing can move to the
+  // main thread if the worker cannot run. `stop()` ends the worker.
+  _createStreamParser(task) {
+    const { signal, lenient } = task;
+    const stream = { parseTime: 0 };
+    let parser = null;
+    let worker = null;
+    let answered = false;
+    let failure = null;
+    // Messages the worker has not answered yet, in the order they were sent
+    const pending = [];
+
+    const parseHere = (chunk) => {
+      parser ??= new WexBIMStreamParser({ lenient });
+      const parseStart = performance.now();
+      const parsed = chunk ? parser.push(chunk) : { ...parser.finish(), issues: parser.issues };
+      stream.parseTime += (performance.now() - parseStart) / 1000;
+      return parsed;
+    };
+
+    const onAbort = () => fail(getAbortError(signal));
+    const stopWorker = () => {
+      worker?.terminate();
+      worker = null;
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const fail = (error) => {
+      stopWorker();
+      const unanswered = pending.splice(0);
+      if (error instanceof WorkerScriptError && !answered) {
+        // The worker has parsed nothing yet, so this thread can start over with the same chunks
+        this._log.warn('WexBIM worker could not run, parsing on the main thread instead', error);
+        for (const { chunk, resolve, reject } of unanswered) {
+          try {
+            resolve(parseHere(chunk));
+          } catch (parseError) {
+            reject(parseError);
+          }
+        }
+      } else {
+        failure = error;
+        unanswered.forEach(({ reject }) => reject(error));
+      }
+    };
+
+    if (this.workerSettings.useWorker && typeof Worker !== 'undefined') {
+      try {
+        worker = new Worker(new URL('./wexBimWorker.js', import.meta.url), { type: 'module' });
+      } catch (error) {
+        this._log.warn('WexBIM worker could not run, parsing on the main thread instead', error);
+      }
+    }
+
+    if (worker) {
+      signal?.addEventListener('abort', onAbort, { once: true });
+      worker.onmessage = (e) => {
+        const { action, result, error, parseError } = e.data;
+        if (action === 'complete') {
+          answered = true;
+          stream.parseTime += result.processingTime;
+          result.issues = result.issues.map((issue) => WexBIMParseError.fromJSON(issue));
+          pending.shift()?.resolve(result);
+        } else if (action === 'error') {
+          fail(parseError ? WexBIMParseError.fromJSON(parseError) : new Error(error));
+        }
+      };
+      worker.onerror = (event) => {
+        fail(new WorkerScriptError(event.message || 'Worker failed to run'));
+      };
+    }
+
+    // Chunks are copied to the worker rather than transferred, so they stay available for the fallback
+    const parse = (chunk) => {
+      if (failure) return Promise.reject(failure);
+      if (!worker) return new Promise((resolve) => resolve(parseHere(chunk)));
+      return new Promise((resolve, reject) => {
+        pending.push({ chunk, resolve, reject });
+        worker.postMessage(chunk ? { action: 'stream-chunk', data: chunk, lenient } : { action: 'stream-end' });
+      });
+    };
+
+    stream.push = (chunk) => parse(chunk);
+    stream.finish = () => parse(null);
+    stream.stop = stopWorker;
+    return stream;
+  }
+
+  // Synchronous parsing (used without workers and as a fallback when they fail)
+  _parseOnMainThread(arrayBuffer, task, onLoad, onError) {
+    const parseStart = performance.now();
+    let model;
+    try {
+      throwIfAborted(task.signal);
+      model = parseWexBIM(arrayBuffer, { lenient: task.lenient });
+    } catch (error) {
+      if (onError) onError(error);
+      return;
+    }
+    this.performanceStats.parseTime = (performance.now() - parseStart) / 1000;
+    this._finishLoad(model, task, onLoad, onError);
+  }
+
+  // Parse with a web worker, or a pool of workers splitting the file by region
+  _parseWithWorker(arrayBuffer, task, onLoad, onProgress, onError) {
+    const reportProgress = (processed) => {
+      if (onProgress) {
+        onProgress({
+          type: 'geometry-processing',
+          processed: processed
+        });
+      }
+    };
+
+    let parsing;
+    try {
+      throwIfAborted(task.signal);
+      parsing = this._getPoolSize(arrayBuffer) > 1
+        ? this._parseWithWorkerPool(arrayBuffer, reportProgress, task)
+        : this._parseWithSingleWorker(arrayBuffer, reportProgress, task);
+    } catch (error) {
+      // The pool parses the file index on this thread, which may fail for broken files
+      if (onError) onError(error);
+      return;
+    }
+
+    parsing
+      .then((model) => this._finishLoad(model, task, onLoad, onError))
+      .catch((error) => {
+        if (error instanceof WorkerScriptError) {
+          // The worker could not run - fallback to synchronous parsing
+          this._log.warn('WexBIM worker could not run, parsing on the main thread instead', error);
+          this._parseOnMainThread(arrayBuffer, task, onLoad, onError);
+        } else if (task.signal?.aborted) {
+          if (onError) onError(getAbortError(task.signal));
+        } else {
+          this._log.error('WexBIM worker failed', error);
+          if (onError) onError(error);
+        }
+      });
+  }
+
+  _parseWithSingleWorker(arrayBuffer, reportProgress, task) {
+    // The input is not transferred so it stays usable for the synchronous fallback
+    const message = { action: 'parse', data: arrayBuffer, lenient: task.lenient };
+    return this._runWorkerTask(message, [], reportProgress, task.signal)
+      .then((result) => {
+        // Record parsing time from worker
+        this.performanceStats.parseTime = result.processingTime;
+        return result;
+      });
+  }
+
+  _getPoolSize(arrayBuffer) {
+    const { poolSize, poolMinBytes } = this.workerSettings;
+    if (poolSize <= 1 || arrayBuffer.byteLength < poolMinBytes) return 1;
+    return poolSize;
+  }
+
+  // Index the file here, then hand each worker a slice with a run of consecutive regions
+  _parseWithWorkerPool(arrayBuffer, reportProgress, task) {
+    const poolStartTime = performance.now();
+    const { signal } = task;
+    let index;
     try {
-      // Create a new worker
-      const worker = new Worker(new URL('./wexBimWorker.js', import.meta.url), { type: 'module' });
+      index = parseWexBIMIndex(arrayBuffer);
+    } catch (error) {
+      // A file that cannot be indexed may still be partly readable in lenient mode
+      if (!task.lenient || !(error instanceof WexBIMParseError)) throw error;
+      return this._parseWithSingleWorker(arrayBuffer, reportProgress, task);
+    }
+    const { header, regionOffsets } = index;
+
+    // Geometry is only grouped by region from version 3 on
+    if (regionOffsets.length < 2) {
+      return this._parseWithSingleWorker(arrayBuffer, reportProgress, task);
+    }
+
+    // Region byte ranges, split into contiguous chunks of similar size
+    const regionEnds = regionOffsets.slice(1).concat(arrayBuffer.byteLength);
+    const workerCount = Math.min(this.workerSettings.poolSize, regionOffsets.length);
+    const targetBytes = (arrayBuffer.byteLength - regionOffsets[0]) / workerCount;
+    const chunks = [];
+    let first = 0;
+    for (let r = 0; r < regionOffsets.length; r++) {
+      const chunkEnd = regionOffsets[0] + targetBytes * (chunks.length + 1);
+      if (r === regionOffsets.length - 1 || regionEnds[r] >= chunkEnd) {
+        chunks.push({ first, count: r - first + 1 });
+        first = r + 1;
+      }
+    }
+
+    // Stop all workers when one fails or the load is aborted
+    const poolAbort = new AbortController();
+    const abortPool = () => poolAbort.abort(signal.reason);
+    signal?.addEventListener('abort', abortPool, { once: true });
+
+    const processed = chunks.map(() => 0);
+    const tasks = chunks.map((chunk, i) => {
+      const data = arrayBuffer.slice(regionOffsets[chunk.first], regionEnds[chunk.first + chunk.count - 1]);
+      return this._runWorkerTask({
+        action: 'parse-regions',
+        data,
+        origin: regionOffsets[chunk.first],
+        version: header.version,
+        firstRegion: chunk.first,
+        regionCount: chunk.count,
+        lenient: task.lenient
+      }, [data], (count) => {
+        processed[i] = count;
+        reportProgress(processed.reduce((sum, n) => sum + n, 0));
+      }, poolAbort.signal);
+    });
+
+    return Promise.all(tasks).catch((error) => {
+      poolAbort.abort(error);
+      throw error;
+    }).finally(() => {
+      // The load's signal may outlive it (e.g. one signal for several loads)
+      signal?.removeEventListener('abort', abortPool);
+    }).then((results) => {
+      this.performanceStats.parseTime = (performance.now() - poolStartTime) / 1000;
+
+      const geometries = [];
+      const issues = [];
+      results.forEach((result) => {
+        for (const record of result.geometries) {
+          geometries.push(record);
+        }
+        issues.push(...result.issues);
+      });
+
+      const { regions, styles, products } = index;
+      return { header, regions, styles, products, geometries, issues };
+    });
+  }
+
+  // Run one message on a new worker; resolves with the worker's result
+  _runWorkerTask(message, transfer, onProgress, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(getAbortError(signal));
+        return;
+      }
+
+      let worker;
+      try {
+        worker = new Worker(new URL('./wexBimWorker.js', import.meta.url), { type: 'module' });
+      } catch (error) {
+        reject(new WorkerScriptError(`Failed to create worker: ${error.message}`));
+        return;
+      }
+      
+      // Stop the worker when the load is aborted
+      const onAbort = () => {
+        worker.terminate();
+        reject(getAbortError(signal));
+      };
+      const stop = () => {
+        worker.terminate();
+        signal?.removeEventListener('abort', onAbort);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
       
       // Listen for messages from the worker
       worker.onmessage = (e) => {
-        const { action, result, error, processed } = e.data;
+        const { action, result, error, parseError, processed } = e.data;
         
         switch (action) {
           case 'complete':
-            // Record parsing time from worker
-            this.performanceStats.parseTime = result.processingTime;
-            
-            // Process the parsed data from the worker
-            const scene = this._createSceneFromWorkerData(result);
-            
-            // Record total time
-            const endTime = performance.now();
-            this.performanceStats.totalTime = (endTime - startTime) / 1000;
-            
-            // Output performance stats
-            console.log('Performance stats:', this.performanceStats);
-            
-            // Terminate the worker
-            worker.terminate();
-            
-            // Return the scene
-            onLoad(scene);
+            stop();
+            result.issues = result.issues.map((issue) => WexBIMParseError.fromJSON(issue));
+            resolve(result);
             break;
             
           case 'progress':
-            // Forward progress to the onProgress callback
-            if (onProgress) {
-              onProgress({
-                type: 'geometry-processing',
-                processed: processed
-              });
-            }
+            if (onProgress) onProgress(processed);
             break;
             
           case 'error':
-            console.error('Worker error:', error);
-            if (onError) {
-              onError(new Error(error));
-            }
-            worker.terminate();
+            stop();
+            reject(parseError ? WexBIMParseError.fromJSON(parseError) : new Error(error));
             break;
         }
       };
       
-      // Handle worker errors - fallback to synchronous parsing
-      worker.onerror = (error) => {
-        console.error('Worker error:', error);
-        console.log('Falling back to synchronous parsing...');
-        worker.terminate();
-        
-        // Fallback to synchronous parsing (parse returns a Promise)
-        const reader = new BinaryReader(arrayBuffer);
-        this.parse(reader)
-          .then((parsedData) => {
-            onLoad(parsedData);
-          })
-          .catch((parseError) => {
-            if (onError) {
-              onError(parseError);
-            }
-          });
-      };
-      
-      // Start the worker
-      worker.postMessage({
-        action: 'parse',
-        data: arrayBuffer
-      });
-      
-    } catch (error) {
-      console.error('Failed to create worker:', error);
-      // Fallback to synchronous parsing (parse returns a Promise)
-      const reader = new BinaryReader(arrayBuffer);
-      this.parse(reader)
-        .then((parsedData) => {
-          onLoad(parsedData);
-        })
-        .catch((parseError) => {
-          if (onError) onError(parseError);
-        });
-    }
-  }
-  
-  // New method to create a scene from worker data
-  _createSceneFromWorkerData(result) {
-    const { header, geometries } = result;
-    
-    // Extract header information
-    const { version, numRegions, styles, products, regions } = header;
-    
-    // Store header information
-    this.regions = regions || [];
-    
-    // Create a new scene
-    const scene = new THREE.Group();
-    
-    // Start timing geometry creation
-    const geomStartTime = performance.now();
-    
-    // Add geometries to the scene
-    let createdGeometryCount = 0;
-    const cacheGeometry = new Map(); // Cache for reusing geometries
-    
-    // Use progressive loading - add geometries in batches
-    // Return a promise that resolves when all geometries are added
-    return new Promise(resolve => {
-      // Function to process a batch of geometries
-      const processBatch = (startIndex, batchSize) => {
-        const endIndex = Math.min(startIndex + batchSize, geometries.length);
-        
-        // Process each geometry in this batch
-        for (let i = startIndex; i < endIndex; i++) {
-          const { shapes, geometry } = geometries[i];
-          
-          // Create geometry key for caching
-          const geometryKey = `${geometry.vertices.length}_${geometry.indices.length}`;
-          
-          // Use cached geometry if available
-          let threeGeometry;
-          if (cacheGeometry.has(geometryKey)) {
-            threeGeometry = cacheGeometry.get(geometryKey);
-          } else {
-            // Create a new Three.js geometry
-            threeGeometry = this._createBufferGeometry(geometry);
-            
-            // Add to cache if not too large
-            if (createdGeometryCount < 1000) { // Limit cache size
-              cacheGeometry.set(geometryKey, threeGeometry);
-            }
-          }
-          
-          // Skip empty geometries
-          if (!threeGeometry) continue;
-          
-          // Add to scene
-          this.addGeometryToScene(scene, shapes, threeGeometry);
-          createdGeometryCount++;
-        }
-        
-        // If there are more geometries to process, schedule the next batch
-        if (endIndex < geometries.length) {
-          setTimeout(() => {
-            processBatch(endIndex, batchSize);
-          }, 0);
-        } else {
-          // All batches processed - finalize the scene
-          
-          // Record geometry creation time
-          const geomEndTime = performance.now();
-          this.performanceStats.geometryCreationTime = (geomEndTime - geomStartTime) / 1000;
-          
-          // Resolve the promise with the completed scene
-          resolve(scene);
-        }
+      // Handle worker script errors
+      worker.onerror = (event) => {
+        stop();
+        reject(new WorkerScriptError(event.message || 'Worker failed to run'));
       };
       
-      // Start processing with first batch
-      const BATCH_SIZE = 100;
-      processBatch(0, BATCH_SIZE);
+      worker.postMessage(message, transfer);
     });
   }
+
+  // Build the scene from parsed data and hand it to `onLoad`
+  _finishLoad(model, task, onLoad, onError) {
+    this._buildScene(model, task)
+      .then((scene) => onLoad(scene))
+      .catch((error) => {
+        if (onError) onError(error);
+      });
+  }
   
   // Create a Three.js BufferGeometry from geometry data
   _createBufferGeometry(geometryData) {
     if (!geometryData || !geometryData.vertices || !geometryData.indices) {
-      console.warn("Skipping empty geometry data");
+      this._log.warn('Skipping empty WexBIM geometry data');
       return null;
     }
     
@@ -364,470 +614,584 @@ class WexBIMLoader extends THREE.Loader {
     // Compute bounding information for frustum culling
     geometry.computeBoundingSphere();
     geometry.computeBoundingBox();
+    this.performanceStats.geometries++;
     
     return geometry;
   }
 
-  parse(reader) {
-    // Start timing
-    const startTime = performance.now();
-    
-    const magicNumber = reader.readInt32();
-    if (magicNumber !== 94132117) {
-      throw new Error("Invalid WexBIM file: Magic Number mismatch.");
-    }
+  /**
+   * Parse a WexBIM file and build a Three.js scene from it
+   * @param {ArrayBuffer|BinaryReader} data - File content
+   * @param {object} [options] - `signal`, `budget` and `lenient`, as for `load`
+   * @returns {Promise<THREE.Group>} - Resolves once all geometry has been added
+   */
+  parse(data, options = {}) {
+    const task = this._createTask(options);
+    const reader = data instanceof BinaryReader ? data : new BinaryReader(data);
+    const model = parseWexBIM(reader, { lenient: options.lenient });
+    this.performanceStats.parseTime = (performance.now() - task.startTime) / 1000;
+    this.performanceStats.fileSize = reader.view.byteLength;
 
-    const version = reader.readByte();
-    if (version > 4) {
-      throw new Error(`Unsupported WexBIM version: ${version}`);
-    }
+    return this._buildScene(model, task);
+  }
 
-    const numShapes = reader.readInt32();
-    const numVertices = reader.readInt32();
-    const numTriangles = reader.readInt32();
-    const numMatrices = reader.readInt32();
-    const numProducts = reader.readInt32();
-    const numStyles = reader.readInt32();
-    const meter = reader.readFloat32();
-    let localWCS = version > 3 ? [reader.readFloat64(), reader.readFloat64(), reader.readFloat64()] : [0, 0, 0];
-    const numRegions = reader.readInt16();
+  /**
+   * Build a Three.js scene from the plain data returned by `parseWexBIM`
+   * @param {object} model - Parsed WexBIM data
+   * @param {object} [options] - `signal` and `budget`, as for `load`
+   * @returns {Promise<THREE.Group>} - Resolves once all geometry has been added
+   */
+  createScene(model, options = {}) {
+    return this._buildScene(model, this._createTask(options));
+  }
 
+  _buildScene(model, task) {
+    const scene = this._beginScene(model);
+    
+    // Start timing geometry creation
+    const geomStartTime = performance.now();
+    
+    return this._addGeometriesToScene(scene, model.geometries, task).then(() => {
+      // Record geometry creation time
+      this.performanceStats.geometryCreationTime = (performance.now() - geomStartTime) / 1000;
+      this._reportIssues(scene, model.issues ?? []);
+      this._completeStats(scene, task);
+      return scene;
+    });
+  }
+
+  // Register the styles and products of a model and create its (empty) scene
+  _beginScene({ header, regions, styles, products }) {
     // Determine if this is a large model based on metrics
-    const isLargeModel = numShapes > 1000 || numVertices > 100000 || numTriangles > 100000;
+    const isLargeModel = header.numShapes > 1000 || header.numVertices > 100000 || header.numTriangles > 100000;
     // Set optimization level
     const optimizationLevel = isLargeModel ? 
-                             (numShapes > 10000 ? 'extreme' : 'high') : 
+                             (header.numShapes > 10000 ? 'extreme' : 'high') : 
                              'normal';
     
-    // Parse header data
-    this.regions = this.parseRegions(reader, numRegions);
+    // Styles and products are per model
+    this._styleMap = new StyleMap();
+    this.productMaps = {};
+    this.productIdLookup = [];
+    this.performanceStats.products = products.length;
+
+    this.regions = this._convertRegions(regions);
+    this._regionGroups = [];
     
-    // Use simpler style parsing for extremely large models
+    // Use simpler styles for extremely large models
     if (optimizationLevel === 'extreme') {
-        // For extreme optimization, use minimal style parsing
-        this._parseStylesMinimal(reader, numStyles);
+        this._registerStylesMinimal(styles);
     } else {
-        this.parseStyles(reader, numStyles);
+        this._registerStyles(styles);
     }
     
-    this.parseProducts(reader, numProducts);
+    this._registerProducts(products);
 
     const scene = new THREE.Group();
+    // Keep the header (units, local WCS) with the model, and what revisions are compared by
+    scene.userData.header = header;
+    scene.userData.productSummary = createProductSummary({ header, styles, products });
+    return scene;
+  }
+
+  // Remove and free what a failed load has added to its scene, which may already be shown
+  _clearScene(scene) {
+    scene.traverse((object) => {
+      if (!object.isMesh) return;
+      object.geometry.dispose();
+      [object.material].flat().forEach((material) => material.dispose());
+    });
+    scene.clear();
+    this._regionGroups = [];
+  }
+
+  // Keep the problems found while parsing (skipped in lenient mode, or warnings) with the model
+  _reportIssues(scene, issues) {
+    scene.userData.issues = issues;
+    if (issues.length > 0) {
+      this._log.warn(`WexBIM file has ${issues.length} problem(s)`, issues.map((issue) => issue.message));
+    }
+  }
+
+  // Finish the statistics of a load and keep a copy with its scene
+  _completeStats(scene, task) {
+    const stats = this.performanceStats;
+    stats.totalTime = (performance.now() - task.startTime) / 1000;
+    stats.materials = this._styleMap.getMaterialCount();
+    scene.userData.loadStats = { ...stats };
+    this._log.debug('WexBIM load statistics', scene.userData.loadStats);
+  }
+
+  // Add geometry records to the scene of the current model, within the budget of the task
+  _addGeometriesToScene(scene, records, task) {
+    addToProductSummary(scene.userData.productSummary, records);
+    for (const { shapes, geometry } of records) {
+      if (geometry) this.performanceStats.shapes += shapes.length;
+    }
+
+    // Render shapes repeated anywhere in the records as instances of one geometry
+    const geometries = this.lodSettings.useInstancedMeshes
+      ? this._deduplicateGeometries(records, task)
+      : records;
+
+    if (this.lodSettings.useGeometryBatching) {
+      return this._addBatchedGeometriesToScene(scene, geometries, task);
+    }
     
-    // Process model in batches to allow browser to update UI
+    // Build the scene in batches to allow browser to update UI
     // This will prevent "script running too long" errors
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
         const processInBatches = async () => {
-            // Process model sections based on version
-            if (version >= 3) {
-                for (let r = 0; r < numRegions; r++) {
-                    const region = this.regions[r];
-                    const geomCount = reader.readInt32();
+            // Process geometry in batches (100 at a time is reasonable)
+            const BATCH_SIZE = 100;
+            
+            for (let g = 0; g < geometries.length; g += BATCH_SIZE) {
+                // Stop adding meshes once the load has been aborted
+                throwIfAborted(task.signal);
+                const batchEnd = Math.min(g + BATCH_SIZE, geometries.length);
+                
+                for (let i = g; i < batchEnd; i++) {
+                    const { shapes, geometry, region, shared } = geometries[i];
+                    if (!geometry) continue;
                     
-                    // Process geometry in batches (100 at a time is reasonable)
-                    const BATCH_SIZE = 100;
+                    this._chargeBudget(task, geometry, shapes.length, Boolean(shared?.bufferGeometry));
                     
-                    for (let g = 0; g < geomCount; g += BATCH_SIZE) {
-                        const batchEnd = Math.min(g + BATCH_SIZE, geomCount);
-                        
-                        // Process a batch of geometries
-                        for (let i = g; i < batchEnd; i++) {
-                            const shapes = this.parseShape(reader, version);
-                            const geomLength = reader.readInt32();
-                            
-                            if (geomLength === 0) continue;
-                            
-                            const gbr = reader.getSubReader(geomLength);
-                            const geometryData = this.parseGeometry(gbr);
-                            
-                            if (!gbr.isEOF()) {
-                                console.warn(`Incomplete reading of geometry for shape instance ${shapes[0].iLabel}`);
-                            }
-                            
-                            // Convert raw geometry data to THREE.BufferGeometry
-                            const geometry = this._createBufferGeometry(geometryData);
-                            if (geometry) {
-                                this.addGeometryToScene(scene, shapes, geometry);
-                            }
-                        }
-                        
-                        // Give browser a chance to process events between batches
-                        await new Promise(r => setTimeout(r, 0));
+                    // Convert raw geometry data to THREE.BufferGeometry
+                    const bufferGeometry = this._getBufferGeometry(geometry, shared);
+                    if (bufferGeometry) {
+                        const parent = this._getRegionGroup(scene, region);
+                        this.addGeometryToScene(parent, this._createShapes(shapes), bufferGeometry);
                     }
                 }
-            } else {
-                // Same batch processing for older versions
-                const BATCH_SIZE = 100;
                 
-                for (let i = 0; i < numShapes; i += BATCH_SIZE) {
-                    const batchEnd = Math.min(i + BATCH_SIZE, numShapes);
-                    
-                    for (let j = i; j < batchEnd; j++) {
-                        const shapes = this.parseShape(reader, version);
-                        const geometryData = this.parseGeometry(reader);
-                        const geometry = this._createBufferGeometry(geometryData);
-                        if (geometry) {
-                            this.addGeometryToScene(scene, shapes, geometry);
-                        }
-                    }
-                    
-                    // Give browser a chance to process events
-                    await new Promise(r => setTimeout(r, 0));
-                }
+                // Give browser a chance to process events between batches
+                await new Promise(r => setTimeout(r, 0));
             }
             
-            const endTime = performance.now();
-            console.log(`Model parsing complete in ${((endTime - startTime)/1000).toFixed(2)} seconds`);
             resolve(scene);
         };
         
         // Start batch processing
-        processInBatches();
+        processInBatches().catch(reject);
     });
   }
 
-  parseRegions(reader, count) {
-    const regions = [];
-    for (let i = 0; i < count; i++) {
-      const population = reader.readInt32();
-      
-      // Read center coordinates
-      const rawCenter = reader.readFloat32Array(3);
-      // Transform coordinates: swap Y and Z (WexBIM Z-up to Three.js Y-up)
-      const center = [rawCenter[0], rawCenter[2], rawCenter[1]];
-      
-      // Read bounding box (min x, min y, min z, max x, max y, max z)
-      const rawBBox = reader.readFloat32Array(6);
-      // Transform bounding box coordinates
-      const boundingBox = [
-        rawBBox[0], rawBBox[2], rawBBox[1],  // min x, min y (was z), min z (was y)
-        rawBBox[3], rawBBox[5], rawBBox[4]   // max x, max y (was z), max z (was y)
-      ];
-      
-      regions.push({
-        Population: population,
-        Centre: center,
-        BoundingBox: boundingBox,
-        GeometryModels: [],
-      });
+  // Merge the geometry of the records into one BatchedMesh per style (and region group), so
+  // each style takes a single draw call. The batched meshes of a load are kept with its task
+  // and grow as the chunks of a streaming load arrive. Every shape is an instance, identified
+  // by `userData.instances`.
+  async _addBatchedGeometriesToScene(scene, records, task) {
+    const BATCH_SIZE = 100;
+    // Parent group -> style id -> buffer geometry -> shapes placing it
+    const geometriesByParent = new Map();
+    const bufferGeometries = [];
+
+    for (let g = 0; g < records.length; g += BATCH_SIZE) {
+      throwIfAborted(task.signal);
+
+      for (const { shapes, geometry, region, shared } of records.slice(g, g + BATCH_SIZE)) {
+        if (!geometry) continue;
+        this._chargeBudget(task, geometry, shapes.length, Boolean(shared?.bufferGeometry));
+
+        const bufferGeometry = this._getBufferGeometry(geometry, shared);
+        if (!bufferGeometry) continue;
+        bufferGeometries.push(bufferGeometry);
+
+        const parent = this._getRegionGroup(scene, region);
+        let geometriesByStyle = geometriesByParent.get(parent);
+        if (!geometriesByStyle) {
+          geometriesByStyle = new Map();
+          geometriesByParent.set(parent, geometriesByStyle);
+        }
+
+        for (const shape of this._createShapes(shapes)) {
+          let geometries = geometriesByStyle.get(shape.styleId);
+          if (!geometries) {
+            geometries = new Map();
+            geometriesByStyle.set(shape.styleId, geometries);
+          }
+          let placed = geometries.get(bufferGeometry);
+          if (!placed) {
+            placed = [];
+            geometries.set(bufferGeometry, placed);
+          }
+          placed.push(shape);
+        }
+      }
+
+      // Give browser a chance to process events between batches
+      await new Promise(r => setTimeout(r, 0));
+    }
+
+    const materialStartTime = performance.now();
+    const matrix = new THREE.Matrix4();
+    const white = new THREE.Color(1, 1, 1);
+
+    for (const [parent, geometriesByStyle] of geometriesByParent) {
+      for (const [styleId, geometries] of geometriesByStyle) {
+        const { mesh, geometryIds } = this._getBatch(task, parent, styleId, geometries);
+        const { instances } = mesh.userData;
+        for (const [geometry, shapes] of geometries) {
+          let geometryId = geometryIds.get(geometry);
+          if (geometryId === undefined) {
+            geometryId = mesh.addGeometry(geometry);
+            geometryIds.set(geometry, geometryId);
+          }
+          for (const shape of shapes) {
+            const instanceId = mesh.addInstance(geometryId);
+            mesh.setMatrixAt(instanceId, shape.transform ? matrix.fromArray(shape.transform) : matrix.identity());
+            // White instance colors, so single instances can be tinted later
+            mesh.setColorAt(instanceId, white);
+            instances[instanceId] = this._getShapeIdentity(shape);
+            this.performanceStats.instances++;
+            this.performanceStats.triangles += geometry.index.count / 3;
+          }
+        }
+        // Bounds are computed when first needed, and change with every chunk
+        mesh.boundingBox = null;
+        mesh.boundingSphere = null;
+      }
     }
-    return regions;
+
+    // The batched meshes hold copies of the geometry
+    bufferGeometries.forEach((geometry) => geometry.dispose());
+    this.performanceStats.materialCreationTime += (performance.now() - materialStartTime) / 1000;
+    return scene;
   }
 
-  parseStyles(reader, count) {
-    // Performance: Only log every 10th style for large models
-    const shouldLogDetail = count < 50;
-    
-    for (let i = 0; i < count; i++) {
-      const styleId = reader.readInt32();
-      const r = reader.readFloat32();
-      const g = reader.readFloat32();
-      const b = reader.readFloat32();
-      const a = reader.readFloat32();
-      const rgba = [r * 255, g * 255, b * 255, a * 255];
-      
+  // The batched mesh of a style in a parent group, created on first use and grown to hold
+  // `geometries` (buffer geometry -> shapes placing it) when later chunks add to it
+  _getBatch(task, parent, styleId, geometries) {
+    let batches = task.batches.get(parent);
+    if (!batches) {
+      batches = new Map();
+      task.batches.set(parent, batches);
+    }
+    let batch = batches.get(styleId);
+
+    let instanceCount = 0;
+    let vertexCount = 0;
+    let indexCount = 0;
+    for (const [geometry, shapes] of geometries) {
+      instanceCount += shapes.length;
+      if (batch?.geometryIds.has(geometry)) continue;
+      vertexCount += geometry.attributes.position.count;
+      indexCount += geometry.index.count;
+    }
+
+    if (!batch) {
+      const mesh = new THREE.BatchedMesh(instanceCount, vertexCount, indexCount, this._styleMap.getMaterial(styleId));
+      mesh.userData = { styleId, instances: [] };
+      parent.add(mesh);
+      this.performanceStats.drawCalls++;
+      batch = { mesh, geometryIds: new Map(), maxVertexCount: vertexCount, maxIndexCount: indexCount };
+      batches.set(styleId, batch);
+      return batch;
+    }
+
+    // Grow at least twofold, so a streaming load reallocates a few times only
+    const { mesh } = batch;
+    if (mesh.instanceCount + instanceCount > mesh.maxInstanceCount) {
+      mesh.setInstanceCount(Math.max(mesh.instanceCount + instanceCount, mesh.maxInstanceCount * 2));
+    }
+    if (vertexCount > mesh.unusedVertexCount || indexCount > mesh.unusedIndexCount) {
+      const usedVertexCount = batch.maxVertexCount - mesh.unusedVertexCount;
+      const usedIndexCount = batch.maxIndexCount - mesh.unusedIndexCount;
+      batch.maxVertexCount = Math.max(usedVertexCount + vertexCount, batch.maxVertexCount * 2);
+      batch.maxIndexCount = Math.max(usedIndexCount + indexCount, batch.maxIndexCount * 2);
+      mesh.setGeometrySize(batch.maxVertexCount, batch.maxIndexCount);
+    }
+    return batch;
+  }
+
+  // Account for a geometry and its instances, failing once the budget is exceeded. Buffers
+  // shared with a geometry added before (`reused`) are not counted again.
+  _chargeBudget(task, geometry, instanceCount, reused = false) {
+    // Rendered triangles, and position, normal and index buffers plus instance matrices
+    task.triangles += (geometry.indices.length / 3) * instanceCount;
+    task.memoryBytes += (reused ? 0 : geometry.vertices.length * 8 + geometry.indices.length * 4) +
+      (instanceCount > 1 ? instanceCount * 64 : 0);
+
+    if (task.triangles > task.maxTriangles) {
+      throw new WexBIMBudgetExceededError('triangles', task.maxTriangles, task.triangles);
+    }
+    if (task.memoryBytes > task.maxMemoryBytes) {
+      throw new WexBIMBudgetExceededError('memory', task.maxMemoryBytes, task.memoryBytes);
+    }
+  }
+
+  // Buffer geometry of a record: the one of its shared geometry once created, or a new one
+  _getBufferGeometry(geometry, shared) {
+    if (shared?.bufferGeometry) return shared.bufferGeometry;
+    const bufferGeometry = this._createBufferGeometry(this._convertGeometry(geometry));
+    if (shared) shared.bufferGeometry = bufferGeometry;
+    return bufferGeometry;
+  }
+
+  // The group holding the meshes of a region, created the first time the region has geometry.
+  // Files before version 3 have no regions (`region` is -1) and their meshes go to the scene.
+  _getRegionGroup(scene, region) {
+    if (!this.lodSettings.useRegionGroups || !this.regions[region]) return scene;
+
+    let group = this._regionGroups[region];
+    if (!group) {
+      group = new THREE.Group();
+      group.name = `region-${region}`;
+      group.userData = { regionIndex: region, region: this.regions[region] };
+      scene.add(group);
+      this._regionGroups[region] = group;
+    }
+    return group;
+  }
+
+  // Merge records whose geometry content is identical, so their shapes share one buffer.
+  // With region groups, records of different regions are only merged into one per region, so
+  // each region group instances the shared buffer with its own mesh. The geometries seen are
+  // kept with the task: every record returned refers to its entry (`shared`), whose buffer
+  // geometry is reused when a later chunk of a streaming load (or another region) repeats it.
+  _deduplicateGeometries(geometries, task) {
+    const unique = [];
+    // Record returned for each shared geometry (and region) in this call
+    const recordOf = new Map();
+    let duplicates = 0;
+    let savedBytes = 0;
+
+    for (const record of geometries) {
+      const { geometry } = record;
+      if (!geometry) {
+        unique.push(record);
+        continue;
+      }
+
+      const hash = hashGeometry(geometry);
+      let candidates = task.geometries.get(hash);
+      if (!candidates) {
+        candidates = [];
+        task.geometries.set(hash, candidates);
+      }
+      let shared = candidates.find((candidate) => geometriesEqual(candidate.geometry, geometry));
+
+      if (shared) {
+        duplicates++;
+        // Position and normal (3 floats each per vertex) and index buffers that are not created
+        savedBytes += geometry.vertices.length * 8 + geometry.indices.length * 4;
+      } else {
+        shared = { geometry, bufferGeometry: null };
+        candidates.push(shared);
+      }
+
+      // Shapes of a duplicate keep their own transform, so they render as instances
+      let recordsByRegion = recordOf.get(shared);
+      if (!recordsByRegion) {
+        recordsByRegion = new Map();
+        recordOf.set(shared, recordsByRegion);
+      }
+      const region = this.lodSettings.useRegionGroups ? record.region : -1;
+      const merged = recordsByRegion.get(region);
+      if (merged) {
+        merged.shapes.push(...record.shapes);
+      } else {
+        const first = { ...record, shapes: record.shapes.slice(), shared };
+        recordsByRegion.set(region, first);
+        unique.push(first);
+      }
+    }
+
+    this.performanceStats.deduplicatedGeometries += duplicates;
+    this.performanceStats.memorySavedBytes += savedBytes;
+    return unique;
+  }
+
+  _convertRegions(regions) {
+    return regions.map((region) => {
+      const { centre, bbox } = region;
+      return {
+        Population: region.population,
+        // Transform coordinates: swap Y and Z (WexBIM Z-up to Three.js Y-up)
+        Centre: [centre[0], centre[2], centre[1]],
+        // The file stores origin and size; this is min (x, y, z) followed by max (x, y, z)
+        BoundingBox: [
+          bbox[0], bbox[2], bbox[1],
+          bbox[0] + bbox[3], bbox[2] + bbox[5], bbox[1] + bbox[4]
+        ],
+        GeometryModels: [],
+      };
+    });
+  }
+
+  _registerStyles(styles) {
+    styles.forEach((style, i) => {
+      const { r, g, b, a } = style.color;
       const colorObj = new THREE.Color(r, g, b);
-      const hex = '#' + colorObj.getHexString();
       
       this._styleMap.add({ 
-        id: styleId, 
+        id: style.id, 
         index: i, 
-        transparent: rgba[3] < 254,
+        transparent: a * 255 < 254,
         opacity: a,
         color: colorObj,
-        hex: hex
+        hex: '#' + colorObj.getHexString()
       });
-    }
-
-    // Add default styles with bright colors for testing
-    this._styleMap.add({ 
-      id: -1, 
-      index: count, 
-      transparent: false,
-      opacity: 1.0,
-      color: new THREE.Color(1, 0, 0), // Bright red for unknown styles
-      hex: '#ff0000'
     });
-    this._styleMap.add({ 
-      id: -2, 
-      index: count + 1, 
-      transparent: false,
-      opacity: 1.0,
-      color: new THREE.Color(0, 0, 1), // Bright blue for type 3 or 4
-      hex: '#0000ff'
+
+    this._registerDefaultStyles(styles.length);
+  }
+
+  // Minimal styles for extreme optimization
+  _registerStylesMinimal(styles) {
+    // Create a palette of predefined colors to use
+    const palette = [
+        new THREE.Color(0.8, 0.8, 0.8), // light gray
+        new THREE.Color(0.6, 0.6, 0.6), // medium gray
+        new THREE.Color(0.4, 0.4, 0.4), // dark gray
+        new THREE.Color(0.7, 0.3, 0.3), // red
+        new THREE.Color(0.3, 0.7, 0.3), // green
+        new THREE.Color(0.3, 0.3, 0.7), // blue
+        new THREE.Color(0.7, 0.7, 0.3), // yellow
+        new THREE.Color(0.7, 0.3, 0.7), // purple
+        new THREE.Color(0.3, 0.7, 0.7)  // cyan
+    ];
+    
+    styles.forEach((style, i) => {
+        // Assign a color from the palette based on index
+        const color = palette[i % palette.length];
+        
+        this._styleMap.add({ 
+            id: style.id, 
+            index: i, 
+            transparent: style.color.a < 0.99,
+            opacity: style.color.a,
+            color: color,
+            hex: '#' + color.getHexString()
+        });
     });
+    
+    this._registerDefaultStyles(styles.length);
   }
 
-  parseProducts(reader, count) {
-    for (let i = 0; i < count; i++) {
-      const productLabel = reader.readInt32();
-      const prodType = reader.readInt16();
-      const bBox = reader.readFloat32Array(6);
+  _registerDefaultStyles(count) {
+    const { defaultStyle, typeStyles } = this.styleSettings;
+    const styles = [[DEFAULT_STYLE_ID, defaultStyle]];
+    for (const type in typeStyles) {
+      styles.push([TYPE_STYLE_ID_BASE - Number(type), typeStyles[type]]);
+    }
 
-      this.productMaps[productLabel] = {
-        productID: productLabel,
+    styles.forEach(([id, { color, opacity = 1 }], i) => {
+      const colorObj = new THREE.Color(color);
+      this._styleMap.add({
+        id,
+        index: count + i,
+        transparent: opacity < 1,
+        opacity,
+        color: colorObj,
+        hex: '#' + colorObj.getHexString()
+      });
+    });
+  }
+
+  _registerProducts(products) {
+    products.forEach((product, i) => {
+      this.productMaps[product.label] = {
+        productID: product.label,
         renderId: i + 1,
-        type: prodType,
-        bBox,
+        type: product.type,
+        bBox: product.bbox,
         spans: [],
-        states: prodType === 3 || prodType === 4 ? [0] : [],
+        states: [],
       };
 
-      this.productIdLookup[i + 1] = productLabel;
-    }
+      this.productIdLookup[i + 1] = product.label;
+    });
   }
 
-  parseShape(reader, version) {
-    const repetition = reader.readInt32();
-    const shapes = [];
-    
-    // Performance: Only log detail for smaller models
-    const shouldLogDetail = repetition < 50;
-
-    for (let i = 0; i < repetition; i++) {
-      const productLabel = reader.readInt32();
-      const instanceTypeId = reader.readInt16();
-      const instanceLabel = reader.readInt32();
-      const styleId = reader.readInt32();
-
-      let transformation = null;
-      if (repetition > 1) {
-        // Read the transformation matrix
-        const rawTransform = version === 1 ? reader.readFloat32Array(16) : reader.readFloat64Array(16);
-        
-        // Convert from WexBIM to Three.js coordinate system
-        transformation = this._transformMatrix(rawTransform);
-      }
+  // Turn parsed shape instances into render records (style lookup, Y-up transforms)
+  _createShapes(shapes) {
+    return shapes.map((shape) => {
+      const type = this.productMaps[shape.productLabel]?.type || 0;
 
-      // Get style information
-      let styleItem = this._styleMap.get(styleId);
-      if (!styleItem) {
-        styleItem = this._styleMap.get(-1);
-      }
-      
-      const type = this.productMaps[productLabel]?.type || 0;
-      let finalStyleId = styleId;
-      
-      if (type === 3 || type === 4) {
-        finalStyleId = -2;
-        styleItem = this._styleMap.get(-2);
+      // A type style replaces the file's style; shapes without a known style get the default one
+      let finalStyleId = shape.styleId;
+      if (this._styleMap.get(TYPE_STYLE_ID_BASE - type)) {
+        finalStyleId = TYPE_STYLE_ID_BASE - type;
+      } else if (!this._styleMap.get(shape.styleId)) {
+        finalStyleId = DEFAULT_STYLE_ID;
       }
+      const styleItem = this._styleMap.get(finalStyleId);
 
-      shapes.push({
-        pLabel: productLabel,
-        iLabel: instanceLabel,
+      return {
+        pLabel: shape.productLabel,
+        iLabel: shape.instanceLabel,
+        productType: type,
         styleId: finalStyleId, // Store the actual style ID to use for lookup
         style: styleItem.index,
         transparent: styleItem.transparent,
         opacity: styleItem.opacity || 1.0,
-        transform: transformation, // Store the actual transformation array (or null if none)
-      });
-    }
-
-    return shapes;
+        // Convert from WexBIM to Three.js coordinate system
+        transform: this._transformMatrix(shape.transform),
+      };
+    });
   }
 
-  parseGeometry(reader) {
-    const version = reader.readByte();
-    const numVertices = reader.readInt32();
-    const numTriangles = reader.readInt32();
+  /**
+   * Convert parsed geometry to Three.js space with smoothed vertex normals
+   * @param {object} geometry - Geometry returned by `parseGeometry`
+   * @returns {{vertices: Float32Array, indices: Uint32Array, normals: Float32Array}}
+   */
+  _convertGeometry(geometry) {
+    const { indices, normals: packedNormals } = geometry;
+    const numVertices = geometry.vertices.length / 3;
+    const vertices = new Float32Array(geometry.vertices.length);
+    const vertexNormals = new Float32Array(geometry.vertices.length);
+    const normalCounts = new Uint32Array(numVertices);
+    const decoded = new Map();
 
-    // Pre-allocate typed arrays for better performance
-    // Using direct allocation instead of copying data later
-    const vertices = new Float32Array(numVertices * 3);
-    const indices = new Uint32Array(numTriangles * 3);
-    
-    // Create array for vertex normals (not per-face normals)
-    // This will be accumulated and normalized later for smoother shading
-    const vertexNormals = new Float32Array(numVertices * 3);
-    const normalCounts = new Uint32Array(numVertices); // Count contributions to each vertex
-    
-    // Read vertices directly into the pre-allocated array
+    // Coordinate system transformation: WexBIM uses Z-up, Three.js uses Y-up
+    // Swap Y and Z coordinates
     for (let i = 0; i < numVertices; i++) {
-        const x = reader.readFloat32();
-        const y = reader.readFloat32();
-        const z = reader.readFloat32();
-        
-        // Coordinate system transformation: WexBIM uses Z-up, Three.js uses Y-up
-        // Swap Y and Z coordinates (and negate one for correct handedness)
-        vertices[i * 3] = x;     // X remains the same
-        vertices[i * 3 + 1] = z; // Y in Three.js = Z in WexBIM
-        vertices[i * 3 + 2] = y; // Z in Three.js = Y in WexBIM
+        vertices[i * 3] = geometry.vertices[i * 3];
+        vertices[i * 3 + 1] = geometry.vertices[i * 3 + 2];
+        vertices[i * 3 + 2] = geometry.vertices[i * 3 + 1];
     }
 
-    let iIndex = 0;
-    let readIndex;
-
-    // Determine the correct method for reading indices based on vertex count
-    if (numVertices <= 0xFF) {
-        readIndex = () => reader.readByte();
-    } else if (numVertices <= 0xFFFF) {
-        readIndex = () => reader.readUint16();
-    } else {
-        readIndex = () => reader.readInt32();
-    }
-
-    const numFaces = reader.readInt32();
-    
-    // Temporary array to store face indices for a second pass
-    const faceIndices = [];
-    const faceNormals = [];
-
-    for (let i = 0; i < numFaces; i++) {
-        let numTrianglesInFace = reader.readInt32();
-        if (numTrianglesInFace === 0) continue;
-
-        const isPlanar = numTrianglesInFace > 0;
-        numTrianglesInFace = Math.abs(numTrianglesInFace);
-
-        if (isPlanar) {
-            // Read the packed normal (2 bytes for planar face)
-            const u = reader.readByte();
-            const v = reader.readByte();
-            
-            // Decode the normal vector using the SharpDxHelper.Vector3 equivalent
-            const normal = this._decodeNormal(u, v);
-            
-            // Transform normal to match Three.js coordinate system (swap Y and Z)
-            const normalThreeJS = new THREE.Vector3(
-                normal.x,
-                normal.z,  // Y in Three.js = Z in WexBIM
-                normal.y   // Z in Three.js = Y in WexBIM
-            );
-            
-            // Store face indices and the corresponding normal
-            const faceTriangles = [];
-            
-            // Read indices for the face
-            for (let j = 0; j < numTrianglesInFace * 3; j++) {
-                const vertexIndex = readIndex();
-                faceTriangles.push(vertexIndex);
-                indices[iIndex++] = vertexIndex;
-            }
-            
-            faceIndices.push(faceTriangles);
-            faceNormals.push(normalThreeJS);
-        } else {
-            // Non-planar face - each vertex has its own normal
-            for (let j = 0; j < numTrianglesInFace; j++) {
-                const triangleIndices = [];
-                const triangleNormals = [];
-                
-                for (let k = 0; k < 3; k++) {
-                    // Read vertex index
-                    const vertexIndex = readIndex();
-                    triangleIndices.push(vertexIndex);
-                    indices[iIndex++] = vertexIndex;
-                    
-                    // Read normal data (2 bytes per normal)
-                    const u = reader.readByte();
-                    const v = reader.readByte();
-                    
-                    // Decode the normal vector
-                    const normal = this._decodeNormal(u, v);
-                    
-                    // Transform normal to match Three.js coordinate system
-                    const normalThreeJS = new THREE.Vector3(
-                        normal.x,
-                        normal.z, // Y in Three.js = Z in WexBIM
-                        normal.y  // Z in Three.js = Y in WexBIM
-                    );
-                    
-                    triangleNormals.push(normalThreeJS);
-                }
-                
-                faceIndices.push(triangleIndices);
-                faceNormals.push(triangleNormals);
-            }
-        }
-    }
-    
-    // Second pass - accumulate normals at vertices for smoother shading
-    for (let i = 0; i < faceIndices.length; i++) {
-        const indices = faceIndices[i];
-        const normals = faceNormals[i];
-        
-        // Handle both planar (single normal) and non-planar (per-vertex normal) cases
-        const isPlanar = !Array.isArray(normals.x);
-        
-        for (let j = 0; j < indices.length; j++) {
-            const vertexIndex = indices[j];
-            const normal = isPlanar ? normals : normals[j % 3];
-            
-            // Accumulate normal at this vertex
-            const offset = vertexIndex * 3;
-            vertexNormals[offset] += normal.x;
-            vertexNormals[offset + 1] += normal.y;
-            vertexNormals[offset + 2] += normal.z;
-            
-            // Count contribution
-            normalCounts[vertexIndex]++;
+    // Accumulate the packed normal of every index at its vertex for smoother shading
+    for (let i = 0; i < indices.length; i++) {
+        const key = (packedNormals[i * 2] << 8) | packedNormals[i * 2 + 1];
+        let normal = decoded.get(key);
+        if (!normal) {
+            normal = decodeNormal(packedNormals[i * 2], packedNormals[i * 2 + 1]);
+            decoded.set(key, normal);
         }
+
+        const offset = indices[i] * 3;
+        vertexNormals[offset] += normal[0];
+        vertexNormals[offset + 1] += normal[2]; // Y in Three.js = Z in WexBIM
+        vertexNormals[offset + 2] += normal[1]; // Z in Three.js = Y in WexBIM
+        normalCounts[indices[i]]++;
     }
     
     // Normalize accumulated normals
     for (let i = 0; i < numVertices; i++) {
-        const count = normalCounts[i];
-        if (count > 0) {
-            const offset = i * 3;
-            vertexNormals[offset] /= count;
-            vertexNormals[offset + 1] /= count;
-            vertexNormals[offset + 2] /= count;
-            
-            // Ensure normal is normalized
-            const length = Math.sqrt(
-                vertexNormals[offset] * vertexNormals[offset] +
-                vertexNormals[offset + 1] * vertexNormals[offset + 1] +
-                vertexNormals[offset + 2] * vertexNormals[offset + 2]
-            );
-            
-            if (length > 0) {
-                vertexNormals[offset] /= length;
-                vertexNormals[offset + 1] /= length;
-                vertexNormals[offset + 2] /= length;
-            }
+        if (normalCounts[i] === 0) continue;
+        const offset = i * 3;
+        const length = Math.sqrt(
+            vertexNormals[offset] * vertexNormals[offset] +
+            vertexNormals[offset + 1] * vertexNormals[offset + 1] +
+            vertexNormals[offset + 2] * vertexNormals[offset + 2]
+        );
+        
+        if (length > 0) {
+            vertexNormals[offset] /= length;
+            vertexNormals[offset + 1] /= length;
+            vertexNormals[offset + 2] /= length;
         }
     }
 
-    // Ensure our index is correct
-    if (iIndex !== numTriangles * 3) {
-        console.warn(`Expected ${numTriangles * 3} indices but got ${iIndex}`);
-    }
-
     return { vertices, indices, normals: vertexNormals };
   }
 
-  /**
-   * Decode a normal vector from two bytes (u,v) using octahedral encoding
-   * This is equivalent to SharpDxHelper.Vector3 in the C# code
-   * @param {number} u - First byte of the encoded normal
-   * @param {number} v - Second byte of the encoded normal
-   * @returns {THREE.Vector3} - Decoded normal vector
-   */
-  _decodeNormal(u, v) {
-    // Convert from polar coordinates
-    // u and v are passed as integers between 0-255, we need to normalize them
-    const un = 2 * (u / 255.0) - 1.0;
-    const vn = 2 * (v / 255.0) - 1.0;
-    
-    // Calculate the z component assuming unit vector
-    let zSquared = 1.0 - un * un - vn * vn;
-    const normal = new THREE.Vector3(un, vn, zSquared > 0 ? Math.sqrt(zSquared) : 0);
-    
-    // Ensure the normal is normalized
-    normal.normalize();
-    
-    // Convert from Y-up to Z-up for Three.js
-    // In WexBim format: +Y is UP, +X is RIGHT, +Z is FORWARD (away from viewer)
-    // In Three.js: +Y is UP, +X is RIGHT, +Z is BACKWARD (toward viewer)
-    normal.z = -normal.z;
-    
-    return normal;
-  }
-
   addGeometryToScene(scene, shapes, geometry) {
     if (!geometry) {
-        console.warn("Skipping empty geometry.");
+        this._log.warn('Skipping empty WexBIM geometry');
         return;
     }
 
@@ -847,6 +1211,7 @@ class WexBIMLoader extends THREE.Loader {
         
         // Create mesh
         const mesh = new THREE.Mesh(geometry, material);
+        mesh.userData = this._getShapeIdentity(shape);
         
         if (shape.transform) {
             mesh.applyMatrix4(new THREE.Matrix4().fromArray(shape.transform));
@@ -854,6 +1219,8 @@ class WexBIMLoader extends THREE.Loader {
         
         mesh.frustumCulled = true;
         shapeGroup.add(mesh);
+        this.performanceStats.drawCalls++;
+        this.performanceStats.triangles += geometry.index.count / 3;
         
         // Add the entire group to the scene
         scene.add(shapeGroup);
@@ -896,8 +1263,11 @@ class WexBIMLoader extends THREE.Loader {
             shapesInGroup.length
         );
         
-        // Set instance matrices
+        // Set instance matrices, white instance colors (so single instances
+        // can be tinted later) and the instanceId -> product lookup table
         const matrix = new THREE.Matrix4();
+        const white = new THREE.Color(1, 1, 1);
+        const instances = [];
         for (let i = 0; i < shapesInGroup.length; i++) {
             const shape = shapesInGroup[i];
             
@@ -908,75 +1278,41 @@ class WexBIMLoader extends THREE.Loader {
             }
             
             instancedMesh.setMatrixAt(i, matrix);
+            instancedMesh.setColorAt(i, white);
+            instances.push(this._getShapeIdentity(shape));
         }
         
         // Update matrices flag
         instancedMesh.instanceMatrix.needsUpdate = true;
+        instancedMesh.instanceColor.needsUpdate = true;
+        instancedMesh.userData = {
+            styleId: shapesInGroup[0].styleId,
+            instances,
+        };
         
         // Enable frustum culling
         instancedMesh.frustumCulled = true;
+        this.performanceStats.drawCalls++;
+        this.performanceStats.instances += shapesInGroup.length;
+        this.performanceStats.triangles += (geometry.index.count / 3) * shapesInGroup.length;
         
         // Add to scene
         scene.add(instancedMesh);
     }
   }
 
-  // Minimal style parsing for extreme optimization
-  _parseStylesMinimal(reader, count) {
-    // Create a palette of predefined colors to use
-    const palette = [
-        new THREE.Color(0.8, 0.8, 0.8), // light gray
-        new THREE.Color(0.6, 0.6, 0.6), // medium gray
-        new THREE.Color(0.4, 0.4, 0.4), // dark gray
-        new THREE.Color(0.7, 0.3, 0.3), // red
-        new THREE.Color(0.3, 0.7, 0.3), // green
-        new THREE.Color(0.3, 0.3, 0.7), // blue
-        new THREE.Color(0.7, 0.7, 0.3), // yellow
-        new THREE.Color(0.7, 0.3, 0.7), // purple
-        new THREE.Color(0.3, 0.7, 0.7)  // cyan
-    ];
-    
-    // Read but don't process all styles (just skip the data)
-    for (let i = 0; i < count; i++) {
-        const styleId = reader.readInt32();
-        // Read but store RGBA values
-        const r = reader.readFloat32();
-        const g = reader.readFloat32();
-        const b = reader.readFloat32();
-        const a = reader.readFloat32();
-        
-        // Assign a color from the palette based on index
-        const colorIndex = i % palette.length;
-        const color = palette[colorIndex];
-        const hex = '#' + color.getHexString();
-        
-        this._styleMap.add({ 
-            id: styleId, 
-            index: i, 
-            transparent: a < 0.99,
-            opacity: a,
-            color: color,
-            hex: hex
-        });
-    }
-    
-    // Add default styles
-    this._styleMap.add({ 
-        id: -1, 
-        index: count, 
-        transparent: false,
-        opacity: 1.0,
-        color: new THREE.Color(1, 0, 0),
-        hex: '#ff0000'
-    });
-    this._styleMap.add({ 
-        id: -2, 
-        index: count + 1, 
-        transparent: false,
-        opacity: 1.0,
-        color: new THREE.Color(0, 0, 1),
-        hex: '#0000ff'
-    });
+  /**
+   * Product identity stored in mesh `userData` (or per instance in `userData.instances`)
+   * @param {object} shape - Shape record produced by `parseShape`
+   * @returns {{productLabel: number, instanceLabel: number, productType: number, styleId: number}}
+   */
+  _getShapeIdentity(shape) {
+    return {
+      productLabel: shape.pLabel,
+      instanceLabel: shape.iLabel,
+      productType: shape.productType,
+      styleId: shape.styleId,
+    };
   }
 
   // Helper method to transform matrices from WexBIM (Z-up) to Three.js (Y-up) coordinate system
@@ -997,6 +1333,46 @@ class WexBIMLoader extends THREE.Loader {
 }
 
 
+// Statistics of one load; times are in seconds
+function createPerformanceStats() {
+  return {
+    fileSize: 0,                   // Bytes of the .wexbim file
+    downloadTime: 0,
+    parseTime: 0,
+    geometryCreationTime: 0,
+    materialCreationTime: 0,
+    totalTime: 0,
+    products: 0,
+    shapes: 0,                     // Placements of geometry (one per product part)
+    geometries: 0,                 // Geometry buffers created
+    instances: 0,                  // Shapes drawn by instanced or batched meshes
+    materials: 0,
+    deduplicatedGeometries: 0,     // Geometries replaced by instances of identical ones
+    memorySavedBytes: 0,           // GPU buffer memory not allocated thanks to deduplication
+    drawCalls: 0,                  // Meshes, instanced meshes and batched meshes in the scene
+    triangles: 0                   // Rendered triangles (instances count separately)
+  };
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw getAbortError(signal);
+}
+
+function geometriesEqual(a, b) {
+  return arraysEqual(
+    new Uint32Array(a.vertices.buffer, a.vertices.byteOffset, a.vertices.length),
+    new Uint32Array(b.vertices.buffer, b.vertices.byteOffset, b.vertices.length)
+  ) && arraysEqual(a.indices, b.indices) && arraysEqual(a.normals, b.normals);
+}
+
+function arraysEqual(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
 class StyleMap {
   constructor() {
     this.styles = {};
@@ -1066,6 +1442,8 @@ class StyleMap {
       emissive: new THREE.Color(r * 0.1, g * 0.1, b * 0.1),
       dithering: this.materialSettings.dithering
     });
+    // Names the material in exports (e.g. glTF)
+    material.name = `style-${styleId}`;
     
     // Add to cache
     this.materialCache[styleId] = material;
@@ -1103,6 +1481,13 @@ class StyleMap {
     return this.createMaterial(styleId, style);
   }
 
+  /**
+   * @returns {number} - Number of materials created so far
+   */
+  getMaterialCount() {
+    return Object.keys(this.materialCache).length;
+  }
+
   /**
    * Debug method to output all styles
    */
@@ -0,0 +1,26 @@
+/** Least severe messages a logger passes on; `silent` drops everything */
+export type WexBIMLogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export interface WexBIMLogger {
+  debug(message: string, ...data: unknown[]): void;
+  info(message: string, ...data: unknown[]): void;
+  warn(message: string, ...data: unknown[]): void;
+  error(message: string, ...data: unknown[]): void;
+}
+
+export interface WexBIMLoggerOptions {
+  /** Defaults to `warn` */
+  level?: WexBIMLogLevel;
+  /** Receives the messages that pass; defaults to `console` */
+  sink?: Partial<WexBIMLogger>;
+}
+
+/**
+ * Creates a logger that drops messages below a level and passes the rest to a sink
+ */
+export declare function createLogger(options?: WexBIMLoggerOptions): WexBIMLogger;
+
+/** Replaces the logger used when a loader or viewer has none of its own (initially `warn` to the console) */
+export declare function setDefaultLogger(logger: WexBIMLogger): void;
+
+export declare function getDefaultLogger(): WexBIMLogger;
@@ -0,0 +1,48 @@
+// WexBIM Logger
+// Diagnostics of the loader and viewer (worker fallbacks, skipped geometry, parse problems,
+// timings) go through a logger with levels instead of straight to the console, so apps can
+// silence them or forward them to their own logging.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+/**
+ * Create a logger that drops messages below a level and passes the rest to a sink
+ * @param {object} [options]
+ * @param {string} [options.level='warn'] - `debug`, `info`, `warn`, `error` or `silent`
+ * @param {object} [options.sink=console] - Object with `debug`, `info`, `warn` and `error`
+ * methods (missing ones drop their messages)
+ * @returns {object} - Logger with `debug`, `info`, `warn` and `error` methods
+ */
+function createLogger({ level = 'warn', sink = console } = {}) {
+  const threshold = LOG_LEVELS[level];
+  if (threshold === undefined) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+
+  const logger = {};
+  for (const method of ['debug', 'info', 'warn', 'error']) {
+    logger[method] = LOG_LEVELS[method] >= threshold && typeof sink[method] === 'function'
+      ? (message, ...data) => sink[method](message, ...data)
+      : () => {};
+  }
+  return logger;
+}
+
+let defaultLogger = createLogger();
+
+/**
+ * Replace the logger used when a loader or viewer has none of its own
+ * @param {object} logger - Logger as from `createLogger`, or any object with the four methods
+ */
+function setDefaultLogger(logger) {
+  defaultLogger = logger;
+}
+
+/**
+ * @returns {object} - The logger used when a loader or viewer has none of its own
+ */
+function getDefaultLogger() {
+  return defaultLogger;
+}
+
+export { createLogger, setDefaultLogger, getDefaultLogger };
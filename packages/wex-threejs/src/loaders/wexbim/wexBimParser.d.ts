@@ -0,0 +1,206 @@
+import type { WexBIMParseError } from './wexBimErrors';
+
+export declare const WEXBIM_MAGIC_NUMBER: number;
+
+/**
+ * File header
+ */
+export interface WexBIMHeader {
+  /** Format version, 1 to 4 */
+  version: number;
+  numShapes: number;
+  numVertices: number;
+  numTriangles: number;
+  numMatrices: number;
+  numProducts: number;
+  numStyles: number;
+  /** Number of model units in one meter */
+  meter: number;
+  /** Offset of the local world coordinate system (version 4+, zeros otherwise) */
+  localWCS: [number, number, number];
+  numRegions: number;
+}
+
+/**
+ * Spatial region of the model
+ */
+export interface WexBIMRegionData {
+  population: number;
+  centre: Float32Array;
+  /** Origin (x, y, z) followed by size (x, y, z) */
+  bbox: Float32Array;
+}
+
+/**
+ * Style (color) record, components in the 0-1 range
+ */
+export interface WexBIMStyleData {
+  id: number;
+  color: { r: number; g: number; b: number; a: number };
+}
+
+/**
+ * Product record
+ */
+export interface WexBIMProductData {
+  /** IFC entity label */
+  label: number;
+  /** WexBIM product type id */
+  type: number;
+  /** Origin (x, y, z) followed by size (x, y, z) */
+  bbox: Float32Array;
+}
+
+/**
+ * One placement of a geometry
+ */
+export interface WexBIMShapeData {
+  productLabel: number;
+  instanceTypeId: number;
+  instanceLabel: number;
+  styleId: number;
+  /** Column-major 4x4 matrix, only present for repeated geometry */
+  transform: Float32Array | Float64Array | null;
+}
+
+/**
+ * Triangulated geometry
+ */
+export interface WexBIMGeometryData {
+  version: number;
+  /** Vertex positions (x, y, z) */
+  vertices: Float32Array;
+  /** Triangle indices */
+  indices: Uint32Array;
+  /** Packed (u, v) normal for every index, see `decodeNormal` */
+  normals: Uint8Array;
+  /** Signed triangle count of every face (negative for non-planar faces) */
+  faces: Int32Array;
+}
+
+/**
+ * A geometry together with all its placements
+ */
+export interface WexBIMGeometryRecord {
+  /** Index of the region holding the geometry (-1 before version 3) */
+  region: number;
+  shapes: WexBIMShapeData[];
+  geometry: WexBIMGeometryData | null;
+}
+
+/**
+ * Plain data of a complete .wexbim file (coordinates as stored in the file, Z-up)
+ */
+export interface WexBIMModelData {
+  header: WexBIMHeader;
+  regions: WexBIMRegionData[];
+  styles: WexBIMStyleData[];
+  products: WexBIMProductData[];
+  geometries: WexBIMGeometryRecord[];
+  /** Problems skipped in lenient mode, and warnings */
+  issues: WexBIMParseError[];
+}
+
+export declare class BinaryReader {
+  /** `origin` is the offset of `buffer` in the file, so errors report file offsets */
+  constructor(buffer: ArrayBuffer | ArrayBufferView, origin?: number);
+  view: DataView;
+  offset: number;
+  origin: number;
+  /** Offset in the file */
+  readonly position: number;
+  readonly remaining: number;
+  readInt32(): number;
+  readUint16(): number;
+  readInt16(): number;
+  readByte(): number;
+  readFloat32(): number;
+  readFloat64(): number;
+  readFloat32Array(count: number): Float32Array;
+  readFloat64Array(count: number): Float64Array;
+  readUint8Array(count: number): Uint8Array;
+  getSubReader(length: number): BinaryReader;
+  isEOF(): boolean;
+}
+
+/**
+ * Everything but the geometry, plus the byte offset of every region's geometry block
+ */
+export interface WexBIMIndex extends Omit<WexBIMModelData, 'geometries' | 'issues'> {
+  /** Empty before version 3, where geometry is not grouped by region */
+  regionOffsets: number[];
+}
+
+export interface WexBIMParseOptions {
+  /** Called with the number of geometries parsed so far */
+  onProgress?: (processed: number) => void;
+  /**
+   * Skip broken geometries, and keep the geometries read so far when the geometry section
+   * cannot be read to the end, instead of throwing. The header, regions, styles and
+   * products must always be intact.
+   */
+  lenient?: boolean;
+}
+
+/**
+ * Result of `validateWexBIM`
+ */
+export interface WexBIMValidationResult {
+  /** True when there are no errors */
+  valid: boolean;
+  /** Null when the header cannot be read */
+  header: WexBIMHeader | null;
+  errors: WexBIMParseError[];
+  warnings: WexBIMParseError[];
+}
+
+export declare function parseWexBIM(
+  data: ArrayBuffer | ArrayBufferView | BinaryReader,
+  options?: WexBIMParseOptions
+): WexBIMModelData;
+export declare function parseWexBIMIndex(data: ArrayBuffer | ArrayBufferView): WexBIMIndex;
+export declare function validateWexBIM(data: ArrayBuffer | ArrayBufferView): WexBIMValidationResult;
+export declare function parseRegionGeometries(
+  reader: BinaryReader,
+  version: number,
+  region: number,
+  options?: WexBIMParseOptions & {
+    /** Receives the skipped problems and warnings */
+    issues?: WexBIMParseError[];
+  }
+): WexBIMGeometryRecord[];
+
+/**
+ * Result of feeding one chunk to a `WexBIMStreamParser`
+ */
+export interface WexBIMStreamChunkResult {
+  /** Header, regions, styles and products, set by the chunk that completed them */
+  index: Omit<WexBIMModelData, 'geometries' | 'issues'> | null;
+  /** Geometry records completed by the chunk (whole regions from version 3 on) */
+  geometries: WexBIMGeometryRecord[];
+  /** Indices of the regions completed by the chunk */
+  regions: number[];
+}
+
+/**
+ * Incremental parser for data arriving in chunks (e.g. a fetch stream)
+ */
+export declare class WexBIMStreamParser {
+  constructor(options?: Pick<WexBIMParseOptions, 'lenient'>);
+  index: Omit<WexBIMModelData, 'geometries' | 'issues'> | null;
+  isComplete: boolean;
+  /** Problems skipped in lenient mode, and warnings */
+  issues: WexBIMParseError[];
+  push(chunk: Uint8Array): WexBIMStreamChunkResult;
+  /**
+   * Throws when the data ended before the file did. In lenient mode the truncation is
+   * recorded in `issues` instead and the geometry read so far is returned.
+   */
+  finish(): WexBIMStreamChunkResult;
+}
+
+export declare function parseHeader(reader: BinaryReader): WexBIMHeader;
+export declare function parseGeometry(reader: BinaryReader): WexBIMGeometryData;
+export declare function decodeNormal(u: number, v: number): [number, number, number];
+/** Hash of the vertex, index and normal content of a geometry; equal content gives equal hashes */
+export declare function hashGeometry(geometry: WexBIMGeometryData): string;
@@ -0,0 +1,875 @@
+// WexBIM Parser
+// Pure, DOM-free parsing of .wexbim files into plain data. It has no dependency
+// on Three.js, `window` or timers, so it runs unchanged in browsers, web workers
+// and Node. Coordinates are returned exactly as stored in the file (Z-up);
+// converting them for rendering is the job of the scene builder (WexBIMLoader).
+//
+// Differences between the supported versions:
+//   v1    - instance transforms are float32
+//   v1-v2 - shapes follow each other directly, without regions or length prefixes
+//   v3+   - geometry is grouped by region and every geometry is length-prefixed
+//   v4    - the header carries the local world coordinate system (localWCS)
+//
+// Truncated or malformed data raises a WexBIMParseError that locates the problem
+// (section, byte offset and affected products).
+
+import { WexBIMParseError } from './wexBimErrors.js';
+
+const WEXBIM_MAGIC_NUMBER = 94132117;
+
+const MIN_WEXBIM_VERSION = 1;
+const MAX_WEXBIM_VERSION = 4;
+
+// Packed normals store longitude/latitude in 0..252 steps (see XbimPackedNormal)
+const NORMAL_PACK_SIZE = 252;
+
+class BinaryReader {
+  /**
+   * @param {ArrayBuffer|ArrayBufferView} buffer - Data to read (a Node Buffer works too)
+   * @param {number} [origin=0] - Offset of `buffer` in the file, so errors report file offsets
+   */
+  constructor(buffer, origin = 0) {
+    this.view = ArrayBuffer.isView(buffer)
+      ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+      : new DataView(buffer);
+    this.offset = 0;
+    this.origin = origin;
+  }
+
+  // Offset in the file
+  get position() {
+    return this.origin + this.offset;
+  }
+
+  get remaining() {
+    return this.view.byteLength - this.offset;
+  }
+
+  readInt32() {
+    const value = this.view.getInt32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  readUint16() {
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  readInt16() {
+    const value = this.view.getInt16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  readByte() {
+    const value = this.view.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  readFloat32() {
+    const value = this.view.getFloat32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  readFloat64() {
+    const value = this.view.getFloat64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  readFloat32Array(count) {
+    const arr = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      arr[i] = this.readFloat32();
+    }
+    return arr;
+  }
+
+  readFloat64Array(count) {
+    const arr = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      arr[i] = this.readFloat64();
+    }
+    return arr;
+  }
+
+  readUint8Array(count) {
+    const arr = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, count);
+    this.offset += count;
+    return arr;
+  }
+
+  getSubReader(length) {
+    // Create a new reader over a copy of the next `length` bytes
+    const start = this.view.byteOffset + this.offset;
+    const subBuffer = this.view.buffer.slice(start, start + length);
+    const origin = this.position;
+    this.offset += length;
+    return new BinaryReader(subBuffer, origin);
+  }
+
+  isEOF() {
+    return this.offset >= this.view.byteLength;
+  }
+}
+
+/**
+ * Parse a complete .wexbim file into plain data
+ * @param {ArrayBuffer|ArrayBufferView|BinaryReader} data - File content
+ * @param {object} [options]
+ * @param {function(number): void} [options.onProgress] - Called with the number of parsed geometries
+ * @param {boolean} [options.lenient=false] - Skip broken geometries, and keep the geometries read
+ * so far when the geometry section cannot be read to the end, instead of throwing. The header,
+ * regions, styles and products must always be intact.
+ * @returns {object} - `{ header, regions, styles, products, geometries, issues }`, where `issues`
+ * holds the WexBIMParseErrors that were skipped (lenient mode) and warnings
+ * @throws {WexBIMParseError} When the data is truncated or malformed
+ */
+function parseWexBIM(data, options = {}) {
+  const reader = data instanceof BinaryReader ? data : new BinaryReader(data);
+  const issues = [];
+
+  const header = parseHeader(reader);
+  const regions = parseRegions(reader, header.numRegions);
+  const styles = parseStyles(reader, header.numStyles);
+  const products = parseProducts(reader, header.numProducts);
+  const geometries = parseGeometries(reader, header, { ...options, issues });
+
+  return { header, regions, styles, products, geometries, issues };
+}
+
+/**
+ * Check a .wexbim file without keeping its geometry. Besides everything parsing rejects,
+ * this reports shapes referencing unknown products or styles and data after the geometry.
+ * @param {ArrayBuffer|ArrayBufferView} data - File content
+ * @returns {object} - `{ valid, header, errors, warnings }`: `valid` is true when there are
+ * no errors, `header` is null when the header cannot be read, and `errors` and `warnings`
+ * are WexBIMParseErrors
+ */
+function validateWexBIM(data) {
+  const reader = new BinaryReader(data);
+  const issues = [];
+  let header = null;
+
+  try {
+    header = parseHeader(reader);
+    parseRegions(reader, header.numRegions);
+    const styles = parseStyles(reader, header.numStyles);
+    const products = parseProducts(reader, header.numProducts);
+    const references = {
+      products: new Set(products.map((product) => product.label)),
+      styles: new Set(styles.map((style) => style.id)),
+    };
+    parseGeometries(reader, header, { lenient: true, issues, references });
+
+    if (!issues.some(isError) && !reader.isEOF()) {
+      issues.push(new WexBIMParseError(`${reader.remaining} unexpected bytes after the geometry`, {
+        section: 'geometry',
+        offset: reader.position,
+        severity: 'warning',
+      }));
+    }
+  } catch (error) {
+    if (!(error instanceof WexBIMParseError)) throw error;
+    issues.push(error);
+  }
+
+  const errors = issues.filter(isError);
+  const warnings = issues.filter((issue) => !isError(issue));
+  return { valid: errors.length === 0, header, errors, warnings };
+}
+
+function isError(issue) {
+  return issue.severity === 'error';
+}
+
+/**
+ * Parse everything except the geometry and locate where the geometry of every
+ * region starts, so regions can be parsed independently (e.g. by a worker pool)
+ * @param {ArrayBuffer|ArrayBufferView} data - File content
+ * @returns {object} - `{ header, regions, styles, products, regionOffsets }`, where
+ * `regionOffsets` is empty before version 3 (geometry is not grouped by region)
+ * @throws {WexBIMParseError} When the data is truncated or malformed
+ */
+function parseWexBIMIndex(data) {
+  const reader = new BinaryReader(data);
+
+  const header = parseHeader(reader);
+  const regions = parseRegions(reader, header.numRegions);
+  const styles = parseStyles(reader, header.numStyles);
+  const products = parseProducts(reader, header.numProducts);
+
+  const regionOffsets = [];
+  if (header.version >= 3) {
+    for (let r = 0; r < header.numRegions; r++) {
+      regionOffsets.push(reader.offset);
+      skipRegionGeometries(reader, header.version, r);
+    }
+  }
+
+  return { header, regions, styles, products, regionOffsets };
+}
+
+/**
+ * Incremental parser for .wexbim data that arrives in chunks (e.g. from a fetch
+ * stream). Every `push` returns whatever became complete with that chunk: the
+ * index (header, regions, styles, products) once, then geometry records. From
+ * version 3 on, geometry is returned one whole region at a time.
+ */
+class WexBIMStreamParser {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.lenient=false] - As for `parseWexBIM`; skipped problems are
+   * collected in `issues`
+   */
+  constructor(options = {}) {
+    this._lenient = options.lenient ?? false;
+
+    // Received but not yet parsed bytes live in _buffer[_start.._end), which starts
+    // at _offset in the file
+    this._buffer = new Uint8Array(0);
+    this._start = 0;
+    this._end = 0;
+    this._offset = 0;
+    // Number of unparsed bytes needed before parsing can continue, and the error to
+    // report if they never arrive
+    this._needed = 0;
+    this._truncation = null;
+
+    this.index = null;
+    this.isComplete = false;
+    this.issues = [];
+
+    // Version 3+: region being read and its geometry so far
+    this._region = 0;
+    this._regionCount = 0;
+    this._regionRemaining = -1;
+    this._regionGeometries = [];
+    // Older versions: number of shapes read so far
+    this._shapesRead = 0;
+  }
+
+  /**
+   * Add a chunk of data and parse as far as possible
+   * @param {Uint8Array} chunk - Next bytes of the file
+   * @returns {object} - `{ index, geometries, regions }`: the index if it became
+   * available, new geometry records and the indices of regions that are now complete
+   */
+  push(chunk) {
+    this._append(chunk);
+    const result = { index: null, geometries: [], regions: [] };
+    if (this.isComplete || this._end - this._start < this._needed) return result;
+
+    const reader = new BinaryReader(this._buffer.subarray(this._start, this._end), this._offset);
+    let parsed = 0;
+    try {
+      while (!this.isComplete && this._step(reader, result)) {
+        parsed = reader.offset;
+      }
+    } catch (error) {
+      if (!(error instanceof WexBIMParseError)) throw error;
+      if (error.truncated) {
+        // Running out of data only means the rest has not arrived yet
+        this._needed = reader.offset - parsed + 1;
+        this._truncation = error;
+      } else if (this._lenient && this.index) {
+        // Nothing after a broken record can be located
+        this.issues.push(error);
+        this._stop(result);
+      } else {
+        throw error;
+      }
+    }
+
+    this._start += parsed;
+    this._offset += parsed;
+    return result;
+  }
+
+  /**
+   * Check that the data ended where the file does. In lenient mode a truncated geometry
+   * section is recorded in `issues` instead, and the geometry read so far is returned.
+   * @returns {object} - `{ index, geometries, regions }` as for `push`
+   * @throws {WexBIMParseError} When the data ended early
+   */
+  finish() {
+    const result = { index: null, geometries: [], regions: [] };
+    if (this.isComplete) return result;
+
+    // The error of the last attempt, located where the data ended
+    const offset = this._offset + this._end - this._start;
+    const error = this._truncation
+      ? new WexBIMParseError(this._truncation.reason, { ...this._truncation.toJSON(), offset })
+      : new WexBIMParseError('unexpected end of data', { section: 'header', offset, truncated: true });
+    if (!this._lenient || !this.index) throw error;
+
+    this.issues.push(error);
+    this._stop(result);
+    return result;
+  }
+
+  // Give up on the rest of the geometry, completing what has been read
+  _stop(result) {
+    const { version, numRegions } = this.index.header;
+    for (const record of this._regionGeometries) {
+      result.geometries.push(record);
+    }
+    this._regionGeometries = [];
+    for (let r = version >= 3 ? this._region : 0; r < numRegions; r++) {
+      result.regions.push(r);
+    }
+    this.isComplete = true;
+  }
+
+  // Parse one unit (the index or one geometry record); false when more data is needed
+  _step(reader, result) {
+    this._needed = 0;
+
+    if (!this.index) {
+      const header = parseHeader(reader);
+      const regions = parseRegions(reader, header.numRegions);
+      const styles = parseStyles(reader, header.numStyles);
+      const products = parseProducts(reader, header.numProducts);
+      this.index = { header, regions, styles, products };
+      result.index = this.index;
+      this.isComplete = header.version >= 3 ? header.numRegions === 0 : header.numShapes === 0;
+      return true;
+    }
+
+    const { version, numRegions, numShapes } = this.index.header;
+
+    if (version < 3) {
+      const { shapes, geometry } = parseShapeAndGeometry(reader, version, this._shapesRead);
+      result.geometries.push({ region: -1, shapes, geometry });
+
+      if (++this._shapesRead === numShapes) {
+        for (let r = 0; r < numRegions; r++) result.regions.push(r);
+        this.isComplete = true;
+      }
+      return true;
+    }
+
+    if (this._regionRemaining < 0) {
+      this._regionCount = readGeometryCount(reader, this._region);
+      this._regionRemaining = this._regionCount;
+    } else {
+      const start = reader.offset;
+      const location = { region: this._region, geometryIndex: this._regionCount - this._regionRemaining };
+      const { shapes, geomLength } = parseShapeAndLength(reader, version, location);
+      if (reader.remaining < geomLength) {
+        // Wait until the whole geometry has arrived
+        this._needed = reader.offset - start + geomLength;
+        this._truncation = new WexBIMParseError('unexpected end of data', {
+          ...location,
+          section: 'geometry',
+          offset: getEndOfData(reader),
+          productLabels: getProductLabels(shapes),
+          truncated: true,
+        });
+        reader.offset = start;
+        return false;
+      }
+      const record = parseLengthPrefixedGeometry(reader, geomLength, shapes, location, {
+        lenient: this._lenient,
+        issues: this.issues,
+      });
+      if (record) this._regionGeometries.push(record);
+      this._regionRemaining--;
+    }
+
+    if (this._regionRemaining === 0) {
+      for (const record of this._regionGeometries) {
+        result.geometries.push(record);
+      }
+      result.regions.push(this._region);
+      this._regionGeometries = [];
+      this._regionRemaining = -1;
+      this.isComplete = ++this._region === numRegions;
+    }
+    return true;
+  }
+
+  _append(chunk) {
+    const length = this._end - this._start;
+    if (this._end + chunk.byteLength > this._buffer.byteLength) {
+      if (length + chunk.byteLength <= this._buffer.byteLength / 2) {
+        // Enough room once the parsed bytes are dropped
+        this._buffer.copyWithin(0, this._start, this._end);
+      } else {
+        const grown = new Uint8Array(Math.max(this._buffer.byteLength * 2, length + chunk.byteLength));
+        grown.set(this._buffer.subarray(this._start, this._end));
+        this._buffer = grown;
+      }
+      this._start = 0;
+      this._end = length;
+    }
+    this._buffer.set(chunk, this._end);
+    this._end += chunk.byteLength;
+  }
+}
+
+function parseHeader(reader) {
+  return locate(reader, { section: 'header' }, () => {
+    const magicNumber = reader.readInt32();
+    if (magicNumber !== WEXBIM_MAGIC_NUMBER) {
+      throw new WexBIMParseError('magic number mismatch', { section: 'header', offset: reader.position - 4 });
+    }
+
+    const version = reader.readByte();
+    if (version < MIN_WEXBIM_VERSION || version > MAX_WEXBIM_VERSION) {
+      throw new WexBIMParseError(
+        `unsupported version ${version} (supported versions are ${MIN_WEXBIM_VERSION} to ${MAX_WEXBIM_VERSION})`,
+        { section: 'header', offset: reader.position - 1 }
+      );
+    }
+
+    const numShapes = readCount(reader, 'header', 'shape');
+    const numVertices = readCount(reader, 'header', 'vertex');
+    const numTriangles = readCount(reader, 'header', 'triangle');
+    const numMatrices = readCount(reader, 'header', 'matrix');
+    const numProducts = readCount(reader, 'header', 'product');
+    const numStyles = readCount(reader, 'header', 'style');
+    const meter = reader.readFloat32();
+    const localWCS = version > 3 ? [reader.readFloat64(), reader.readFloat64(), reader.readFloat64()] : [0, 0, 0];
+    const numRegions = reader.readInt16();
+    if (numRegions < 0) {
+      throw new WexBIMParseError(`negative region count ${numRegions}`, { section: 'header', offset: reader.position - 2 });
+    }
+
+    return {
+      version,
+      numShapes,
+      numVertices,
+      numTriangles,
+      numMatrices,
+      numProducts,
+      numStyles,
+      meter,
+      localWCS,
+      numRegions,
+    };
+  });
+}
+
+function parseRegions(reader, count) {
+  return locate(reader, { section: 'regions' }, () => {
+    const regions = [];
+    for (let i = 0; i < count; i++) {
+      regions.push({
+        population: reader.readInt32(),
+        centre: reader.readFloat32Array(3),
+        // Origin (x, y, z) followed by size (x, y, z)
+        bbox: reader.readFloat32Array(6),
+      });
+    }
+    return regions;
+  });
+}
+
+function parseStyles(reader, count) {
+  return locate(reader, { section: 'styles' }, () => {
+    const styles = [];
+    for (let i = 0; i < count; i++) {
+      const id = reader.readInt32();
+      const r = reader.readFloat32();
+      const g = reader.readFloat32();
+      const b = reader.readFloat32();
+      const a = reader.readFloat32();
+      styles.push({ id, color: { r, g, b, a } });
+    }
+    return styles;
+  });
+}
+
+function parseProducts(reader, count) {
+  return locate(reader, { section: 'products' }, () => {
+    const products = [];
+    for (let i = 0; i < count; i++) {
+      products.push({
+        label: reader.readInt32(),
+        type: reader.readInt16(),
+        // Origin (x, y, z) followed by size (x, y, z)
+        bbox: reader.readFloat32Array(6),
+      });
+    }
+    return products;
+  });
+}
+
+function parseGeometries(reader, header, options) {
+  const { version, numRegions, numShapes } = header;
+  const { onProgress, lenient = false, issues = [] } = options;
+  const geometries = [];
+
+  try {
+    if (version >= 3) {
+      // Version 3+ groups geometry by region
+      for (let r = 0; r < numRegions; r++) {
+        readRegionGeometries(reader, version, r, geometries, options);
+      }
+    } else {
+      // Older versions store one shape and its geometry after another
+      for (let i = 0; i < numShapes; i++) {
+        const { shapes, geometry } = parseShapeAndGeometry(reader, version, i, options);
+        geometries.push({ region: -1, shapes, geometry });
+
+        if (onProgress && geometries.length % 100 === 0) {
+          onProgress(geometries.length);
+        }
+      }
+    }
+  } catch (error) {
+    // Nothing after missing data or a record that cannot be skipped can be located,
+    // so lenient parsing keeps what came before
+    if (!lenient || !(error instanceof WexBIMParseError)) throw error;
+    issues.push(error);
+  }
+
+  return geometries;
+}
+
+/**
+ * Parse the geometry block of one region (version 3+)
+ * @param {BinaryReader} reader - Reader positioned at the start of the region block
+ * @param {number} version - File version
+ * @param {number} region - Region index stored on the returned records
+ * @param {object} [options]
+ * @param {function(number): void} [options.onProgress] - Called with the number of parsed geometries
+ * @param {boolean} [options.lenient=false] - Skip geometries whose content is broken; problems
+ * that make the rest of the block unreadable still throw
+ * @param {WexBIMParseError[]} [options.issues] - Receives the skipped problems and warnings
+ * @returns {object[]} - Geometry records of the region
+ * @throws {WexBIMParseError} When the data is truncated or malformed
+ */
+function parseRegionGeometries(reader, version, region, options = {}) {
+  const geometries = [];
+  readRegionGeometries(reader, version, region, geometries, options);
+  return geometries;
+}
+
+function readRegionGeometries(reader, version, region, geometries, options) {
+  const geomCount = readGeometryCount(reader, region);
+
+  for (let g = 0; g < geomCount; g++) {
+    const { shapes, geomLength } = parseShapeAndLength(reader, version, { region, geometryIndex: g }, options);
+    const record = parseLengthPrefixedGeometry(reader, geomLength, shapes, { region, geometryIndex: g }, options);
+    if (record) geometries.push(record);
+
+    if (options.onProgress && geometries.length % 100 === 0) {
+      options.onProgress(geometries.length);
+    }
+  }
+}
+
+function readGeometryCount(reader, region) {
+  return locate(reader, { section: 'geometry', region }, () => readCount(reader, 'geometry', 'geometry'));
+}
+
+// Read the shape record and geometry length preceding each geometry from version 3 on
+function parseShapeAndLength(reader, version, location, options = {}) {
+  const shapes = parseLocatedShape(reader, version, location, options);
+  const geomLength = locate(reader, { ...location, section: 'geometry', productLabels: getProductLabels(shapes) }, () => {
+    return readCount(reader, 'geometry', 'byte');
+  });
+  return { shapes, geomLength };
+}
+
+// Read a shape record and the geometry that directly follows it (before version 3)
+function parseShapeAndGeometry(reader, version, geometryIndex, options = {}) {
+  const shapes = parseLocatedShape(reader, version, { geometryIndex }, options);
+  const geometry = locate(reader, { section: 'geometry', geometryIndex, productLabels: getProductLabels(shapes) }, () => {
+    return parseGeometry(reader);
+  });
+  return { shapes, geometry };
+}
+
+function parseLocatedShape(reader, version, location, options) {
+  const offset = reader.position;
+  const shapes = locate(reader, { ...location, section: 'shape' }, () => parseShape(reader, version));
+  if (options.references) {
+    checkReferences(shapes, { ...location, offset }, options.references, options.issues);
+  }
+  return shapes;
+}
+
+// Report shapes that place unknown products or use unknown styles (see validateWexBIM)
+function checkReferences(shapes, location, references, issues) {
+  for (const { productLabel, styleId } of shapes) {
+    if (!references.products.has(productLabel)) {
+      issues.push(new WexBIMParseError(`unknown product #${productLabel}`, {
+        ...location,
+        section: 'shape',
+        productLabels: [productLabel],
+        severity: 'warning',
+      }));
+    }
+    if (!references.styles.has(styleId)) {
+      issues.push(new WexBIMParseError(`unknown style ${styleId}`, {
+        ...location,
+        section: 'shape',
+        productLabels: [productLabel],
+        severity: 'warning',
+      }));
+    }
+  }
+}
+
+// Build the record of a region geometry whose shapes and length have been read. In lenient
+// mode a geometry with broken content is reported and skipped (returns null): its length
+// says where the next one starts.
+function parseLengthPrefixedGeometry(reader, geomLength, shapes, location, options = {}) {
+  const { region, geometryIndex } = location;
+  const geometryLocation = { section: 'geometry', region, geometryIndex, productLabels: getProductLabels(shapes) };
+
+  if (geomLength > reader.remaining) {
+    throw new WexBIMParseError('unexpected end of data', {
+      ...geometryLocation,
+      offset: getEndOfData(reader),
+      truncated: true,
+    });
+  }
+  if (geomLength === 0) {
+    return { region, shapes, geometry: null };
+  }
+
+  const gbr = reader.getSubReader(geomLength);
+  let geometry;
+  try {
+    geometry = parseGeometry(gbr);
+  } catch (error) {
+    if (!(error instanceof WexBIMParseError)) throw error;
+    // The length covers the whole geometry, so running out of data means its content is broken
+    const reason = error.truncated ? `geometry overruns its length of ${geomLength} bytes` : error.reason;
+    const invalid = new WexBIMParseError(reason, { ...error.toJSON(), ...geometryLocation, truncated: false });
+    if (!options.lenient) throw invalid;
+    options.issues?.push(invalid);
+    return null;
+  }
+
+  if (!gbr.isEOF()) {
+    options.issues?.push(new WexBIMParseError(`${gbr.remaining} unread bytes after the geometry`, {
+      ...geometryLocation,
+      offset: gbr.position,
+      severity: 'warning',
+    }));
+  }
+
+  return { region, shapes, geometry };
+}
+
+// Move past one region block without decoding its geometry
+function skipRegionGeometries(reader, version, region) {
+  const geomCount = readGeometryCount(reader, region);
+  for (let g = 0; g < geomCount; g++) {
+    const { geomLength } = parseShapeAndLength(reader, version, { region, geometryIndex: g });
+    reader.offset += geomLength;
+  }
+}
+
+function parseShape(reader, version) {
+  const repetition = readCount(reader, 'shape', 'repetition');
+  const shapes = [];
+
+  for (let i = 0; i < repetition; i++) {
+    const productLabel = reader.readInt32();
+    const instanceTypeId = reader.readInt16();
+    const instanceLabel = reader.readInt32();
+    const styleId = reader.readInt32();
+
+    // Only repeated shapes carry a transformation (float32 in version 1)
+    let transform = null;
+    if (repetition > 1) {
+      transform = version === 1 ? reader.readFloat32Array(16) : reader.readFloat64Array(16);
+    }
+
+    shapes.push({ productLabel, instanceTypeId, instanceLabel, styleId, transform });
+  }
+
+  return shapes;
+}
+
+/**
+ * Parse one triangulated geometry
+ * @param {BinaryReader} reader - Reader positioned at the geometry
+ * @returns {object} - `{ version, vertices, indices, normals, faces }` where `normals` holds
+ * the packed (u, v) normal of every index and `faces` the signed triangle count of
+ * every face (negative for non-planar faces)
+ * @throws {WexBIMParseError} When the data is truncated or malformed
+ */
+function parseGeometry(reader) {
+  return locate(reader, { section: 'geometry' }, () => {
+    const start = reader.position;
+    const version = reader.readByte();
+    const numVertices = readCount(reader, 'geometry', 'vertex');
+    const numTriangles = readCount(reader, 'geometry', 'triangle');
+
+    // Every vertex takes 12 bytes and every index at least one
+    if (numVertices * 12 + numTriangles * 3 > reader.remaining) {
+      throw new WexBIMParseError('unexpected end of data', {
+        section: 'geometry',
+        offset: getEndOfData(reader),
+        truncated: true,
+      });
+    }
+
+    const vertices = reader.readFloat32Array(numVertices * 3);
+    const indices = new Uint32Array(numTriangles * 3);
+    const normals = new Uint8Array(numTriangles * 6);
+
+    // Index width depends on the vertex count
+    let readIndex;
+    if (numVertices <= 0xFF) {
+      readIndex = () => reader.readByte();
+    } else if (numVertices <= 0xFFFF) {
+      readIndex = () => reader.readUint16();
+    } else {
+      readIndex = () => reader.readInt32();
+    }
+
+    const numFaces = readCount(reader, 'geometry', 'face');
+    const faces = new Int32Array(numFaces);
+    let iIndex = 0;
+
+    for (let i = 0; i < numFaces; i++) {
+      const numTrianglesInFace = reader.readInt32();
+      faces[i] = numTrianglesInFace;
+      if (numTrianglesInFace === 0) continue;
+
+      if (iIndex + Math.abs(numTrianglesInFace) * 3 > indices.length) {
+        throw new WexBIMParseError(`faces hold more than the ${numTriangles} triangles of the geometry`, {
+          section: 'geometry',
+          offset: reader.position - 4,
+        });
+      }
+
+      if (numTrianglesInFace > 0) {
+        // Planar face - one packed normal shared by all its indices
+        const u = reader.readByte();
+        const v = reader.readByte();
+        for (let j = 0; j < numTrianglesInFace * 3; j++) {
+          indices[iIndex] = readIndex();
+          normals[iIndex * 2] = u;
+          normals[iIndex * 2 + 1] = v;
+          iIndex++;
+        }
+      } else {
+        // Non-planar face - every index is followed by its own packed normal
+        for (let j = 0; j < -numTrianglesInFace * 3; j++) {
+          indices[iIndex] = readIndex();
+          normals[iIndex * 2] = reader.readByte();
+          normals[iIndex * 2 + 1] = reader.readByte();
+          iIndex++;
+        }
+      }
+    }
+
+    if (iIndex !== indices.length) {
+      throw new WexBIMParseError(`expected ${indices.length} indices but got ${iIndex}`, {
+        section: 'geometry',
+        offset: start,
+      });
+    }
+    for (let i = 0; i < iIndex; i++) {
+      if (indices[i] >= numVertices) {
+        throw new WexBIMParseError(`index ${i} refers to vertex ${indices[i]} of ${numVertices}`, {
+          section: 'geometry',
+          offset: start,
+        });
+      }
+    }
+
+    return { version, vertices, indices, normals, faces };
+  });
+}
+
+// Read an int32 count, rejecting negative values
+function readCount(reader, section, what) {
+  const count = reader.readInt32();
+  if (count < 0) {
+    throw new WexBIMParseError(`negative ${what} count ${count}`, { section, offset: reader.position - 4 });
+  }
+  return count;
+}
+
+function getEndOfData(reader) {
+  return reader.origin + reader.view.byteLength;
+}
+
+function getProductLabels(shapes) {
+  return Array.from(new Set(shapes.map((shape) => shape.productLabel)));
+}
+
+// Run `parse`, reporting failures as WexBIMParseErrors in `location`. Running out of data
+// (a RangeError from the DataView) is reported as truncation; errors raised deeper in the
+// section keep their own offset and gain the details they lack.
+function locate(reader, location, parse) {
+  try {
+    return parse();
+  } catch (error) {
+    if (error instanceof WexBIMParseError) {
+      const json = error.toJSON();
+      throw new WexBIMParseError(json.reason, {
+        ...json,
+        productLabels: json.productLabels.length > 0 ? json.productLabels : location.productLabels,
+        region: json.region ?? location.region,
+        geometryIndex: json.geometryIndex ?? location.geometryIndex,
+      });
+    }
+    if (error instanceof RangeError) {
+      throw new WexBIMParseError('unexpected end of data', { ...location, offset: getEndOfData(reader), truncated: true });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Decode a packed normal into a unit vector in file coordinates
+ * @param {number} u - Longitude byte
+ * @param {number} v - Latitude byte
+ * @returns {number[]} - `[x, y, z]`
+ */
+function decodeNormal(u, v) {
+  const lon = (u / NORMAL_PACK_SIZE) * Math.PI * 2;
+  const lat = (v / NORMAL_PACK_SIZE) * Math.PI;
+  return [
+    Math.sin(lon) * Math.sin(lat),
+    Math.cos(lat),
+    Math.cos(lon) * Math.sin(lat),
+  ];
+}
+
+/**
+ * FNV-1a hash over the vertex, index and normal content of a parsed geometry
+ * @param {object} geometry - Geometry as returned by `parseGeometry`
+ * @returns {string} - Equal for equal content (the hash, vertex and index counts)
+ */
+function hashGeometry(geometry) {
+  let hash = 0x811c9dc5;
+  const mix = (words) => {
+    for (let i = 0; i < words.length; i++) {
+      hash = Math.imul(hash ^ words[i], 0x01000193);
+    }
+  };
+  mix(new Uint32Array(geometry.vertices.buffer, geometry.vertices.byteOffset, geometry.vertices.length));
+  mix(geometry.indices);
+  mix(geometry.normals);
+  return `${hash >>> 0}_${geometry.vertices.length}_${geometry.indices.length}`;
+}
+
+export {
+  WEXBIM_MAGIC_NUMBER,
+  BinaryReader,
+  parseWexBIM,
+  parseWexBIMIndex,
+  validateWexBIM,
+  parseRegionGeometries,
+  WexBIMStreamParser,
+  parseHeader,
+  parseGeometry,
+  decodeNormal,
+  hashGeometry,
+};
@@ -0,0 +1,6 @@
+/** IFC class name of a product type id, e.g. "IfcSpace" for 454 */
+export declare function getProductTypeName(typeId: number): string | undefined;
+/** Product type id of an IFC class name, in any case ("IfcSpace", "IFCSPACE") */
+export declare function getProductTypeId(name: string): number | undefined;
+/** Add or rename a product type */
+export declare function registerProductType(typeId: number, name: string): void;
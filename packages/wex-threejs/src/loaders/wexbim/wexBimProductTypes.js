@@ -0,0 +1,91 @@
+// WexBIM Product Types
+// Products in .wexbim files carry the xBIM type id of their IFC class (the same ids
+// as the xBIM viewer's ProductType). These are the classes with geometry; other ids
+// can be added with `registerProductType`.
+
+const PRODUCT_TYPE_NAMES = new Map([
+  [18, 'IfcElementAssembly'],
+  [25, 'IfcStairFlight'],
+  [44, 'IfcDistributionElement'],
+  [45, 'IfcDistributionFlowElement'],
+  [46, 'IfcFlowTerminal'],
+  [99, 'IfcSlab'],
+  [120, 'IfcFooting'],
+  [121, 'IfcFlowController'],
+  [168, 'IfcVirtualElement'],
+  [171, 'IfcBeam'],
+  [175, 'IfcEnergyConversionDevice'],
+  [180, 'IfcDistributionChamberElement'],
+  [213, 'IfcDoor'],
+  [220, 'IfcBuildingElementPart'],
+  [253, 'IfcFurnishingElement'],
+  [261, 'IfcTendon'],
+  [310, 'IfcMember'],
+  [346, 'IfcStair'],
+  [347, 'IfcRoof'],
+  [348, 'IfcRampFlight'],
+  [350, 'IfcRailing'],
+  [351, 'IfcPlate'],
+  [371, 'IfcFlowStorageDevice'],
+  [382, 'IfcCovering'],
+  [383, 'IfcColumn'],
+  [413, 'IfcSystemFurnitureElement'],
+  [414, 'IfcRamp'],
+  [416, 'IfcTransportElement'],
+  [423, 'IfcDiscreteAccessory'],
+  [425, 'IfcFlowTreatmentDevice'],
+  [447, 'IfcProxy'],
+  [452, 'IfcWall'],
+  [453, 'IfcWallStandardCase'],
+  [454, 'IfcSpace'],
+  [456, 'IfcCurtainWall'],
+  [467, 'IfcFlowFitting'],
+  [468, 'IfcDistributionControlElement'],
+  [498, 'IfcOpeningElement'],
+  [502, 'IfcFlowMovingDevice'],
+  [531, 'IfcReinforcingMesh'],
+  [535, 'IfcFastener'],
+  [536, 'IfcMechanicalFastener'],
+  [560, 'IfcBuildingElementProxy'],
+  [571, 'IfcReinforcingBar'],
+  [572, 'IfcPile'],
+  [574, 'IfcFlowSegment'],
+  [667, 'IfcWindow'],
+  [675, 'IfcTendonAnchor'],
+]);
+
+// Upper case name -> type id
+const PRODUCT_TYPE_IDS = new Map();
+PRODUCT_TYPE_NAMES.forEach((name, id) => PRODUCT_TYPE_IDS.set(name.toUpperCase(), id));
+
+/**
+ * IFC class name of a product type id
+ * @param {number} typeId - WexBIM product type id
+ * @returns {string|undefined} - e.g. "IfcSpace", undefined for unknown ids
+ */
+function getProductTypeName(typeId) {
+  return PRODUCT_TYPE_NAMES.get(typeId);
+}
+
+/**
+ * Product type id of an IFC class name
+ * @param {string} name - IFC class name, in any case ("IfcSpace", "IFCSPACE")
+ * @returns {number|undefined}
+ */
+function getProductTypeId(name) {
+  return PRODUCT_TYPE_IDS.get(name.toUpperCase());
+}
+
+/**
+ * Add or rename a product type
+ * @param {number} typeId - WexBIM product type id
+ * @param {string} name - IFC class name
+ */
+function registerProductType(typeId, name) {
+  const previous = PRODUCT_TYPE_NAMES.get(typeId);
+  if (previous) PRODUCT_TYPE_IDS.delete(previous.toUpperCase());
+  PRODUCT_TYPE_NAMES.set(typeId, name);
+  PRODUCT_TYPE_IDS.set(name.toUpperCase(), typeId);
+}
+
+export { getProductTypeName, getProductTypeId, registerProductType };
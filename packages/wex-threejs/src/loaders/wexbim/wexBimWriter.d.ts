@@ -0,0 +1,21 @@
+import type { WexBIMModelData, WexBIMProductData } from './wexBimParser.js';
+
+export interface WexBIMWriteOptions {
+  /** File version to write, 1 to 4; defaults to the model's version */
+  version?: number;
+  /**
+   * Products to keep, as labels or as a test of each product record. Shapes of the other
+   * products, and styles nobody uses any more, are left out.
+   */
+  products?: Iterable<number> | ((product: WexBIMProductData) => boolean);
+}
+
+/**
+ * Serializes model data (as returned by `parseWexBIM`) to a .wexbim file
+ */
+export declare class WexBIMWriter {
+  write(model: Omit<WexBIMModelData, 'issues'>, options?: WexBIMWriteOptions): Uint8Array;
+}
+
+/** Pack a normal in file coordinates into `[u, v]` bytes, the inverse of `decodeNormal` */
+export declare function encodeNormal(x: number, y: number, z: number): [number, number];
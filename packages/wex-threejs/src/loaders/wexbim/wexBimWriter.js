@@ -0,0 +1,417 @@
+// WexBIM Writer
+// Serializes plain model data (as returned by parseWexBIM) back to a .wexbim file of
+// any supported version, optionally keeping only some of the products. Like the
+// parser it is DOM-free and runs in browsers, web workers and Node.
+//
+// Converting between versions:
+//   to v1   - instance transforms are narrowed to float32
+//   to v3+  - geometry of files without regions goes to the first region
+//   to v1-3 - the local world coordinate system (localWCS) is dropped
+
+import { WEXBIM_MAGIC_NUMBER, decodeNormal } from './wexBimParser.js';
+
+const MIN_WEXBIM_VERSION = 1;
+const MAX_WEXBIM_VERSION = 4;
+
+// Packed normals store longitude/latitude in 0..252 steps (see XbimPackedNormal)
+const NORMAL_PACK_SIZE = 252;
+
+const INITIAL_BUFFER_SIZE = 64 * 1024;
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Written for shapes without geometry in versions that require one
+const EMPTY_GEOMETRY = {
+  version: 1,
+  vertices: new Float32Array(0),
+  indices: new Uint32Array(0),
+  normals: new Uint8Array(0),
+  faces: new Int32Array(0),
+};
+
+// Little-endian writer over a growing buffer, the counterpart of BinaryReader
+class BinaryWriter {
+  constructor(size = INITIAL_BUFFER_SIZE) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.offset = 0;
+  }
+
+  writeInt32(value) {
+    this._reserve(4);
+    this.view.setInt32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  writeUint16(value) {
+    this._reserve(2);
+    this.view.setUint16(this.offset, value, true);
+    this.offset += 2;
+  }
+
+  writeInt16(value) {
+    this._reserve(2);
+    this.view.setInt16(this.offset, value, true);
+    this.offset += 2;
+  }
+
+  writeByte(value) {
+    this._reserve(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  writeFloat32(value) {
+    this._reserve(4);
+    this.view.setFloat32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  writeFloat64(value) {
+    this._reserve(8);
+    this.view.setFloat64(this.offset, value, true);
+    this.offset += 8;
+  }
+
+  writeFloat32Array(values) {
+    for (let i = 0; i < values.length; i++) {
+      this.writeFloat32(values[i]);
+    }
+  }
+
+  writeFloat64Array(values) {
+    for (let i = 0; i < values.length; i++) {
+      this.writeFloat64(values[i]);
+    }
+  }
+
+  // Overwrite an int32 written earlier, e.g. a length known only afterwards
+  setInt32(offset, value) {
+    this.view.setInt32(offset, value, true);
+  }
+
+  // The written bytes, trimmed to their length
+  toUint8Array() {
+    return this.bytes.slice(0, this.offset);
+  }
+
+  _reserve(count) {
+    if (this.offset + count <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.offset + count) size *= 2;
+    const bytes = new Uint8Array(size);
+    bytes.set(this.bytes.subarray(0, this.offset));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+}
+
+class WexBIMWriter {
+  /**
+   * Serialize model data to a .wexbim file
+   * @param {object} model - `{ header, regions, styles, products, geometries }` as returned by
+   * parseWexBIM (coordinates as stored in the file, Z-up)
+   * @param {object} [options]
+   * @param {number} [options.version] - File version to write, 1 to 4; defaults to the model's version
+   * @param {Iterable<number>|function(object): boolean} [options.products] - Products to keep, as
+   * labels or as a test of each product record. Shapes of the other products, and styles
+   * nobody uses any more, are left out.
+   * @returns {Uint8Array} - File content
+   */
+  write(model, options = {}) {
+    const version = options.version ?? model.header.version;
+    if (!Number.isInteger(version) || version < MIN_WEXBIM_VERSION || version > MAX_WEXBIM_VERSION) {
+      throw new RangeError(
+        `Cannot write WexBIM version ${version} (supported versions are ${MIN_WEXBIM_VERSION} to ${MAX_WEXBIM_VERSION})`
+      );
+    }
+
+    const filtered = options.products !== undefined;
+    const keepProduct = getProductFilter(options.products);
+    const products = filtered ? model.products.filter(keepProduct) : model.products;
+    const labels = new Set(products.map((product) => product.label));
+
+    const records = [];
+    for (const record of model.geometries) {
+      const kept = filtered ? filterRecord(record, labels) : record;
+      // Older versions cannot leave a shape without geometry
+      if (kept) records.push(version < 3 && !kept.geometry ? { ...kept, geometry: EMPTY_GEOMETRY } : kept);
+    }
+
+    const { regions, regionOf } = getRegions(model, records, products, filtered, version);
+    const styles = filtered ? getUsedStyles(model.styles, records) : model.styles;
+
+    const writer = new BinaryWriter();
+    writeHeader(writer, model.header, version, { records, regions, styles, products });
+
+    for (const region of regions) {
+      writer.writeInt32(region.population);
+      writer.writeFloat32Array(region.centre);
+      writer.writeFloat32Array(region.bbox);
+    }
+
+    for (const { id, color } of styles) {
+      writer.writeInt32(id);
+      writer.writeFloat32(color.r);
+      writer.writeFloat32(color.g);
+      writer.writeFloat32(color.b);
+      writer.writeFloat32(color.a);
+    }
+
+    for (const { label, type, bbox } of products) {
+      writer.writeInt32(label);
+      writer.writeInt16(type);
+      writer.writeFloat32Array(bbox);
+    }
+
+    if (version >= 3) {
+      // Geometry grouped by region, every geometry prefixed with its length
+      for (let r = 0; r < regions.length; r++) {
+        const regionRecords = records.filter((record) => regionOf(record) === r);
+        writer.writeInt32(regionRecords.length);
+        for (const record of regionRecords) {
+          writeShape(writer, record.shapes, version);
+          const lengthOffset = writer.offset;
+          writer.writeInt32(0);
+          if (record.geometry) {
+            writeGeometry(writer, record.geometry);
+            writer.setInt32(lengthOffset, writer.offset - lengthOffset - 4);
+          }
+        }
+      }
+    } else {
+      for (const record of records) {
+        writeShape(writer, record.shapes, version);
+        writeGeometry(writer, record.geometry);
+      }
+    }
+
+    return writer.toUint8Array();
+  }
+}
+
+function getProductFilter(products) {
+  if (products === undefined) return () => true;
+  if (typeof products === 'function') return products;
+  const labels = new Set(products);
+  return (product) => labels.has(product.label);
+}
+
+// Keep the shapes of the kept products. A geometry left with a single placement is no
+// longer repeated, so its transform is applied to the geometry itself.
+function filterRecord(record, labels) {
+  const shapes = record.shapes.filter((shape) => labels.has(shape.productLabel));
+  if (shapes.length === 0) return null;
+  if (shapes.length === record.shapes.length) return record;
+
+  if (shapes.length === 1 && shapes[0].transform) {
+    return {
+      region: record.region,
+      shapes: [{ ...shapes[0], transform: null }],
+      geometry: record.geometry && transformGeometry(record.geometry, shapes[0].transform),
+    };
+  }
+  return { ...record, shapes };
+}
+
+// Regions to write, and the region each record is written to. Without a filter the
+// regions are written as they are; with one, each region is fitted to the products
+// left in it and regions left empty are dropped.
+function getRegions(model, records, products, filtered, version) {
+  // Version 3+ needs a region to hold the geometry; a new one is fitted to the products
+  const missing = model.regions.length === 0 && version >= 3;
+  const regions = missing ? [{ population: 0, centre: new Float32Array(3), bbox: new Float32Array(6) }] : model.regions;
+
+  const sourceRegionOf = (record) => (record.region >= 0 && record.region < regions.length ? record.region : 0);
+  if (!filtered && !missing) {
+    return { regions, regionOf: sourceRegionOf };
+  }
+
+  const productsByLabel = new Map(products.map((product) => [product.label, product]));
+  const regionProducts = regions.map(() => new Set());
+  for (const record of records) {
+    for (const shape of record.shapes) {
+      const product = productsByLabel.get(shape.productLabel);
+      if (product) regionProducts[sourceRegionOf(record)].add(product);
+    }
+  }
+
+  const kept = [];
+  const newIndex = new Map();
+  regionProducts.forEach((set, r) => {
+    if (set.size === 0) return;
+    newIndex.set(r, kept.length);
+    kept.push(fitRegion(set));
+  });
+  if (kept.length === 0) {
+    kept.push({ population: 0, centre: new Float32Array(3), bbox: new Float32Array(6) });
+  }
+
+  return { regions: kept, regionOf: (record) => newIndex.get(sourceRegionOf(record)) ?? 0 };
+}
+
+function fitRegion(products) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const { bbox } of products) {
+    for (let k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], bbox[k]);
+      max[k] = Math.max(max[k], bbox[k] + bbox[k + 3]);
+    }
+  }
+  return {
+    population: products.size,
+    centre: new Float32Array([0, 1, 2].map((k) => (min[k] + max[k]) / 2)),
+    bbox: new Float32Array([...min, ...[0, 1, 2].map((k) => max[k] - min[k])]),
+  };
+}
+
+function getUsedStyles(styles, records) {
+  const used = new Set();
+  for (const record of records) {
+    for (const shape of record.shapes) used.add(shape.styleId);
+  }
+  return styles.filter((style) => used.has(style.id));
+}
+
+function writeHeader(writer, header, version, { records, regions, styles, products }) {
+  // Vertices count once per geometry, triangles once per placement, and matrices once
+  // per placement of a repeated geometry
+  let numVertices = 0;
+  let numTriangles = 0;
+  let numMatrices = 0;
+  for (const { shapes, geometry } of records) {
+    if (geometry) {
+      numVertices += geometry.vertices.length / 3;
+      numTriangles += (geometry.indices.length / 3) * shapes.length;
+    }
+    if (shapes.length > 1) numMatrices += shapes.length;
+  }
+
+  writer.writeInt32(WEXBIM_MAGIC_NUMBER);
+  writer.writeByte(version);
+  writer.writeInt32(records.length);
+  writer.writeInt32(numVertices);
+  writer.writeInt32(numTriangles);
+  writer.writeInt32(numMatrices);
+  writer.writeInt32(products.length);
+  writer.writeInt32(styles.length);
+  writer.writeFloat32(header.meter);
+  if (version > 3) {
+    writer.writeFloat64Array(header.localWCS);
+  }
+  writer.writeInt16(regions.length);
+}
+
+function writeShape(writer, shapes, version) {
+  writer.writeInt32(shapes.length);
+  for (const { productLabel, instanceTypeId, instanceLabel, styleId, transform } of shapes) {
+    writer.writeInt32(productLabel);
+    writer.writeInt16(instanceTypeId);
+    writer.writeInt32(instanceLabel);
+    writer.writeInt32(styleId);
+
+    // Only repeated shapes carry a transformation (float32 in version 1)
+    if (shapes.length > 1) {
+      const matrix = transform ?? IDENTITY;
+      if (version === 1) {
+        writer.writeFloat32Array(matrix);
+      } else {
+        writer.writeFloat64Array(matrix);
+      }
+    }
+  }
+}
+
+function writeGeometry(writer, geometry) {
+  const { version, vertices, indices, normals } = geometry;
+  const numVertices = vertices.length / 3;
+  // Geometry without faces is written as a single non-planar face
+  const faces = geometry.faces.length > 0 || indices.length === 0 ? geometry.faces : [-indices.length / 3];
+
+  writer.writeByte(version);
+  writer.writeInt32(numVertices);
+  writer.writeInt32(indices.length / 3);
+  writer.writeFloat32Array(vertices);
+
+  // Index width depends on the vertex count
+  let writeIndex;
+  if (numVertices <= 0xFF) {
+    writeIndex = (index) => writer.writeByte(index);
+  } else if (numVertices <= 0xFFFF) {
+    writeIndex = (index) => writer.writeUint16(index);
+  } else {
+    writeIndex = (index) => writer.writeInt32(index);
+  }
+
+  writer.writeInt32(faces.length);
+  let iIndex = 0;
+  for (const numTrianglesInFace of faces) {
+    writer.writeInt32(numTrianglesInFace);
+
+    if (numTrianglesInFace > 0) {
+      // Planar face - one packed normal shared by all its indices
+      writer.writeByte(normals[iIndex * 2]);
+      writer.writeByte(normals[iIndex * 2 + 1]);
+      for (let j = 0; j < numTrianglesInFace * 3; j++) {
+        writeIndex(indices[iIndex++]);
+      }
+    } else {
+      // Non-planar face - every index is followed by its own packed normal
+      for (let j = 0; j < -numTrianglesInFace * 3; j++) {
+        writeIndex(indices[iIndex]);
+        writer.writeByte(normals[iIndex * 2]);
+        writer.writeByte(normals[iIndex * 2 + 1]);
+        iIndex++;
+      }
+    }
+  }
+}
+
+// Copy of a geometry with a (column-major) placement transform applied
+function transformGeometry(geometry, m) {
+  const vertices = new Float32Array(geometry.vertices.length);
+  for (let i = 0; i < vertices.length; i += 3) {
+    const x = geometry.vertices[i];
+    const y = geometry.vertices[i + 1];
+    const z = geometry.vertices[i + 2];
+    vertices[i] = m[0] * x + m[4] * y + m[8] * z + m[12];
+    vertices[i + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+    vertices[i + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+  }
+
+  // Placements are rigid, so normals only need the rotation
+  const normals = new Uint8Array(geometry.normals.length);
+  for (let i = 0; i < normals.length; i += 2) {
+    const [x, y, z] = decodeNormal(geometry.normals[i], geometry.normals[i + 1]);
+    const packed = encodeNormal(
+      m[0] * x + m[4] * y + m[8] * z,
+      m[1] * x + m[5] * y + m[9] * z,
+      m[2] * x + m[6] * y + m[10] * z
+    );
+    normals[i] = packed[0];
+    normals[i + 1] = packed[1];
+  }
+
+  return { ...geometry, vertices, normals };
+}
+
+/**
+ * Pack a normal in file coordinates, the inverse of `decodeNormal`
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number[]} - `[u, v]` longitude and latitude bytes
+ */
+function encodeNormal(x, y, z) {
+  const length = Math.hypot(x, y, z) || 1;
+  const lat = Math.acos(Math.min(1, Math.max(-1, y / length)));
+  let lon = Math.atan2(x, z);
+  if (lon < 0) lon += Math.PI * 2;
+  return [
+    Math.round((lon / (Math.PI * 2)) * NORMAL_PACK_SIZE) % NORMAL_PACK_SIZE,
+    Math.round((lat / Math.PI) * NORMAL_PACK_SIZE),
+  ];
+}
+
+export { WexBIMWriter, encodeNormal };
@@ -0,0 +1,48 @@
+// =============================================================================
+// wex-threejs/parser - DOM-free WexBIM parsing (no React or Three.js needed)
+// =============================================================================
+
+export {
+  BinaryReader,
+  parseWexBIM,
+  parseWexBIMIndex,
+  validateWexBIM,
+  parseRegionGeometries,
+  WexBIMStreamParser,
+  parseHeader,
+  parseGeometry,
+  decodeNormal,
+  WEXBIM_MAGIC_NUMBER,
+} from './loaders/wexbim/wexBimParser.js';
+
+export type {
+  WexBIMHeader,
+  WexBIMRegionData,
+  WexBIMStyleData,
+  WexBIMProductData,
+  WexBIMShapeData,
+  WexBIMGeometryData,
+  WexBIMGeometryRecord,
+  WexBIMModelData,
+  WexBIMIndex,
+  WexBIMParseOptions,
+  WexBIMStreamChunkResult,
+  WexBIMValidationResult,
+} from './loaders/wexbim/wexBimParser.js';
+
+export { WexBIMWriter, encodeNormal } from './loaders/wexbim/wexBimWriter.js';
+export type { WexBIMWriteOptions } from './loaders/wexbim/wexBimWriter.js';
+
+export { compareWexBIM, summarizeWexBIM, createProductSummary, addToProductSummary } from './loaders/wexbim/wexBimDiff.js';
+export type {
+  WexBIMDiff,
+  WexBIMChangeKind,
+  WexBIMProductChange,
+  WexBIMCompareOptions,
+  WexBIMProductSummary,
+  WexBIMProductSummaryEntry,
+  WexBIMRevision,
+} from './loaders/wexbim/wexBimDiff.js';
+
+export { WexBIMParseError } from './loaders/wexbim/wexBimErrors.js';
+export type { WexBIMFileSection, WexBIMParseErrorLocation } from './loaders/wexbim/wexBimErrors.js';
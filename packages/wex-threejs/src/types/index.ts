@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import type { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import type { WexBIMLoadBudget, WexBIMPerformanceStats, WexBIMStyleSettings } from '../loaders/wexbim/wexBimLoader.js';
+import type { WexBIMLogger } from '../loaders/wexbim/wexBimLogger.js';
+import type { WexBIMParseError } from '../loaders/wexbim/wexBimErrors.js';
+import type { WexBIMChangeKind, WexBIMCompareOptions, WexBIMDiff } from '../loaders/wexbim/wexBimDiff.js';
 
 // ============================================================================
 // Model Types
@@ -23,12 +28,31 @@ export interface LoadedModel {
   sourceType: ModelSourceType;
   /** The Three.js scene/group containing the model */
   scene: THREE.Group;
-  /** Bounding box of the model */
+  /** Placement of the model in the viewer (the transform of `scene`) */
+  placement: ModelPlacement;
+  /** Bounding box of the model, in viewer coordinates (placement applied) */
   boundingBox: THREE.Box3;
   /** Center point of the model */
   center: THREE.Vector3;
   /** Size of the model */
   size: THREE.Vector3;
+  /** WexBIM format version of the source file */
+  wexbimVersion: number;
+  /** Number of model units in one meter (e.g. 1000 for millimetres) */
+  meter: number;
+  /** Model length unit derived from `meter`, if it is a common one */
+  lengthUnit?: LengthUnit;
+  /**
+   * Offset of the local world coordinate system in model units and file axes (Z-up).
+   * Adding it to model coordinates gives the original project coordinates; zero before version 4.
+   */
+  localWCS: THREE.Vector3;
+  /** Problems found in the file: broken geometries skipped by a lenient load, and warnings */
+  issues: WexBIMParseError[];
+  /** Rendering cost of the model, to compare rendering modes */
+  renderStats: ModelRenderStats;
+  /** Timings and counts of the load */
+  loadStats: ModelLoadStats;
   /** Whether the model is currently visible */
   isVisible: boolean;
   /** When the model was loaded */
@@ -39,6 +63,102 @@ export interface LoadedModel {
   tag?: unknown;
 }
 
+/**
+ * Rendering cost of a loaded model
+ */
+export interface ModelRenderStats {
+  /** Whether geometry was merged into batched meshes (`LoadModelOptions.batching`) */
+  batched: boolean;
+  /** Meshes, instanced meshes and batched meshes (one draw call each) */
+  drawCalls: number;
+  /** Rendered triangles (instances count separately) */
+  triangles: number;
+}
+
+/**
+ * Timings (in seconds) and counts of loading a model
+ */
+export interface ModelLoadStats extends WexBIMPerformanceStats {
+  /** Seconds the first frame with the model took: shader compilation and GPU upload of what is in view */
+  uploadTime: number;
+}
+
+/**
+ * Common length units of model coordinates
+ */
+export type LengthUnit = 'mm' | 'cm' | 'm' | 'in' | 'ft';
+
+/**
+ * Options for loading a model
+ */
+export interface LoadModelOptions {
+  /** Display name of the model (defaults to the file name) */
+  name?: string;
+  /** Aborts the load; nothing of the model is left in the scene */
+  signal?: AbortSignal;
+  /** Limits that stop the load with a `WexBIMBudgetExceededError` once exceeded */
+  budget?: WexBIMLoadBudget;
+  /**
+   * Skip broken geometries (reported in `LoadedModel.issues`) instead of failing the
+   * load with a `WexBIMParseError`
+   */
+  lenient?: boolean;
+  /** Default style and per product type styles replacing the file's styles */
+  styles?: Partial<WexBIMStyleSettings>;
+  /**
+   * Merge the geometry of each style into one `THREE.BatchedMesh`, trading per-mesh
+   * objects for far fewer draw calls (default false)
+   */
+  batching?: boolean;
+  /** Id of the model; must not be in use (unique ids are generated by default) */
+  id?: string;
+  /** Placement of the model; given fields take precedence over `alignToLocalWCS` */
+  placement?: ModelPlacementInput;
+  /**
+   * Place the model so its project coordinates (file coordinates plus the version 4 local
+   * WCS, in meters) line up with those of the first loaded model
+   */
+  alignToLocalWCS?: boolean;
+}
+
+/**
+ * Placement of a model in the viewer: scaled, rotated about the vertical axis, then moved
+ */
+export interface ModelPlacement {
+  /** Translation in viewer coordinates (Y-up) */
+  position: THREE.Vector3;
+  /** Rotation about the vertical (Y) axis in radians */
+  rotation: number;
+  /** Uniform scale */
+  scale: number;
+}
+
+/**
+ * Placement fields to set; the others keep their value
+ */
+export interface ModelPlacementInput {
+  position?: THREE.Vector3Like;
+  rotation?: number;
+  scale?: number;
+}
+
+/**
+ * A product type, by WexBIM product type id or IFC class name (e.g. 454 or 'IfcSpace')
+ */
+export type ProductTypeRef = number | string;
+
+/**
+ * A product type present in the loaded models
+ */
+export interface ProductTypeInfo {
+  /** WexBIM product type id */
+  typeId: number;
+  /** IFC class name, undefined for unknown type ids */
+  name?: string;
+  /** Number of products of this type */
+  productCount: number;
+}
+
 /**
  * Progress info during model loading
  */
@@ -62,10 +182,18 @@ export interface ViewerEventArgs {
   modelId?: string;
   /** Element/product ID if applicable */
   elementId?: number;
+  /** IFC label of the shape instance that was hit */
+  instanceLabel?: number;
+  /** WexBIM product type id of the element */
+  productType?: number;
+  /** Instance index when the hit mesh is a THREE.InstancedMesh or THREE.BatchedMesh */
+  instanceId?: number;
   /** Mouse position */
   position?: { x: number; y: number };
-  /** 3D world position */
+  /** 3D position in viewer (Three.js scene) coordinates */
   worldPosition?: THREE.Vector3;
+  /** 3D position in original project coordinates (model units, Z-up, local WCS applied) */
+  projectPosition?: THREE.Vector3;
   /** Additional event data */
   data?: unknown;
 }
@@ -91,10 +219,43 @@ export interface HoverEventArgs extends ViewerEventArgs {
   mesh?: THREE.Mesh;
 }
 
+/**
+ * Region loaded event args (models fill in region by region while streaming)
+ */
+export interface RegionLoadedEventArgs extends ViewerEventArgs {
+  eventName: 'regionloaded';
+  modelId: string;
+  /** Index of the region in the file */
+  regionIndex: number;
+  /** Number of regions in the file */
+  regionCount: number;
+  /** Number of shapes in the region according to the file */
+  population: number;
+  /** Region center in viewer coordinates */
+  centre: THREE.Vector3;
+  /** Region bounds in viewer coordinates */
+  boundingBox: THREE.Box3;
+  /** Number of geometries of the region added to the scene */
+  geometryCount: number;
+}
+
+/**
+ * Annotation click event args
+ */
+export interface AnnotationClickEventArgs extends ViewerEventArgs {
+  eventName: 'annotationclick';
+  annotation: Annotation;
+}
+
 // ============================================================================
 // Viewer Props & State
 // ============================================================================
 
+/**
+ * Named side to look at the models from
+ */
+export type ViewName = 'front' | 'back' | 'left' | 'right' | 'top' | 'bottom' | 'iso';
+
 /**
  * Viewer settings
  */
@@ -140,6 +301,85 @@ export const DEFAULT_VIEWER_SETTINGS: ViewerSettings = {
   dampingFactor: 0.2,
 };
 
+/**
+ * Level of detail: what is left out so large models stay fluid
+ */
+export interface LevelOfDetailSettings {
+  /** Turn level of detail off to draw everything */
+  enabled: boolean;
+  /** Skip regions whose bounding box is outside the view as a whole */
+  cullRegions: boolean;
+  /** Skip meshes smaller than this on screen, in CSS pixels (0 draws all) */
+  minPixelSize: number;
+  /** Drop detail while the camera moves and restore it once the camera is idle */
+  navigationMode: boolean;
+  /** Smallest on-screen size drawn while the camera moves, in CSS pixels */
+  navigationMinPixelSize: number;
+  /** Renderer pixel ratio while the camera moves, when lower than the usual one (null keeps it) */
+  navigationPixelRatio: number | null;
+  /** Milliseconds without camera movement after which navigation mode ends */
+  idleDelay: number;
+}
+
+/**
+ * Default level of detail settings
+ */
+export const DEFAULT_LEVEL_OF_DETAIL_SETTINGS: LevelOfDetailSettings = {
+  enabled: true,
+  cullRegions: true,
+  minPixelSize: 1,
+  navigationMode: true,
+  navigationMinPixelSize: 8,
+  navigationPixelRatio: null,
+  idleDelay: 250,
+};
+
+/**
+ * What level of detail currently leaves out
+ */
+export interface LevelOfDetailStats {
+  /** Regions of all models (files before version 3 have none) */
+  regions: number;
+  /** Regions outside the view */
+  culledRegions: number;
+  /** Meshes, instanced meshes and batched meshes of all models */
+  meshes: number;
+  /** Meshes of regions in view that are too small on screen */
+  skippedMeshes: number;
+  /** Whether the camera is moving (navigation mode) */
+  navigating: boolean;
+}
+
+/**
+ * State of an element (product). Flags stack: a product can be selected, x-rayed and
+ * recolored at once. Selected and highlighted products are drawn opaque, ghosted and
+ * x-rayed ones see-through.
+ */
+export interface ElementState {
+  /** Not drawn, nor picked */
+  hidden: boolean;
+  /** Tinted in the selection color; picking toggles it */
+  selected: boolean;
+  /** Tinted in the hover color */
+  highlighted: boolean;
+  /** See-through (x-ray mode does this for all products) */
+  xray: boolean;
+  /** Faint and grey, e.g. for context around what matters */
+  ghosted: boolean;
+  /** Color replacing the product's own, or null */
+  color: THREE.Color | null;
+}
+
+/** Name of a part of `ElementState` */
+export type ElementStateName = keyof ElementState;
+
+/**
+ * Changes to the state of elements; parts left out keep their value
+ */
+export type ElementStateInput = Partial<Omit<ElementState, 'color'>> & {
+  color?: THREE.ColorRepresentation | null;
+};
+
 /**
  * Viewer state
  */
@@ -186,6 +426,18 @@ export interface WexViewerProps {
   modelUrl?: string;
   /** Viewer settings override */
   settings?: Partial<ViewerSettings>;
+  /** Level of detail settings override */
+  levelOfDetail?: Partial<LevelOfDetailSettings>;
+  /** Shows a navigation cube (with options); off by default */
+  navigationCube?: boolean | NavigationCubeOptions;
+  /** Section box colors and handle size */
+  sectionBox?: SectionBoxOptions;
+  /** Clipping plane colors and gizmo size */
+  clippingPlanes?: ClippingPlaneOptions;
+  /** Measurement color and snapping */
+  measurements?: MeasurementOptions;
+  /** Receives the diagnostics of the viewer and its loaders (see `createLogger`); the default logger when unset */
+  logger?: WexBIMLogger;
   /** Container style */
   style?: React.CSSProperties;
   /** Container class name */
@@ -200,6 +452,8 @@ export interface WexViewerProps {
   onModelLoaded?: (model: LoadedModel) => void;
   /** Called when loading progress updates */
   onProgress?: (progress: LoadProgress) => void;
+  /** Called when a region of a streaming model has been added to the scene */
+  onRegionLoaded?: (event: RegionLoadedEventArgs) => void;
   /** Called when an error occurs */
   onError?: (error: Error) => void;
   /** Called when an element is clicked */
@@ -208,24 +462,64 @@ export interface WexViewerProps {
   onHover?: (event: HoverEventArgs) => void;
   /** Called on double click */
   onDoubleClick?: (event: ViewerEventArgs) => void;
+  /** Called when the marker of an annotation is clicked */
+  onAnnotationClick?: (event: AnnotationClickEventArgs) => void;
 }
 
+/**
+ * Options of `WexViewerRef.exportGLB`
+ */
+export interface ViewerExportOptions {
+  /** Model to export; all models by default */
+  modelId?: string;
+  /** Elements to export: all of them (default), the visible ones or the selected ones */
+  elements?: 'all' | 'visible' | 'selected';
+}
+
+/**
+ * Options of `WexViewerRef.compareModels`
+ */
+export interface ModelCompareOptions extends WexBIMCompareOptions {
+  /** Color the differences in the viewer; defaults to true */
+  show?: boolean;
+  /** Colors of the kinds of change, replacing `DEFAULT_COMPARISON_COLORS` */
+  colors?: Partial<Record<WexBIMChangeKind, THREE.ColorRepresentation>>;
+}
+
+/**
+ * Default colors of a shown model comparison
+ */
+export const DEFAULT_COMPARISON_COLORS: Record<WexBIMChangeKind, THREE.ColorRepresentation> = {
+  added: '#4caf50',
+  removed: '#f44336',
+  moved: '#ff9800',
+  reshaped: '#ffeb3b',
+  restyled: '#9c27b0',
+};
+
 /**
  * Ref interface for WexViewer (imperative API)
  */
 export interface WexViewerRef {
   // Model Management
-  loadModel: (url: string, name?: string) => Promise<LoadedModel | null>;
-  loadModelFromBytes: (data: ArrayBuffer, name?: string) => Promise<LoadedModel | null>;
+  /** Loads a model; the second argument is its name or the load options */
+  loadModel: (url: string, options?: string | LoadModelOptions) => Promise<LoadedModel | null>;
+  loadModelFromBytes: (data: ArrayBuffer, options?: string | LoadModelOptions) => Promise<LoadedModel | null>;
   unloadModel: (modelId: string) => Promise<boolean>;
   unloadAllModels: () => Promise<void>;
   setModelVisibility: (modelId: string, visible: boolean) => void;
+  /** Moves, rotates or scales a model; its bounding box, picking and zoomFit follow */
+  setModelPlacement: (modelId: string, placement: ModelPlacementInput) => void;
   getLoadedModels: () => Map<string, LoadedModel>;
   
   // Camera & View
   zoomFit: (modelId?: string) => void;
   reset: () => void;
-  setView: (view: 'front' | 'back' | 'left' | 'right' | 'top' | 'bottom' | 'iso') => void;
+  /**
+   * Looks at all models from a named side, or along a direction (from the models to the camera);
+   * `duration` in milliseconds animates the camera there
+   */
+  setView: (view: ViewName | THREE.Vector3, options?: { duration?: number }) => void;
   
   // Selection & Highlighting
   selectElements: (elementIds: number[], modelId?: string) => void;
@@ -236,12 +530,44 @@ export interface WexViewerRef {
   
   highlightElements: (elementIds: number[], modelId?: string) => void;
   unhighlightElements: (elementIds: number[], modelId?: string) => void;
+
+  // Element State
+  /** Changes the state of elements (null for all products of the model, or of all models) */
+  setState: (elementIds: number[] | null, state: ElementStateInput, modelId?: string) => void;
+  /** State of a product; null when it is not loaded. Without a model id, the first model that has it. */
+  getState: (elementId: number, modelId?: string) => ElementState | null;
+  /** Resets parts of the state (all parts by default) of all products */
+  clearState: (states?: ElementStateName[], modelId?: string) => void;
   
   // Visibility
   hideElements: (elementIds: number[], modelId?: string) => void;
   showElements: (elementIds: number[], modelId?: string) => void;
   isolateElements: (elementIds: number[], modelId?: string) => void;
   unisolateElements: () => void;
+
+  // Product Types
+  /** Product types present in a model (or in all models), sorted by name */
+  getProductTypes: (modelId?: string) => ProductTypeInfo[];
+  hideTypes: (types: ProductTypeRef[], modelId?: string) => void;
+  showTypes: (types: ProductTypeRef[], modelId?: string) => void;
+  /** Shows only the products of the given types */
+  isolateTypes: (types: ProductTypeRef[], modelId?: string) => void;
+  /** Renders all products of the given types in `color` (null restores their own colors) */
+  setTypeColor: (types: ProductTypeRef[], color: THREE.ColorRepresentation | null, modelId?: string) => void;
+
+  // Export
+  /** Writes a model (or all models) to GLB, with the product identity in node `extras` */
+  exportGLB: (options?: ViewerExportOptions) => Promise<ArrayBuffer>;
+
+  // Comparison
+  /**
+   * Compares two loaded revisions of a model. Unless `show` is false, changed products of the
+   * new revision are colored by kind of change, and of the old revision only the removed
+   * products stay visible (in the `removed` color). Null when a model is not loaded.
+   */
+  compareModels: (beforeModelId: string, afterModelId: string, options?: ModelCompareOptions) => WexBIMDiff | null;
+  /** Restores the colors and visibility changed by a shown comparison */
+  clearComparison: () => void;
   
   // Settings
   setBackgroundColor: (color: string) => void;
@@ -251,6 +577,109 @@ export interface WexViewerRef {
   // X-Ray Mode
   setXRayMode: (enabled: boolean) => void;
   getXRayMode: () => boolean;
+
+  // Section Box
+  /**
+   * Cuts away everything outside a box in viewer coordinates, with handles to drag its faces;
+   * null removes the section box
+   */
+  setSectionBox: (box: THREE.Box3 | null) => void;
+  /** The section box, or null when there is none */
+  getSectionBox: () => THREE.Box3 | null;
+  /** Fits the section box around the selected elements; false when nothing is selected */
+  fitSectionBoxToSelection: () => boolean;
+  /** Fits the section box around a model (or all models) */
+  fitSectionBoxToModel: (modelId?: string) => void;
+  /** Shows or hides the box and its handles; hidden, it still cuts */
+  setSectionBoxVisible: (visible: boolean) => void;
+  isSectionBoxVisible: () => boolean;
+
+  // Clipping Planes
+  /**
+   * Cuts away everything on the back of a plane (the side its normal points away from); all
+   * planes and the section box combine. Returns the plane id (an existing plane with the same
+   * id is replaced)
+   */
+  addClippingPlane: (plane: ClippingPlaneInput) => string;
+  /** Removes a clipping plane; false when there is none with this id */
+  removeClippingPlane: (id: string) => boolean;
+  /** Replaces all clipping planes, e.g. with those saved with a viewpoint */
+  setClippingPlanes: (planes: ClippingPlaneInput[]) => void;
+  getClippingPlanes: () => ClippingPlane[];
+  clearClippingPlanes: () => void;
+  /** Turns a clipping plane around, so it cuts away the other side */
+  flipClippingPlane: (id: string) => void;
+  /** Moves a clipping plane along its normal */
+  moveClippingPlane: (id: string, distance: number) => void;
+  /**
+   * While on, clicking an element adds a clipping plane on the picked face that cuts away what
+   * is in front of it; adding a plane turns it off
+   */
+  setClippingPlanePickMode: (enabled: boolean) => void;
+  isClippingPlanePickMode: () => boolean;
+  /** Shows or hides the gizmos of the planes; hidden, they still cut */
+  setClippingPlanesVisible: (visible: boolean) => void;
+  areClippingPlanesVisible: () => boolean;
+
+  // Measurements
+  /**
+   * Starts taking measurements of a type by clicking on elements (null stops); a polyline is
+   * finished by a double click or `finishMeasurement`
+   */
+  setMeasurementMode: (type: MeasurementType | null) => void;
+  getMeasurementMode: () => MeasurementType | null;
+  /** Completes the measurement being taken; null when it has too few points */
+  finishMeasurement: () => Measurement | null;
+  /** Drops the measurement being taken */
+  cancelMeasurement: () => void;
+  /** All measurements, oldest first */
+  getMeasurements: () => Measurement[];
+  /** Deletes a measurement; false when there is none with this id */
+  deleteMeasurement: (id: string) => boolean;
+  clearMeasurements: () => void;
+
+  // Annotations
+  /**
+   * Adds an annotation (replacing one with the same id); returns its id. One pinned to a
+   * product is shown while a model with the product is loaded.
+   */
+  addAnnotation: (annotation: AnnotationInput) => string;
+  /** Changes an annotation; false when there is none with this id */
+  updateAnnotation: (id: string, changes: Partial<Omit<AnnotationInput, 'id'>>) => boolean;
+  /** Removes an annotation; false when there is none with this id */
+  removeAnnotation: (id: string) => boolean;
+  /** All annotations, oldest first */
+  getAnnotations: () => Annotation[];
+  clearAnnotations: () => void;
+
+  // BCF
+  /**
+   * The current view as a BCF viewpoint: camera, selected, hidden and colored products, the
+   * planes of the section box and the clipping planes, and a snapshot
+   */
+  getBcfViewpoint: (options?: BcfViewpointExportOptions) => Promise<BcfViewpoint>;
+  /**
+   * Restores a BCF viewpoint: moves the camera, replaces the section box and clipping planes
+   * with its planes, and sets selection, visibility and colors of the products
+   */
+  setBcfViewpoint: (viewpoint: BcfViewpoint, options?: BcfComponentMapping) => void;
+
+  // Level of Detail
+  setLevelOfDetail: (settings: Partial<LevelOfDetailSettings>) => void;
+  getLevelOfDetail: () => LevelOfDetailSettings;
+  /** Regions and meshes currently left out */
+  getLevelOfDetailStats: () => LevelOfDetailStats;
+  
+  // Plugins
+  /** Adds a plugin; false when another plugin has its id */
+  addPlugin: (plugin: ViewerPlugin) => boolean;
+  /** Disposes and removes a plugin; false when there is none with this id */
+  removePlugin: (id: string) => boolean;
+  getPlugin: (id: string) => ViewerPlugin | undefined;
+  /** All plugins, in the order they were added */
+  getPlugins: () => ViewerPlugin[];
+  startPlugin: (id: string) => void;
+  stopPlugin: (id: string) => void;
   
   // Access to Three.js objects
   getScene: () => THREE.Scene | null;
@@ -263,19 +692,49 @@ export interface WexViewerRef {
 // ============================================================================
 
 /**
- * Base plugin interface
+ * What a plugin gets to work with
+ */
+export interface ViewerPluginContext {
+  scene: THREE.Scene;
+  camera: THREE.PerspectiveCamera;
+  renderer: THREE.WebGLRenderer;
+  controls: OrbitControls;
+  /** Element holding the canvas, for HTML overlays */
+  container: HTMLElement;
+}
+
+/**
+ * Base plugin interface. A viewer calls `init` once it is set up (or when the plugin is added
+ * to a viewer that is), and `dispose` when the plugin is removed or the viewer unmounts. A
+ * plugin that throws is stopped.
  */
 export interface ViewerPlugin {
   /** Unique identifier */
   id: string;
   /** Plugin type name */
   type: string;
-  /** Whether the plugin is stopped */
+  /** Whether the plugin is stopped; stopped plugins get no updates and no events */
   isStopped: boolean;
   /** Initialize the plugin */
-  init: (scene: THREE.Scene, camera: THREE.Camera) => void;
-  /** Update the plugin (called each frame) */
-  update?: () => void;
+  init: (scene: THREE.Scene, camera: THREE.Camera, context: ViewerPluginContext) => void;
+  /** Update the plugin (called each frame before rendering, with the seconds since the last frame) */
+  update?: (deltaTime: number, context: ViewerPluginContext) => void;
+  /** Called when the viewer starts the plugin after it was stopped */
+  start?: () => void;
+  /** Called when the viewer stops the plugin */
+  stop?: () => void;
+  /** Called when an element is clicked */
+  onPick?: (event: PickEventArgs) => void;
+  /** Called when the pointer moves onto an element or off all elements */
+  onHover?: (event: HoverEventArgs) => void;
+  /** Called when an element is double-clicked */
+  onDoubleClick?: (event: ViewerEventArgs) => void;
+  /** Called when a model has been loaded */
+  onModelLoaded?: (model: LoadedModel) => void;
+  /** Called when a model has been unloaded */
+  onModelUnloaded?: (modelId: string) => void;
+  /** Called when the marker of an annotation is clicked */
+  onAnnotationClick?: (event: AnnotationClickEventArgs) => void;
   /** Dispose the plugin */
   dispose: () => void;
 }
@@ -294,6 +753,16 @@ export interface NavigationCubeOptions {
   position?: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
 }
 
+/**
+ * Default navigation cube options
+ */
+export const DEFAULT_NAVIGATION_CUBE_OPTIONS: Required<NavigationCubeOptions> = {
+  ratio: 0.15,
+  passiveAlpha: 0.7,
+  activeAlpha: 1,
+  position: 'top-right',
+};
+
 /**
  * Grid plugin options
  */
@@ -309,13 +778,284 @@ export interface GridOptions {
 }
 
 /**
- * Section box plugin options
+ * Section box options
  */
 export interface SectionBoxOptions {
   /** Box color */
   color?: string;
   /** Box opacity */
   opacity?: number;
+  /** Color of the caps drawn over cut solids */
+  capColor?: string;
+  /** Diameter of the face handles in CSS pixels */
+  handleSize?: number;
+}
+
+/**
+ * Default section box options
+ */
+export const DEFAULT_SECTION_BOX_OPTIONS: Required<SectionBoxOptions> = {
+  color: '#2196F3',
+  opacity: 0.08,
+  capColor: '#9e9e9e',
+  handleSize: 14,
+};
+
+/**
+ * Clipping plane options
+ */
+export interface ClippingPlaneOptions {
+  /** Gizmo color */
+  color?: string;
+  /** Opacity of the square showing the plane */
+  opacity?: number;
+  /** Color of the caps drawn over cut solids; used for all caps while any clipping plane is set */
+  capColor?: string;
+  /** Side of the square showing the plane in CSS pixels */
+  size?: number;
+  /** Diameter of the handle in CSS pixels */
+  handleSize?: number;
+}
+
+/**
+ * Default clipping plane options
+ */
+export const DEFAULT_CLIPPING_PLANE_OPTIONS: Required<ClippingPlaneOptions> = {
+  color: '#ff9800',
+  opacity: 0.15,
+  capColor: '#9e9e9e',
+  size: 120,
+  handleSize: 14,
+};
+
+/**
+ * Measurement options
+ */
+export interface MeasurementOptions {
+  /** Color of lines, points and label text */
+  color?: string;
+  /** How close on screen a vertex or edge midpoint must be to snap to it, in CSS pixels */
+  snapDistance?: number;
+}
+
+/**
+ * Default measurement options
+ */
+export const DEFAULT_MEASUREMENT_OPTIONS: Required<MeasurementOptions> = {
+  color: '#ffeb3b',
+  snapDistance: 12,
+};
+
+/**
+ * What a measurement measures: the distance between two points, the length of a polyline, the
+ * angle at the middle of three points, or the area of a planar face of an element
+ */
+export type MeasurementType = 'distance' | 'polyline' | 'angle' | 'area';
+
+/**
+ * What a measured point snapped to
+ */
+export type SnapType = 'vertex' | 'midpoint' | 'face';
+
+/**
+ * A measurement taken in the viewer
+ */
+export interface Measurement {
+  id: string;
+  type: MeasurementType;
+  /** Picked points in viewer coordinates (for an area, the point on the face) */
+  points: THREE.Vector3[];
+  /** Length or area in the units of the model of the first point, or the angle in degrees */
+  value: number;
+  /** Length unit of that model, if it is a common one */
+  unit?: LengthUnit;
+  modelId?: string;
+  /** Text shown in the viewer, e.g. `4.250 m` */
+  label: string;
+}
+
+/**
+ * A note shown as a marker in the viewer, pinned to a point or to a product
+ */
+export interface Annotation {
+  id: string;
+  /** Point in viewer coordinates; for a product annotation, the center of the product when unset */
+  position?: THREE.Vector3;
+  /** Entity label of the product the annotation is pinned to */
+  productLabel?: number;
+  /**
+   * Model of the product. While it is not loaded, the annotation waits for it, or for the same
+   * file loaded again under a new id (which it then takes); other models are not used, as they
+   * may have unrelated products with the same label. Without one, any model with the product.
+   */
+  modelId?: string;
+  text?: string;
+  /** Short text shown in the pin, e.g. a number or an emoji */
+  icon?: string;
+  /** Anything the application wants to keep with the annotation */
+  data?: unknown;
+  /** Whether the annotation has a place: its product is loaded, or it has a position */
+  isAttached: boolean;
+}
+
+/**
+ * An annotation to add; an id is generated when none is given
+ */
+export type AnnotationInput = Omit<Annotation, 'id' | 'isAttached'> & { id?: string };
+
+/**
+ * A clipping plane in viewer coordinates
+ */
+export interface ClippingPlane {
+  id: string;
+  /** A point on the plane */
+  origin: THREE.Vector3;
+  /** Unit normal, pointing to the side that stays visible */
+  normal: THREE.Vector3;
+}
+
+/**
+ * A clipping plane to add; an id is generated when none is given
+ */
+export interface ClippingPlaneInput {
+  id?: string;
+  origin: THREE.Vector3;
+  normal: THREE.Vector3;
+}
+
+// ============================================================================
+// BCF Types
+// ============================================================================
+
+/**
+ * Version of the BIM Collaboration Format
+ */
+export type BcfVersion = '2.1' | '3.0';
+
+/**
+ * A product in a BCF viewpoint. The viewer writes the product label as `authoringToolId` and
+ * the model name as `originatingSystem`, and an IFC GUID when the application provides one.
+ */
+export interface BcfComponent {
+  ifcGuid?: string;
+  originatingSystem?: string;
+  authoringToolId?: string;
+}
+
+/**
+ * Perspective camera of a BCF viewpoint; points and directions in BCF coordinates (meters,
+ * Z-up, project coordinates)
+ */
+export interface BcfPerspectiveCamera {
+  cameraViewPoint: THREE.Vector3;
+  cameraDirection: THREE.Vector3;
+  cameraUpVector: THREE.Vector3;
+  /** Vertical field of view in degrees */
+  fieldOfView: number;
+  /** Width over height of the view (BCF 3.0) */
+  aspectRatio?: number;
+}
+
+/**
+ * Orthogonal camera of a BCF viewpoint, in BCF coordinates
+ */
+export interface BcfOrthogonalCamera {
+  cameraViewPoint: THREE.Vector3;
+  cameraDirection: THREE.Vector3;
+  cameraUpVector: THREE.Vector3;
+  /** Height of the view in meters */
+  viewToWorldScale: number;
+  aspectRatio?: number;
+}
+
+/**
+ * Clipping plane of a BCF viewpoint, in BCF coordinates
+ */
+export interface BcfClippingPlane {
+  location: THREE.Vector3;
+  /** Unit normal, pointing to the side that is cut away */
+  direction: THREE.Vector3;
+}
+
+/**
+ * Components shown in one color
+ */
+export interface BcfColoring {
+  color: THREE.Color;
+  components: BcfComponent[];
+}
+
+/**
+ * A BCF viewpoint: camera, component states, clipping planes and a snapshot
+ */
+export interface BcfViewpoint {
+  guid: string;
+  perspectiveCamera?: BcfPerspectiveCamera;
+  orthogonalCamera?: BcfOrthogonalCamera;
+  selection: BcfComponent[];
+  /** Whether components are visible unless they are in `visibilityExceptions` */
+  defaultVisibility: boolean;
+  visibilityExceptions: BcfComponent[];
+  coloring: BcfColoring[];
+  clippingPlanes: BcfClippingPlane[];
+  /** PNG image of the view */
+  snapshot?: Blob;
+}
+
+/**
+ * A comment on a BCF topic
+ */
+export interface BcfComment {
+  guid: string;
+  /** ISO 8601 date and time */
+  date: string;
+  author: string;
+  comment: string;
+  /** Viewpoint of the topic the comment is about */
+  viewpointGuid?: string;
+}
+
+/**
+ * A BCF topic (issue) with its comments and viewpoints
+ */
+export interface BcfTopic {
+  guid: string;
+  title: string;
+  topicType?: string;
+  topicStatus?: string;
+  description?: string;
+  /** ISO 8601 date and time */
+  creationDate: string;
+  creationAuthor: string;
+  comments: BcfComment[];
+  viewpoints: BcfViewpoint[];
+}
+
+/**
+ * The topics of a `.bcfzip` file
+ */
+export interface BcfArchive {
+  version: BcfVersion;
+  topics: BcfTopic[];
+}
+
+/**
+ * How BCF components map to the products of the viewer. WexBIM files have no IFC GUIDs, so
+ * products are found by label (`authoringToolId`) unless the application knows the GUIDs.
+ */
+export interface BcfComponentMapping {
+  /** IFC GUID of a product, written next to its label */
+  getIfcGuid?: (productLabel: number, modelId: string) => string | undefined;
+  /** Product with an IFC GUID, tried before the label */
+  findProduct?: (ifcGuid: string) => { productLabel: number; modelId?: string } | undefined;
+}
+
+/**
+ * Options of `WexViewerRef.getBcfViewpoint`
+ */
+export interface BcfViewpointExportOptions extends BcfComponentMapping {
+  /** Adds a PNG snapshot of the view (default true) */
+  snapshot?: boolean;
 }
 
 // ============================================================================
@@ -454,6 +1194,21 @@ export interface WexBIMGeometry {
   indices: Uint32Array;
 }
 
+/**
+ * Product identity the loader stores in `userData` of every mesh, and per
+ * instance in `userData.instances` of instanced and batched meshes
+ */
+export interface WexBIMProductIdentity {
+  /** IFC entity label of the product */
+  productLabel: number;
+  /** IFC entity label of the shape instance */
+  instanceLabel: number;
+  /** WexBIM product type id */
+  productType: number;
+  /** Style id used to render the shape */
+  styleId: number;
+}
+
 export interface WexBIMShape {
   productLabel: number;
   instanceLabel: number;
@@ -289,13 +289,16 @@ export function createIsolateToggle(
 }
 
 /**
- * Creates a section box control button group
+ * Creates a section box control button group. With a viewer, enabling fits the box to the
+ * selection, or to all models when nothing is selected, and the buttons drive the box;
+ * without one, they only report the toggles.
  */
 export function createSectionBoxButtons(
   isEnabled: boolean,
   isVisible: boolean,
   onEnableToggle: (enabled: boolean) => void,
-  onVisibilityToggle: (visible: boolean) => void
+  onVisibilityToggle: (visible: boolean) => void,
+  viewer?: ViewerRef
 ): ToolbarButtonGroup {
   return {
     type: 'group',
@@ -308,7 +311,14 @@ export function createSectionBoxButtons(
         icon: <IconBox />,
         tooltip: isEnabled ? 'Disable Section Box' : 'Enable Section Box',
         isToggled: isEnabled,
-        onToggle: onEnableToggle,
+        onToggle: (enabled) => {
+          if (enabled) {
+            if (!viewer?.current?.fitSectionBoxToSelection()) viewer?.current?.fitSectionBoxToModel();
+          } else {
+            viewer?.current?.setSectionBox(null);
+          }
+          onEnableToggle(enabled);
+        },
       } as ToolbarToggleButton,
       {
         type: 'toggle',
@@ -317,20 +327,26 @@ export function createSectionBoxButtons(
         tooltip: isVisible ? 'Hide Section Box' : 'Show Section Box',
         isToggled: isVisible,
         disabled: !isEnabled,
-        onToggle: onVisibilityToggle,
+        onToggle: (visible) => {
+          viewer?.current?.setSectionBoxVisible(visible);
+          onVisibilityToggle(visible);
+        },
       } as ToolbarToggleButton,
     ],
   };
 }
 
 /**
- * Creates a clipping plane control button group
+ * Creates a clipping plane control button group. With a viewer, enabling lets the next click
+ * on an element add a plane on the picked face, disabling removes all planes, and the buttons
+ * drive the planes; without one, they only report the toggles.
  */
 export function createClippingPlaneButtons(
   isEnabled: boolean,
   isVisible: boolean,
   onEnableToggle: (enabled: boolean) => void,
-  onVisibilityToggle: (visible: boolean) => void
+  onVisibilityToggle: (visible: boolean) => void,
+  viewer?: ViewerRef
 ): ToolbarButtonGroup {
   return {
     type: 'group',
@@ -343,7 +359,11 @@ export function createClippingPlaneButtons(
         icon: <IconScissors />,
         tooltip: isEnabled ? 'Disable Clipping' : 'Enable Clipping',
         isToggled: isEnabled,
-        onToggle: onEnableToggle,
+        onToggle: (enabled) => {
+          viewer?.current?.setClippingPlanePickMode(enabled);
+          if (!enabled) viewer?.current?.clearClippingPlanes();
+          onEnableToggle(enabled);
+        },
       } as ToolbarToggleButton,
       {
         type: 'toggle',
@@ -352,7 +372,10 @@ export function createClippingPlaneButtons(
         tooltip: isVisible ? 'Hide Clip Plane' : 'Show Clip Plane',
         isToggled: isVisible,
         disabled: !isEnabled,
-        onToggle: onVisibilityToggle,
+        onToggle: (visible) => {
+          viewer?.current?.setClippingPlanesVisible(visible);
+          onVisibilityToggle(visible);
+        },
       } as ToolbarToggleButton,
     ],
   };
@@ -87,6 +87,13 @@ export function ModelInfoPanel({
               {formatNumber(model.size.x)} × {formatNumber(model.size.y)} × {formatNumber(model.size.z)}
             </span>
           </div>
+
+          <div style={defaultStyles.row}>
+            <span style={defaultStyles.label}>Units:</span>
+            <span style={defaultStyles.value}>
+              {model.lengthUnit ?? `1/${model.meter} m`}
+            </span>
+          </div>
         </>
       ) : (
         <p style={defaultStyles.noModel}>No model loaded</p>
@@ -0,0 +1,67 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createClippingPlaneButtons, createSectionBoxButtons } from '../src/ui/BuiltInButtons';
+import type { ToolbarButtonGroup, ToolbarToggleButton, WexViewerRef } from '../src/types';
+
+function toggle(group: ToolbarButtonGroup, id: string, value: boolean) {
+  (group.items.find(item => item.id === id) as ToolbarToggleButton).onToggle(value);
+}
+
+describe('createSectionBoxButtons', () => {
+  it('reports the toggles without a viewer', () => {
+    const onEnable = vi.fn();
+    const onVisible = vi.fn();
+    const group = createSectionBoxButtons(true, false, onEnable, onVisible);
+
+    toggle(group, 'section-box-enable', false);
+    toggle(group, 'section-box-visibility', true);
+    expect(onEnable).toHaveBeenCalledWith(false);
+    expect(onVisible).toHaveBeenCalledWith(true);
+  });
+
+  it('drives the section box of a viewer', () => {
+    const viewer = {
+      fitSectionBoxToSelection: vi.fn(() => false),
+      fitSectionBoxToModel: vi.fn(),
+      setSectionBox: vi.fn(),
+      setSectionBoxVisible: vi.fn(),
+    };
+    const ref = { current: viewer as unknown as WexViewerRef };
+    const group = createSectionBoxButtons(false, true, vi.fn(), vi.fn(), ref);
+
+    toggle(group, 'section-box-enable', true);
+    expect(viewer.fitSectionBoxToModel).toHaveBeenCalled();
+    toggle(group, 'section-box-visibility', false);
+    expect(viewer.setSectionBoxVisible).toHaveBeenCalledWith(false);
+    toggle(group, 'section-box-enable', false);
+    expect(viewer.setSectionBox).toHaveBeenCalledWith(null);
+  });
+});
+
+describe('createClippingPlaneButtons', () => {
+  it('reports the toggles without a viewer', () => {
+    const onEnable = vi.fn();
+    const onVisible = vi.fn();
+    const group = createClippingPlaneButtons(false, true, onEnable, onVisible);
+
+    toggle(group, 'clipping-plane-enable', true);
+    toggle(group, 'clipping-plane-visibility', false);
+    expect(onEnable).toHaveBeenCalledWith(true);
+    expect(onVisible).toHaveBeenCalledWith(false);
+  });
+
+  it('drives the clipping planes of a viewer', () => {
+    const viewer = {
+      setClippingPlanePickMode: vi.fn(),
+      clearClippingPlanes: vi.fn(),
+      setClippingPlanesVisible: vi.fn(),
+    };
+    const ref = { current: viewer as unknown as WexViewerRef };
+    const group = createClippingPlaneButtons(true, true, vi.fn(), vi.fn(), ref);
+
+    toggle(group, 'clipping-plane-visibility', false);
+    expect(viewer.setClippingPlanesVisible).toHaveBeenCalledWith(false);
+    toggle(group, 'clipping-plane-enable', false);
+    expect(viewer.setClippingPlanePickMode).toHaveBeenCalledWith(false);
+    expect(viewer.clearClippingPlanes).toHaveBeenCalled();
+  });
+});
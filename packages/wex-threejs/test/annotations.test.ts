@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { Annotations, type AnnotationHost } from '../src/core/annotations';
+
+interface FakeModel {
+  id: string;
+  key: string;
+  labels: number[];
+}
+
+/**
+ * A host over models that each hold a few products, looking them up the way the viewer does
+ */
+function createHost(models: FakeModel[]): AnnotationHost {
+  const place = (model: FakeModel) => ({
+    modelId: model.id,
+    modelKey: model.key,
+    center: new THREE.Vector3(),
+    elements: [],
+  });
+  return {
+    findProduct: (productLabel, modelId, modelKey) => {
+      let candidates = models;
+      if (modelId !== undefined) {
+        const model = models.find(loaded => loaded.id === modelId) ??
+          models.find(loaded => loaded.key === modelKey);
+        candidates = model ? [model] : [];
+      }
+      const model = candidates.find(candidate => candidate.labels.includes(productLabel));
+      return model ? place(model) : null;
+    },
+    isHidden: () => false,
+    onClick: () => {},
+  };
+}
+
+describe('Annotations', () => {
+  it('keeps a product annotation on its own model', () => {
+    const models: FakeModel[] = [{ id: 'house', key: 'house.wexbim', labels: [1] }];
+    const annotations = new Annotations(createHost(models));
+    const id = annotations.add({ productLabel: 1, modelId: 'house' });
+    expect(annotations.list()[0]).toMatchObject({ modelId: 'house', isAttached: true });
+
+    // Another file with the same label
+    models.splice(0, 1, { id: 'walls', key: 'walls.wexbim', labels: [1] });
+    annotations.refresh();
+    expect(annotations.list()[0]).toMatchObject({ modelId: 'house', isAttached: false });
+
+    // The same file loaded again under a new id
+    models.push({ id: 'house-2', key: 'house.wexbim', labels: [1] });
+    annotations.refresh();
+    expect(annotations.list()[0]).toMatchObject({ modelId: 'house-2', isAttached: true });
+
+    // Moved by the caller
+    expect(annotations.update(id, { modelId: 'walls' })).toBe(true);
+    expect(annotations.list()[0]).toMatchObject({ modelId: 'walls', isAttached: true });
+    models.splice(0, 1);
+    annotations.refresh();
+    expect(annotations.list()[0]).toMatchObject({ modelId: 'walls', isAttached: false });
+  });
+
+  it('attaches an annotation without a model to any model with the product', () => {
+    const models: FakeModel[] = [];
+    const annotations = new Annotations(createHost(models));
+    annotations.add({ productLabel: 1 });
+    expect(annotations.list()[0].isAttached).toBe(false);
+
+    models.push({ id: 'walls', key: 'walls.wexbim', labels: [1] });
+    annotations.refresh();
+    expect(annotations.list()[0].isAttached).toBe(true);
+    expect(annotations.list()[0].modelId).toBeUndefined();
+  });
+});
@@ -0,0 +1,161 @@
+// @vitest-environment happy-dom
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { strFromU8, unzipSync } from 'three/addons/libs/fflate.module.js';
+import {
+  bcfToViewer,
+  getBcfCamera,
+  getBcfClippingPlane,
+  getClippingPlaneInput,
+  readBcfViewpoint,
+  readBcfZip,
+  viewerToBcf,
+  writeBcfViewpoint,
+  writeBcfZip,
+} from '../src/core/bcf';
+import type { BcfArchive, BcfVersion, BcfViewpoint } from '../src/types';
+
+function createViewpoint(guid: string, version: BcfVersion): BcfViewpoint {
+  return {
+    guid,
+    perspectiveCamera: {
+      cameraViewPoint: new THREE.Vector3(12.5, -3, 1.75),
+      cameraDirection: new THREE.Vector3(0, 0.6, -0.8),
+      cameraUpVector: new THREE.Vector3(0, 0.8, 0.6),
+      fieldOfView: 50,
+      // Only BCF 3.0 has an aspect ratio
+      aspectRatio: version === '3.0' ? 1.5 : undefined,
+    },
+    selection: [{ authoringToolId: '123', originatingSystem: 'SampleHouse' }],
+    defaultVisibility: false,
+    visibilityExceptions: [{ ifcGuid: '2O2Fr$t4X7Zf8NOew3FLOH' }, { authoringToolId: '456' }],
+    coloring: [{ color: new THREE.Color('#ff8000'), components: [{ authoringToolId: '789' }] }],
+    clippingPlanes: [{ location: new THREE.Vector3(1, 2, 3), direction: new THREE.Vector3(0, 0, -1) }],
+  };
+}
+
+function createArchive(version: BcfVersion): BcfArchive {
+  const first = {
+    ...createViewpoint('8dc86298-9737-40b4-a448-98a9e953293a', version),
+    snapshot: new Blob([new Uint8Array([137, 80, 78, 71])], { type: 'image/png' }),
+  };
+  const second = createViewpoint('a66ee9b3-0e09-4c1d-9b54-2df6d8bd6a5c', version);
+  return {
+    version,
+    topics: [{
+      guid: '0c2f6e0d-2a7c-4d1e-8f3b-5b0d6e9a1c42',
+      title: 'Door clashes with <wall> & "beam"',
+      topicType: 'Clash',
+      topicStatus: 'Open',
+      description: 'Found in level 1',
+      creationDate: '2026-10-01T08:30:00Z',
+      creationAuthor: 'reviewer@example.com',
+      comments: [{
+        guid: 'f1d2a3b4-5c6d-4e7f-8a9b-0c1d2e3f4a5b',
+        date: '2026-10-02T09:00:00Z',
+        author: 'architect@example.com',
+        comment: 'Moved the door',
+        viewpointGuid: second.guid,
+      }],
+      viewpoints: [first, second],
+    }],
+  };
+}
+
+// Snapshots as bytes, which compare by content
+async function withSnapshotBytes(archive: BcfArchive) {
+  return Promise.all(archive.topics.map(async topic => ({
+    ...topic,
+    viewpoints: await Promise.all(topic.viewpoints.map(async ({ snapshot, ...viewpoint }) => ({
+      ...viewpoint,
+      snapshot: snapshot && { type: snapshot.type, bytes: new Uint8Array(await snapshot.arrayBuffer()) },
+    }))),
+  })));
+}
+
+describe('BCF coordinates', () => {
+  // A model in millimeters, moved in the viewer and with a local WCS
+  const scene = new THREE.Group();
+  scene.position.set(10, 0, -5);
+  const model = { scene, meter: 1000, localWCS: new THREE.Vector3(1000, 2000, 0) };
+
+  it('converts viewer points to Z-up project meters and back', () => {
+    const point = new THREE.Vector3(11, 2, -2);
+
+    // Viewer Y is up, BCF Z
+    expect(viewerToBcf(model, point).distanceTo(new THREE.Vector3(1.001, 2.003, 0.002))).toBeLessThan(1e-9);
+    expect(bcfToViewer(model, viewerToBcf(model, point)).distanceTo(point)).toBeLessThan(1e-9);
+  });
+
+  it('converts cameras and clipping planes', () => {
+    // Looking down from above, north (project Y) up on screen
+    const camera = new THREE.PerspectiveCamera(45, 2);
+    camera.up.set(0, 0, 1);
+    camera.position.set(10, 5000, -5);
+    camera.lookAt(10, 0, -5);
+    const bcfCamera = getBcfCamera(model, camera);
+
+    expect(bcfCamera.cameraViewPoint.distanceTo(new THREE.Vector3(1, 2, 5))).toBeLessThan(1e-9);
+    expect(bcfCamera.cameraDirection.distanceTo(new THREE.Vector3(0, 0, -1))).toBeLessThan(1e-9);
+    expect(bcfCamera.cameraUpVector.distanceTo(new THREE.Vector3(0, 1, 0))).toBeLessThan(1e-9);
+    expect(bcfCamera).toMatchObject({ fieldOfView: 45, aspectRatio: 2 });
+
+    // Cutting away what is above 3 m
+    const plane = new THREE.Plane(new THREE.Vector3(0, -1, 0), 3000);
+    const bcfPlane = getBcfClippingPlane(model, plane);
+    expect(bcfPlane.location.z).toBeCloseTo(3);
+    expect(bcfPlane.direction.distanceTo(new THREE.Vector3(0, 0, 1))).toBeLessThan(1e-9);
+
+    const input = getClippingPlaneInput(model, bcfPlane);
+    expect(plane.distanceToPoint(input.origin)).toBeCloseTo(0);
+    expect(input.normal.distanceTo(plane.normal)).toBeLessThan(1e-9);
+  });
+});
+
+describe.each<BcfVersion>(['2.1', '3.0'])('BCF %s', (version) => {
+  it('reads a viewpoint back as it was written', () => {
+    const viewpoint = createViewpoint('8dc86298-9737-40b4-a448-98a9e953293a', version);
+    const xml = writeBcfViewpoint(viewpoint, version);
+
+    expect(readBcfViewpoint(xml)).toEqual(viewpoint);
+    expect(xml.includes('<AspectRatio>')).toBe(version === '3.0');
+  });
+
+  it('reads an archive back as it was written', async () => {
+    const archive = createArchive(version);
+    const zip = await writeBcfZip(archive);
+    const read = await readBcfZip(zip);
+
+    expect(read.version).toBe(version);
+    expect(await withSnapshotBytes(read)).toEqual(await withSnapshotBytes(archive));
+  });
+
+  it('lays out the archive for the version', async () => {
+    const archive = createArchive(version);
+    const [topic] = archive.topics;
+    const [first, second] = topic.viewpoints;
+    const files = unzipSync(new Uint8Array(await (await writeBcfZip(archive)).arrayBuffer()));
+
+    expect(Object.keys(files).sort()).toEqual([
+      `${topic.guid}/${second.guid}.bcfv`,
+      `${topic.guid}/markup.bcf`,
+      `${topic.guid}/snapshot.png`,
+      `${topic.guid}/viewpoint.bcfv`,
+      'bcf.version',
+    ].sort());
+    expect(strFromU8(files['bcf.version'])).toContain(`VersionId="${version}"`);
+
+    // BCF 3.0 keeps comments and viewpoints inside the topic
+    const markup = new DOMParser().parseFromString(strFromU8(files[`${topic.guid}/markup.bcf`]), 'application/xml');
+    const getElements = (name: string) => Array.from(markup.getElementsByTagName('*')).filter(element => element.localName === name);
+    const parentOf = (name: string) => getElements(name)[0].parentElement!.localName;
+    if (version === '3.0') {
+      expect(parentOf('Comments')).toBe('Topic');
+      expect(getElements('ViewPoint')).toHaveLength(2);
+    } else {
+      expect(parentOf('Comment')).toBe('Markup');
+      expect(getElements('Viewpoints')).toHaveLength(2);
+    }
+    expect(readBcfViewpoint(strFromU8(files[`${topic.guid}/viewpoint.bcfv`])).guid).toBe(first.guid);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { ElementStates } from '../src/core/elementStates';
+
+function createIdentity(productLabel: number) {
+  return { productLabel, instanceLabel: productLabel, productType: 0, styleId: 0 };
+}
+
+describe('ElementStates', () => {
+  it('manages the instances added to a batched mesh it already manages', () => {
+    const mesh = new THREE.BatchedMesh(4, 24, 36, new THREE.MeshStandardMaterial());
+    const geometryId = mesh.addGeometry(new THREE.BoxGeometry());
+    mesh.userData = { modelId: 'model', instances: [] };
+    const addInstance = (productLabel: number) => {
+      mesh.userData.instances[mesh.addInstance(geometryId)] = createIdentity(productLabel);
+    };
+    const scene = new THREE.Group().add(mesh);
+    const elementStates = new ElementStates({
+      selectionColor: new THREE.Color('#2196F3'),
+      hoverColor: new THREE.Color('#4CAF50'),
+      xray: false,
+    });
+
+    addInstance(1);
+    elementStates.add(scene, 'model');
+    expect(elementStates.get(2)).toBeNull();
+
+    // Instances of a later chunk of a streaming load
+    addInstance(2);
+    addInstance(3);
+    elementStates.add(scene, 'model');
+    elementStates.set([2], { hidden: true });
+
+    expect(elementStates.getLabels('hidden')).toEqual([2]);
+    expect([0, 1, 2].map(instanceId => mesh.getVisibleAt(instanceId))).toEqual([true, false, true]);
+    expect(elementStates.hasFlag(mesh, 1, 'hidden')).toBe(true);
+  });
+});
@@ -0,0 +1,57 @@
+// @vitest-environment happy-dom
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { exportGLB } from '../src/core/glbExport';
+
+function createIdentity(productLabel: number) {
+  return { productLabel, instanceLabel: productLabel + 100, productType: 0, styleId: 1 };
+}
+
+function parseGLB(data: ArrayBuffer): Promise<THREE.Group> {
+  return new Promise((resolve, reject) => {
+    new GLTFLoader().parse(data, '', gltf => resolve(gltf.scene), reject);
+  });
+}
+
+describe('exportGLB', () => {
+  it('writes the products of instanced and batched meshes to node extras', async () => {
+    const material = new THREE.MeshStandardMaterial();
+    const root = new THREE.Group();
+
+    const instanced = new THREE.InstancedMesh(new THREE.BoxGeometry(), material, 2);
+    instanced.setMatrixAt(1, new THREE.Matrix4().makeTranslation(2, 0, 0));
+    instanced.userData = { modelId: 'model', instances: [createIdentity(1), createIdentity(2)] };
+    root.add(instanced);
+
+    // A geometry placed twice and one placed once
+    const batched = new THREE.BatchedMesh(3, 100, 200, material);
+    const box = batched.addGeometry(new THREE.BoxGeometry());
+    const sphere = batched.addGeometry(new THREE.SphereGeometry(1, 4, 2));
+    batched.userData = { modelId: 'model', instances: [] };
+    [box, box, sphere].forEach((geometryId, i) => {
+      const instanceId = batched.addInstance(geometryId);
+      batched.setMatrixAt(instanceId, new THREE.Matrix4().makeTranslation(0, i * 2, 0));
+      batched.userData.instances[instanceId] = createIdentity(3 + i);
+    });
+    root.add(batched);
+
+    const scene = await parseGLB(await exportGLB(root));
+    const meshes: THREE.Mesh[] = [];
+    scene.traverse((object) => {
+      if (object instanceof THREE.Mesh) meshes.push(object);
+    });
+
+    const instancedMeshes = meshes.filter(mesh => mesh instanceof THREE.InstancedMesh) as THREE.InstancedMesh[];
+    expect(instancedMeshes.map(mesh => mesh.count).sort()).toEqual([2, 2]);
+    const instanceLabels = instancedMeshes.map(mesh => mesh.userData.instances.map(
+      (extras: { productLabel: number }) => extras.productLabel));
+    expect(instanceLabels.sort()).toEqual([[1, 2], [3, 4]]);
+    expect(instancedMeshes[0].userData.instances[0]).toEqual({ productLabel: 1, instanceLabel: 101, productType: 0, styleId: 1 });
+
+    const plain = meshes.filter(mesh => !(mesh instanceof THREE.InstancedMesh));
+    expect(plain).toHaveLength(1);
+    expect(plain[0].userData).toMatchObject(createIdentity(5));
+    expect(plain[0].position.y).toBeCloseTo(4);
+  });
+});
@@ -0,0 +1,11 @@
+import { readFileSync } from 'node:fs';
+
+/** Sample models in packages/demo/public */
+export const SAMPLES = ['SampleHouse', 'FourWalls', 'FourWalls1'];
+
+/**
+ * Content of a sample model of the demo app
+ */
+export function readSample(name: string): Uint8Array {
+  return new Uint8Array(readFileSync(new URL(`../../demo/public/${name}.wexbim`, import.meta.url)));
+}
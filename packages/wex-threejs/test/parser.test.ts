@@ -0,0 +1,136 @@
+import { describe, expect, it } from 'vitest';
+import { WexBIMParseError, WexBIMStreamParser, WexBIMWriter, parseWexBIM, parseWexBIMIndex, validateWexBIM } from '../src/parser';
+import type { WexBIMGeometryRecord } from '../src/parser';
+import { SAMPLES, readSample } from './helpers';
+
+describe.each(SAMPLES)('%s.wexbim', name => {
+  const data = readSample(name);
+  const model = parseWexBIM(data);
+
+  it('parses without issues', () => {
+    const { header } = model;
+    expect(model.issues).toEqual([]);
+    expect(model.products).toHaveLength(header.numProducts);
+    expect(model.styles).toHaveLength(header.numStyles);
+    expect(model.regions).toHaveLength(header.numRegions);
+    expect(model.geometries).toHaveLength(header.numShapes);
+    const repeated = model.geometries.filter(record => record.shapes.length > 1);
+    expect(repeated.reduce((count, record) => count + record.shapes.length, 0)).toBe(header.numMatrices);
+    expect(model.geometries.every(record => record.geometry !== null)).toBe(true);
+
+    const labels = new Set(model.products.map(product => product.label));
+    model.geometries.forEach(record => record.shapes.forEach(shape => expect(labels.has(shape.productLabel)).toBe(true)));
+  });
+
+  it('validates', () => {
+    const result = validateWexBIM(data);
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.header).toEqual(model.header);
+  });
+
+  it('reads the same index as the full parse', () => {
+    const { regionOffsets, ...index } = parseWexBIMIndex(data);
+    expect(index).toEqual({
+      header: model.header,
+      regions: model.regions,
+      styles: model.styles,
+      products: model.products,
+    });
+    expect(regionOffsets).toHaveLength(model.header.version >= 3 ? model.header.numRegions : 0);
+  });
+
+  it('parses the same geometry from a stream', () => {
+    const parser = new WexBIMStreamParser();
+    const geometries = [];
+    for (let offset = 0; offset < data.length; offset += 4096) {
+      geometries.push(...parser.push(data.subarray(offset, offset + 4096)).geometries);
+    }
+    geometries.push(...parser.finish().geometries);
+
+    expect(parser.isComplete).toBe(true);
+    expect(parser.index?.products).toEqual(model.products);
+    expect(geometries).toEqual(model.geometries);
+  });
+
+  it('rejects a truncated file', () => {
+    const truncated = data.subarray(0, Math.floor(data.length / 2));
+    expect(() => parseWexBIM(truncated)).toThrow(WexBIMParseError);
+    expect(validateWexBIM(truncated).valid).toBe(false);
+  });
+});
+
+describe('WexBIMParseError', () => {
+  const model = parseWexBIM(readSample('SampleHouse'));
+
+  // SampleHouse as version 3 in two regions, with one geometry of the second region referring
+  // to a vertex it does not have
+  const broken: WexBIMGeometryRecord = model.geometries.find((record, i) =>
+    i % 2 === 1 && record.geometry !== null && record.geometry.vertices.length / 3 < 0xFF)!;
+  const numVertices = broken.geometry!.vertices.length / 3;
+  const data = new WexBIMWriter().write({
+    ...model,
+    regions: [model.regions[0], model.regions[0]],
+    geometries: model.geometries.map((record, i) => {
+      if (record !== broken) return { ...record, region: i % 2 };
+      const indices = record.geometry!.indices.slice();
+      indices[0] = numVertices;
+      return { ...record, region: 1, geometry: { ...record.geometry!, indices } };
+    }),
+  }, { version: 3 });
+  const productLabels = broken.shapes.map(shape => shape.productLabel);
+
+  const parseError = (bytes: Uint8Array): WexBIMParseError => {
+    try {
+      parseWexBIM(bytes);
+    } catch (error) {
+      if (error instanceof WexBIMParseError) return error;
+      throw error;
+    }
+    throw new Error('parsed without error');
+  };
+
+  it('tells where the file is broken', () => {
+    const error = parseError(data);
+
+    expect(error).toMatchObject({
+      reason: `index 0 refers to vertex ${numVertices} of ${numVertices}`,
+      section: 'geometry',
+      region: 1,
+      truncated: false,
+      severity: 'error',
+    });
+    expect([...error.productLabels].sort()).toEqual([...new Set(productLabels)].sort());
+    // The offset is where the geometry starts: its version and vertex count
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    expect(view.getUint8(error.offset)).toBe(broken.geometry!.version);
+    expect(view.getInt32(error.offset + 1, true)).toBe(numVertices);
+    expect(WexBIMParseError.fromJSON(error.toJSON())).toMatchObject(error.toJSON());
+  });
+
+  it('skips the broken geometry in lenient mode', () => {
+    const lenient = parseWexBIM(data, { lenient: true });
+
+    expect(lenient.geometries).toHaveLength(model.geometries.length - 1);
+    expect(lenient.issues).toHaveLength(1);
+    expect(lenient.issues[0]).toMatchObject(parseError(data).toJSON());
+    const placed = lenient.geometries.flatMap(record => record.shapes);
+    expect(placed).toHaveLength(model.geometries.flatMap(record => record.shapes).length - broken.shapes.length);
+  });
+
+  it('rejects another file type', () => {
+    const other = readSample('SampleHouse').slice();
+    other.set([0x50, 0x4b, 0x03, 0x04]);
+
+    expect(parseError(other)).toMatchObject({ reason: 'magic number mismatch', section: 'header', offset: 0 });
+    expect(validateWexBIM(other).valid).toBe(false);
+  });
+
+  it('rejects an unsupported version', () => {
+    const newer = readSample('SampleHouse').slice();
+    newer[4] = 9;
+
+    expect(parseError(newer)).toMatchObject({ section: 'header', offset: 4 });
+    expect(parseError(newer).reason).toMatch(/^unsupported version 9/);
+  });
+});
@@ -0,0 +1,122 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { ElementStates } from '../src/core/elementStates';
+import { findProductHit } from '../src/core/picking';
+import { getProductTypeId } from '../src/loaders/wexbim/wexBimProductTypes.js';
+
+const WALL = getProductTypeId('IfcWall');
+const SPACE = getProductTypeId('IfcSpace');
+
+function createProduct(productLabel: number, z: number, productType = WALL): THREE.Mesh {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 1), new THREE.MeshStandardMaterial());
+  mesh.position.z = z;
+  mesh.userData = { productLabel, instanceLabel: productLabel, productType, styleId: 0 };
+  return mesh;
+}
+
+// Products 1 to 3 one behind the other, seen from the front
+describe('findProductHit', () => {
+  let scene: THREE.Group;
+  let elementStates: ElementStates;
+  const raycaster = new THREE.Raycaster(new THREE.Vector3(0, 0, 10), new THREE.Vector3(0, 0, -1));
+
+  const pick = () => findProductHit(raycaster.intersectObjects(scene.children, true), [], elementStates);
+  const pickedLabel = () => pick()?.mesh.userData.productLabel;
+
+  beforeEach(() => {
+    scene = new THREE.Group();
+    scene.add(createProduct(1, 0), createProduct(2, -5), createProduct(3, -10));
+    scene.updateMatrixWorld();
+    elementStates = new ElementStates({
+      selectionColor: new THREE.Color('#2196F3'),
+      hoverColor: new THREE.Color('#4CAF50'),
+      xray: false,
+    });
+    elementStates.add(scene, 'model');
+  });
+
+  it('picks the nearest product', () => {
+    expect(pickedLabel()).toBe(1);
+  });
+
+  it('skips hidden products', () => {
+    elementStates.set([1], { hidden: true });
+    expect(pickedLabel()).toBe(2);
+
+    elementStates.set([1], { hidden: false });
+    expect(pickedLabel()).toBe(1);
+  });
+
+  it('skips hidden instances', () => {
+    const mesh = new THREE.InstancedMesh(new THREE.BoxGeometry(2, 2, 1), new THREE.MeshStandardMaterial(), 2);
+    mesh.setMatrixAt(0, new THREE.Matrix4().makeTranslation(0, 0, 5));
+    mesh.setMatrixAt(1, new THREE.Matrix4().makeTranslation(0, 0, 3));
+    mesh.userData.instances = [4, 5].map(productLabel => ({ productLabel, instanceLabel: productLabel, productType: WALL, styleId: 0 }));
+    scene.add(mesh);
+    scene.updateMatrixWorld();
+    elementStates.add(scene, 'model');
+
+    expect(pick()).toMatchObject({ mesh, instanceId: 0 });
+    elementStates.set([4], { hidden: true });
+    expect(pick()).toMatchObject({ mesh, instanceId: 1 });
+    elementStates.set([5], { hidden: true });
+    expect(pickedLabel()).toBe(1);
+  });
+
+  it('skips invisible objects and objects in invisible groups', () => {
+    scene.children[0].visible = false;
+    const group = new THREE.Group();
+    group.visible = false;
+    group.add(scene.children[1]);
+    scene.add(group);
+    scene.updateMatrixWorld();
+
+    expect(pickedLabel()).toBe(3);
+  });
+
+  it('picks regions hidden by the level of detail', () => {
+    const region = new THREE.Group();
+    region.visible = false;
+    region.userData.regionIndex = 0;
+    region.add(scene.children[0]);
+    scene.add(region);
+    scene.updateMatrixWorld();
+
+    expect(pickedLabel()).toBe(1);
+  });
+
+  it('skips clipped hits', () => {
+    const plane = new THREE.Plane(new THREE.Vector3(0, 0, -1), -2);
+    expect(findProductHit(raycaster.intersectObjects(scene.children, true), [plane])?.mesh.userData.productLabel).toBe(2);
+  });
+
+  // What hideTypes and isolateTypes of the viewer set
+  describe('with hidden types', () => {
+    beforeEach(() => {
+      // A space volume around the first product
+      const space = createProduct(10, 0, SPACE);
+      space.scale.setScalar(4);
+      scene.add(space);
+      scene.updateMatrixWorld();
+      elementStates.add(scene, 'model');
+    });
+
+    it('cannot pick products of a hidden type', () => {
+      expect(pickedLabel()).toBe(10);
+
+      elementStates.set(product => product.productType === SPACE, { hidden: true });
+      expect(pickedLabel()).toBe(1);
+    });
+
+    it('cannot pick products outside the isolated types', () => {
+      elementStates.set(product => product.productType === WALL, { hidden: false });
+      elementStates.set(product => product.productType !== WALL, { hidden: true });
+      expect(pickedLabel()).toBe(1);
+
+      elementStates.set(product => product.productType === SPACE, { hidden: false });
+      elementStates.set(product => product.productType !== SPACE, { hidden: true });
+      expect(pickedLabel()).toBe(10);
+      expect(pick()?.point.z).toBeCloseTo(2);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import {
+  WexBIMWriter,
+  addToProductSummary,
+  compareWexBIM,
+  createProductSummary,
+  parseWexBIM,
+  summarizeWexBIM,
+} from '../src/parser';
+import type { WexBIMModelData } from '../src/parser';
+import { readSample } from './helpers';
+
+// Products drawn by a single shape of their own, so changing one leaves the others as they are
+function getSingleShapeProducts(model: WexBIMModelData): number[] {
+  return model.products.map(product => product.label).filter((label) => {
+    const records = model.geometries.filter(record => record.shapes.some(shape => shape.productLabel === label));
+    return records.length === 1 && records[0].shapes.length === 1;
+  });
+}
+
+describe('compareWexBIM', () => {
+  const source = readSample('SampleHouse');
+  const model = parseWexBIM(source);
+  const [removed, moved, reshaped, restyled] = getSingleShapeProducts(model);
+
+  // SampleHouse with one product of each kind of change
+  const revise = (): Uint8Array => {
+    const products = model.products.map(product => product.label !== moved ? product : {
+      ...product,
+      bbox: product.bbox.map((value, i) => (i < 3 ? value + 500 : value)),
+    });
+    const geometries = model.geometries.map((record) => {
+      const label = record.shapes[0].productLabel;
+      if (label === reshaped && record.geometry) {
+        const vertices = record.geometry.vertices.slice();
+        vertices[0] += 10;
+        return { ...record, geometry: { ...record.geometry, vertices } };
+      }
+      if (label === restyled) {
+        const color = model.styles.find(style => style.id === record.shapes[0].styleId)!.color;
+        const other = model.styles.find(style => JSON.stringify(style.color) !== JSON.stringify(color))!;
+        return { ...record, shapes: [{ ...record.shapes[0], styleId: other.id }] };
+      }
+      return record;
+    });
+    return new WexBIMWriter().write({ ...model, products, geometries }, {
+      products: product => product.label !== removed,
+    });
+  };
+
+  it('sorts the changed products by kind', () => {
+    const diff = compareWexBIM(source, revise());
+
+    expect(diff.added).toEqual([]);
+    expect(diff.removed).toEqual([removed]);
+    expect(diff.moved).toEqual([moved]);
+    expect(diff.reshaped).toEqual([reshaped]);
+    expect(diff.restyled).toEqual([restyled]);
+    expect(diff.changes).toHaveLength(4);
+    expect(diff.changes.find(change => change.productLabel === moved)?.kinds).toEqual(['moved']);
+    expect(diff.unchanged).toBe(model.products.length - 4);
+
+    // The other way round, the removed product is added
+    const reverse = compareWexBIM(revise(), source);
+    expect(reverse.added).toEqual([removed]);
+    expect(reverse.removed).toEqual([]);
+  });
+
+  it('compares boxes in meters', () => {
+    const inMeters = new WexBIMWriter().write({
+      ...model,
+      header: { ...model.header, meter: 1 },
+      products: model.products.map(product => ({ ...product, bbox: product.bbox.map(value => value / model.header.meter) })),
+    });
+
+    const diff = compareWexBIM(source, inMeters);
+    expect(diff.changes).toEqual([]);
+    expect(diff.unchanged).toBe(model.products.length);
+
+    // Within the tolerance only
+    expect(compareWexBIM(source, revise(), { tolerance: 1 }).moved).toEqual([]);
+  });
+
+  it('compares styles by color', () => {
+    const renumbered = new WexBIMWriter().write({
+      ...model,
+      styles: model.styles.map(style => ({ ...style, id: style.id - 1000 })),
+      geometries: model.geometries.map(record => ({
+        ...record,
+        shapes: record.shapes.map(shape => ({ ...shape, styleId: shape.styleId - 1000 })),
+      })),
+    });
+
+    expect(compareWexBIM(source, renumbered).restyled).toEqual([]);
+    expect(compareWexBIM(source, renumbered).unchanged).toBe(model.products.length);
+  });
+});
+
+describe('summarizeWexBIM', () => {
+  const model = parseWexBIM(readSample('SampleHouse'));
+
+  it('summarizes the same as a product summary filled as records stream in', () => {
+    const summary = createProductSummary(model);
+    const half = model.geometries.length / 2;
+    addToProductSummary(summary, model.geometries.slice(0, half));
+    addToProductSummary(summary, model.geometries.slice(half));
+
+    expect(summary).toEqual(summarizeWexBIM(model));
+    expect(summary.products.size).toBe(model.products.length);
+    expect(compareWexBIM(summary, model).unchanged).toBe(model.products.length);
+  });
+});
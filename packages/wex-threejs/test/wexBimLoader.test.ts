@@ -0,0 +1,294 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import * as THREE from 'three';
+import { WexBIMLoader } from '../src/loaders/wexbim/wexBimLoader.js';
+import type { WexBIMLoadOptions, WexBIMLoadProgressEvent } from '../src/loaders/wexbim/wexBimLoader.js';
+import { WexBIMBudgetExceededError } from '../src/loaders/wexbim/wexBimErrors.js';
+import { WexBIMWriter, parseWexBIM } from '../src/parser';
+import type { WexBIMLogger } from '../src/loaders/wexbim/wexBimLogger.js';
+import { readSample } from './helpers';
+
+const CHUNK_SIZE = 4096;
+
+// Serves a file in small chunks, as a slow download would arrive
+function serve(data: Uint8Array) {
+  vi.stubGlobal('fetch', async () => new Response(new ReadableStream({
+    start(controller) {
+      for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+        controller.enqueue(data.slice(offset, offset + CHUNK_SIZE));
+      }
+      controller.close();
+    },
+  }), { headers: { 'Content-Length': String(data.length) } }));
+}
+
+// SampleHouse with half the placements of every repeated geometry moved to a copy of it at
+// the end of the file, so the copies arrive in later chunks
+function writeSplitRepeats(): Uint8Array {
+  const model = parseWexBIM(readSample('SampleHouse'));
+  const copies = model.geometries
+    .filter(record => record.shapes.length >= 4)
+    .map(record => ({ ...record, shapes: record.shapes.splice(record.shapes.length / 2) }));
+  return new WexBIMWriter().write({ ...model, geometries: [...model.geometries, ...copies] });
+}
+
+// SampleHouse as version 3, two thirds of its geometry in the first of two regions (so the
+// pool splits the file between the regions)
+function writeTwoRegions(): Uint8Array {
+  const model = parseWexBIM(readSample('SampleHouse'));
+  return new WexBIMWriter().write({
+    ...model,
+    regions: [model.regions[0], model.regions[0]],
+    geometries: model.geometries.map((record, i) => ({ ...record, region: i % 3 === 2 ? 1 : 0 })),
+  }, { version: 3 });
+}
+
+// writeSplitRepeats as version 3, the copies in a second region
+function writeRepeatsAcrossRegions(): Uint8Array {
+  const model = parseWexBIM(readSample('SampleHouse'));
+  const geometries = model.geometries.map(record => ({ ...record, region: 0 }));
+  const copies = geometries
+    .filter(record => record.shapes.length >= 4)
+    .map(record => ({ ...record, region: 1, shapes: record.shapes.splice(record.shapes.length / 2) }));
+  return new WexBIMWriter().write({
+    ...model,
+    regions: [model.regions[0], model.regions[0]],
+    geometries: [...geometries, ...copies],
+  }, { version: 3 });
+}
+
+type MessageHandler = ((event: { data: unknown }) => void) | null;
+
+// Runs the worker script on this thread, cloning messages as they would be between threads
+class InProcessWorker {
+  static messages: string[] = [];
+  // Scripts load one at a time, each registering its handler with the scope it sees as `self`
+  private static loading: Promise<unknown> = Promise.resolve();
+  onmessage: MessageHandler = null;
+  onerror: ((event: { message: string }) => void) | null = null;
+  private scope = {
+    onmessage: null as MessageHandler,
+    postMessage: (data: unknown) => setTimeout(() => this.onmessage?.({ data: structuredClone(data) })),
+  };
+  private ready: Promise<unknown>;
+
+  constructor() {
+    // A fresh copy of the script for every worker
+    this.ready = InProcessWorker.loading = InProcessWorker.loading.then(() => {
+      vi.stubGlobal('self', this.scope);
+      vi.resetModules();
+      return import('../src/loaders/wexbim/wexBimWorker.js');
+    });
+  }
+
+  postMessage(data: { action: string }) {
+    InProcessWorker.messages.push(data.action);
+    this.ready.then(() => {
+      // The script answers through `self`
+      vi.stubGlobal('self', this.scope);
+      this.scope.onmessage?.({ data: structuredClone(data) });
+    });
+  }
+
+  terminate() {}
+}
+
+// A worker whose script fails to load
+class BrokenWorker {
+  onerror: ((event: { message: string }) => void) | null = null;
+
+  postMessage() {
+    setTimeout(() => this.onerror?.({ message: 'Failed to load the worker script' }));
+  }
+
+  terminate() {}
+}
+
+function createLogger(): WexBIMLogger {
+  return { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+}
+
+function load(loader: WexBIMLoader, url: string, options: WexBIMLoadOptions = {}): Promise<THREE.Group> {
+  return new Promise((resolve, reject) => loader.load(url, resolve, undefined, reject, options));
+}
+
+function loadStreaming(loader: WexBIMLoader, url: string): Promise<THREE.Group> {
+  return new Promise((resolve, reject) => loader.load(url, resolve, undefined, reject));
+}
+
+function getBufferGeometries(scene: THREE.Object3D): Set<THREE.BufferGeometry> {
+  const geometries = new Set<THREE.BufferGeometry>();
+  scene.traverse((object) => {
+    if (object instanceof THREE.Mesh) geometries.add(object.geometry);
+  });
+  return geometries;
+}
+
+// Product label and placement of every instance of the batched meshes of a scene, by style
+function getBatchedInstances(scene: THREE.Object3D): Map<number, string[]> {
+  const byStyle = new Map<number, string[]>();
+  const matrix = new THREE.Matrix4();
+  scene.traverse((object) => {
+    if (!(object instanceof THREE.BatchedMesh)) return;
+    const instances = object.userData.instances as { productLabel: number }[];
+    const placed = instances.map(({ productLabel }, instanceId) =>
+      `${productLabel}:${object.getMatrixAt(instanceId, matrix).elements.map(x => x.toFixed(3))}`);
+    byStyle.set(object.userData.styleId, [...(byStyle.get(object.userData.styleId) ?? []), ...placed].sort());
+  });
+  return byStyle;
+}
+
+describe('WexBIMLoader', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('shares repeated geometry across the chunks of a streaming load', async () => {
+    const data = writeSplitRepeats();
+    serve(data);
+
+    const streamingLoader = new WexBIMLoader();
+    const streamed = await loadStreaming(streamingLoader, 'http://localhost/SampleHouse.wexbim');
+    const loader = new WexBIMLoader();
+    const built = await loader.createScene(parseWexBIM(data));
+
+    expect(loader.performanceStats.deduplicatedGeometries).toBeGreaterThan(0);
+    expect(getBufferGeometries(streamed).size).toBe(getBufferGeometries(built).size);
+    expect(streamingLoader.performanceStats.deduplicatedGeometries).toBe(loader.performanceStats.deduplicatedGeometries);
+    expect(streamingLoader.performanceStats.memorySavedBytes).toBe(loader.performanceStats.memorySavedBytes);
+  });
+
+  it('shares repeated geometry across the regions of a streaming load', async () => {
+    const data = writeRepeatsAcrossRegions();
+    serve(data);
+
+    const streamingLoader = new WexBIMLoader();
+    const streamed = await loadStreaming(streamingLoader, 'http://localhost/SampleHouse.wexbim');
+    const loader = new WexBIMLoader();
+    loader.lodSettings.useRegionGroups = false;
+    const flat = await loader.createScene(parseWexBIM(data));
+
+    // Each region instances the shared buffers with its own meshes
+    const regionGroups = streamed.children.filter(child => child.userData.regionIndex !== undefined);
+    expect(regionGroups).toHaveLength(2);
+    const [first, second] = regionGroups.map(getBufferGeometries);
+    expect(second.size).toBeGreaterThan(0);
+    expect([...second].every(geometry => first.has(geometry))).toBe(true);
+
+    expect(getBufferGeometries(streamed).size).toBe(getBufferGeometries(flat).size);
+    expect(streamingLoader.performanceStats.deduplicatedGeometries).toBe(loader.performanceStats.deduplicatedGeometries);
+    expect(streamingLoader.performanceStats.memorySavedBytes).toBe(loader.performanceStats.memorySavedBytes);
+  });
+
+  it('parses the chunks of a streaming load in a worker', async () => {
+    const data = readSample('SampleHouse');
+    serve(data);
+    vi.stubGlobal('Worker', InProcessWorker);
+    InProcessWorker.messages = [];
+
+    const streamingLoader = new WexBIMLoader();
+    const streamed = await loadStreaming(streamingLoader, 'http://localhost/SampleHouse.wexbim');
+    const built = await new WexBIMLoader().createScene(parseWexBIM(data));
+
+    expect(InProcessWorker.messages).toHaveLength(Math.ceil(data.length / CHUNK_SIZE) + 1);
+    expect(InProcessWorker.messages.at(-1)).toBe('stream-end');
+    expect(streamed.userData.issues).toEqual([]);
+    expect(streamed.userData.productSummary).toEqual(built.userData.productSummary);
+    expect(streamingLoader.performanceStats.triangles).toBe(25059);
+    expect(getBufferGeometries(streamed).size).toBe(getBufferGeometries(built).size);
+  });
+
+  it('parses a streaming load on the main thread when the worker cannot run', async () => {
+    const data = readSample('SampleHouse');
+    serve(data);
+    vi.stubGlobal('Worker', BrokenWorker);
+
+    const loader = new WexBIMLoader();
+    loader.logger = createLogger();
+    const streamed = await loadStreaming(loader, 'http://localhost/SampleHouse.wexbim');
+
+    expect(loader.logger.warn).toHaveBeenCalledOnce();
+    expect(streamed.userData.issues).toEqual([]);
+    expect(loader.performanceStats.triangles).toBe(25059);
+  });
+
+  it('leaves no listeners on the signal after parsing with a worker pool', async () => {
+    const data = writeTwoRegions();
+    serve(data);
+    vi.stubGlobal('Worker', InProcessWorker);
+    InProcessWorker.messages = [];
+    // Download progress of THREE.FileLoader
+    vi.stubGlobal('ProgressEvent', class extends Event {});
+
+    const loader = new WexBIMLoader();
+    loader.lodSettings.useProgressive = false;
+    loader.workerSettings.poolSize = 2;
+    loader.workerSettings.poolMinBytes = 0;
+    const { signal } = new AbortController();
+    const listeners = new Set<unknown>();
+    vi.spyOn(signal, 'addEventListener').mockImplementation((_type, listener) => listeners.add(listener));
+    vi.spyOn(signal, 'removeEventListener').mockImplementation((_type, listener) => listeners.delete(listener));
+    const scene = await load(loader, 'http://localhost/SampleHouse.wexbim', { signal });
+
+    expect(InProcessWorker.messages).toEqual(['parse-regions', 'parse-regions']);
+    expect(scene.userData.issues).toEqual([]);
+    expect(loader.performanceStats.triangles).toBe(25059);
+    expect(signal.addEventListener).toHaveBeenCalled();
+    expect(listeners.size).toBe(0);
+  });
+
+  it('keeps one batched mesh per style while a load streams in', async () => {
+    const data = readSample('SampleHouse');
+    serve(data);
+
+    const streamingLoader = new WexBIMLoader();
+    streamingLoader.lodSettings.useGeometryBatching = true;
+    const streamed = await loadStreaming(streamingLoader, 'http://localhost/SampleHouse.wexbim');
+    const loader = new WexBIMLoader();
+    loader.lodSettings.useGeometryBatching = true;
+    const built = await loader.createScene(parseWexBIM(data));
+
+    expect(loader.performanceStats.drawCalls).toBe(24);
+    expect(streamingLoader.performanceStats.drawCalls).toBe(loader.performanceStats.drawCalls);
+    expect(streamingLoader.performanceStats.instances).toBe(loader.performanceStats.instances);
+    expect(getBatchedInstances(streamed)).toEqual(getBatchedInstances(built));
+  });
+
+  it('stops an aborted load with the reason of the signal', async () => {
+    serve(writeTwoRegions());
+    const controller = new AbortController();
+    const reason = new Error('Another model was picked');
+    let scene: THREE.Group | null = null;
+
+    // Abort once the first region is in the scene
+    const loader = new WexBIMLoader();
+    const loading = new Promise((resolve, reject) => {
+      loader.load('http://localhost/SampleHouse.wexbim', resolve, (event: WexBIMLoadProgressEvent) => {
+        if (event.type === 'scene-created') scene = event.scene;
+        if (event.type === 'region-loaded') controller.abort(reason);
+      }, reject, { signal: controller.signal });
+    });
+
+    await expect(loading).rejects.toBe(reason);
+    expect(scene).not.toBeNull();
+    expect(scene!.children.filter(child => child.userData.regionIndex !== undefined)).toEqual([]);
+  });
+
+  it('stops a load over its triangle or memory budget', async () => {
+    const data = readSample('SampleHouse');
+
+    serve(data);
+    const triangles = load(new WexBIMLoader(), 'http://localhost/SampleHouse.wexbim', { budget: { maxTriangles: 10000 } });
+    const trianglesError = await triangles.catch((error: unknown) => error);
+    expect(trianglesError).toBeInstanceOf(WexBIMBudgetExceededError);
+    expect(trianglesError).toMatchObject({ kind: 'triangles', limit: 10000 });
+    expect((trianglesError as WexBIMBudgetExceededError).actual).toBeGreaterThan(10000);
+    expect((trianglesError as WexBIMBudgetExceededError).actual).toBeLessThan(25059);
+
+    serve(data);
+    const memory = load(new WexBIMLoader(), 'http://localhost/SampleHouse.wexbim', { budget: { maxMemoryBytes: 100000 } });
+    const memoryError = await memory.catch((error: unknown) => error);
+    expect(memoryError).toBeInstanceOf(WexBIMBudgetExceededError);
+    expect(memoryError).toMatchObject({ kind: 'memory', limit: 100000 });
+    expect((memoryError as WexBIMBudgetExceededError).actual).toBeGreaterThan(100000);
+  });
+});
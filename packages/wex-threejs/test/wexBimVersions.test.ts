@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import {
+  BinaryReader,
+  WexBIMParseError,
+  WexBIMWriter,
+  parseRegionGeometries,
+  parseWexBIM,
+  parseWexBIMIndex,
+  validateWexBIM,
+} from '../src/parser';
+import { readSample } from './helpers';
+
+// Fixtures of every version, written from SampleHouse (version 2)
+const source = parseWexBIM(readSample('SampleHouse'));
+const model = { ...source, header: { ...source.header, localWCS: [1000, -2000, 3.5] as [number, number, number] } };
+const writer = new WexBIMWriter();
+const fixtures = Object.fromEntries([1, 2, 3, 4].map(version => [version, writer.write(model, { version })]));
+
+const shapesOf = (data: typeof source) => data.geometries.flatMap(record => record.shapes);
+const geometryOf = (data: typeof source) => data.geometries.map(record => record.geometry);
+
+describe.each([1, 2, 3, 4])('version %i', version => {
+  const data = fixtures[version];
+  const parsed = parseWexBIM(data);
+
+  it('parses and validates', () => {
+    expect(parsed.header.version).toBe(version);
+    expect(parsed.issues).toEqual([]);
+    expect(validateWexBIM(data).valid).toBe(true);
+    expect(parsed.products).toEqual(source.products);
+    expect(parsed.styles).toEqual(source.styles);
+    expect(parsed.regions).toEqual(source.regions);
+    expect(geometryOf(parsed)).toEqual(geometryOf(source));
+  });
+
+  it('reads the local world coordinate system from version 4 on', () => {
+    expect(parsed.header.localWCS).toEqual(version >= 4 ? model.header.localWCS : [0, 0, 0]);
+  });
+});
+
+describe('version 1', () => {
+  it('stores transforms as float32', () => {
+    const shapes = shapesOf(parseWexBIM(fixtures[1]));
+    const transformed = shapes.filter(shape => shape.transform);
+
+    expect(transformed).toHaveLength(source.header.numMatrices);
+    transformed.forEach(shape => expect(shape.transform).toBeInstanceOf(Float32Array));
+    expect(shapes.map(shape => shape.transform && Array.from(shape.transform))).toEqual(
+      shapesOf(source).map(shape => shape.transform && Array.from(shape.transform, Math.fround))
+    );
+    // 16 float32 instead of 16 float64 per matrix
+    expect(fixtures[1].length).toBe(fixtures[2].length - 64 * source.header.numMatrices);
+  });
+});
+
+describe('versions 1 and 2', () => {
+  it('have no region length prefixes', () => {
+    for (const version of [1, 2]) {
+      const parsed = parseWexBIM(fixtures[version]);
+      expect(parseWexBIMIndex(fixtures[version]).regionOffsets).toEqual([]);
+      expect(parsed.geometries.every(record => record.region === -1)).toBe(true);
+    }
+    expect(shapesOf(parseWexBIM(fixtures[2]))).toEqual(shapesOf(source));
+  });
+});
+
+describe('version 3', () => {
+  it('groups the geometry by region', () => {
+    const data = fixtures[3];
+    const parsed = parseWexBIM(data);
+    const { regionOffsets } = parseWexBIMIndex(data);
+
+    expect(regionOffsets).toHaveLength(parsed.header.numRegions);
+    expect(parsed.geometries.every(record => record.region === 0)).toBe(true);
+    // A record count per region and a length per geometry
+    expect(data.length).toBe(fixtures[2].length + 4 * (parsed.header.numRegions + parsed.header.numShapes));
+
+    const reader = new BinaryReader(data);
+    reader.offset = regionOffsets[0];
+    expect(parseRegionGeometries(reader, 3, 0)).toEqual(parsed.geometries);
+  });
+});
+
+describe('version 4', () => {
+  it('adds the local world coordinate system to the version 3 layout', () => {
+    expect(fixtures[4].length).toBe(fixtures[3].length + 3 * 8);
+    expect(parseWexBIM(fixtures[4]).geometries).toEqual(parseWexBIM(fixtures[3]).geometries);
+  });
+});
+
+describe('unsupported versions', () => {
+  it.each([0, 5, 255])('rejects version %i', version => {
+    const data = fixtures[2].slice();
+    // The version byte follows the magic number
+    data[4] = version;
+
+    expect(() => parseWexBIM(data)).toThrow(WexBIMParseError);
+    expect(() => parseWexBIM(data)).toThrow(/unsupported version/);
+    expect(() => parseWexBIMIndex(data)).toThrow(WexBIMParseError);
+    expect(validateWexBIM(data).valid).toBe(false);
+    expect(() => writer.write(model, { version })).toThrow(RangeError);
+  });
+});
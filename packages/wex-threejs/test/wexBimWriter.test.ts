@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { WexBIMWriter, parseWexBIM, validateWexBIM } from '../src/parser';
+import { readSample } from './helpers';
+
+describe('WexBIMWriter', () => {
+  const source = readSample('SampleHouse');
+  const model = parseWexBIM(source);
+
+  it('writes a parsed file back without loss', () => {
+    const written = new WexBIMWriter().write(model);
+    const reparsed = parseWexBIM(written);
+
+    expect(reparsed.header).toEqual(model.header);
+    expect(reparsed.regions).toEqual(model.regions);
+    expect(reparsed.styles).toEqual(model.styles);
+    expect(reparsed.products).toEqual(model.products);
+    expect(reparsed.geometries).toEqual(model.geometries);
+    expect(reparsed.issues).toEqual([]);
+    expect(written).toEqual(source);
+  });
+
+  it('writes a subset of the products', () => {
+    const labels = model.products.slice(0, 20).map(product => product.label);
+    const written = new WexBIMWriter().write(model, { products: labels });
+    const subset = parseWexBIM(written);
+
+    expect(validateWexBIM(written).valid).toBe(true);
+    expect(subset.products).toEqual(model.products.slice(0, 20));
+    expect(subset.header.numProducts).toBe(20);
+    expect(subset.header.numShapes).toBe(subset.geometries.length);
+
+    // Every placement of a kept product, and nothing else
+    const placements = (data: typeof model, label: number) =>
+      data.geometries.flatMap(record => record.shapes).filter(shape => shape.productLabel === label).length;
+    const kept = new Set(labels);
+    subset.geometries.forEach(record => record.shapes.forEach(shape => expect(kept.has(shape.productLabel)).toBe(true)));
+    labels.forEach(label => expect(placements(subset, label)).toBe(placements(model, label)));
+
+    // Only the styles still in use
+    const usedStyles = new Set(subset.geometries.flatMap(record => record.shapes.map(shape => shape.styleId)));
+    expect(subset.styles.map(style => style.id).sort()).toEqual([...usedStyles].sort());
+    expect(subset.header.numStyles).toBe(usedStyles.size);
+  });
+
+  it('writes the products a filter accepts', () => {
+    const type = model.products[0].type;
+    const subset = parseWexBIM(new WexBIMWriter().write(model, { products: product => product.type === type }));
+
+    expect(subset.products).toEqual(model.products.filter(product => product.type === type));
+  });
+});
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config';
+
+// Tests run in Node against the sample models of the demo app; files that need browser APIs
+// ask for happy-dom with a `@vitest-environment` comment
+export default defineConfig({
+  test: {
+    include: ['test/**/*.test.ts'],
+    environment: 'node',
+  },
+});